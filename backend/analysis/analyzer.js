@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { splitSentences, splitClauses, tokenize, stem } = require('./text');
+const { scoreSentiment, scoreSentence } = require('./sentiment');
+
+/**
+ * Offline analysis of review text: sentiment, keywords, key phrases and
+ * aspect tags ("pricing", "search", ...).
+ *
+ * Aspects come from a JSON file (ANALYSIS_ASPECTS_PATH, default
+ * analysis/aspects.json) mapping each aspect to the words and phrases that
+ * mention it. An aspect's sentiment is the average sentiment of the
+ * clauses that mention it, so "Search is slow but support is great" tags
+ * search as negative and support as positive.
+ */
+
+const ASPECTS_PATH = process.env.ANALYSIS_ASPECTS_PATH || path.join(__dirname, 'aspects.json');
+const STOPWORDS_PATH = path.join(__dirname, 'stopwords.json');
+
+const MAX_KEYWORDS = 5;
+const MAX_PHRASES = 3;
+const MIN_KEYWORD_LENGTH = 3;
+
+/**
+ * Loads the aspect definitions, with each term stemmed into tokens
+ * @param {string} aspectsPath - Path to the aspects JSON
+ * @returns {Array} - [{ name, terms: [[token, ...], ...] }]
+ */
+function loadAspects(aspectsPath) {
+  const definitions = JSON.parse(fs.readFileSync(aspectsPath, 'utf8'));
+  return Object.entries(definitions).map(([name, terms]) => ({
+    name,
+    terms: terms.map(term => tokenize(term).map(stem)).filter(tokens => tokens.length > 0)
+  }));
+}
+
+const aspects = loadAspects(ASPECTS_PATH);
+const stopwords = new Set(JSON.parse(fs.readFileSync(STOPWORDS_PATH, 'utf8')));
+
+/**
+ * Returns the text analysed for a review
+ * @param {Object} review - Review
+ * @returns {string} - Title and description, one per line
+ */
+function reviewText(review) {
+  return [review.title, review.description].filter(Boolean).join('\n');
+}
+
+/**
+ * Checks whether a token carries meaning on its own
+ * @param {string} token - Lowercase token
+ * @param {Set} excluded - Stemmed tokens to leave out, e.g. the company name
+ * @returns {boolean} - True for keyword candidates
+ */
+function isKeyword(token, excluded) {
+  return token.length >= MIN_KEYWORD_LENGTH &&
+    !/^\d+$/.test(token) &&
+    !stopwords.has(token) &&
+    !stopwords.has(stem(token)) &&
+    !excluded.has(stem(token));
+}
+
+/**
+ * Checks whether a token sequence contains a term
+ * @param {Array} tokens - Stemmed sentence tokens
+ * @param {Array} term - Stemmed term tokens
+ * @returns {boolean} - True when the term appears
+ */
+function containsTerm(tokens, term) {
+  for (let index = 0; index + term.length <= tokens.length; index++) {
+    if (term.every((token, offset) => tokens[index + offset] === token)) return true;
+  }
+  return false;
+}
+
+/**
+ * Counts a review's keywords and two-word phrases
+ * @param {string} text - Review text
+ * @param {string} [companyName] - Company name, left out of the results
+ * @returns {Object} - { keywords: Map, phrases: Map } of term -> count, in first-seen order
+ */
+function extractTerms(text, companyName) {
+  const excluded = new Set(tokenize(companyName).map(stem));
+  const keywords = new Map();
+  const phrases = new Map();
+
+  splitSentences(text).forEach(sentence => {
+    let previous = null;
+
+    tokenize(sentence).forEach(token => {
+      if (!isKeyword(token, excluded)) {
+        // Phrases are runs of adjacent keywords
+        previous = null;
+        return;
+      }
+
+      const term = stem(token);
+      keywords.set(term, (keywords.get(term) || 0) + 1);
+
+      if (previous && previous !== term) {
+        const phrase = `${previous} ${term}`;
+        phrases.set(phrase, (phrases.get(phrase) || 0) + 1);
+      }
+      previous = term;
+    });
+  });
+
+  return { keywords, phrases };
+}
+
+/**
+ * Returns the most frequent entries of a count map
+ * @param {Map} counts - term -> count, in first-seen order
+ * @param {number} limit - Number of entries to keep
+ * @returns {Array} - Terms, most frequent first (ties keep first-seen order)
+ */
+function topTerms(counts, limit) {
+  return Array.from(counts.entries())
+    .map(([term, count], order) => ({ term, count, order }))
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .slice(0, limit)
+    .map(({ term }) => term);
+}
+
+/**
+ * Tags the aspects a text mentions, with the sentiment of those mentions
+ * @param {string} text - Review text
+ * @returns {Array} - [{ name, sentiment }] in aspect-file order
+ */
+function detectAspects(text) {
+  const mentions = new Map();
+
+  splitSentences(text).flatMap(splitClauses).forEach(clause => {
+    const tokens = tokenize(clause).map(stem);
+
+    aspects.forEach(aspect => {
+      if (!aspect.terms.some(term => containsTerm(tokens, term))) return;
+      if (!mentions.has(aspect.name)) mentions.set(aspect.name, []);
+      mentions.get(aspect.name).push(scoreSentence(clause));
+    });
+  });
+
+  return aspects
+    .filter(aspect => mentions.has(aspect.name))
+    .map(aspect => {
+      const scores = mentions.get(aspect.name);
+      const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+      return { name: aspect.name, sentiment: Math.round(average * 1000) / 1000 };
+    });
+}
+
+/**
+ * Analyses one review
+ * @param {Object} review - Review with `title` and `description`
+ * @param {Object} options - Optional { companyName } to leave out of keywords
+ * @returns {Object} - { sentiment: { score, label }, keywords, phrases, aspects }
+ */
+function analyzeReview(review, options = {}) {
+  const text = reviewText(review);
+  const { keywords, phrases } = extractTerms(text, options.companyName);
+
+  return {
+    sentiment: scoreSentiment(text),
+    keywords: topTerms(keywords, MAX_KEYWORDS),
+    phrases: topTerms(phrases, MAX_PHRASES),
+    aspects: detectAspects(text)
+  };
+}
+
+/**
+ * Adds an `analysis` field to each review
+ * @param {Array} reviews - Reviews to analyse
+ * @param {string} [companyName] - Company the reviews are about
+ * @returns {Array} - New review objects with `analysis`
+ */
+function analyzeReviews(reviews, companyName) {
+  return reviews.map(review => ({ ...review, analysis: analyzeReview(review, { companyName }) }));
+}
+
+module.exports = {
+  reviewText,
+  extractTerms,
+  detectAspects,
+  analyzeReview,
+  analyzeReviews
+};
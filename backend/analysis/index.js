@@ -0,0 +1,10 @@
+const { analyzeReview, analyzeReviews } = require('./analyzer');
+const { summarizeThemes } = require('./themes');
+const { scoreSentiment } = require('./sentiment');
+
+module.exports = {
+  analyzeReview,
+  analyzeReviews,
+  summarizeThemes,
+  scoreSentiment
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { splitSentences, tokenize } = require('./text');
+
+/**
+ * Lexicon-based sentiment scoring.
+ *
+ * Each sentence scores the sum of its words and phrases from the lexicon
+ * (-5 to 5). A preceding intensifier ("very", "slightly") scales a word,
+ * a negator within the three words before it flips and dampens it, and in
+ * a sentence with "but" the clause after it outweighs the one before. The
+ * review total is squashed into -1..1.
+ *
+ * The lexicon is a JSON file (ANALYSIS_LEXICON_PATH, default
+ * analysis/lexicon.json) with `words`, `phrases`, `negators` and
+ * `intensifiers`, so it can be tuned without code changes.
+ */
+
+const LEXICON_PATH = process.env.ANALYSIS_LEXICON_PATH || path.join(__dirname, 'lexicon.json');
+
+const NEGATION_FACTOR = -0.75;
+const NEGATION_WINDOW = 3;
+const BEFORE_BUT_WEIGHT = 0.5;
+const AFTER_BUT_WEIGHT = 1.5;
+// Larger values make scores approach -1/1 more slowly
+const NORMALIZATION_ALPHA = 15;
+// Scores within this distance of 0 are neutral
+const NEUTRAL_THRESHOLD = 0.05;
+
+/**
+ * Loads a lexicon file and indexes its phrases by their first word
+ * @param {string} lexiconPath - Path to the lexicon JSON
+ * @returns {Object} - { words, phrases, negators, intensifiers }
+ */
+function loadLexicon(lexiconPath) {
+  const lexicon = JSON.parse(fs.readFileSync(lexiconPath, 'utf8'));
+  const phrases = new Map();
+
+  Object.entries(lexicon.phrases || {}).forEach(([phrase, score]) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length === 0) return;
+    if (!phrases.has(tokens[0])) phrases.set(tokens[0], []);
+    phrases.get(tokens[0]).push({ tokens, score });
+  });
+  // Try longer phrases first
+  phrases.forEach(list => list.sort((a, b) => b.tokens.length - a.tokens.length));
+
+  return {
+    words: lexicon.words || {},
+    phrases,
+    negators: new Set(lexicon.negators || []),
+    intensifiers: lexicon.intensifiers || {}
+  };
+}
+
+const lexicon = loadLexicon(LEXICON_PATH);
+
+/**
+ * Finds the lexicon phrase starting at a token, if any
+ * @param {Array} tokens - Sentence tokens
+ * @param {number} index - Start position
+ * @returns {Object|null} - { tokens, score } of the longest matching phrase
+ */
+function matchPhrase(tokens, index) {
+  const candidates = lexicon.phrases.get(tokens[index]) || [];
+  return candidates.find(phrase => phrase.tokens.every((token, offset) => tokens[index + offset] === token)) || null;
+}
+
+/**
+ * Scores one sentence
+ * @param {Array} tokens - Sentence tokens
+ * @returns {number} - Unbounded sentiment total
+ */
+function scoreTokens(tokens) {
+  const butIndex = tokens.lastIndexOf('but');
+  let total = 0;
+  let index = 0;
+
+  while (index < tokens.length) {
+    const phrase = matchPhrase(tokens, index);
+    const length = phrase ? phrase.tokens.length : 1;
+    let value = phrase ? phrase.score : lexicon.words[tokens[index]];
+
+    if (value) {
+      const intensifier = lexicon.intensifiers[tokens[index - 1]];
+      if (intensifier) value *= intensifier;
+
+      const window = tokens.slice(Math.max(0, index - NEGATION_WINDOW), index);
+      // A phrase that already contains the negation ("not worth") is not negated again
+      if (!phrase && window.some(token => lexicon.negators.has(token))) {
+        value *= NEGATION_FACTOR;
+      }
+
+      if (butIndex >= 0) {
+        value *= index > butIndex ? AFTER_BUT_WEIGHT : BEFORE_BUT_WEIGHT;
+      }
+
+      total += value;
+    }
+
+    index += length;
+  }
+
+  return total;
+}
+
+/**
+ * Squashes a sentiment total into -1..1
+ * @param {number} total - Unbounded total
+ * @returns {number} - Normalized score, rounded to 3 decimals
+ */
+function normalizeScore(total) {
+  const score = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Labels a normalized score
+ * @param {number} score - Score in -1..1
+ * @returns {string} - "positive", "negative" or "neutral"
+ */
+function labelScore(score) {
+  if (score >= NEUTRAL_THRESHOLD) return 'positive';
+  if (score <= -NEUTRAL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Scores the sentiment of a sentence (or any short text)
+ * @param {string} sentence - Text to score
+ * @returns {number} - Normalized score in -1..1
+ */
+function scoreSentence(sentence) {
+  return normalizeScore(scoreTokens(tokenize(sentence)));
+}
+
+/**
+ * Scores the sentiment of a text, sentence by sentence
+ * @param {string} text - Text to score
+ * @returns {Object} - { score, label } with score in -1..1
+ */
+function scoreSentiment(text) {
+  const total = splitSentences(text).reduce((sum, sentence) => sum + scoreTokens(tokenize(sentence)), 0);
+  const score = normalizeScore(total);
+  return { score, label: labelScore(score) };
+}
+
+module.exports = {
+  scoreSentiment,
+  scoreSentence,
+  labelScore
+};
@@ -0,0 +1,65 @@
+/**
+ * Text helpers shared by the analysis stage: sentence splitting,
+ * tokenization and a light plural-stripping stemmer.
+ */
+
+/**
+ * Splits text into sentences
+ * @param {string} text - Text to split
+ * @returns {Array} - Non-empty sentences
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .split(/[.!?;:\n]+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits a sentence into clauses at commas and conjunctions, so "search is
+ * slow, but support is great" yields one clause per topic
+ * @param {string} sentence - Sentence to split
+ * @returns {Array} - Non-empty clauses
+ */
+function splitClauses(sentence) {
+  return String(sentence || '')
+    .split(/,|\b(?:but|and|although|though|while|whereas|however)\b/i)
+    .map(clause => clause.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits text into lowercase word tokens. Apostrophes are dropped ("don't" ->
+ * "dont") and hyphens split words ("user-friendly" -> "user", "friendly").
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - Tokens
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Reduces simple plurals to their singular ("integrations" -> "integration",
+ * "companies" -> "company") so counts don't split across forms
+ * @param {string} token - Lowercase token
+ * @returns {string} - Stemmed token
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) {
+    return `${token.slice(0, -3)}y`;
+  }
+  if (token.length > 3 && token.endsWith('s') && !/(ss|us|is)$/.test(token)) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+module.exports = {
+  splitSentences,
+  splitClauses,
+  tokenize,
+  stem
+};
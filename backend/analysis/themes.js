@@ -0,0 +1,100 @@
+const { reviewText, extractTerms, analyzeReview } = require('./analyzer');
+const { labelScore } = require('./sentiment');
+
+/**
+ * Summarizes the themes across a set of reviews: overall sentiment, how
+ * often each aspect comes up and how people feel about it, and the most
+ * common keywords and phrases.
+ */
+
+const MAX_KEYWORDS = 20;
+const MAX_PHRASES = 10;
+// A keyword or phrase must appear in this many reviews to count as a theme
+const MIN_THEME_REVIEWS = 2;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Counts in how many reviews each term appears
+ * @param {Array} termMaps - One term -> count Map per review
+ * @param {number} limit - Number of terms to keep
+ * @param {number} minReviews - Minimum number of reviews
+ * @returns {Array} - [{ term, reviews }], most widespread first
+ */
+function countAcrossReviews(termMaps, limit, minReviews = 1) {
+  const reviewCounts = new Map();
+  termMaps.forEach(terms => {
+    terms.forEach((count, term) => reviewCounts.set(term, (reviewCounts.get(term) || 0) + 1));
+  });
+
+  return Array.from(reviewCounts.entries())
+    .filter(([, reviews]) => reviews >= minReviews)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, reviews]) => ({ term, reviews }));
+}
+
+/**
+ * Summarizes the themes of a company's reviews
+ * @param {Array} reviews - Reviews to summarize
+ * @param {Object} options - Optional { companyName } to leave out of keywords
+ * @returns {Object} - { count, sentiment, aspects, keywords, phrases }
+ */
+function summarizeThemes(reviews, options = {}) {
+  const { companyName } = options;
+  const sentiment = { average: 0, positive: 0, neutral: 0, negative: 0 };
+  const aspectStats = new Map();
+  const keywordMaps = [];
+  const phraseMaps = [];
+
+  reviews.forEach(review => {
+    // Re-analyse rather than trusting stored analysis, which may predate
+    // lexicon changes
+    const analysis = analyzeReview(review, { companyName });
+    const { keywords, phrases } = extractTerms(reviewText(review), companyName);
+
+    sentiment.average += analysis.sentiment.score;
+    sentiment[analysis.sentiment.label]++;
+    keywordMaps.push(keywords);
+    phraseMaps.push(phrases);
+
+    analysis.aspects.forEach(({ name, sentiment: score }) => {
+      if (!aspectStats.has(name)) {
+        aspectStats.set(name, { aspect: name, mentions: 0, total: 0, positive: 0, negative: 0 });
+      }
+      const stats = aspectStats.get(name);
+      stats.mentions++;
+      stats.total += score;
+      const label = labelScore(score);
+      if (label !== 'neutral') stats[label]++;
+    });
+  });
+
+  if (reviews.length > 0) {
+    sentiment.average = round(sentiment.average / reviews.length);
+  }
+
+  // A single review's terms are all its own themes
+  const minReviews = reviews.length > 1 ? MIN_THEME_REVIEWS : 1;
+
+  const aspects = Array.from(aspectStats.values())
+    .sort((a, b) => b.mentions - a.mentions || a.aspect.localeCompare(b.aspect))
+    .map(({ aspect, mentions, total, positive, negative }) => ({
+      aspect,
+      mentions,
+      share: round(mentions / reviews.length),
+      sentiment: round(total / mentions),
+      positive,
+      negative
+    }));
+
+  return {
+    count: reviews.length,
+    sentiment,
+    aspects,
+    keywords: countAcrossReviews(keywordMaps, MAX_KEYWORDS, minReviews),
+    phrases: countAcrossReviews(phraseMaps, MAX_PHRASES, minReviews)
+  };
+}
+
+module.exports = { summarizeThemes };
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { transaction, queryAll, selectAll } = require('./database');
+
+/**
+ * API keys and their daily usage.
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once,
+ * when it is issued. Usage is counted per key and UTC day: every request,
+ * and separately every scrape it started (the figure daily quotas apply to).
+ */
+
+const KEY_PREFIX = 'pulse_';
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} key - The API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Returns the UTC day a time falls on
+ * @param {Date} date - Point in time (default: now)
+ * @returns {string} - YYYY-MM-DD
+ */
+function usageDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Converts an api_keys row into a key object (never including the hash)
+ * @param {Object} row - Database row
+ * @returns {Object} - API key
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.rate_limit,
+    dailyQuota: row.daily_quota,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Issues a new API key
+ * @param {Object} key - { name, scopes, rateLimit, dailyQuota }; null limits mean unlimited
+ * @returns {Object} - { apiKey, key } where `key` is the secret, returned only here
+ */
+async function createApiKey({ name, scopes, rateLimit = null, dailyQuota = null }) {
+  const id = crypto.randomUUID();
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  await transaction((db) => {
+    db.run(
+      `INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, rate_limit, daily_quota, created_at)
+       VALUES ($id, $name, $keyHash, $keyPrefix, $scopes, $rateLimit, $dailyQuota, $now)`,
+      {
+        $id: id,
+        $name: name,
+        $keyHash: hashApiKey(key),
+        $keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+        $scopes: JSON.stringify(scopes),
+        $rateLimit: rateLimit,
+        $dailyQuota: dailyQuota,
+        $now: new Date().toISOString()
+      }
+    );
+  });
+
+  return { apiKey: await getApiKey(id), key };
+}
+
+/**
+ * Looks up a key by ID
+ * @param {string} id - Key ID
+ * @returns {Object|null} - The key, or null if unknown
+ */
+async function getApiKey(id) {
+  const rows = await queryAll('SELECT * FROM api_keys WHERE id = $id', { $id: id });
+  return rows.length > 0 ? fromRow(rows[0]) : null;
+}
+
+/**
+ * Looks up an active key by its secret
+ * @param {string} key - The API key as presented by a client
+ * @returns {Object|null} - The key, or null when unknown or revoked
+ */
+async function findActiveApiKey(key) {
+  const rows = await queryAll(
+    'SELECT * FROM api_keys WHERE key_hash = $keyHash AND revoked_at IS NULL',
+    { $keyHash: hashApiKey(key) }
+  );
+  return rows.length > 0 ? fromRow(rows[0]) : null;
+}
+
+/**
+ * Lists every key, oldest first, with today's usage
+ * @returns {Array} - Keys with `usageToday: { requests, scrapes }`
+ */
+async function listApiKeys() {
+  const rows = await queryAll(
+    `SELECT api_keys.*, api_key_usage.requests, api_key_usage.scrapes
+     FROM api_keys
+     LEFT JOIN api_key_usage ON api_key_usage.key_id = api_keys.id AND api_key_usage.day = $day
+     ORDER BY api_keys.created_at`,
+    { $day: usageDay() }
+  );
+  return rows.map(row => ({
+    ...fromRow(row),
+    usageToday: { requests: row.requests || 0, scrapes: row.scrapes || 0 }
+  }));
+}
+
+/**
+ * Revokes a key; its usage history is kept
+ * @param {string} id - Key ID
+ * @returns {Object|null} - The revoked key, or null if unknown
+ */
+async function revokeApiKey(id) {
+  await transaction((db) => {
+    db.run(
+      'UPDATE api_keys SET revoked_at = $now WHERE id = $id AND revoked_at IS NULL',
+      { $id: id, $now: new Date().toISOString() }
+    );
+  });
+  return getApiKey(id);
+}
+
+/**
+ * Counts a scrape against a key's daily quota. The check and the increment
+ * happen in one transaction, so concurrent requests cannot overrun the quota.
+ * @param {string} keyId - Key ID
+ * @param {number|null} dailyQuota - Scrapes allowed per UTC day; null for no quota
+ * @returns {number|null} - Scrapes started today including this one, or null
+ * when the quota is used up
+ */
+async function reserveScrape(keyId, dailyQuota) {
+  return transaction((db) => {
+    const params = { $keyId: keyId, $day: usageDay() };
+    db.run(
+      'INSERT INTO api_key_usage (key_id, day) VALUES ($keyId, $day) ON CONFLICT (key_id, day) DO NOTHING',
+      params
+    );
+    db.run(
+      `UPDATE api_key_usage SET scrapes = scrapes + 1
+       WHERE key_id = $keyId AND day = $day AND ($dailyQuota IS NULL OR scrapes < $dailyQuota)`,
+      { ...params, $dailyQuota: dailyQuota }
+    );
+    if (db.getRowsModified() === 0) return null;
+
+    return selectAll(db, 'SELECT scrapes FROM api_key_usage WHERE key_id = $keyId AND day = $day', params)[0].scrapes;
+  });
+}
+
+/**
+ * Gives back a scrape reserved by reserveScrape, for a request that was refused
+ * @param {string} keyId - Key ID
+ */
+async function releaseScrape(keyId) {
+  await transaction((db) => {
+    db.run(
+      'UPDATE api_key_usage SET scrapes = MAX(scrapes - 1, 0) WHERE key_id = $keyId AND day = $day',
+      { $keyId: keyId, $day: usageDay() }
+    );
+  });
+}
+
+/**
+ * Adds request counts to today's usage and updates when each key was last used
+ * @param {Map} counts - Key ID -> { requests, lastUsedAt }
+ */
+async function recordRequests(counts) {
+  if (counts.size === 0) return;
+  const day = usageDay();
+
+  await transaction((db) => {
+    counts.forEach(({ requests, lastUsedAt }, keyId) => {
+      db.run(
+        `INSERT INTO api_key_usage (key_id, day, requests) VALUES ($keyId, $day, $requests)
+         ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + $requests`,
+        { $keyId: keyId, $day: day, $requests: requests }
+      );
+      db.run(
+        'UPDATE api_keys SET last_used_at = $lastUsedAt WHERE id = $keyId',
+        { $keyId: keyId, $lastUsedAt: lastUsedAt }
+      );
+    });
+  });
+}
+
+/**
+ * Returns a key's usage per day, newest first
+ * @param {string} keyId - Key ID
+ * @param {number} days - Number of days to include
+ * @returns {Array} - { day, requests, scrapes }
+ */
+async function getUsage(keyId, days = 30) {
+  const rows = await queryAll(
+    'SELECT day, requests, scrapes FROM api_key_usage WHERE key_id = $keyId ORDER BY day DESC LIMIT $days',
+    { $keyId: keyId, $days: days }
+  );
+  return rows.map(({ day, requests, scrapes }) => ({ day, requests, scrapes }));
+}
+
+module.exports = {
+  hashApiKey,
+  createApiKey,
+  getApiKey,
+  findActiveApiKey,
+  listApiKeys,
+  revokeApiKey,
+  reserveScrape,
+  releaseScrape,
+  recordRequests,
+  getUsage
+};
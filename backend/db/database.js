@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+/**
+ * Embedded SQLite database stored in a single local file.
+ *
+ * sql.js runs SQLite in memory, so every write is followed by persisting the
+ * whole database back to DB_PATH. Writes are small and infrequent (one batch
+ * per scrape), which keeps this cheap.
+ */
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'pulse.sqlite');
+
+// Schema migrations, applied in order. PRAGMA user_version records how many
+// have run, so new tables are added by appending to this list.
+const MIGRATIONS = [
+  `CREATE TABLE reviews (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    product TEXT NOT NULL,
+    company TEXT NOT NULL,
+    reviewer_name TEXT,
+    reviewer_info TEXT,
+    review_date TEXT,
+    date_text TEXT,
+    title TEXT,
+    title_hash TEXT NOT NULL,
+    description TEXT,
+    rating REAL,
+    data TEXT NOT NULL,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_reviews_product_date ON reviews (product, review_date);
+  CREATE INDEX idx_reviews_source ON reviews (source);`,
+  `CREATE TABLE scrape_state (
+    source TEXT NOT NULL,
+    product TEXT NOT NULL,
+    high_water_mark TEXT,
+    last_run_at TEXT NOT NULL,
+    PRIMARY KEY (source, product)
+  );`,
+  `CREATE TABLE schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    timezone TEXT,
+    config TEXT NOT NULL,
+    paused INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE schedule_runs (
+    id TEXT PRIMARY KEY,
+    schedule_id TEXT NOT NULL,
+    triggered_by TEXT NOT NULL,
+    job_id TEXT,
+    state TEXT NOT NULL,
+    window_start TEXT,
+    window_end TEXT,
+    count INTEGER,
+    new_count INTEGER,
+    updated_count INTEGER,
+    error TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+  CREATE INDEX idx_schedule_runs_schedule ON schedule_runs (schedule_id, started_at);`,
+  `CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    product TEXT,
+    company TEXT,
+    sources TEXT,
+    max_rating REAL,
+    keywords TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    state TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at TEXT,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT
+  );
+  CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+  CREATE INDEX idx_webhook_deliveries_state ON webhook_deliveries (state);`,
+  `CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    rate_limit INTEGER,
+    daily_quota INTEGER,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE TABLE api_key_usage (
+    key_id TEXT NOT NULL,
+    day TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    scrapes INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+  );`,
+  `CREATE TABLE selector_runs (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    product TEXT NOT NULL,
+    job_id TEXT,
+    pages INTEGER NOT NULL,
+    reviews INTEGER NOT NULL,
+    fields TEXT NOT NULL,
+    drift INTEGER NOT NULL DEFAULT 0,
+    issues TEXT NOT NULL,
+    checked_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_selector_runs_source ON selector_runs (source, checked_at);`
+];
+
+let dbPromise = null;
+let persistChain = Promise.resolve();
+
+/**
+ * Opens the database (once) and applies pending migrations
+ * @returns {Object} - sql.js Database instance
+ */
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase();
+  }
+  return dbPromise;
+}
+
+/**
+ * Loads the database file (or creates an empty database) and migrates it
+ * @returns {Object} - sql.js Database instance
+ */
+async function openDatabase() {
+  const SQL = await initSqlJs();
+
+  let contents = null;
+  try {
+    contents = await fs.readFile(DB_PATH);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const db = contents ? new SQL.Database(contents) : new SQL.Database();
+  const version = db.exec('PRAGMA user_version')[0].values[0][0];
+
+  if (version < MIGRATIONS.length) {
+    MIGRATIONS.slice(version).forEach(migration => db.run(migration));
+    db.run(`PRAGMA user_version = ${MIGRATIONS.length}`);
+    await persist(db);
+  }
+
+  return db;
+}
+
+/**
+ * Writes the database to disk. Calls are serialized so concurrent writers
+ * never interleave.
+ * @param {Object} db - sql.js Database instance
+ */
+function persist(db) {
+  persistChain = persistChain
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
+      const tmpPath = `${DB_PATH}.tmp`;
+      await fs.writeFile(tmpPath, Buffer.from(db.export()));
+      await fs.rename(tmpPath, DB_PATH);
+    });
+  return persistChain;
+}
+
+/**
+ * Runs a synchronous function inside a transaction and persists the result
+ * @param {Function} fn - (db) => result; throwing rolls the transaction back
+ * @returns {*} - Whatever fn returns
+ */
+async function transaction(fn) {
+  const db = await getDatabase();
+
+  let result;
+  db.run('BEGIN');
+  try {
+    result = fn(db);
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+
+  await persist(db);
+  return result;
+}
+
+/**
+ * Runs a query and returns all rows as plain objects
+ * @param {string} sql - SQL query
+ * @param {Object|Array} params - Bound parameters
+ * @returns {Array} - Rows
+ */
+async function queryAll(sql, params = {}) {
+  const db = await getDatabase();
+  return selectAll(db, sql, params);
+}
+
+/**
+ * Synchronous variant of queryAll for use inside transaction()
+ * @param {Object} db - sql.js Database instance
+ * @param {string} sql - SQL query
+ * @param {Object|Array} params - Bound parameters
+ * @returns {Array} - Rows
+ */
+function selectAll(db, sql, params = {}) {
+  const statement = db.prepare(sql);
+  try {
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+}
+
+module.exports = {
+  DB_PATH,
+  getDatabase,
+  transaction,
+  queryAll,
+  selectAll
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { transaction, queryAll, selectAll } = require('./database');
+const { parseDate, formatDate } = require('../utils/dateUtils');
+
+/**
+ * Persistent store of scraped reviews.
+ *
+ * A review's identity is (source, product, reviewer, date, title hash), so
+ * scraping the same review again updates the stored row instead of adding a
+ * duplicate.
+ */
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Normalizes a company name into the product key used for identity
+ * @param {string} companyName - Company name as requested
+ * @returns {string} - e.g. "Microsoft Teams" -> "microsoft-teams"
+ */
+function toProductKey(companyName) {
+  return String(companyName || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Computes the identity fields of a review
+ * @param {string} companyName - Company the review belongs to
+ * @param {Object} review - Review; `origin` (or `source`) names its source
+ * @returns {Object} - { id, source, product, reviewerName, reviewDate, titleHash }
+ */
+function reviewIdentity(companyName, review) {
+  const source = review.origin || String(review.source || '').toLowerCase();
+  const product = toProductKey(companyName);
+  const reviewerName = review.reviewer?.name || '';
+  const parsedDate = parseDate(review.date);
+  const reviewDate = parsedDate ? formatDate(parsedDate) : null;
+  const titleHash = sha256(String(review.title || '').trim().toLowerCase());
+
+  const id = sha256([source, product, reviewerName, reviewDate || review.date || '', titleHash].join('|'));
+
+  return { id, source, product, reviewerName, reviewDate, titleHash };
+}
+
+/**
+ * Returns a review's stable ID, a hash of its identity fields
+ * @param {string} companyName - Company the review belongs to
+ * @param {Object} review - Review; `origin` (or `source`) names its source
+ * @returns {string} - Hex SHA-256 digest
+ */
+function toReviewId(companyName, review) {
+  return reviewIdentity(companyName, review).id;
+}
+
+/**
+ * Builds the stored row for a review
+ * @param {string} companyName - Company the review belongs to
+ * @param {Object} review - Scraped review; `origin` names its source
+ * @returns {Object} - Row fields
+ */
+function toRow(companyName, review) {
+  const { id, source, product, reviewerName, reviewDate, titleHash } = reviewIdentity(companyName, review);
+
+  return {
+    id,
+    source,
+    product,
+    company: companyName,
+    reviewerName,
+    reviewerInfo: review.reviewer?.info || '',
+    reviewDate,
+    dateText: review.dateText || review.date || '',
+    title: review.title || '',
+    titleHash,
+    description: review.description || '',
+    rating: typeof review.rating === 'number' ? review.rating : null,
+    data: JSON.stringify(review)
+  };
+}
+
+/**
+ * Inserts new reviews and updates ones that were already stored
+ * @param {string} companyName - Company the reviews belong to
+ * @param {Array} reviews - Scraped reviews
+ * @returns {Object} - { inserted: Array of newly stored reviews, updated: number }
+ */
+async function upsertReviews(companyName, reviews) {
+  const now = new Date().toISOString();
+
+  return transaction((db) => {
+    const inserted = [];
+    let updated = 0;
+
+    reviews.forEach(review => {
+      const row = toRow(companyName, review);
+      const existing = selectAll(db, 'SELECT id FROM reviews WHERE id = $id', { $id: row.id });
+
+      if (existing.length > 0) {
+        db.run(
+          `UPDATE reviews SET company = $company, reviewer_info = $reviewerInfo, date_text = $dateText,
+             title = $title, description = $description, rating = $rating, data = $data, last_seen_at = $now
+           WHERE id = $id`,
+          {
+            $id: row.id,
+            $company: row.company,
+            $reviewerInfo: row.reviewerInfo,
+            $dateText: row.dateText,
+            $title: row.title,
+            $description: row.description,
+            $rating: row.rating,
+            $data: row.data,
+            $now: now
+          }
+        );
+        updated++;
+      } else {
+        db.run(
+          `INSERT INTO reviews (id, source, product, company, reviewer_name, reviewer_info, review_date, date_text,
+             title, title_hash, description, rating, data, first_seen_at, last_seen_at)
+           VALUES ($id, $source, $product, $company, $reviewerName, $reviewerInfo, $reviewDate, $dateText,
+             $title, $titleHash, $description, $rating, $data, $now, $now)`,
+          {
+            $id: row.id,
+            $source: row.source,
+            $product: row.product,
+            $company: row.company,
+            $reviewerName: row.reviewerName,
+            $reviewerInfo: row.reviewerInfo,
+            $reviewDate: row.reviewDate,
+            $dateText: row.dateText,
+            $title: row.title,
+            $titleHash: row.titleHash,
+            $description: row.description,
+            $rating: row.rating,
+            $data: row.data,
+            $now: now
+          }
+        );
+        inserted.push({ id: row.id, ...review });
+      }
+    });
+
+    return { inserted, updated };
+  });
+}
+
+/**
+ * Converts a stored row back into a review object
+ * @param {Object} row - Database row
+ * @returns {Object} - Review with its stable id and store metadata
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    ...JSON.parse(row.data),
+    origin: row.source,
+    company: row.company,
+    reviewDate: row.review_date,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at
+  };
+}
+
+/**
+ * Queries stored reviews, newest first
+ * @param {Object} filters - { company, source, from, to, minRating, limit, offset };
+ *   `from`/`to` are Date objects and all filters are optional
+ * @returns {Array} - Matching reviews
+ */
+async function queryReviews(filters = {}) {
+  const conditions = [];
+  const params = {};
+
+  if (filters.company) {
+    conditions.push('product = $product');
+    params.$product = toProductKey(filters.company);
+  }
+  if (filters.source) {
+    conditions.push('source = $source');
+    params.$source = filters.source.toLowerCase();
+  }
+  if (filters.from) {
+    conditions.push('review_date >= $from');
+    params.$from = formatDate(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('review_date <= $to');
+    params.$to = formatDate(filters.to);
+  }
+  if (filters.minRating !== undefined && filters.minRating !== null) {
+    conditions.push('rating >= $minRating');
+    params.$minRating = filters.minRating;
+  }
+
+  params.$limit = filters.limit || 100;
+  params.$offset = filters.offset || 0;
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = await queryAll(
+    `SELECT * FROM reviews ${where} ORDER BY review_date DESC, first_seen_at DESC LIMIT $limit OFFSET $offset`,
+    params
+  );
+
+  return rows.map(fromRow);
+}
+
+module.exports = {
+  toProductKey,
+  toReviewId,
+  upsertReviews,
+  queryReviews
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { transaction, queryAll } = require('./database');
+
+/**
+ * Saved scrape schedules and their run history.
+ *
+ * A schedule stores a cron expression and the /scrape-reviews options to run
+ * with it (`config`), including a rolling date `window` that is resolved
+ * each time it runs.
+ */
+
+/**
+ * Converts a schedules row into a schedule object
+ * @param {Object} row - Database row
+ * @returns {Object} - Schedule
+ */
+function fromScheduleRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    timezone: row.timezone || null,
+    config: JSON.parse(row.config),
+    paused: Boolean(row.paused),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Converts a schedule_runs row into a run object
+ * @param {Object} row - Database row
+ * @returns {Object} - Run
+ */
+function fromRunRow(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    triggeredBy: row.triggered_by,
+    jobId: row.job_id,
+    state: row.state,
+    window: row.window_start ? { startDate: row.window_start, endDate: row.window_end } : null,
+    count: row.count,
+    newCount: row.new_count,
+    updatedCount: row.updated_count,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Saves a new schedule
+ * @param {Object} schedule - { name, cron, timezone, config }
+ * @returns {Object} - The stored schedule
+ */
+async function createSchedule({ name, cron, timezone, config }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  await transaction((db) => {
+    db.run(
+      `INSERT INTO schedules (id, name, cron, timezone, config, paused, created_at, updated_at)
+       VALUES ($id, $name, $cron, $timezone, $config, 0, $now, $now)`,
+      { $id: id, $name: name, $cron: cron, $timezone: timezone || null, $config: JSON.stringify(config), $now: now }
+    );
+  });
+
+  return getSchedule(id);
+}
+
+/**
+ * Looks up a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} - The schedule, or null if unknown
+ */
+async function getSchedule(id) {
+  const rows = await queryAll('SELECT * FROM schedules WHERE id = $id', { $id: id });
+  return rows.length > 0 ? fromScheduleRow(rows[0]) : null;
+}
+
+/**
+ * Lists all schedules, oldest first
+ * @returns {Array} - Schedules
+ */
+async function listSchedules() {
+  const rows = await queryAll('SELECT * FROM schedules ORDER BY created_at');
+  return rows.map(fromScheduleRow);
+}
+
+/**
+ * Pauses or resumes a schedule
+ * @param {string} id - Schedule ID
+ * @param {boolean} paused - New paused state
+ * @returns {Object|null} - The updated schedule, or null if unknown
+ */
+async function setSchedulePaused(id, paused) {
+  await transaction((db) => {
+    db.run(
+      'UPDATE schedules SET paused = $paused, updated_at = $now WHERE id = $id',
+      { $id: id, $paused: paused ? 1 : 0, $now: new Date().toISOString() }
+    );
+  });
+  return getSchedule(id);
+}
+
+/**
+ * Deletes a schedule and its run history
+ * @param {string} id - Schedule ID
+ */
+async function deleteSchedule(id) {
+  await transaction((db) => {
+    db.run('DELETE FROM schedule_runs WHERE schedule_id = $id', { $id: id });
+    db.run('DELETE FROM schedules WHERE id = $id', { $id: id });
+  });
+}
+
+/**
+ * Records the start of a run (or a run that ended immediately, e.g. skipped)
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} run - { triggeredBy, jobId, state, window, error }
+ * @returns {Object} - The stored run
+ */
+async function startRun(scheduleId, { triggeredBy, jobId = null, state = 'running', window = null, error = null }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const finished = state !== 'running';
+
+  await transaction((db) => {
+    db.run(
+      `INSERT INTO schedule_runs (id, schedule_id, triggered_by, job_id, state, window_start, window_end, error, started_at, finished_at)
+       VALUES ($id, $scheduleId, $triggeredBy, $jobId, $state, $windowStart, $windowEnd, $error, $now, $finishedAt)`,
+      {
+        $id: id,
+        $scheduleId: scheduleId,
+        $triggeredBy: triggeredBy,
+        $jobId: jobId,
+        $state: state,
+        $windowStart: window ? window.startDate : null,
+        $windowEnd: window ? window.endDate : null,
+        $error: error,
+        $now: now,
+        $finishedAt: finished ? now : null
+      }
+    );
+  });
+
+  const rows = await queryAll('SELECT * FROM schedule_runs WHERE id = $id', { $id: id });
+  return fromRunRow(rows[0]);
+}
+
+/**
+ * Records the outcome of a run
+ * @param {string} runId - Run ID
+ * @param {Object} outcome - { state, count, newCount, updatedCount, error }
+ */
+async function finishRun(runId, { state, count = null, newCount = null, updatedCount = null, error = null }) {
+  await transaction((db) => {
+    db.run(
+      `UPDATE schedule_runs SET state = $state, count = $count, new_count = $newCount, updated_count = $updatedCount,
+         error = $error, finished_at = $now
+       WHERE id = $id`,
+      {
+        $id: runId,
+        $state: state,
+        $count: count,
+        $newCount: newCount,
+        $updatedCount: updatedCount,
+        $error: error,
+        $now: new Date().toISOString()
+      }
+    );
+  });
+}
+
+/**
+ * Lists a schedule's runs, newest first
+ * @param {string} scheduleId - Schedule ID
+ * @param {number} limit - Maximum number of runs
+ * @returns {Array} - Runs
+ */
+async function listRuns(scheduleId, limit = 50) {
+  const rows = await queryAll(
+    'SELECT * FROM schedule_runs WHERE schedule_id = $scheduleId ORDER BY started_at DESC LIMIT $limit',
+    { $scheduleId: scheduleId, $limit: limit }
+  );
+  return rows.map(fromRunRow);
+}
+
+/**
+ * Marks runs left running by a previous server process as failed
+ * @returns {number} - Number of runs updated
+ */
+async function failInterruptedRuns() {
+  return transaction((db) => {
+    db.run(
+      `UPDATE schedule_runs SET state = 'failed', error = 'Interrupted by a server restart', finished_at = $now
+       WHERE state = 'running'`,
+      { $now: new Date().toISOString() }
+    );
+    return db.getRowsModified();
+  });
+}
+
+module.exports = {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+  startRun,
+  finishRun,
+  listRuns,
+  failInterruptedRuns
+};
@@ -0,0 +1,69 @@
+const { transaction, queryAll, selectAll } = require('./database');
+const { toProductKey } = require('./reviewStore');
+const { parseDate, formatDate } = require('../utils/dateUtils');
+
+/**
+ * Per-source, per-company scrape state.
+ *
+ * The high-water mark is the date of the newest review a live scrape has
+ * seen. Incremental scrapes start from it instead of the requested start
+ * date, so a refresh only reads pages newer than the previous run.
+ */
+
+/**
+ * Returns the high-water mark for a company on a source
+ * @param {string} source - Source name, e.g. "g2"
+ * @param {string} companyName - Company name as requested
+ * @returns {Date|null} - Date of the newest review seen, or null before the first run
+ */
+async function getHighWaterMark(source, companyName) {
+  const rows = await queryAll(
+    'SELECT high_water_mark FROM scrape_state WHERE source = $source AND product = $product',
+    { $source: source, $product: toProductKey(companyName) }
+  );
+
+  return rows.length > 0 ? parseDate(rows[0].high_water_mark) : null;
+}
+
+/**
+ * Records a successful live scrape, moving the high-water mark forward to
+ * the newest review it returned (it never moves back)
+ * @param {string} source - Source name
+ * @param {string} companyName - Company name as requested
+ * @param {Array} reviews - Reviews returned by the scrape
+ * @returns {Date|null} - The high-water mark after this run
+ */
+async function recordScrapeRun(source, companyName, reviews) {
+  const product = toProductKey(companyName);
+  const newest = reviews
+    .map(review => parseDate(review.date))
+    .filter(Boolean)
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+  const mark = await transaction((db) => {
+    const existing = selectAll(
+      db,
+      'SELECT high_water_mark FROM scrape_state WHERE source = $source AND product = $product',
+      { $source: source, $product: product }
+    );
+    const previous = existing.length > 0 ? existing[0].high_water_mark : null;
+    const candidate = newest ? formatDate(newest) : null;
+    const next = [previous, candidate].filter(Boolean).sort().pop() || null;
+
+    db.run(
+      `INSERT INTO scrape_state (source, product, high_water_mark, last_run_at)
+       VALUES ($source, $product, $mark, $now)
+       ON CONFLICT (source, product) DO UPDATE SET high_water_mark = $mark, last_run_at = $now`,
+      { $source: source, $product: product, $mark: next, $now: new Date().toISOString() }
+    );
+
+    return next;
+  });
+
+  return mark ? parseDate(mark) : null;
+}
+
+module.exports = {
+  getHighWaterMark,
+  recordScrapeRun
+};
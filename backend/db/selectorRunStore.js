@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { transaction, queryAll } = require('./database');
+const { toProductKey } = require('./reviewStore');
+
+/**
+ * History of per-field selector match statistics, one row per live scrape
+ * of a source. Recent runs form the baseline that later runs are compared
+ * with to detect layout drift (see scrapers/selectorStats.js).
+ */
+
+/**
+ * Converts a selector_runs row into a run object
+ * @param {Object} row - Database row
+ * @returns {Object} - Run
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    product: row.product,
+    jobId: row.job_id,
+    pages: row.pages,
+    reviews: row.reviews,
+    fields: JSON.parse(row.fields),
+    layoutDrift: Boolean(row.drift),
+    issues: JSON.parse(row.issues),
+    checkedAt: row.checked_at
+  };
+}
+
+/**
+ * Saves the selector statistics of a run
+ * @param {string} source - Source name, e.g. "g2"
+ * @param {string} companyName - Company name as requested
+ * @param {Object} report - { pages, reviews, fields, layoutDrift, issues, checkedAt }
+ * @param {string} [jobId] - Job the run belonged to
+ * @returns {Object} - The stored run
+ */
+async function recordSelectorRun(source, companyName, report, jobId = null) {
+  const run = {
+    id: crypto.randomUUID(),
+    source,
+    product: toProductKey(companyName),
+    jobId,
+    pages: report.pages,
+    reviews: report.reviews,
+    fields: report.fields,
+    layoutDrift: report.layoutDrift,
+    issues: report.issues,
+    checkedAt: report.checkedAt
+  };
+
+  await transaction((db) => {
+    db.run(
+      `INSERT INTO selector_runs (id, source, product, job_id, pages, reviews, fields, drift, issues, checked_at)
+       VALUES ($id, $source, $product, $jobId, $pages, $reviews, $fields, $drift, $issues, $checkedAt)`,
+      {
+        $id: run.id,
+        $source: run.source,
+        $product: run.product,
+        $jobId: run.jobId,
+        $pages: run.pages,
+        $reviews: run.reviews,
+        $fields: JSON.stringify(run.fields),
+        $drift: run.layoutDrift ? 1 : 0,
+        $issues: JSON.stringify(run.issues),
+        $checkedAt: run.checkedAt
+      }
+    );
+  });
+
+  return run;
+}
+
+/**
+ * Lists a source's runs, newest first
+ * @param {string} source - Source name
+ * @param {Object} options - Optional { limit, healthyOnly }; healthyOnly
+ *   leaves out runs flagged with layout drift and runs without reviews
+ * @returns {Array} - Runs
+ */
+async function listSelectorRuns(source, { limit = 20, healthyOnly = false } = {}) {
+  const filter = healthyOnly ? 'AND drift = 0 AND reviews > 0' : '';
+  const rows = await queryAll(
+    `SELECT * FROM selector_runs WHERE source = $source ${filter} ORDER BY checked_at DESC, rowid DESC LIMIT $limit`,
+    { $source: source, $limit: limit }
+  );
+  return rows.map(fromRow);
+}
+
+module.exports = {
+  recordSelectorRun,
+  listSelectorRuns
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { transaction, queryAll } = require('./database');
+const { toProductKey } = require('./reviewStore');
+
+/**
+ * Webhook subscriptions and their delivery log.
+ *
+ * A webhook is notified about newly stored reviews that match its filters
+ * (company, sources, rating threshold, keywords). Every notification is a
+ * delivery row, so retries survive a server restart and each attempt's
+ * outcome can be inspected.
+ */
+
+/**
+ * Converts a webhooks row into a webhook object
+ * @param {Object} row - Database row
+ * @param {boolean} withSecret - Include the signing secret
+ * @returns {Object} - Webhook
+ */
+function fromWebhookRow(row, withSecret = false) {
+  const webhook = {
+    id: row.id,
+    url: row.url,
+    company: row.company || null,
+    product: row.product || null,
+    sources: row.sources ? JSON.parse(row.sources) : null,
+    maxRating: row.max_rating,
+    keywords: row.keywords ? JSON.parse(row.keywords) : null,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (withSecret) webhook.secret = row.secret;
+  return webhook;
+}
+
+/**
+ * Converts a webhook_deliveries row into a delivery object
+ * @param {Object} row - Database row
+ * @returns {Object} - Delivery
+ */
+function fromDeliveryRow(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    payload: JSON.parse(row.payload),
+    state: row.state,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+/**
+ * Saves a new webhook
+ * @param {Object} webhook - { url, secret, company, sources, maxRating, keywords }
+ * @returns {Object} - The stored webhook, including its secret
+ */
+async function createWebhook({ url, secret, company = null, sources = null, maxRating = null, keywords = null }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  await transaction((db) => {
+    db.run(
+      `INSERT INTO webhooks (id, url, secret, product, company, sources, max_rating, keywords, active, created_at, updated_at)
+       VALUES ($id, $url, $secret, $product, $company, $sources, $maxRating, $keywords, 1, $now, $now)`,
+      {
+        $id: id,
+        $url: url,
+        $secret: secret,
+        $product: company ? toProductKey(company) : null,
+        $company: company,
+        $sources: sources ? JSON.stringify(sources) : null,
+        $maxRating: maxRating,
+        $keywords: keywords ? JSON.stringify(keywords) : null,
+        $now: now
+      }
+    );
+  });
+
+  return getWebhook(id, { withSecret: true });
+}
+
+/**
+ * Looks up a webhook by ID
+ * @param {string} id - Webhook ID
+ * @param {Object} options - { withSecret } to include the signing secret
+ * @returns {Object|null} - The webhook, or null if unknown
+ */
+async function getWebhook(id, { withSecret = false } = {}) {
+  const rows = await queryAll('SELECT * FROM webhooks WHERE id = $id', { $id: id });
+  return rows.length > 0 ? fromWebhookRow(rows[0], withSecret) : null;
+}
+
+/**
+ * Lists webhooks, oldest first
+ * @param {Object} options - { activeOnly, withSecret }
+ * @returns {Array} - Webhooks
+ */
+async function listWebhooks({ activeOnly = false, withSecret = false } = {}) {
+  const rows = await queryAll(
+    `SELECT * FROM webhooks ${activeOnly ? 'WHERE active = 1' : ''} ORDER BY created_at`
+  );
+  return rows.map(row => fromWebhookRow(row, withSecret));
+}
+
+/**
+ * Enables or disables a webhook
+ * @param {string} id - Webhook ID
+ * @param {boolean} active - New state
+ * @returns {Object|null} - The updated webhook, or null if unknown
+ */
+async function setWebhookActive(id, active) {
+  await transaction((db) => {
+    db.run(
+      'UPDATE webhooks SET active = $active, updated_at = $now WHERE id = $id',
+      { $id: id, $active: active ? 1 : 0, $now: new Date().toISOString() }
+    );
+  });
+  return getWebhook(id);
+}
+
+/**
+ * Deletes a webhook and its delivery log
+ * @param {string} id - Webhook ID
+ */
+async function deleteWebhook(id) {
+  await transaction((db) => {
+    db.run('DELETE FROM webhook_deliveries WHERE webhook_id = $id', { $id: id });
+    db.run('DELETE FROM webhooks WHERE id = $id', { $id: id });
+  });
+}
+
+/**
+ * Records a delivery waiting for its first attempt
+ * @param {Object} delivery - { id, webhookId, event, payload }
+ * @returns {Object} - The stored delivery
+ */
+async function createDelivery({ id, webhookId, event, payload }) {
+  const now = new Date().toISOString();
+
+  await transaction((db) => {
+    db.run(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, state, attempts, next_attempt_at, created_at)
+       VALUES ($id, $webhookId, $event, $payload, 'pending', 0, $now, $now)`,
+      { $id: id, $webhookId: webhookId, $event: event, $payload: JSON.stringify(payload), $now: now }
+    );
+  });
+
+  return getDelivery(id);
+}
+
+/**
+ * Looks up a delivery by ID
+ * @param {string} id - Delivery ID
+ * @returns {Object|null} - The delivery, or null if unknown
+ */
+async function getDelivery(id) {
+  const rows = await queryAll('SELECT * FROM webhook_deliveries WHERE id = $id', { $id: id });
+  return rows.length > 0 ? fromDeliveryRow(rows[0]) : null;
+}
+
+/**
+ * Records the outcome of a delivery attempt
+ * @param {string} id - Delivery ID
+ * @param {Object} outcome - { state, attempts, responseStatus, error, nextAttemptAt }
+ */
+async function updateDelivery(id, { state, attempts, responseStatus = null, error = null, nextAttemptAt = null }) {
+  await transaction((db) => {
+    db.run(
+      `UPDATE webhook_deliveries SET state = $state, attempts = $attempts, response_status = $responseStatus,
+         error = $error, next_attempt_at = $nextAttemptAt, delivered_at = $deliveredAt
+       WHERE id = $id`,
+      {
+        $id: id,
+        $state: state,
+        $attempts: attempts,
+        $responseStatus: responseStatus,
+        $error: error,
+        $nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+        $deliveredAt: state === 'delivered' ? new Date().toISOString() : null
+      }
+    );
+  });
+}
+
+/**
+ * Lists a webhook's deliveries, newest first
+ * @param {string} webhookId - Webhook ID
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Array} - Deliveries
+ */
+async function listDeliveries(webhookId, limit = 50) {
+  const rows = await queryAll(
+    'SELECT * FROM webhook_deliveries WHERE webhook_id = $webhookId ORDER BY created_at DESC LIMIT $limit',
+    { $webhookId: webhookId, $limit: limit }
+  );
+  return rows.map(fromDeliveryRow);
+}
+
+/**
+ * Lists every delivery still waiting for an attempt
+ * @returns {Array} - Pending deliveries, oldest first
+ */
+async function listPendingDeliveries() {
+  const rows = await queryAll("SELECT * FROM webhook_deliveries WHERE state = 'pending' ORDER BY created_at");
+  return rows.map(fromDeliveryRow);
+}
+
+module.exports = {
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  setWebhookActive,
+  deleteWebhook,
+  createDelivery,
+  getDelivery,
+  updateDelivery,
+  listDeliveries,
+  listPendingDeliveries
+};
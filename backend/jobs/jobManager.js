@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { recordJob, recordPage } = require('../utils/metrics');
+const { toErrorResponse } = require('../utils/errors');
+
+/**
+ * In-memory registry of asynchronous scrape jobs.
+ *
+ * A job moves through the states queued -> running -> succeeded | failed |
+ * cancelled. Finished jobs are kept for JOB_TTL_MS so clients can poll for
+ * their results, then discarded.
+ *
+ * While it runs, a job also records a numbered log of events for clients
+ * that stream it (GET /jobs/:id/events):
+ *   progress    every progress update, with the job's merged progress
+ *   navigating  { url } a page is being opened
+ *   page        { page, items, total } a page was scraped
+ *   items       { page, items: [...] } results as they arrive
+ *   filtered    { scraped, kept } reviews kept after date filtering
+ *   warning     { message } something went wrong without failing the job
+ *   done | error | cancelled  the final event
+ * Events from review sources carry the `source` they came from.
+ */
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+// Events kept per job for clients that connect late or reconnect
+const JOB_EVENT_BUFFER = parseInt(process.env.JOB_EVENT_BUFFER, 10) || 1000;
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Creates a job and starts running it on the next tick
+ * @param {string} type - Job type, e.g. "scrape" or "scrape-reviews"
+ * @param {Object} params - Request parameters, echoed back to clients
+ * @param {Function} run - async ({ signal, reportProgress, emitEvent }) => result
+ * @returns {Object} - The created job
+ */
+function createJob(type, params, run) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    state: 'queued',
+    progress: { stage: 'queued' },
+    result: null,
+    error: null,
+    errorCode: null,
+    errorStatus: null,
+    errorDetails: null,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    events: [],
+    nextEventId: 1,
+    listeners: new Set()
+  };
+  // Settles with the job once it reaches a final state
+  job.done = new Promise(resolve => {
+    job.resolveDone = resolve;
+  });
+
+  jobs.set(job.id, job);
+  // Everything the job logs carries its ID, as well as the request ID of the
+  // call that created it
+  setImmediate(() => runWithLogContext({ jobId: job.id }, () => runJob(job, run)));
+
+  return job;
+}
+
+/**
+ * Runs a job and records its outcome
+ * @param {Object} job - Job to run
+ * @param {Function} run - Job body
+ */
+async function runJob(job, run) {
+  if (job.state !== 'queued') return;
+
+  job.state = 'running';
+  job.startedAt = new Date();
+  job.progress = { stage: 'running' };
+  emitJobEvent(job, 'progress', job.progress);
+  logger.info('Job started', { jobType: job.type });
+
+  const { signal } = job.controller;
+
+  try {
+    const result = await run({
+      signal,
+      reportProgress: (progress) => updateProgress(job, progress),
+      emitEvent: (type, data) => {
+        if (!isFinished(job)) emitJobEvent(job, type, data);
+      }
+    });
+
+    if (signal.aborted) return;
+
+    job.result = result;
+    finishJob(job, 'succeeded');
+  } catch (error) {
+    if (signal.aborted) return;
+
+    logger.error('Job failed', { jobType: job.type, error });
+    // The code and HTTP status the API would report for the error (see utils/errors.js)
+    const { status, body } = toErrorResponse(error);
+    job.error = body.error;
+    job.errorCode = body.code;
+    job.errorStatus = status;
+    job.errorDetails = body.details || null;
+    finishJob(job, 'failed');
+  }
+}
+
+/**
+ * Merges a progress update into a running job
+ * @param {Object} job - Job to update
+ * @param {Object} progress - Progress fields, e.g. { stage, page, items }
+ */
+function updateProgress(job, progress) {
+  if (FINISHED_STATES.includes(job.state)) return;
+  job.progress = { ...job.progress, ...progress };
+  emitJobEvent(job, 'progress', job.progress);
+}
+
+/**
+ * Appends an event to a job's log and passes it to the job's subscribers
+ * @param {Object} job - Job the event belongs to
+ * @param {string} type - Event type (see module docs)
+ * @param {Object} data - Event payload
+ */
+function emitJobEvent(job, type, data) {
+  const event = { id: job.nextEventId++, type, data, at: new Date().toISOString() };
+
+  job.events.push(event);
+  if (job.events.length > JOB_EVENT_BUFFER) {
+    job.events.shift();
+  }
+
+  job.listeners.forEach(listener => listener(event));
+
+  if (type === 'page') {
+    recordPage(data.items || 0, data.source);
+  }
+}
+
+/**
+ * Summarizes a finished job's result for its final event; the results
+ * themselves were streamed as `items` events and can be downloaded
+ * @param {Object} result - Job result
+ * @returns {Object} - The result without its data, plus a count
+ */
+function summarizeResult(result) {
+  if (!result || !Array.isArray(result.data)) return result;
+  const { data, ...summary } = result;
+  return { count: data.length, ...summary };
+}
+
+/**
+ * Marks a job as finished and schedules its removal
+ * @param {Object} job - Job to finish
+ * @param {string} state - Final state
+ */
+function finishJob(job, state) {
+  job.state = state;
+  job.finishedAt = new Date();
+  job.progress = { ...job.progress, stage: state };
+
+  if (state === 'succeeded') {
+    emitJobEvent(job, 'done', { jobId: job.id, result: summarizeResult(job.result) });
+  } else if (state === 'failed') {
+    emitJobEvent(job, 'error', { jobId: job.id, error: job.error, code: job.errorCode });
+  } else {
+    emitJobEvent(job, 'cancelled', { jobId: job.id });
+  }
+  job.listeners.clear();
+  job.resolveDone(job);
+
+  recordJob(job);
+  if (state !== 'failed') {
+    logger.info(`Job ${state}`, { jobType: job.type, durationMs: job.startedAt ? job.finishedAt - job.startedAt : null });
+  }
+
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Looks up a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} - The job or null if unknown or expired
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancels a queued or running job. The job's abort signal fires so the
+ * scraper can close its browser.
+ * @param {string} id - Job ID
+ * @returns {Object|null} - The job, or null if unknown
+ */
+function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) return null;
+
+  if (!FINISHED_STATES.includes(job.state)) {
+    job.controller.abort();
+    finishJob(job, 'cancelled');
+  }
+
+  return job;
+}
+
+/**
+ * Delivers a job's events to a listener: first the buffered events after
+ * `afterId`, then new ones as they happen, ending with the final event
+ * @param {Object} job - Job to follow
+ * @param {number} afterId - ID of the last event the client already has (0 for all)
+ * @param {Function} listener - Called with { id, type, data, at }
+ * @returns {Function} - Call to stop listening
+ */
+function subscribeToJob(job, afterId, listener) {
+  job.events
+    .filter(event => event.id > afterId)
+    .forEach(listener);
+
+  if (isFinished(job)) return () => {};
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+/**
+ * Checks whether a job has reached a final state
+ * @param {Object} job - Job to check
+ * @returns {boolean} - True if succeeded, failed or cancelled
+ */
+function isFinished(job) {
+  return FINISHED_STATES.includes(job.state);
+}
+
+/**
+ * Converts a job to its public JSON representation
+ * @param {Object} job - Job to serialize
+ * @returns {Object} - Public job fields
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    params: job.params,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    errorStatus: job.errorStatus,
+    errorDetails: job.errorDetails,
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+    finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  subscribeToJob,
+  isFinished,
+  serializeJob
+};
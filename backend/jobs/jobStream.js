@@ -0,0 +1,91 @@
+const { subscribeToJob, serializeJob } = require('./jobManager');
+
+/**
+ * Streams a job's events to a client as Server-Sent Events.
+ *
+ * Each event is sent with its job event ID, so a client that reconnects
+ * (EventSource does this by itself) with a Last-Event-ID header picks up
+ * where it left off. The stream ends after the job's final event.
+ */
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15 * 1000;
+
+/**
+ * Tells whether a request asked for an event stream, with ?stream=true or an
+ * "Accept: text/event-stream" header
+ * @param {Object} req - Express request
+ * @returns {boolean} - True to respond with an event stream
+ */
+function wantsEventStream(req) {
+  return req.query.stream === 'true' || req.get('Accept') === 'text/event-stream';
+}
+
+/**
+ * Writes one event in the SSE wire format
+ * @param {Object} res - Express response
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @param {number} [id] - Event ID
+ */
+function writeEvent(res, type, data, id) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Responds with a job's event stream. The first event, `job`, describes the
+ * job and where to find it; the events after it are the job's own.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} job - Job to stream
+ */
+function streamJobEvents(req, res, job) {
+  const afterId = parseInt(req.get('Last-Event-ID') || req.query.after, 10) || 0;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keep reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const { result, ...summary } = serializeJob(job);
+  writeEvent(res, 'job', {
+    ...summary,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+    downloadUrl: `/jobs/${job.id}/download`,
+    artifactsUrl: `/jobs/${job.id}/artifacts`
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let unsubscribe = () => {};
+  const end = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  unsubscribe = subscribeToJob(job, afterId, (event) => {
+    writeEvent(res, event.type, event.data, event.id);
+    if (['done', 'error', 'cancelled'].includes(event.type)) {
+      // Let subscribeToJob finish replaying before tearing down
+      setImmediate(end);
+    }
+  });
+
+  // The client went away; the job keeps running and can be streamed again
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  wantsEventStream,
+  streamJobEvents
+};
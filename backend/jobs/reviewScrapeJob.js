@@ -0,0 +1,169 @@
+const { createJob } = require('./jobManager');
+const { listSources, resolveSources, scrapeSources, RUN_MODES, resolveRunMode } = require('../scrapers');
+const { upsertReviews } = require('../db/reviewStore');
+const { notifyNewReviews } = require('./webhookDispatcher');
+const { analyzeReviews } = require('../analysis');
+const { FORMATS, isSupportedFormat } = require('../utils/exporters');
+const { formatDate } = require('../utils/dateUtils');
+const { logger } = require('../utils/logger');
+const { CAPTURE_MODES, resolveCaptureMode } = require('../utils/artifacts');
+const { createScrapeError } = require('../utils/errors');
+
+/**
+ * Review scrape jobs, shared by POST /scrape-reviews and saved schedules.
+ */
+
+/**
+ * Validates everything about a review scrape request except its dates
+ * @param {Object} body - { companyName, source, format, mode, incremental, artifacts }
+ * @returns {Object} - { error } when invalid, otherwise
+ *   { options: { companyName, sources, format, mode, incremental, artifacts } }
+ */
+function validateReviewOptions(body) {
+  const { companyName, source, format } = body;
+
+  if (!companyName) {
+    return { error: 'Company name is required' };
+  }
+
+  const availableSources = listSources().map(s => s.name).join(', ');
+
+  if (!source) {
+    return { error: `Source is required (${availableSources}, a list of them, or "all")` };
+  }
+
+  const { sources, unknown } = resolveSources(source);
+  if (unknown.length > 0 || sources.length === 0) {
+    const invalid = unknown.length > 0 ? `Invalid source "${unknown.join('", "')}"` : 'Invalid source';
+    return { error: `${invalid}. Choose one or more of: ${availableSources}, or "all"` };
+  }
+
+  if (format && !isSupportedFormat(format)) {
+    return { error: `Unsupported format. Choose one of: ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  const mode = resolveRunMode(body.mode);
+  if (!mode) {
+    return { error: `Invalid mode "${body.mode}". Choose one of: ${RUN_MODES.join(', ')}` };
+  }
+
+  const artifacts = resolveCaptureMode(body.artifacts);
+  if (!artifacts) {
+    return { error: `Invalid artifacts "${body.artifacts}". Choose one of: ${CAPTURE_MODES.join(', ')}` };
+  }
+
+  return {
+    options: {
+      companyName,
+      sources,
+      format,
+      mode,
+      incremental: body.incremental === true || body.incremental === 'true',
+      artifacts
+    }
+  };
+}
+
+/**
+ * Creates the error for a job whose sources all failed. It takes the sources'
+ * error code when they agree, and SOURCES_FAILED otherwise.
+ * @param {Array} failures - [name, outcome] pairs from the scrape report
+ * @returns {Error} - Error with code, statusCode and the code of each source in details
+ */
+function sourcesFailedError(failures) {
+  const message = failures.map(([name, outcome]) => failures.length > 1 ? `${name}: ${outcome.error}` : outcome.error).join('; ');
+  const codes = Object.fromEntries(failures.map(([name, outcome]) => [name, outcome.code || 'INTERNAL_ERROR']));
+  const distinct = [...new Set(Object.values(codes))];
+
+  return createScrapeError(distinct.length === 1 ? distinct[0] : 'SOURCES_FAILED', message, { sources: codes });
+}
+
+/**
+ * Starts a background job that scrapes reviews and stores live results
+ * @param {Object} options - Options from validateReviewOptions
+ * @param {Date} startDate - Start of the date range
+ * @param {Date} endDate - End of the date range
+ * @param {Object} extraParams - Additional job params, e.g. { scheduleId }
+ * @returns {Object} - The created job
+ */
+function createReviewScrapeJob(options, startDate, endDate, extraParams = {}) {
+  const { companyName, sources: reviewSources, format, mode, incremental, artifacts } = options;
+  const sourceNames = reviewSources.map(reviewSource => reviewSource.name);
+
+  const params = {
+    companyName,
+    startDate: formatDate(startDate),
+    endDate: formatDate(endDate),
+    source: sourceNames,
+    format,
+    mode,
+    incremental,
+    artifacts,
+    ...extraParams
+  };
+
+  return createJob('scrape-reviews', params, async ({ signal, reportProgress, emitEvent }) => {
+    logger.info('Scraping reviews', { companyName, sources: sourceNames, mode, startDate: formatDate(startDate), endDate: formatDate(endDate) });
+
+    const result = await scrapeSources(reviewSources, {
+      companyName,
+      startDate,
+      endDate
+    }, {
+      signal,
+      onProgress: reportProgress,
+      // Streamed reviews are analysed like the final results
+      onEvent: (type, data) => emitEvent(type, type === 'items' ? { ...data, items: analyzeReviews(data.items, companyName) } : data),
+      mode,
+      incremental,
+      artifacts
+    });
+
+    // Fail the job only when every source failed
+    const failures = Object.entries(result.sources).filter(([, outcome]) => !outcome.success);
+    if (failures.length === sourceNames.length) {
+      throw sourcesFailedError(failures);
+    }
+
+    // Check for empty results; an incremental refresh may find nothing new
+    if (result.data.length === 0 && result.invalid.length > 0) {
+      throw createScrapeError('REVIEWS_INVALID', `All ${result.invalid.length} reviews found for ${companyName} failed validation: ${result.invalid[0].errors.join(', ')}`);
+    }
+    if (result.data.length === 0 && !incremental) {
+      throw createScrapeError('EMPTY_EXTRACTION', `No reviews found for ${companyName} on ${sourceNames.join(', ')}. Please check the company name or try a different date range.`);
+    }
+
+    // Add sentiment, keywords and aspect tags to every review
+    const data = analyzeReviews(result.data, companyName);
+
+    // Store the reviews; re-scraped reviews update their existing rows. Only
+    // live results are stored: demo reviews are fake and replayed ones are
+    // already known.
+    let stored = { inserted: [], updated: 0 };
+    if (mode === 'live') {
+      stored = await upsertReviews(companyName, data);
+      logger.info('Stored reviews', { companyName, inserted: stored.inserted.length, updated: stored.updated });
+
+      // Deliveries run in the background; a failing receiver must not fail the scrape
+      notifyNewReviews(companyName, stored.inserted).catch(error => {
+        logger.error('Could not queue webhook notifications', { companyName, error });
+      });
+    }
+
+    return {
+      mode,
+      data,
+      count: data.length,
+      newCount: stored.inserted.length,
+      updatedCount: stored.updated,
+      sources: result.sources,
+      // Reviews that failed schema validation, with the reasons
+      invalid: result.invalid
+    };
+  });
+}
+
+module.exports = {
+  validateReviewOptions,
+  createReviewScrapeJob
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { toProductKey } = require('../db/reviewStore');
+const {
+  listWebhooks,
+  getWebhook,
+  createDelivery,
+  getDelivery,
+  updateDelivery,
+  listPendingDeliveries
+} = require('../db/webhookStore');
+const { logger } = require('../utils/logger');
+const { checkUrl, pinnedLookup } = require('../utils/urlPolicy');
+
+/**
+ * Delivers webhook notifications for newly stored reviews.
+ *
+ * After a live scrape stores reviews it has not seen before, every active
+ * webhook whose filters match at least one of them gets a single signed POST
+ * listing the matching reviews. Failed attempts are retried with exponential
+ * backoff; pending deliveries are picked up again after a restart.
+ *
+ * Requests carry:
+ *   X-Pulse-Event       event name, e.g. "reviews.new"
+ *   X-Pulse-Delivery    delivery ID (the same on every retry)
+ *   X-Pulse-Timestamp   Unix time in seconds when the attempt was signed
+ *   X-Pulse-Signature   "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>")
+ *
+ * Receiver URLs go through the URL policy (utils/urlPolicy.js) before every
+ * attempt, and the request connects to the address that check resolved, so
+ * a webhook can't be pointed at the server's own network. Deliveries only
+ * record generic errors; the underlying network error is logged.
+ */
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+const retryTimers = new Map();
+
+/**
+ * Signs a webhook body
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - "sha256=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Checks whether a review passes a webhook's filters. All configured filters
+ * must match; keywords match when any one of them appears in the review.
+ * @param {Object} webhook - Webhook with its filters
+ * @param {Object} review - Stored review with `origin`
+ * @param {string} companyName - Company the review belongs to
+ * @returns {boolean} - True when the webhook should hear about the review
+ */
+function matchesWebhook(webhook, review, companyName) {
+  if (webhook.product && webhook.product !== toProductKey(companyName)) {
+    return false;
+  }
+
+  if (webhook.sources && !webhook.sources.includes(review.origin)) {
+    return false;
+  }
+
+  if (webhook.maxRating !== null && webhook.maxRating !== undefined) {
+    // Normalized ratings are already out of 5
+    if (typeof review.rating !== 'number' || review.rating > webhook.maxRating) {
+      return false;
+    }
+  }
+
+  if (webhook.keywords && webhook.keywords.length > 0) {
+    const text = [review.title, review.description].filter(Boolean).join('\n').toLowerCase();
+    if (!webhook.keywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Returns the wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+  // Up to 10% jitter so retries from one scrape don't arrive together
+  return Math.min(delay + Math.random() * delay * 0.1, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Schedules a delivery attempt
+ * @param {string} deliveryId - Delivery ID
+ * @param {number} delay - Wait in milliseconds
+ */
+function scheduleAttempt(deliveryId, delay) {
+  clearTimeout(retryTimers.get(deliveryId));
+  const timer = setTimeout(() => {
+    retryTimers.delete(deliveryId);
+    attemptDelivery(deliveryId).catch(error => {
+      logger.error('Webhook delivery failed unexpectedly', { deliveryId, error });
+    });
+  }, Math.max(delay, 0));
+  timer.unref();
+  retryTimers.set(deliveryId, timer);
+}
+
+/**
+ * POSTs a body to a receiver the URL policy allowed, connecting only to the
+ * addresses the policy checked. Redirects are not followed.
+ * @param {Object} decision - Allowed decision from checkUrl
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {number} - Response status code
+ */
+function postToReceiver(decision, headers, body) {
+  const client = decision.url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(decision.url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: pinnedLookup(decision),
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (res) => {
+      // Drain the body so the socket is released
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`No response within ${WEBHOOK_TIMEOUT_MS} ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Makes one attempt at a delivery and records its outcome. Network errors,
+ * timeouts, 408, 429 and 5xx responses are retried; other responses, and
+ * receivers the URL policy refuses, are final.
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Object|null} - The delivery after the attempt, or null if it no longer exists
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = await getDelivery(deliveryId);
+  if (!delivery || delivery.state !== 'pending') return delivery;
+
+  const webhook = await getWebhook(delivery.webhookId, { withSecret: true });
+  if (!webhook) return null;
+
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const decision = await checkUrl(webhook.url);
+  if (!decision.allowed) {
+    await updateDelivery(deliveryId, { state: 'failed', attempts, error: 'Receiver URL is not allowed by the URL policy' });
+    logger.error('Webhook receiver refused by the URL policy', { deliveryId, url: webhook.url, reason: decision.reason });
+    return getDelivery(deliveryId);
+  }
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    responseStatus = await postToReceiver(decision, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PulseWebScraper-Webhooks',
+      'X-Pulse-Event': delivery.event,
+      'X-Pulse-Delivery': delivery.id,
+      'X-Pulse-Timestamp': String(timestamp),
+      'X-Pulse-Signature': signPayload(webhook.secret, timestamp, body)
+    }, body);
+
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Receiver responded with HTTP ${responseStatus}`;
+    }
+  } catch (requestError) {
+    // Network errors can reveal internal hosts and ports, so they are only logged
+    error = requestError.code === 'ETIMEDOUT'
+      ? `No response within ${WEBHOOK_TIMEOUT_MS} ms`
+      : 'Could not connect to the receiver';
+    logger.warn('Webhook request failed', { deliveryId, url: webhook.url, error: requestError.message });
+  }
+
+  if (!error) {
+    await updateDelivery(deliveryId, { state: 'delivered', attempts, responseStatus });
+    return getDelivery(deliveryId);
+  }
+
+  const retryable = responseStatus === null || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+
+  if (retryable && attempts < WEBHOOK_MAX_ATTEMPTS) {
+    const delay = retryDelay(attempts);
+    await updateDelivery(deliveryId, {
+      state: 'pending',
+      attempts,
+      responseStatus,
+      error,
+      nextAttemptAt: new Date(Date.now() + delay)
+    });
+    logger.warn('Webhook delivery failed, retrying', { deliveryId, url: webhook.url, reason: error, retryInMs: delay });
+    scheduleAttempt(deliveryId, delay);
+  } else {
+    await updateDelivery(deliveryId, { state: 'failed', attempts, responseStatus, error });
+    logger.error('Webhook delivery failed', { deliveryId, url: webhook.url, reason: error, attempts });
+  }
+
+  return getDelivery(deliveryId);
+}
+
+/**
+ * Queues a delivery for a webhook and makes its first attempt
+ * @param {Object} webhook - Webhook to notify
+ * @param {string} event - Event name
+ * @param {Object} data - Event data, merged into the payload
+ * @returns {Object} - { delivery, attempted }, where `attempted` settles
+ *   with the delivery after its first attempt
+ */
+async function enqueueDelivery(webhook, event, data) {
+  const id = crypto.randomUUID();
+  const payload = {
+    id,
+    event,
+    webhookId: webhook.id,
+    createdAt: new Date().toISOString(),
+    ...data
+  };
+
+  const delivery = await createDelivery({ id, webhookId: webhook.id, event, payload });
+  const attempted = attemptDelivery(id).catch(error => {
+    logger.error('Webhook delivery failed unexpectedly', { deliveryId: id, error });
+    return null;
+  });
+
+  return { delivery, attempted };
+}
+
+/**
+ * Notifies every matching webhook about reviews stored for the first time
+ * @param {string} companyName - Company the reviews belong to
+ * @param {Array} reviews - Newly inserted reviews, from upsertReviews
+ * @returns {Array} - One { delivery, attempted } per notified webhook
+ */
+async function notifyNewReviews(companyName, reviews) {
+  if (!reviews || reviews.length === 0) return [];
+
+  const webhooks = await listWebhooks({ activeOnly: true });
+  const queued = [];
+
+  for (const webhook of webhooks) {
+    const matching = reviews.filter(review => matchesWebhook(webhook, review, companyName));
+    if (matching.length === 0) continue;
+
+    queued.push(await enqueueDelivery(webhook, 'reviews.new', {
+      company: companyName,
+      count: matching.length,
+      reviews: matching
+    }));
+  }
+
+  if (queued.length > 0) {
+    logger.info('Queued webhook notifications', { companyName, deliveries: queued.length, reviews: reviews.length });
+  }
+
+  return queued;
+}
+
+/**
+ * Sends a test event to a webhook, regardless of its filters
+ * @param {Object} webhook - Webhook to ping
+ * @returns {Object} - { delivery, attempted }
+ */
+function sendTestEvent(webhook) {
+  return enqueueDelivery(webhook, 'ping', { message: 'Test delivery from Pulse Web Scraper' });
+}
+
+/**
+ * Resumes deliveries left pending by a previous process
+ */
+async function startWebhookDispatcher() {
+  const pending = await listPendingDeliveries();
+  pending.forEach(delivery => {
+    const due = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() : Date.now();
+    scheduleAttempt(delivery.id, due - Date.now());
+  });
+
+  if (pending.length > 0) {
+    logger.info('Resuming pending webhook deliveries', { deliveries: pending.length });
+  }
+}
+
+/**
+ * Cancels scheduled retries; they stay pending and resume on the next start
+ */
+function stopWebhookDispatcher() {
+  retryTimers.forEach(timer => clearTimeout(timer));
+  retryTimers.clear();
+}
+
+module.exports = {
+  signPayload,
+  matchesWebhook,
+  notifyNewReviews,
+  sendTestEvent,
+  attemptDelivery,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
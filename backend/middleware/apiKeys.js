@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const {
+  hashApiKey,
+  findActiveApiKey,
+  reserveScrape,
+  releaseScrape,
+  recordRequests
+} = require('../db/apiKeyStore');
+const { logger } = require('../utils/logger');
+
+/**
+ * API key authentication.
+ *
+ * Clients send their key as "Authorization: Bearer <key>" or "X-API-Key".
+ * Each key carries scopes:
+ *   scrape   generic CSS-selector scrapes (/scrape, /robots/check)
+ *   reviews  review scrapes and everything built on them (/scrape-reviews,
+ *            /reviews, /schedules, /webhooks)
+ *   metrics  reading Prometheus metrics (/metrics)
+ *   admin    issuing and revoking keys; implies every other scope
+ * and optionally a rate limit (requests per minute) and a daily quota
+ * (scrapes started per UTC day).
+ *
+ * ADMIN_API_KEY is an admin key configured on the server, used to issue the
+ * first keys. REQUIRE_API_KEYS=false turns authentication off for local
+ * development.
+ */
+
+const SCOPES = ['scrape', 'reviews', 'metrics', 'admin'];
+
+const REQUIRE_API_KEYS = process.env.REQUIRE_API_KEYS !== 'false';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const API_USAGE_FLUSH_MS = parseInt(process.env.API_USAGE_FLUSH_MS, 10) || 30 * 1000;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Key ID -> { start, count } for the current rate limit window
+const rateWindows = new Map();
+// Key ID -> { requests, lastUsedAt } not yet written to the database
+let pendingUsage = new Map();
+let flushTimer = null;
+
+/**
+ * Reads the API key from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - The key, or null when none was sent
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Checks a key against ADMIN_API_KEY without leaking timing information
+ * @param {string} key - Key sent by the client
+ * @returns {Object|null} - The built-in admin key, or null when it doesn't match
+ */
+function matchAdminKey(key) {
+  if (!ADMIN_API_KEY) return null;
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex')
+  );
+  return matches
+    ? { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'], rateLimit: null, dailyQuota: null, builtIn: true }
+    : null;
+}
+
+/**
+ * Counts a request against a key's per-minute rate limit
+ * @param {Object} apiKey - Authenticated key
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { allowed, remaining, resetAt }
+ */
+function takeRateLimit(apiKey, now = Date.now()) {
+  let window = rateWindows.get(apiKey.id);
+  if (!window || now - window.start >= RATE_LIMIT_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+
+  const resetAt = window.start + RATE_LIMIT_WINDOW_MS;
+  if (window.count >= apiKey.rateLimit) {
+    return { allowed: false, remaining: 0, resetAt };
+  }
+
+  window.count++;
+  return { allowed: true, remaining: apiKey.rateLimit - window.count, resetAt };
+}
+
+/**
+ * Writes the buffered request counts to the database; also called before
+ * the process exits
+ */
+async function flushUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const counts = pendingUsage;
+  pendingUsage = new Map();
+  try {
+    await recordRequests(counts);
+  } catch (error) {
+    logger.error('Could not record API key usage', { error });
+  }
+}
+
+/**
+ * Counts a request towards a key's usage. Requests are buffered and written
+ * in batches, since every database write saves the whole file.
+ * @param {Object} apiKey - Authenticated key
+ */
+function countRequest(apiKey) {
+  const usage = pendingUsage.get(apiKey.id) || { requests: 0, lastUsedAt: null };
+  usage.requests++;
+  usage.lastUsedAt = new Date().toISOString();
+  pendingUsage.set(apiKey.id, usage);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushUsage, API_USAGE_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+/**
+ * Sends an authentication or limit error
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} error - Message
+ */
+function sendAuthError(res, status, error) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  res.status(status).json({ success: false, error });
+}
+
+/**
+ * Express middleware that identifies the API key behind a request, applies
+ * its rate limit and sets `req.apiKey`
+ */
+async function authenticate(req, res, next) {
+  if (!REQUIRE_API_KEYS) {
+    req.apiKey = null;
+    return next();
+  }
+
+  const key = readApiKey(req);
+  if (!key) {
+    return sendAuthError(res, 401, 'An API key is required. Send it as "Authorization: Bearer <key>" or "X-API-Key".');
+  }
+
+  let apiKey;
+  try {
+    apiKey = matchAdminKey(key) || await findActiveApiKey(key);
+  } catch (error) {
+    logger.error('Error checking API key', { error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  if (!apiKey) {
+    return sendAuthError(res, 401, 'Invalid or revoked API key');
+  }
+
+  if (apiKey.rateLimit) {
+    const { allowed, remaining, resetAt } = takeRateLimit(apiKey);
+    const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Limit': String(apiKey.rateLimit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (!allowed) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendAuthError(res, 429, `Rate limit of ${apiKey.rateLimit} requests per minute exceeded`);
+    }
+  }
+
+  if (!apiKey.builtIn) {
+    countRequest(apiKey);
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Builds middleware that lets a request through when its key has one of the
+ * given scopes (admin keys have them all)
+ * @param {...string} scopes - Accepted scopes
+ * @returns {Function} - Express middleware
+ */
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!REQUIRE_API_KEYS) return next();
+
+    const granted = req.apiKey.scopes;
+    if (granted.includes('admin') || scopes.some(scope => granted.includes(scope))) {
+      return next();
+    }
+
+    sendAuthError(res, 403, `This API key needs the "${scopes.join('" or "')}" scope`);
+  };
+}
+
+/**
+ * Express middleware for requests that start a scrape. Counts the scrape
+ * against the key's daily quota, refusing the request once the quota is used
+ * up; the scrape is given back when the request is refused, so rejected
+ * requests cost nothing.
+ */
+async function enforceDailyQuota(req, res, next) {
+  const apiKey = req.apiKey;
+  if (!REQUIRE_API_KEYS || apiKey.builtIn) return next();
+
+  let used;
+  try {
+    used = await reserveScrape(apiKey.id, apiKey.dailyQuota);
+  } catch (error) {
+    logger.error('Error checking API key quota', { error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  if (used === null) {
+    const now = new Date();
+    const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    res.set({
+      'X-Quota-Limit': String(apiKey.dailyQuota),
+      'X-Quota-Remaining': '0',
+      'Retry-After': String(Math.ceil((nextDay - now.getTime()) / 1000))
+    });
+    return sendAuthError(res, 429, `Daily quota of ${apiKey.dailyQuota} scrapes used up; it resets at 00:00 UTC`);
+  }
+
+  if (apiKey.dailyQuota !== null) {
+    res.set({
+      'X-Quota-Limit': String(apiKey.dailyQuota),
+      'X-Quota-Remaining': String(apiKey.dailyQuota - used)
+    });
+  }
+
+  res.on('close', () => {
+    // Accepted: 202, or 200 for a streamed job
+    if (res.statusCode < 400) return;
+    releaseScrape(apiKey.id).catch(error => {
+      logger.error('Could not record API key usage', { error });
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  SCOPES,
+  REQUIRE_API_KEYS,
+  ADMIN_API_KEY,
+  authenticate,
+  requireScope,
+  enforceDailyQuota,
+  flushUsage
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { logger, runWithLogContext } = require('../utils/logger');
+
+/**
+ * Request IDs and access logging.
+ *
+ * Every request gets an ID, taken from the client's X-Request-ID header when
+ * it sends a usable one, and returned in the X-Request-ID response header.
+ * Everything logged while handling the request - including jobs it starts -
+ * carries that ID, so one request can be followed through the logs.
+ */
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Reads the client's request ID, or generates one
+ * @param {Object} req - Express request
+ * @returns {string} - Request ID
+ */
+function resolveRequestId(req) {
+  const requested = req.get('X-Request-ID');
+  return requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+}
+
+/**
+ * Express middleware that assigns the request ID and logs the request once
+ * its response is finished
+ */
+function requestLogging(req, res, next) {
+  const requestId = resolveRequestId(req);
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-ID', requestId);
+
+  runWithLogContext({ requestId }, () => {
+    res.on('finish', () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+      };
+      if (req.apiKey) fields.apiKeyId = req.apiKey.id;
+
+      if (res.statusCode >= 500) {
+        logger.error('Request failed', fields);
+      } else {
+        logger.info('Request handled', fields);
+      }
+    });
+
+    next();
+  });
+}
+
+module.exports = {
+  requestLogging
+};
@@ -0,0 +1,117 @@
+const express = require('express');
+const { createApiKey, getApiKey, listApiKeys, revokeApiKey, getUsage } = require('../db/apiKeyStore');
+const { SCOPES } = require('../middleware/apiKeys');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA, 10) || 100;
+const MAX_USAGE_DAYS = 365;
+
+/**
+ * Reads an optional limit: a positive integer, or null for unlimited
+ * @param {*} value - Value from the request body
+ * @param {number} defaultValue - Used when the value is missing
+ * @returns {number|null|undefined} - The limit, or undefined when invalid
+ */
+function parseLimit(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (value === null) return null;
+
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+}
+
+/**
+ * Validates a key definition from a request body
+ * @param {Object} body - { name, scopes, rateLimit, dailyQuota }
+ * @returns {Object} - { error } when invalid, otherwise { key }
+ */
+function validateApiKey(body) {
+  const { name, scopes } = body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Name is required' };
+  }
+
+  const scopeList = [].concat(scopes || []);
+  if (scopeList.length === 0 || scopeList.some(scope => !SCOPES.includes(scope))) {
+    return { error: `"scopes" must list one or more of: ${SCOPES.join(', ')}` };
+  }
+
+  const rateLimit = parseLimit(body.rateLimit, DEFAULT_RATE_LIMIT);
+  if (rateLimit === undefined) {
+    return { error: '"rateLimit" must be a positive whole number of requests per minute, or null for no limit' };
+  }
+
+  const dailyQuota = parseLimit(body.dailyQuota, DEFAULT_DAILY_QUOTA);
+  if (dailyQuota === undefined) {
+    return { error: '"dailyQuota" must be a positive whole number of scrapes per day, or null for no quota' };
+  }
+
+  return {
+    key: { name: name.trim(), scopes: [...new Set(scopeList)], rateLimit, dailyQuota }
+  };
+}
+
+// Issue a key: POST /admin/keys { name, scopes, rateLimit, dailyQuota }
+// The response is the only time the key itself is returned.
+router.post('/keys', async (req, res) => {
+  const { error, key } = validateApiKey(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const { apiKey, key: secret } = await createApiKey(key);
+    res.status(201).json({ success: true, apiKey, key: secret });
+  } catch (error) {
+    logger.error('Error creating API key', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every key with today's usage
+router.get('/keys', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys();
+    res.json({ success: true, data: apiKeys, count: apiKeys.length });
+  } catch (error) {
+    logger.error('Error listing API keys', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A key with its usage per day: GET /admin/keys/:id?days=
+router.get('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    const days = Math.min(parseInt(req.query.days, 10) || 30, MAX_USAGE_DAYS);
+    res.json({ success: true, apiKey, usage: await getUsage(apiKey.id, days) });
+  } catch (error) {
+    logger.error('Error reading API key', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke a key; it stops working immediately and its usage history is kept
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, apiKey: await revokeApiKey(apiKey.id) });
+  } catch (error) {
+    logger.error('Error revoking API key', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
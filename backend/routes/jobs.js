@@ -0,0 +1,142 @@
+const express = require('express');
+const { getJob, cancelJob, isFinished, serializeJob } = require('../jobs/jobManager');
+const { streamJobEvents } = require('../jobs/jobStream');
+const { resolveFormat, sendExport, FORMATS } = require('../utils/exporters');
+const { formatDate } = require('../utils/dateUtils');
+const { logger } = require('../utils/logger');
+const { listArtifacts, findArtifact } = require('../utils/artifacts');
+
+const router = express.Router();
+
+// Report a job's state, progress and (once finished) its result
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Stream a job's progress and results as Server-Sent Events. Reconnecting
+// with Last-Event-ID (or ?after=) resumes after that event.
+router.get('/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  streamJobEvents(req, res, job);
+});
+
+/**
+ * Builds the download filename (without extension) for a job's results
+ * @param {Object} job - Finished job
+ * @returns {string} - e.g. "Slack_g2-capterra_2025-06-30"
+ */
+function exportBaseName(job) {
+  const date = formatDate(job.finishedAt);
+
+  if (job.type === 'scrape-reviews') {
+    const sources = [].concat(job.params.source).join('-');
+    return `${job.params.companyName}_${sources}_${date}`;
+  }
+
+  let host = 'scrape';
+  try {
+    host = new URL(job.params.url).hostname;
+  } catch (error) {
+    // Keep the generic name for unparseable URLs
+  }
+  return `${host}_${date}`;
+}
+
+// Download a finished job's results as JSON, CSV, NDJSON or XLSX. The format
+// comes from ?format=, then the Accept header, then the format requested
+// when the job was created.
+router.get('/:id/download', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  if (job.state !== 'succeeded') {
+    return res.status(409).json({ success: false, error: `Job is ${job.state}, results are not available` });
+  }
+
+  const format = resolveFormat(req, req.query.format, job.params.format || 'json');
+  if (!format) {
+    return res.status(400).json({ success: false, error: `Unsupported format. Choose one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  try {
+    await sendExport(res, job.result.data, format, exportBaseName(job));
+  } catch (error) {
+    logger.error('Error exporting job', { jobId: job.id, error });
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: error.message });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// List the debug artifacts captured for a job. Artifacts outlive the job
+// itself, so they stay available after it has expired from memory.
+router.get('/:id/artifacts', async (req, res) => {
+  try {
+    const artifacts = await listArtifacts(req.params.id);
+    if (artifacts.length === 0 && !getJob(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: artifacts.map(artifact => ({ ...artifact, url: `/jobs/${req.params.id}/artifacts/${artifact.name}` }))
+    });
+  } catch (error) {
+    logger.error('Error listing artifacts', { jobId: req.params.id, error });
+    res.status(500).json({ success: false, error: 'Failed to list artifacts' });
+  }
+});
+
+// Download one of a job's debug artifacts
+router.get('/:id/artifacts/:name', async (req, res) => {
+  try {
+    const artifact = await findArtifact(req.params.id, req.params.name);
+    if (!artifact) {
+      return res.status(404).json({ success: false, error: 'Artifact not found' });
+    }
+
+    res.type(artifact.contentType).sendFile(artifact.path, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending artifact', { jobId: req.params.id, artifact: req.params.name, error });
+        res.status(500).json({ success: false, error: 'Failed to send artifact' });
+      }
+    });
+  } catch (error) {
+    logger.error('Error finding artifact', { jobId: req.params.id, artifact: req.params.name, error });
+    res.status(500).json({ success: false, error: 'Failed to send artifact' });
+  }
+});
+
+// Cancel a queued or running job
+router.delete('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  if (isFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.state}`,
+      job: serializeJob(job)
+    });
+  }
+
+  cancelJob(job.id);
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+module.exports = router;
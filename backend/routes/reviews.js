@@ -0,0 +1,142 @@
+const express = require('express');
+const { queryReviews } = require('../db/reviewStore');
+const { parseDate, formatDate } = require('../utils/dateUtils');
+const { resolveFormat, sendExport, FORMATS } = require('../utils/exporters');
+const { summarizeThemes } = require('../analysis');
+const { buildReviewSchema } = require('../scrapers/reviewSchema');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_LIMIT = 1000;
+// Upper bound on stored reviews summarized by /reviews/themes
+const MAX_THEME_REVIEWS = 10000;
+
+/**
+ * Finds a query parameter that was not given as a single string, e.g. one
+ * repeated in the query string (?source=g2&source=capterra)
+ * @param {Object} query - Parsed query string
+ * @param {Array} names - Parameters that take a single value
+ * @returns {string|null} - Error message for the first such parameter, or null
+ */
+function findMultiValuedParam(query, names) {
+  const name = names.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+  return name ? `"${name}" must be given once, as a single value` : null;
+}
+
+// Query stored reviews: GET /reviews?company=&source=&from=&to=&minRating=&limit=&offset=&format=
+// Without a format (or a matching Accept header) the reviews come back as a JSON response;
+// with one they are streamed as a download.
+router.get('/', async (req, res) => {
+  const { company, source, from, to, minRating, limit, offset } = req.query;
+
+  const multiValued = findMultiValuedParam(req.query, ['company', 'source', 'from', 'to', 'minRating', 'limit', 'offset', 'format']);
+  if (multiValued) {
+    return res.status(400).json({ success: false, error: multiValued });
+  }
+
+  const format = resolveFormat(req, req.query.format, null);
+  if (format === null && req.query.format) {
+    return res.status(400).json({ success: false, error: `Unsupported format. Choose one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  const filters = { company, source };
+
+  if (from) {
+    filters.from = parseDate(from);
+    if (!filters.from) {
+      return res.status(400).json({ success: false, error: 'Invalid "from" date' });
+    }
+  }
+
+  if (to) {
+    filters.to = parseDate(to);
+    if (!filters.to) {
+      return res.status(400).json({ success: false, error: 'Invalid "to" date' });
+    }
+  }
+
+  if (minRating !== undefined) {
+    filters.minRating = parseFloat(minRating);
+    if (isNaN(filters.minRating)) {
+      return res.status(400).json({ success: false, error: '"minRating" must be a number' });
+    }
+  }
+
+  filters.limit = Math.min(parseInt(limit, 10) || 100, MAX_LIMIT);
+  filters.offset = parseInt(offset, 10) || 0;
+
+  try {
+    const reviews = await queryReviews(filters);
+
+    if (format) {
+      const baseName = [company || 'reviews', source, formatDate(new Date())].filter(Boolean).join('_');
+      return await sendExport(res, reviews, format, baseName);
+    }
+
+    res.json({ success: true, data: reviews, count: reviews.length });
+  } catch (error) {
+    logger.error('Error querying reviews', { error });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// JSON Schema of the reviews returned by scrapes and stored here
+router.get('/schema', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(buildReviewSchema(), null, 2));
+});
+
+// Summarize what a company's stored reviews talk about:
+// GET /reviews/themes?company=&source=&from=&to=
+router.get('/themes', async (req, res) => {
+  const { company, source, from, to } = req.query;
+
+  const multiValued = findMultiValuedParam(req.query, ['company', 'source', 'from', 'to']);
+  if (multiValued) {
+    return res.status(400).json({ success: false, error: multiValued });
+  }
+
+  if (!company) {
+    return res.status(400).json({ success: false, error: '"company" is required' });
+  }
+
+  const filters = { company, source, limit: MAX_THEME_REVIEWS };
+
+  if (from) {
+    filters.from = parseDate(from);
+    if (!filters.from) {
+      return res.status(400).json({ success: false, error: 'Invalid "from" date' });
+    }
+  }
+
+  if (to) {
+    filters.to = parseDate(to);
+    if (!filters.to) {
+      return res.status(400).json({ success: false, error: 'Invalid "to" date' });
+    }
+  }
+
+  try {
+    const reviews = await queryReviews(filters);
+    const themes = summarizeThemes(reviews, { companyName: company });
+
+    res.json({
+      success: true,
+      data: {
+        company,
+        source: source || null,
+        from: filters.from ? formatDate(filters.from) : null,
+        to: filters.to ? formatDate(filters.to) : null,
+        ...themes
+      }
+    });
+  } catch (error) {
+    logger.error('Error summarizing review themes', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+  listRuns
+} = require('../db/scheduleStore');
+const {
+  validateSchedule,
+  nextRunAt,
+  runSchedule,
+  isRunning,
+  armSchedule,
+  disarmSchedule
+} = require('../jobs/scheduler');
+const { enforceDailyQuota } = require('../middleware/apiKeys');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_RUNS = 200;
+
+/**
+ * Adds run-time information to a stored schedule
+ * @param {Object} schedule - Stored schedule
+ * @param {Array} runs - The schedule's runs, newest first
+ * @returns {Object} - Schedule with nextRunAt, running and lastRun
+ */
+function describeSchedule(schedule, runs) {
+  return {
+    ...schedule,
+    nextRunAt: schedule.paused ? null : nextRunAt(schedule.cron, schedule.timezone),
+    running: isRunning(schedule.id),
+    lastRun: runs[0] || null
+  };
+}
+
+/**
+ * Sends a route error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details });
+  }
+  logger.error(`Error ${action}`, { error });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Save a scrape configuration and its schedule:
+// POST /schedules { name, cron, timezone, window, companyName, source, format, mode, incremental }
+router.post('/', async (req, res) => {
+  const { error, schedule } = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const created = await createSchedule(schedule);
+    armSchedule(created);
+    res.status(201).json({ success: true, schedule: describeSchedule(created, []) });
+  } catch (error) {
+    sendError(res, error, 'creating schedule');
+  }
+});
+
+// List saved schedules with their next and most recent runs
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    const data = await Promise.all(schedules.map(async schedule => describeSchedule(schedule, await listRuns(schedule.id, 1))));
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    sendError(res, error, 'listing schedules');
+  }
+});
+
+// A schedule with its run history: GET /schedules/:id?limit=
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const runs = await listRuns(schedule.id, Math.min(parseInt(req.query.limit, 10) || 50, MAX_RUNS));
+    res.json({ success: true, schedule: describeSchedule(schedule, runs), runs });
+  } catch (error) {
+    sendError(res, error, 'reading schedule');
+  }
+});
+
+/**
+ * Builds a handler that pauses or resumes a schedule
+ * @param {boolean} paused - Paused state to set
+ * @returns {Function} - Express handler
+ */
+function setPausedHandler(paused) {
+  return async (req, res) => {
+    try {
+      const schedule = await setSchedulePaused(req.params.id, paused);
+      if (!schedule) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+      }
+
+      armSchedule(schedule);
+      res.json({ success: true, schedule: describeSchedule(schedule, await listRuns(schedule.id, 1)) });
+    } catch (error) {
+      sendError(res, error, paused ? 'pausing schedule' : 'resuming schedule');
+    }
+  };
+}
+
+router.post('/:id/pause', setPausedHandler(true));
+router.post('/:id/resume', setPausedHandler(false));
+
+// Run a schedule now, whether or not it is paused. Responds like /scrape-reviews,
+// with the run's ID added; poll /jobs/:jobId for the results. Counts towards
+// the caller's daily quota; runs started by the cron expression don't.
+router.post('/:id/run', enforceDailyQuota, async (req, res) => {
+  try {
+    const started = await runSchedule(req.params.id, 'manual');
+    if (!started) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const { run, job } = started;
+    if (!job) {
+      return res.status(422).json({ success: false, error: run.error, run });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      state: job.state,
+      runId: run.id,
+      mode: job.params.mode,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`,
+      downloadUrl: `/jobs/${job.id}/download`
+    });
+  } catch (error) {
+    sendError(res, error, 'running schedule');
+  }
+});
+
+// Delete a schedule and its run history; a run in progress finishes on its own
+router.delete('/:id', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    disarmSchedule(schedule.id);
+    await deleteSchedule(schedule.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'deleting schedule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const express = require('express');
+const {
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  setWebhookActive,
+  deleteWebhook,
+  listDeliveries
+} = require('../db/webhookStore');
+const { sendTestEvent } = require('../jobs/webhookDispatcher');
+const { listSources, resolveSources } = require('../scrapers');
+const { logger } = require('../utils/logger');
+const { toErrorResponse } = require('../utils/errors');
+const { assertUrlAllowed } = require('../utils/urlPolicy');
+
+const router = express.Router();
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_DELIVERIES = 200;
+
+/**
+ * Validates a webhook definition from a request body
+ * @param {Object} body - { url, secret, company, source, maxRating, keywords }
+ * @returns {Object} - { error } when invalid, otherwise { webhook }
+ */
+function validateWebhook(body) {
+  const { url, secret, company, source, maxRating, keywords } = body;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return { error: 'A valid webhook URL is required' };
+  }
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return { error: 'Webhook URL must use http or https' };
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+    return { error: `Secret must be a string of at least ${MIN_SECRET_LENGTH} characters` };
+  }
+
+  if (company !== undefined && (typeof company !== 'string' || !company.trim())) {
+    return { error: 'Company must be a non-empty string' };
+  }
+
+  // No source (or "all") means every source, including ones added later
+  let sources = null;
+  if (source !== undefined && !(typeof source === 'string' && source.trim().toLowerCase() === 'all')) {
+    const resolved = resolveSources(source);
+    if (resolved.unknown.length > 0 || resolved.sources.length === 0) {
+      const availableSources = listSources().map(s => s.name).join(', ');
+      return { error: `Invalid source. Choose one or more of: ${availableSources}, or "all"` };
+    }
+    sources = resolved.sources.map(reviewSource => reviewSource.name);
+  }
+
+  let rating = null;
+  if (maxRating !== undefined && maxRating !== null) {
+    rating = parseFloat(maxRating);
+    if (isNaN(rating) || rating < 0 || rating > 5) {
+      return { error: '"maxRating" must be a number of stars between 0 and 5' };
+    }
+  }
+
+  let keywordList = null;
+  if (keywords !== undefined && keywords !== null) {
+    keywordList = [].concat(keywords);
+    if (keywordList.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+      return { error: '"keywords" must be a string or a list of non-empty strings' };
+    }
+    keywordList = keywordList.map(keyword => keyword.trim());
+  }
+
+  return {
+    webhook: {
+      url: parsedUrl.toString(),
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      company: company ? company.trim() : null,
+      sources,
+      maxRating: rating,
+      keywords: keywordList
+    }
+  };
+}
+
+// Subscribe to new reviews:
+// POST /webhooks { url, secret, company, source, maxRating, keywords }
+// The response is the only time the signing secret is returned.
+router.post('/', async (req, res) => {
+  const { error, webhook } = validateWebhook(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  // Refuse receivers on the server's own network; deliveries check again
+  try {
+    await assertUrlAllowed(webhook.url);
+  } catch (blocked) {
+    const { status, body } = toErrorResponse(blocked);
+    return res.status(status).json(body);
+  }
+
+  try {
+    const created = await createWebhook(webhook);
+    res.status(201).json({ success: true, webhook: created });
+  } catch (error) {
+    logger.error('Error creating webhook', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks();
+    res.json({ success: true, data: webhooks, count: webhooks.length });
+  } catch (error) {
+    logger.error('Error listing webhooks', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A webhook with its recent deliveries: GET /webhooks/:id?limit=
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const deliveries = await listDeliveries(webhook.id, Math.min(parseInt(req.query.limit, 10) || 50, MAX_DELIVERIES));
+    res.json({ success: true, webhook, deliveries });
+  } catch (error) {
+    logger.error('Error reading webhook', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Builds a handler that enables or disables a webhook
+ * @param {boolean} active - State to set
+ * @returns {Function} - Express handler
+ */
+function setActiveHandler(active) {
+  return async (req, res) => {
+    try {
+      const webhook = await setWebhookActive(req.params.id, active);
+      if (!webhook) {
+        return res.status(404).json({ success: false, error: 'Webhook not found' });
+      }
+      res.json({ success: true, webhook });
+    } catch (error) {
+      logger.error('Error updating webhook', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+router.post('/:id/pause', setActiveHandler(false));
+router.post('/:id/resume', setActiveHandler(true));
+
+// Send a signed "ping" event and report the first attempt's outcome
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const { attempted } = await sendTestEvent(webhook);
+    const delivery = await attempted;
+    // Null when the attempt itself failed unexpectedly; the cause is logged
+    if (!delivery) {
+      return res.status(500).json({ success: false, error: 'The test delivery could not be attempted' });
+    }
+    res.json({ success: delivery.state === 'delivered', delivery });
+  } catch (error) {
+    logger.error('Error testing webhook', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    await deleteWebhook(webhook.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting webhook', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
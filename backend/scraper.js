@@ -1,114 +1,340 @@
-const puppeteer = require("puppeteer");
+const { throwIfAborted } = require('./utils/cancellation');
+const { acquirePage } = require('./utils/browserPool');
+const { normalizeSelectors, coerceItem, hasContent } = require('./utils/fieldMap');
+const { normalizePagination, buildPageUrl, createItemCollector } = require('./utils/pagination');
+const { politeGoto, beforeNextPage } = require('./utils/politeness');
+const { guardPageRequests } = require('./utils/urlPolicy');
+const { logger } = require('./utils/logger');
+const { watchPage } = require('./utils/artifacts');
+const { extractWithRetry } = require('./utils/retry');
 
-async function scrapeSite(url, selectors = null) {
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-features=site-per-process']
-  });
-  
-  const page = await browser.newPage();
+/**
+ * Scrapes a generic web page, either with CSS selectors or by auto-extracting text blocks
+ * @param {string} url - URL of the page to scrape
+ * @param {Object} selectors - Optional field map: `root` selects the items, every other key is a
+ *   field name mapped to a selector spec (see utils/fieldMap.js)
+ * @param {Object} options - Optional { signal, onProgress, onEvent, pagination, artifacts }; onEvent(type, data)
+ *   receives navigating, page, items and warning events (see jobs/jobManager.js),
+ *   utils/pagination.js describes the pagination strategies, and `artifacts` is the capture
+ *   mode for the job's debug artifacts (see utils/artifacts.js)
+ * @returns {Array} - Array of extracted items
+ */
+async function scrapeSite(url, selectors = null, options = {}) {
+  const { signal, onProgress, onEvent, pagination } = options;
+  throwIfAborted(signal);
+
+  const { page, release } = await acquirePage({ signal });
+  const capture = watchPage(page, 'page', { mode: options.artifacts, signal });
+
+  try {
+    const result = await extractFromPage(page, url, selectors, { signal, onProgress, onEvent, pagination });
+    await capture.finish({ failed: result.length === 0, reason: result.length === 0 ? 'No items found on the page' : null });
+    return result;
+  } catch (error) {
+    await capture.finish({ failed: true, reason: error.message });
+    throw error;
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Opens the URL in the given page and extracts its content
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - URL of the page to scrape
+ * @param {Object} selectors - Optional field map
+ * @param {Object} options - { signal, onProgress, onEvent, pagination }
+ * @returns {Array} - Array of extracted items
+ */
+async function extractFromPage(page, url, selectors, { signal, onProgress, onEvent, pagination }) {
+  const selectorMap = normalizeSelectors(selectors);
+  const paginationOptions = normalizePagination(pagination);
 
-  // Set a more realistic user agent
-  await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-  
   // Set viewport to simulate a desktop browser
   await page.setViewport({ width: 1280, height: 800 });
 
-  // Block unnecessary resources to speed up loading
-  await page.setRequestInterception(true);
-  page.on('request', (req) => {
-    const resourceType = req.resourceType();
-    if (resourceType === 'image' || resourceType === 'media' || resourceType === 'font') {
-      req.abort();
-    } else {
-      req.continue();
-    }
-  });
+  // Check every request (redirects and subresources included) against the
+  // URL policy, and block unnecessary resources to speed up loading
+  await guardPageRequests(page, { blockResourceTypes: ['image', 'media', 'font'] });
+
+  if (selectorMap) {
+    logger.debug('Using selectors', { selectors });
+  } else {
+    logger.info('No selectors provided, performing auto-extraction');
+  }
+
+  let result;
+
+  if (paginationOptions) {
+    result = await paginate(page, url, selectorMap, paginationOptions, { signal, onProgress, onEvent });
+  } else {
+    await openPage(page, url, { signal, onProgress, onEvent });
+    await scrollForContent(page);
+    
+    throwIfAborted(signal);
+    logger.debug('Checking for content');
+    onProgress?.({ stage: 'extracting' });
+    // A page that yields nothing is loaded and read again before it counts as empty
+    result = await extractWithRetry(page, () => extractCurrentPage(page, selectorMap, onEvent), {
+      reload: async () => {
+        await openPage(page, url, { signal, onProgress, onEvent });
+        await scrollForContent(page);
+      },
+      signal,
+      onRetry: () => onEvent?.('warning', { message: 'No items found on the page, reloading it' })
+    });
+    onEvent?.('page', { page: 1, items: result.length, total: result.length });
+    onEvent?.('items', { page: 1, items: result });
+  }
+
+  if (result.length === 0) {
+    logger.warn('No results found', { url });
+    onEvent?.('warning', { message: 'No items found on the page' });
+  }
 
-  console.log(`Navigating to ${url}...`);
-  await page.goto(url, { waitUntil: "networkidle2", timeout: 60000 });
+  logger.info('Scrape finished', { url, items: result.length });
+  onProgress?.({ stage: 'extracted', items: result.length });
+  return result;
+}
+
+/**
+ * Navigates to a URL (honoring robots.txt and per-host limits) and gives
+ * client-side rendering time to finish
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - URL to open
+ * @param {Object} options - { signal, onProgress, onEvent }
+ */
+async function openPage(page, url, { signal, onProgress, onEvent }) {
+  logger.debug('Navigating', { url });
+  onProgress?.({ stage: 'navigating', url });
+  onEvent?.('navigating', { url });
+  await politeGoto(page, url, { waitUntil: "networkidle2", timeout: 60000 }, signal);
   
   // Wait additional time for JavaScript to render content
   await page.waitForTimeout(2000);
+}
 
-  let result;
-
-  // Scroll down a few times to load more content for dynamic sites
-  console.log("Scrolling to load more content...");
+/**
+ * Scrolls down a few times so dynamic sites load more content
+ * @param {Object} page - Puppeteer page
+ */
+async function scrollForContent(page) {
+  logger.debug('Scrolling to load more content');
   for (let i = 0; i < 3; i++) {
     await page.evaluate(() => {
       window.scrollBy(0, window.innerHeight);
     });
     await page.waitForTimeout(1000); // Wait for content to load after scrolling
   }
-  
-  console.log("Checking for content...");
-  
-  if (selectors && Object.values(selectors).some(s => s && s.trim() !== '')) {
-    // Use provided CSS selectors for structured scraping
-    console.log("Using selectors:", selectors);
-    
+}
+
+/**
+ * Extracts the items on the page as it currently is
+ * @param {Object} page - Puppeteer page
+ * @param {Object|null} selectorMap - Normalized field map, or null for auto-extraction
+ * @param {Function} [onEvent] - Receives a warning when the root selector matches nothing
+ * @returns {Array} - Extracted items
+ */
+async function extractCurrentPage(page, selectorMap, onEvent) {
+  if (selectorMap) {
     // First check if the root selector exists
     const rootExists = await page.evaluate((rootSelector) => {
       return document.querySelectorAll(rootSelector).length > 0;
-    }, selectors.root || "body");
+    }, selectorMap.root);
     
     if (!rootExists) {
-      console.log(`Warning: Root selector "${selectors.root}" not found on page.`);
+      logger.warn('Root selector not found on page', { selector: selectorMap.root });
+      onEvent?.('warning', { message: `Root selector "${selectorMap.root}" not found on page` });
     }
     
-    result = await page.evaluate((s) => {
-      const items = Array.from(document.querySelectorAll(s.root || "body"));
-      console.log(`Found ${items.length} items matching root selector`);
-      
-      return items.map(item => {
-        // More robust selector handling with debug info
-        const titleEl = s.title ? item.querySelector(s.title) : null;
-        const descEl = s.description ? item.querySelector(s.description) : null;
-        const dateEl = s.date ? item.querySelector(s.date) : null;
-        const ratingEl = s.rating ? item.querySelector(s.rating) : null;
-        
-        return {
-          title: titleEl?.innerText.trim() || "",
-          description: descEl?.innerText.trim() || "",
-          date: dateEl?.innerText.trim() || "",
-          rating: ratingEl?.innerText.trim() || "",
-        };
-      }).filter(item => item.title || item.description); // Only return items with a title or description
-    }, selectors);
-  } else {
-    // Auto-extract large text blocks as a fallback
-    console.log("No selectors provided, performing auto-extraction.");
-    result = await page.evaluate(() => {
-      const blocks = Array.from(document.querySelectorAll("p, div, article, h1, h2, h3"));
-      return blocks
-        .map(el => ({
-          text: el.innerText.trim(),
-          tag: el.tagName.toLowerCase()
-        }))
-        .filter(item => item.text.length > 80) // Filter for meaningful content length
-        .map(item => {
-          // Format based on tag type
-          if (item.tag.startsWith('h')) {
-            return { title: item.text, description: '' };
-          } else {
-            return { title: '', description: item.text };
-          }
-        })
-        .filter(item => item.title || item.description); // Only return items with content
-    });
+    const items = await extractItems(page, selectorMap);
+    logger.debug('Found items matching the root selector', { items: items.length });
+
+    return items
+      .map(item => coerceItem(item, selectorMap.fields))
+      .filter(hasContent); // Only return items with at least one extracted value
   }
 
-  // Take screenshot for debugging if needed
-  if (result.length === 0) {
-    console.log("No results found. Taking screenshot for debugging...");
-    await page.screenshot({ path: './debug-screenshot.png' });
-    console.log("Debug screenshot saved to ./debug-screenshot.png");
+  // Auto-extract large text blocks as a fallback
+  return page.evaluate(() => {
+    const blocks = Array.from(document.querySelectorAll("p, div, article, h1, h2, h3"));
+    return blocks
+      .map(el => ({
+        text: el.innerText.trim(),
+        tag: el.tagName.toLowerCase()
+      }))
+      .filter(item => item.text.length > 80) // Filter for meaningful content length
+      .map(item => {
+        // Format based on tag type
+        if (item.tag.startsWith('h')) {
+          return { title: item.text, description: '' };
+        } else {
+          return { title: '', description: item.text };
+        }
+      })
+      .filter(item => item.title || item.description); // Only return items with content
+  });
+}
+
+/**
+ * Walks through several pages using one of the pagination strategies and
+ * collects the de-duplicated items
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - First page URL (unused by the "url" strategy, which builds its own)
+ * @param {Object|null} selectorMap - Normalized field map
+ * @param {Object} pagination - Normalized pagination options
+ * @param {Object} options - { signal, onProgress, onEvent }
+ * @returns {Array} - Items from all pages
+ */
+async function paginate(page, url, selectorMap, pagination, { signal, onProgress, onEvent }) {
+  const collector = createItemCollector(pagination.maxItems);
+
+  if (pagination.type !== 'url') {
+    await openPage(page, url, { signal, onProgress, onEvent });
   }
 
-  await browser.close();
-  console.log(`Found ${result.length} items.`);
-  return result;
+  for (let pageNumber = 1; pageNumber <= pagination.maxPages; pageNumber++) {
+    throwIfAborted(signal);
+
+    if (pagination.type === 'url') {
+      const pageUrl = buildPageUrl(pagination.template, pagination.start + (pageNumber - 1) * pagination.step);
+      await openPage(page, pageUrl, { signal, onProgress, onEvent });
+    }
+
+    const pageItems = await extractCurrentPage(page, selectorMap, onEvent);
+    const added = collector.add(pageItems);
+    logger.info('Scraped page', { page: pageNumber, items: pageItems.length, added, total: collector.items.length });
+    onProgress?.({ stage: 'paginating', page: pageNumber, items: collector.items.length });
+    onEvent?.('page', { page: pageNumber, items: pageItems.length, total: collector.items.length });
+    if (added > 0) {
+      onEvent?.('items', { page: pageNumber, items: collector.items.slice(-added) });
+    }
+
+    // A page without new items means we ran past the end (or the page did not change)
+    if (collector.isFull() || (pageNumber > 1 && added === 0)) break;
+    if (pageNumber === pagination.maxPages) break;
+
+    if (pagination.type === 'next') {
+      const moved = await clickNext(page, pagination.selector, signal);
+      if (!moved) break;
+    } else if (pagination.type === 'scroll') {
+      await page.evaluate(() => {
+        window.scrollTo(0, document.body.scrollHeight);
+      });
+      await page.waitForTimeout(1500); // Wait for the next batch to load
+    }
+  }
+
+  return collector.items;
+}
+
+/**
+ * Clicks the "next" button and waits for the next page to load
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - Next button selector
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {boolean} - False when there is no enabled next button
+ */
+async function clickNext(page, selector, signal) {
+  const hasNext = await page.evaluate((nextSelector) => {
+    const nextButton = document.querySelector(nextSelector);
+    return Boolean(nextButton) &&
+      !nextButton.disabled &&
+      !nextButton.classList.contains('disabled') &&
+      nextButton.getAttribute('aria-disabled') !== 'true';
+  }, selector);
+
+  if (!hasNext) {
+    logger.info('No enabled next button, stopping pagination', { selector });
+    return false;
+  }
+
+  const releaseHost = await beforeNextPage(page, selector, signal);
+  if (!releaseHost) return false;
+
+  try {
+    await followNext(page, selector);
+  } finally {
+    releaseHost();
+  }
+
+  return true;
+}
+
+/**
+ * Clicks the "next" control and waits for the resulting navigation, if any
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - Next button selector
+ */
+async function followNext(page, selector) {
+  logger.debug('Navigating to the next page', { selector });
+  const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 })
+    .then(() => true)
+    .catch(() => false);
+
+  try {
+    await page.click(selector);
+  } catch (error) {
+    logger.warn('Click error, trying alternate approach', { error });
+    // Try scrolling the button into view and clicking it from the page
+    await page.evaluate((nextSelector) => {
+      const element = document.querySelector(nextSelector);
+      if (element) {
+        element.scrollIntoView();
+        element.click();
+      }
+    }, selector);
+  }
+
+  // Client-side pagination never navigates; the wait above gives it time to re-render
+  if (!(await navigation)) {
+    logger.debug('No navigation after clicking next, assuming the page updated in place');
+  }
+}
+
+/**
+ * Extracts the raw (uncoerced) items described by a normalized field map
+ * @param {Object} page - Puppeteer page
+ * @param {Object} selectorMap - { root, fields } from normalizeSelectors
+ * @returns {Array} - Raw items; values are strings, arrays or nested objects
+ */
+async function extractItems(page, selectorMap) {
+  return page.evaluate(({ root, fields }) => {
+    const readValue = (element, spec) => {
+      let value;
+      if (spec.attr === 'text') {
+        value = element.innerText;
+      } else if (spec.attr === 'html') {
+        value = element.innerHTML;
+      } else {
+        value = element.getAttribute(spec.attr);
+      }
+
+      if (value === null || value === undefined) return null;
+      value = value.trim();
+
+      if (spec.absolute && value) {
+        try {
+          value = new URL(value, document.baseURI).href;
+        } catch (error) {
+          // Leave values that are not URLs untouched
+        }
+      }
+      return value;
+    };
+
+    const extractFields = (container, fieldMap) => {
+      const item = {};
+      Object.entries(fieldMap).forEach(([name, spec]) => {
+        const matches = spec.selector ? Array.from(container.querySelectorAll(spec.selector)) : [container];
+        const read = (element) => spec.fields ? extractFields(element, spec.fields) : readValue(element, spec);
+        item[name] = spec.multiple ? matches.map(read) : (matches.length > 0 ? read(matches[0]) : null);
+      });
+      return item;
+    };
+
+    return Array.from(document.querySelectorAll(root)).map(container => extractFields(container, fields));
+  }, selectorMap);
 }
 
 module.exports = scrapeSite;
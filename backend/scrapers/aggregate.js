@@ -0,0 +1,141 @@
+const { getSource, listSources } = require('./registry');
+const { parseDate } = require('../utils/dateUtils');
+const { resolveRunMode, runSource } = require('./runModes');
+const { logger, runWithLogContext } = require('../utils/logger');
+const { recordSourceOutcome } = require('../utils/metrics');
+
+/**
+ * Resolves the `source` request parameter into registered sources
+ * @param {string|Array} source - A source name, a list of names or "all"
+ * @returns {Object} - { sources: Array, unknown: Array of unrecognized names }
+ */
+function resolveSources(source) {
+  if (typeof source === 'string' && source.trim().toLowerCase() === 'all') {
+    return {
+      sources: listSources().map(({ name }) => getSource(name)),
+      unknown: []
+    };
+  }
+
+  const names = Array.isArray(source) ? source : [source];
+  const sources = [];
+  const unknown = [];
+
+  names.forEach(name => {
+    const reviewSource = getSource(name);
+    if (!reviewSource) {
+      unknown.push(name);
+    } else if (!sources.includes(reviewSource)) {
+      sources.push(reviewSource);
+    }
+  });
+
+  return { sources, unknown };
+}
+
+/**
+ * Sorts reviews newest first; reviews with unparseable dates go last
+ * @param {Array} reviews - Reviews to sort
+ * @returns {Array} - New sorted array
+ */
+function sortByDateDesc(reviews) {
+  return reviews
+    .map(review => ({ review, time: parseDate(review.date)?.getTime() ?? -Infinity }))
+    .sort((a, b) => b.time - a.time)
+    .map(({ review }) => review);
+}
+
+/**
+ * Scrapes several review sources in parallel and merges their reviews
+ * @param {Array} sources - Source definitions from the registry
+ * @param {Object} query - { companyName, startDate, endDate }
+ * @param {Object} options - Options passed to every source; `mode` picks the
+ *   run mode, onProgress receives the per-source progress under `sources` and
+ *   onEvent receives every source's events tagged with its `source`
+ * @returns {Object} - { data, sources, mode, invalid } where `data` is the
+ *   merged, date-sorted reviews tagged with their `origin` and `mode`,
+ *   `sources` reports success, count, invalid, mode, note, since,
+ *   selectorHealth or error and code per source, and `invalid` lists { source, record, errors } for the reviews
+ *   that failed validation
+ */
+async function scrapeSources(sources, query, options = {}) {
+  const { onProgress, onEvent } = options;
+  const mode = resolveRunMode(options.mode);
+  const progress = {};
+
+  const reportProgress = (name, update) => {
+    progress[name] = { ...progress[name], ...update };
+    onProgress?.({ stage: 'scraping', sources: { ...progress } });
+  };
+
+  // Tag each source's events with the source; streamed reviews get the same
+  // `origin` and `mode` as the merged results
+  const sourceEvents = (name) => onEvent && ((type, data) => {
+    const tagged = type === 'items'
+      ? { ...data, items: data.items.map(review => ({ ...review, origin: name, mode })) }
+      : data;
+    onEvent(type, { source: name, ...tagged });
+  });
+
+  // Each source runs in its own log context, so its log entries and
+  // navigation metrics are labelled with it
+  const outcomes = await Promise.all(sources.map(reviewSource => runWithLogContext({ source: reviewSource.name }, async () => {
+    const { name } = reviewSource;
+    reportProgress(name, { stage: 'queued' });
+
+    try {
+      const result = await runSource(reviewSource, query, {
+        ...options,
+        mode,
+        onProgress: (update) => reportProgress(name, update),
+        onEvent: sourceEvents(name)
+      });
+
+      recordSourceOutcome(name, result?.mode || mode, Boolean(result?.success));
+
+      if (!result || !result.success) {
+        const message = result?.error || `Scraping ${name} failed`;
+        const code = result?.code || null;
+        logger.warn('Source returned no reviews', { reason: message, code });
+        onEvent?.('warning', { source: name, message, code });
+        reportProgress(name, { stage: 'failed' });
+        return { name, success: false, error: message, code };
+      }
+
+      const reviews = (result.data || []).map(review => ({ ...review, origin: name, mode: result.mode }));
+      reportProgress(name, { stage: 'done', items: reviews.length });
+      const invalid = (result.invalid || []).map(entry => ({ source: name, ...entry }));
+      return { name, success: true, reviews, invalid, note: result.note, since: result.since, selectorHealth: result.selectorHealth };
+    } catch (error) {
+      recordSourceOutcome(name, mode, false);
+      logger.error('Source failed', { error });
+      onEvent?.('warning', { source: name, message: error.message, code: error.code || null });
+      reportProgress(name, { stage: 'failed' });
+      return { name, success: false, error: error.message, code: error.code || null };
+    }
+  })));
+
+  const report = {};
+  const merged = [];
+  const invalid = [];
+
+  outcomes.forEach(outcome => {
+    if (outcome.success) {
+      merged.push(...outcome.reviews);
+      invalid.push(...outcome.invalid);
+      report[outcome.name] = { success: true, count: outcome.reviews.length, invalid: outcome.invalid.length, mode };
+      if (outcome.note) report[outcome.name].note = outcome.note;
+      if (outcome.since) report[outcome.name].since = outcome.since;
+      if (outcome.selectorHealth) report[outcome.name].selectorHealth = outcome.selectorHealth;
+    } else {
+      report[outcome.name] = { success: false, error: outcome.error, code: outcome.code, mode };
+    }
+  });
+
+  return { data: sortByDateDesc(merged), sources: report, mode, invalid };
+}
+
+module.exports = {
+  resolveSources,
+  scrapeSources
+};
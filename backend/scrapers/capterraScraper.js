@@ -1,31 +1,143 @@
-const puppeteer = require('puppeteer');
-const { parseDate } = require('../utils/dateUtils');
+const { throwIfAborted } = require('../utils/cancellation');
+const { acquirePage } = require('../utils/browserPool');
+const { politeGoto, beforeNextPage } = require('../utils/politeness');
+const { extractWithRetry } = require('../utils/retry');
+const { recordSnapshot } = require('./snapshots');
+const { withNewestFirst, isSortedNewestFirst, isPageOlderThan } = require('./incremental');
+const { withDescriptions } = require('./reviewSections');
+const { createSelectorStats, recordSelectorMatches } = require('./selectorStats');
+const { logger } = require('../utils/logger');
+const { watchPage } = require('../utils/artifacts');
+
+// Overridable so tests can point the scraper at local fixtures
+const CAPTERRA_BASE_URL = process.env.CAPTERRA_BASE_URL || 'https://www.capterra.com';
+
+// Query parameters that make the site list reviews newest first
+const NEWEST_FIRST_PARAMS = { sort: 'most_recent' };
+
+/**
+ * Extracts the reviews on a Capterra review page. Runs in the browser, so it must
+ * not reference anything outside its own body.
+ * @returns {Array} - Review objects with structured sections, without `description`
+ *   (see withDescriptions), and the selector that matched each field as
+ *   `selectorMatches` (see selectorStats)
+ */
+function extractCapterraReviews() {
+  const reviews = [];
+  const reviewElements = document.querySelectorAll('.review');
+  
+  reviewElements.forEach(reviewElement => {
+    // Selector that matched each field, or null when the field fell back to its default
+    const selectorMatches = {};
+    const findElement = (field, selectors) => {
+      for (const selector of selectors) {
+        const element = reviewElement.querySelector(selector);
+        if (element) {
+          selectorMatches[field] = selector;
+          return element;
+        }
+      }
+      selectorMatches[field] = null;
+      return null;
+    };
+
+    // Basic review data
+    const titleElement = findElement('title', ['.review__title']);
+    const title = titleElement ? titleElement.innerText.trim() : 'No Title';
+    
+    // For Capterra, stars are usually in a data attribute or class name
+    const ratingElement = findElement('rating', ['[data-rating]', '.stars-container']);
+    let rating = null;
+    if (ratingElement) {
+      const dataRating = ratingElement.getAttribute('data-rating');
+      if (dataRating) {
+        rating = parseFloat(dataRating);
+      } else {
+        // Try to count the number of filled stars
+        const filledStars = ratingElement.querySelectorAll('.star-filled').length;
+        rating = filledStars || null;
+      }
+    }
+    if (rating === null) selectorMatches.rating = null;
+    
+    // Review sections; the description is rendered from them afterwards
+    const sectionText = (selector) => {
+      const element = reviewElement.querySelector(selector);
+      return element ? element.innerText.trim() : null;
+    };
+    const bodySelector = ['.review-content', '.review__text'].find(selector => sectionText(selector));
+    const body = bodySelector ? sectionText(bodySelector) : null;
+    selectorMatches.body = bodySelector || null;
+    const pros = sectionText('.review-pros');
+    const cons = sectionText('.review-cons');
+    const vendorResponse = sectionText('.vendor-response, .review__vendor-response');
+    
+    // Date and reviewer info
+    const dateElement = findElement('date', ['.review-date', '.review__date']);
+    const dateText = dateElement ? dateElement.innerText.trim() : '';
+    
+    // Reviewer
+    const reviewerElement = findElement('reviewerName', ['.reviewer-name', '.review__author']);
+    const reviewerName = reviewerElement ? reviewerElement.innerText.trim() : 'Anonymous';
+    
+    // Additional info
+    const reviewerInfoElement = findElement('reviewerInfo', ['.reviewer-info', '.review__author-company']);
+    const reviewerInfo = reviewerInfoElement ? reviewerInfoElement.innerText.trim() : '';
+    
+    reviews.push({
+      title,
+      body,
+      pros,
+      cons,
+      recommendations: null,
+      vendorResponse,
+      date: dateText,
+      rating,
+      reviewer: {
+        name: reviewerName,
+        info: reviewerInfo
+      },
+      source: 'Capterra',
+      selectorMatches
+    });
+  });
+  
+  return reviews;
+}
 
 /**
  * Scrapes reviews from Capterra for a specific company
  * @param {string} companyName - The name of the company to search for
- * @param {Date} startDate - Start date filter for reviews
- * @param {Date} endDate - End date filter for reviews
+ * @param {Date} startDate - Start of the requested range; paging stops at older pages
+ * @param {Date} endDate - End of the requested range; reviews are filtered by date once
+ *   normalized (see runModes.js)
  * @param {number} maxPages - Maximum number of pages to scrape (default: 10)
- * @returns {Array} - Array of review objects
+ * @param {Object} options - Optional { signal, onProgress, onEvent } for cancellation and progress
+ *   reporting (onEvent receives navigating, page, items and warning events),
+ *   { baseUrl } to scrape a mirror of the site instead of https://www.capterra.com, and
+ *   { artifacts } to choose when debug artifacts are captured (see utils/artifacts.js)
+ * @returns {Object} - { success, data, selectorStats } where selectorStats tallies the
+ *   selectors each field matched, or { success: false, error, code } with an error code
+ *   from utils/errors.js
  */
-async function scrapeCapterraReviews(companyName, startDate, endDate, maxPages = 10) {
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
+async function scrapeCapterraReviews(companyName, startDate, endDate, maxPages = 10, options = {}) {
+  const { signal, onProgress, onEvent } = options;
+  const baseUrl = options.baseUrl || CAPTERRA_BASE_URL;
+  throwIfAborted(signal);
+
+  const { page, release } = await acquirePage({ signal });
+  const capture = watchPage(page, 'capterra', { mode: options.artifacts, signal });
   
   try {
-    const page = await browser.newPage();
-    
     // Set a reasonable timeout
     await page.setDefaultNavigationTimeout(60000);
     
     // Navigate to Capterra page for the company - using search first
-    const searchUrl = `https://www.capterra.com/search/?search=${encodeURIComponent(companyName)}`;
-    console.log(`Navigating to: ${searchUrl}`);
+    const searchUrl = `${baseUrl}/search/?search=${encodeURIComponent(companyName)}`;
+    logger.debug('Navigating to Capterra search', { url: searchUrl });
+    onEvent?.('navigating', { url: searchUrl });
     
-    await page.goto(searchUrl, { waitUntil: 'networkidle2' });
+    await politeGoto(page, searchUrl, { waitUntil: 'networkidle2' }, signal);
     
     // Check if we found the product
     const productFound = await page.evaluate((name) => {
@@ -49,99 +161,70 @@ async function scrapeCapterraReviews(companyName, startDate, endDate, maxPages =
     }, companyName);
     
     if (!productFound) {
-      console.log(`Company "${companyName}" not found on Capterra`);
-      return { success: false, error: `Company "${companyName}" not found on Capterra` };
+      logger.warn('Company not found on Capterra', { companyName });
+      const error = `Company "${companyName}" not found on Capterra`;
+      await capture.finish({ failed: true, reason: error });
+      return { success: false, error, code: 'PRODUCT_NOT_FOUND' };
     }
     
     // Navigate to the reviews page
-    console.log(`Navigating to reviews page: ${productFound}`);
-    await page.goto(productFound, { waitUntil: 'networkidle2' });
+    const reviewsUrl = withNewestFirst(productFound, NEWEST_FIRST_PARAMS);
+    logger.debug('Navigating to Capterra reviews page', { url: reviewsUrl });
+    onEvent?.('navigating', { url: reviewsUrl });
+    await politeGoto(page, reviewsUrl, { waitUntil: 'networkidle2' }, signal);
     
     const allReviews = [];
+    const selectorStats = createSelectorStats();
     let currentPage = 1;
     let hasNextPage = true;
+    let sortedNewestFirst = false;
     
     // Scrape reviews from each page
     while (hasNextPage && currentPage <= maxPages) {
-      console.log(`Scraping Capterra page ${currentPage} for ${companyName}`);
+      throwIfAborted(signal);
+      logger.info('Scraping Capterra page', { companyName, page: currentPage });
+      onProgress?.({ stage: 'scraping', page: currentPage });
       
       // Wait for reviews to load
       await page.waitForSelector('.review', { timeout: 10000 })
-        .catch(() => console.log('Review elements not found on page'));
-      
-      // Extract reviews from current page
-      const pageReviews = await page.evaluate(() => {
-        const reviews = [];
-        const reviewElements = document.querySelectorAll('.review');
-        
-        reviewElements.forEach(reviewElement => {
-          // Basic review data
-          const titleElement = reviewElement.querySelector('.review__title');
-          const title = titleElement ? titleElement.innerText.trim() : 'No Title';
-          
-          // For Capterra, stars are usually in a data attribute or class name
-          const ratingElement = reviewElement.querySelector('[data-rating]') || reviewElement.querySelector('.stars-container');
-          let rating = 0;
-          if (ratingElement) {
-            const dataRating = ratingElement.getAttribute('data-rating');
-            if (dataRating) {
-              rating = parseFloat(dataRating);
-            } else {
-              // Try to count the number of filled stars
-              const filledStars = ratingElement.querySelectorAll('.star-filled').length;
-              rating = filledStars;
-            }
-          }
-          
-          // Review text
-          const prosElement = reviewElement.querySelector('.review-pros');
-          const consElement = reviewElement.querySelector('.review-cons');
-          const pros = prosElement ? prosElement.innerText.trim() : '';
-          const cons = consElement ? consElement.innerText.trim() : '';
-          
-          const mainReviewElement = reviewElement.querySelector('.review-content') || 
-                                  reviewElement.querySelector('.review__text');
-          const mainReview = mainReviewElement ? mainReviewElement.innerText.trim() : '';
-          
-          const reviewText = [
-            mainReview,
-            pros ? `Pros: ${pros}` : '',
-            cons ? `Cons: ${cons}` : ''
-          ].filter(Boolean).join('\\n\\n');
-          
-          // Date and reviewer info
-          const dateElement = reviewElement.querySelector('.review-date') || 
-                            reviewElement.querySelector('.review__date');
-          const dateText = dateElement ? dateElement.innerText.trim() : '';
-          
-          // Reviewer
-          const reviewerElement = reviewElement.querySelector('.reviewer-name') || 
-                                reviewElement.querySelector('.review__author');
-          const reviewerName = reviewerElement ? reviewerElement.innerText.trim() : 'Anonymous';
-          
-          // Additional info
-          const reviewerInfoElement = reviewElement.querySelector('.reviewer-info') || 
-                                    reviewElement.querySelector('.review__author-company');
-          const reviewerInfo = reviewerInfoElement ? reviewerInfoElement.innerText.trim() : '';
-          
-          reviews.push({
-            title,
-            description: reviewText || 'No review content available',
-            date: dateText,
-            rating,
-            reviewer: {
-              name: reviewerName,
-              info: reviewerInfo
-            },
-            source: 'Capterra'
-          });
+        .catch(() => {
+          logger.warn('Review elements not found on page', { page: currentPage });
+          onEvent?.('warning', { message: `No reviews found on page ${currentPage}`, page: currentPage });
         });
-        
-        return reviews;
-      });
+      
+      // Extract reviews from current page; an empty first page is reloaded
+      // and read again before it counts
+      const extracted = currentPage === 1
+        ? await extractWithRetry(page, () => page.evaluate(extractCapterraReviews), {
+          reload: () => politeGoto(page, page.url(), { waitUntil: 'networkidle2' }, signal),
+          signal,
+          onRetry: () => onEvent?.('warning', { message: 'No reviews found on page 1, reloading it', page: 1 })
+        })
+        : await page.evaluate(extractCapterraReviews);
+      await recordSnapshot('capterra', companyName, currentPage, page);
+      const pageReviews = withDescriptions(recordSelectorMatches(selectorStats, extracted));
       
       // Add reviews to our collection
       allReviews.push(...pageReviews);
+      onProgress?.({ stage: 'scraping', page: currentPage, items: allReviews.length });
+      onEvent?.('page', { page: currentPage, items: pageReviews.length, total: allReviews.length });
+      onEvent?.('items', { page: currentPage, items: pageReviews });
+      
+      // Only stop early when the site kept the newest-first sort
+      if (currentPage === 1) {
+        sortedNewestFirst = isSortedNewestFirst(page.url(), NEWEST_FIRST_PARAMS, pageReviews);
+        if (!sortedNewestFirst) {
+          logger.warn('Reviews are not sorted newest first, reading every page', { url: page.url() });
+          onEvent?.('warning', { message: 'Capterra did not sort reviews newest first; reading every page up to maxPages' });
+        }
+      }
+      
+      // Reviews are newest first, so once a whole page predates the range
+      // the remaining pages do too
+      if (sortedNewestFirst && isPageOlderThan(pageReviews, startDate)) {
+        logger.info('Page is older than the start date, stopping', { page: currentPage });
+        break;
+      }
       
       // Check if there's a next page button that's not disabled
       hasNextPage = await page.evaluate(() => {
@@ -151,39 +234,53 @@ async function scrapeCapterraReviews(companyName, startDate, endDate, maxPages =
       
       // Go to next page if available
       if (hasNextPage && currentPage < maxPages) {
-        await Promise.all([
-          page.click('.next-page:not(.disabled), a[rel="next"]:not(.disabled)'),
-          page.waitForNavigation({ waitUntil: 'networkidle2' })
-        ]).catch(error => {
-          console.error('Navigation error:', error);
+        const nextSelector = '.next-page:not(.disabled), a[rel="next"]:not(.disabled)';
+        const releaseHost = await beforeNextPage(page, nextSelector, signal);
+        if (!releaseHost) {
           hasNextPage = false;
-        });
-        currentPage++;
+        } else {
+          await Promise.all([
+            page.click(nextSelector),
+            page.waitForNavigation({ waitUntil: 'networkidle2' })
+          ]).catch(error => {
+            logger.warn('Navigation error', { error });
+            onEvent?.('warning', { message: `Could not open page ${currentPage + 1}: ${error.message}`, page: currentPage + 1 });
+            hasNextPage = false;
+          }).finally(releaseHost);
+          currentPage++;
+        }
       } else {
         hasNextPage = false;
       }
     }
     
-    // Filter reviews by date
-    const filteredReviews = allReviews.filter(review => {
-      // Parse the review date
-      const reviewDate = parseDate(review.date);
-      
-      // Skip reviews where we couldn't parse the date
-      if (!reviewDate) return false;
-      
-      // Apply date filters
-      return reviewDate >= startDate && reviewDate <= endDate;
-    });
-    
-    console.log(`Found ${filteredReviews.length} reviews for ${companyName} on Capterra within the specified date range`);
-    return { success: true, data: filteredReviews };
+    // Reviews are filtered by date once normalized (see runModes.js), so
+    // undated ones reach validation
+    logger.info('Scraped Capterra reviews', { companyName, reviews: allReviews.length });
+    await capture.finish({ failed: allReviews.length === 0, reason: allReviews.length === 0 ? 'No reviews matched on the review pages' : null });
+    return { success: true, data: allReviews, selectorStats };
   } catch (error) {
-    console.error(`Error scraping Capterra reviews for ${companyName}:`, error);
-    return { success: false, error: error.message };
+    logger.error('Error scraping Capterra reviews', { companyName, error });
+    await capture.finish({ failed: true, reason: error.message });
+    return { success: false, error: error.message, code: error.code || null };
   } finally {
-    await browser.close();
+    await release();
   }
 }
 
-module.exports = { scrapeCapterraReviews };
+/**
+ * Review source definition for the source registry
+ */
+const capterraSource = {
+  name: 'capterra',
+  label: 'Capterra',
+  capabilities: {
+    pagination: true,
+    dateSorting: true,
+    prosCons: true
+  },
+  extractReviews: extractCapterraReviews,
+  scrape: (query, options = {}) => scrapeCapterraReviews(query.companyName, query.startDate, query.endDate, options.maxPages, options)
+};
+
+module.exports = { scrapeCapterraReviews, extractCapterraReviews, capterraSource };
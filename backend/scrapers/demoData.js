@@ -0,0 +1,150 @@
+const { withDescriptions } = require('./reviewSections');
+
+/**
+ * Demo reviews returned in `demo` run mode.
+ *
+ * The text is generic and mentions the requested company, and the dates are
+ * spread over the requested range, so any query returns a plausible result.
+ * Every review is labelled "(Demo Data)" in its `source` field.
+ */
+
+const DEMO_REVIEWS = {
+  g2: [
+    {
+      title: 'Great Team Collaboration Tool',
+      body: '{company} has transformed how our team communicates. Everything is organized and the integrations with other tools make it a central hub for notifications.',
+      rating: 4.5,
+      reviewer: { name: 'John D.', info: 'Mid-Market (51-1000 emp.)' }
+    },
+    {
+      title: 'Efficient Platform',
+      body: 'We switched to {company} for internal work and have seen dramatic improvements in response time and team coordination.',
+      rating: 5,
+      reviewer: { name: 'Sarah M.', info: 'Enterprise (>1000 emp.)' }
+    },
+    {
+      title: 'Good but Has Limitations',
+      body: '{company} works well day to day but can get messy as you grow. Search could be improved to find older items more easily.',
+      rating: 3.5,
+      reviewer: { name: 'Robert L.', info: 'Small Business (<50 emp.)' }
+    },
+    {
+      title: 'Essential Remote Working Tool',
+      body: 'Since our team went remote, {company} has been crucial for keeping everyone aligned.',
+      rating: 4,
+      reviewer: { name: 'Emily K.', info: 'Mid-Market (51-1000 emp.)' }
+    },
+    {
+      title: 'Great Integrations',
+      body: 'The ability to integrate {company} with so many other tools makes it incredibly powerful and streamlines our workflow.',
+      rating: 5,
+      reviewer: { name: 'Michael W.', info: 'Enterprise (>1000 emp.)' }
+    }
+  ],
+  capterra: [
+    {
+      title: 'Easy to roll out',
+      body: 'We had {company} running for the whole company within a week.',
+      pros: 'Simple setup and a clean interface.',
+      cons: 'Some advanced settings are hard to find.',
+      rating: 4.5,
+      reviewer: { name: 'Dana P.', info: 'Marketing Manager, Computer Software, 51-200 employees' }
+    },
+    {
+      title: 'Worth the price',
+      body: '{company} replaced two other tools for us.',
+      pros: 'Good value and responsive support.',
+      rating: 4,
+      reviewer: { name: 'Luis G.', info: 'Engineering Lead, Retail, 1001-5000 employees' }
+    },
+    {
+      title: 'Decent, with a learning curve',
+      body: 'It took our team a while to get used to {company}.',
+      cons: 'Onboarding material is thin.',
+      rating: 3,
+      reviewer: { name: 'Priya S.', info: 'Operations, Hospital & Health Care, 201-500 employees' }
+    },
+    {
+      title: 'Our daily driver',
+      body: 'Everyone on the team uses {company} every day.',
+      pros: 'Reliable and fast.',
+      cons: 'Mobile app lags behind the desktop version.',
+      rating: 5,
+      reviewer: { name: 'Tom W.', info: 'Product Manager, Financial Services, 11-50 employees' }
+    }
+  ],
+  trustradius: [
+    {
+      title: 'The backbone of our workflow',
+      body: '{company} is the first thing our teams open in the morning.',
+      pros: 'Works with everything we use.',
+      cons: 'Admin reporting is limited.',
+      rating: 9,
+      reviewer: { name: 'Chris O.', info: 'IT Director, Higher Education (1001-5000 employees)' }
+    },
+    {
+      title: 'Good, but we needed more admin controls',
+      body: 'Retention settings in {company} only arrived with the enterprise plan.',
+      rating: 7,
+      reviewer: { name: 'Verified User', info: 'Administrator, Insurance (10,001+ employees)' }
+    },
+    {
+      title: 'Automation is underrated',
+      body: 'We automated our handoffs in {company} without writing code.',
+      pros: 'Built-in automation.',
+      rating: 10,
+      reviewer: { name: 'Ines M.', info: 'Site Reliability Engineer, Internet (201-500 employees)' }
+    },
+    {
+      title: 'Solid choice for mid-size teams',
+      body: '{company} scaled with us from 50 to 400 people.',
+      cons: 'Pricing jumps between tiers.',
+      rating: 8,
+      reviewer: { name: 'Sam R.', info: 'VP Engineering, Computer Software (201-500 employees)' }
+    }
+  ]
+};
+
+// Used for registered sources without their own demo reviews
+const GENERIC_DEMO_REVIEWS = DEMO_REVIEWS.g2;
+
+/**
+ * Formats a date the way review sites display it
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. "June 15, 2025"
+ */
+function formatDisplayDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Builds demo reviews for a source and query
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {Object} query - { companyName, startDate, endDate }
+ * @returns {Array} - Reviews shaped like the source's scraped reviews, newest first
+ */
+function buildDemoReviews(reviewSource, query) {
+  const templates = DEMO_REVIEWS[reviewSource.name] || GENERIC_DEMO_REVIEWS;
+  const start = query.startDate.getTime();
+  const span = Math.max(query.endDate.getTime() - start, 0);
+
+  const fillCompany = (text) => text ? text.replace(/\{company\}/g, query.companyName) : null;
+
+  return withDescriptions(templates.map((template, index) => {
+    // Spread the reviews evenly over the requested range
+    const date = new Date(query.endDate.getTime() - span * (index + 0.5) / templates.length);
+
+    return {
+      title: template.title,
+      body: fillCompany(template.body),
+      pros: fillCompany(template.pros),
+      cons: fillCompany(template.cons),
+      date: formatDisplayDate(date),
+      rating: template.rating,
+      reviewer: { ...template.reviewer },
+      source: `${reviewSource.label} (Demo Data)`
+    };
+  }));
+}
+
+module.exports = { buildDemoReviews };
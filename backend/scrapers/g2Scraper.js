@@ -1,113 +1,192 @@
-const puppeteer = require('puppeteer');
-const { parseDate } = require('../utils/dateUtils');
-const fs = require('fs/promises');
+const { throwIfAborted } = require('../utils/cancellation');
+const { acquirePage } = require('../utils/browserPool');
+const { politeGoto, beforeNextPage } = require('../utils/politeness');
+const { assertNotBlocked } = require('../utils/blockDetection');
+const { extractWithRetry } = require('../utils/retry');
+const { recordSnapshot } = require('./snapshots');
+const { withNewestFirst, isSortedNewestFirst, isPageOlderThan } = require('./incremental');
+const { withDescriptions } = require('./reviewSections');
+const { createSelectorStats, recordSelectorMatches } = require('./selectorStats');
+const { logger } = require('../utils/logger');
+const { watchPage } = require('../utils/artifacts');
+
+// Overridable so tests can point the scraper at local fixtures
+const G2_BASE_URL = process.env.G2_BASE_URL || 'https://www.g2.com';
+
+// Query parameters that make the site list reviews newest first
+const NEWEST_FIRST_PARAMS = { order: 'most_recent' };
 
 /**
- * Scrapes reviews from G2 for a specific company
- * @param {string} companyName - The name of the company to search for
- * @param {Date} startDate - Start date filter for reviews
- * @param {Date} endDate - End date filter for reviews
- * @param {number} maxPages - Maximum number of pages to scrape (default: 10)
- * @returns {Array} - Array of review objects
+ * Extracts the reviews on a G2 review page. Runs in the browser, so it must
+ * not reference anything outside its own body.
+ * @returns {Array} - Review objects with structured sections, without `description`
+ *   (see withDescriptions), and the selector that matched each field as
+ *   `selectorMatches` (see selectorStats)
  */
-async function scrapeG2Reviews(companyName, startDate, endDate, maxPages = 10) {
-  console.log(`Scraping G2 for company: ${companyName} from ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
+function extractG2Reviews() {
+  const reviews = [];
   
-  // Mock data for testing when G2 is blocking scrapers
-  const mockData = [
-    {
-      title: 'Great Team Collaboration Tool',
-      description: 'Slack has transformed how our team communicates. The channels keep topics organized and the integrations with other tools make it a central hub for notifications.',
-      date: 'June 15, 2025',
-      rating: 4.5,
-      reviewer: {
-        name: 'John D.',
-        info: 'Mid-Market (51-1000 emp.)',
-      },
-      source: 'G2 (Demo Data)'
-    },
-    {
-      title: 'Efficient Communication Platform',
-      description: 'We switched from email to Slack for internal communications and have seen dramatic improvements in response time and team coordination.',
-      date: 'May 22, 2025',
-      rating: 5,
-      reviewer: {
-        name: 'Sarah M.',
-        info: 'Enterprise (>1000 emp.)',
-      },
-      source: 'G2 (Demo Data)'
-    },
-    {
-      title: 'Good but Has Limitations',
-      description: 'Slack works well for quick communications but can get messy with too many channels. Search functionality could be improved to find older messages more easily.',
-      date: 'April 3, 2025',
-      rating: 3.5,
-      reviewer: {
-        name: 'Robert L.',
-        info: 'Small Business (<50 emp.)',
-      },
-      source: 'G2 (Demo Data)'
-    },
-    {
-      title: 'Essential Remote Working Tool',
-      description: 'Since our team went remote, Slack has been crucial for maintaining culture and communication. The video calls and screen sharing features work well for quick meetings.',
-      date: 'March 17, 2025',
-      rating: 4,
-      reviewer: {
-        name: 'Emily K.',
-        info: 'Mid-Market (51-1000 emp.)',
-      },
-      source: 'G2 (Demo Data)'
-    },
-    {
-      title: 'Great Integrations',
-      description: 'The ability to integrate with so many other tools makes Slack incredibly powerful. We use it with GitHub, Jira, and Google Drive which streamlines our workflow.',
-      date: 'February 8, 2025',
-      rating: 5,
-      reviewer: {
-        name: 'Michael W.',
-        info: 'Enterprise (>1000 emp.)',
-      },
-      source: 'G2 (Demo Data)'
-    }
+  // Try multiple selectors for review elements (G2 changes their layout frequently)
+  const selectors = [
+    '.review', 
+    '.snippet__review',
+    '.paper--box.margin-bottom-md',
+    '.paper.container-border-bottom.margin-bottom-md'
   ];
   
-  // For demo purposes - use mock data if the site is blocking us
-  const useMockData = true;
+  let reviewElements = [];
+  for (const selector of selectors) {
+    const elements = document.querySelectorAll(selector);
+    if (elements.length > 0) {
+      reviewElements = elements;
+      console.log(`Found ${elements.length} reviews with selector: ${selector}`);
+      break;
+    }
+  }
   
-  if (useMockData) {
-    console.log("G2 is currently blocking scrapers - using demo data for testing purposes");
-    const filteredMockReviews = mockData.filter(review => {
-      const reviewDate = parseDate(review.date);
-      if (!reviewDate) return false;
-      return reviewDate >= startDate && reviewDate <= endDate;
-    });
+  reviewElements.forEach(reviewElement => {
+    // Try multiple selectors for each review component
+    const titleSelectors = ['.review__title', '.snippet__title', 'h3', '.c-midnight-80.weight-semibold'];
+    const ratingSelectors = ['.stars-snapshot', '.snippet__stars', '.stars', '.stars--medium'];
+    const textSelectors = ['.review__text', '.review-content', '.snippet__text', '.pre-wrap'];
+    const dateSelectors = ['.review__date', '.snippet__date', 'time', '.font-small.c-slate-60'];
     
-    return {
-      success: true,
-      data: filteredMockReviews,
-      note: "Using demo data as G2 is currently blocking web scrapers. In a production environment, you would need to implement more advanced scraping techniques or use an official API."
+    // Selector that matched each field, or null when the field fell back to its default
+    const selectorMatches = {};
+
+    // Find the first matching element for each component
+    const findText = (selectors, field) => {
+      for (const selector of selectors) {
+        const element = reviewElement.querySelector(selector);
+        if (element && element.innerText?.trim()) {
+          if (field) selectorMatches[field] = selector;
+          return element.innerText.trim();
+        }
+      }
+      if (field) selectorMatches[field] = null;
+      return '';
     };
-  }
-  
-  const browser = await puppeteer.launch({
-    headless: false, // Using non-headless mode to avoid detection
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-features=site-per-process',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process'
-    ],
-    ignoreHTTPSErrors: true
+    
+    const title = findText(titleSelectors, 'title') || 'No Title';
+    
+    // Rating might be in an attribute or as text
+    let rating = null;
+    selectorMatches.rating = null;
+    for (const selector of ratingSelectors) {
+      const element = reviewElement.querySelector(selector);
+      if (element) {
+        const dataRating = element.getAttribute('data-rating');
+        if (dataRating) {
+          rating = parseFloat(dataRating);
+          selectorMatches.rating = selector;
+          break;
+        }
+        // Try to extract from text like "4.5 Stars" or similar
+        const ratingText = element.innerText?.trim();
+        if (ratingText) {
+          const match = ratingText.match(/([0-9]\.[0-9]|[0-5])/); 
+          if (match) {
+            rating = parseFloat(match[0]);
+            selectorMatches.rating = selector;
+            break;
+          }
+        }
+      }
+    }
+    
+    // G2 asks reviewers a set of questions; sort the answers into sections by
+    // their headings. Reviews without headed sections are all body.
+    const sections = { body: [], pros: [], cons: [], recommendations: [] };
+    reviewElement.querySelectorAll('.review__section').forEach(sectionElement => {
+      const heading = sectionElement.querySelector('h5, .review__section-title')?.innerText?.trim() || '';
+      const textElement = sectionElement.querySelector('.review__section-text, p');
+      const text = textElement?.innerText?.trim();
+      if (!text) return;
+
+      if (/like best/i.test(heading)) {
+        sections.pros.push(text);
+      } else if (/dislike/i.test(heading)) {
+        sections.cons.push(text);
+      } else if (/recommendation/i.test(heading)) {
+        sections.recommendations.push(text);
+      } else {
+        sections.body.push(text);
+      }
+    });
+    const joinSection = (texts) => texts.length > 0 ? texts.join('\n\n') : null;
+    const hasSections = Object.values(sections).some(texts => texts.length > 0);
+    const body = hasSections ? joinSection(sections.body) : (findText(textSelectors, 'body') || null);
+    if (hasSections) selectorMatches.body = '.review__section';
+    const vendorResponse = findText(['.review__vendor-response', '.vendor-response']) || null;
+    const dateText = findText(dateSelectors, 'date') || '';
+    
+    // Try multiple selectors for reviewer information
+    const nameSelectors = [
+      '.review__author-name', 
+      '.reviewer-info__detail-name', 
+      '.snippet__author',
+      '.c-midnight-100.weight-semibold'
+    ];
+    
+    const infoSelectors = [
+      '.review__author-company', 
+      '.reviewer-info__detail-info',
+      '.snippet__reviewer-info',
+      '.c-slate-60.font-small'
+    ];
+    
+    const reviewerName = findText(nameSelectors, 'reviewerName') || 'Anonymous';
+    const reviewerInfo = findText(infoSelectors, 'reviewerInfo') || '';
+    
+    reviews.push({
+      title,
+      body,
+      pros: joinSection(sections.pros),
+      cons: joinSection(sections.cons),
+      recommendations: joinSection(sections.recommendations),
+      vendorResponse,
+      date: dateText,
+      rating,
+      reviewer: {
+        name: reviewerName,
+        info: reviewerInfo
+      },
+      source: 'G2',
+      selectorMatches
+    });
   });
   
+  return reviews;
+}
+
+/**
+ * Scrapes reviews from G2 for a specific company
+ * @param {string} companyName - The name of the company to search for
+ * @param {Date} startDate - Start of the requested range; paging stops at older pages
+ * @param {Date} endDate - End of the requested range; reviews are filtered by date once
+ *   normalized (see runModes.js)
+ * @param {number} maxPages - Maximum number of pages to scrape (default: 10)
+ * @param {Object} options - Optional { signal, onProgress, onEvent } for cancellation and progress
+ *   reporting (onEvent receives navigating, page, items and warning events),
+ *   { baseUrl } to scrape a mirror of the site instead of https://www.g2.com, and
+ *   { artifacts } to choose when debug artifacts are captured (see utils/artifacts.js)
+ * @returns {Object} - { success, data, selectorStats } where selectorStats tallies the
+ *   selectors each field matched, or { success: false, error, code } with an error code
+ *   from utils/errors.js
+ */
+async function scrapeG2Reviews(companyName, startDate, endDate, maxPages = 10, options = {}) {
+  const { signal, onProgress, onEvent } = options;
+  const baseUrl = options.baseUrl || G2_BASE_URL;
+  throwIfAborted(signal);
+
+  logger.info('Scraping G2', { companyName, startDate: startDate.toISOString().split('T')[0], endDate: endDate.toISOString().split('T')[0] });
+  
+  const { page, release } = await acquirePage({ signal });
+  const capture = watchPage(page, 'g2', { mode: options.artifacts, signal });
+  
   try {
-    const page = await browser.newPage();
-    
     // Make browser look more like a real user
     await page.setViewport({ width: 1280, height: 800 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36');
     
     // Additional settings to avoid detection
     await page.evaluateOnNewDocument(() => {
@@ -147,18 +226,26 @@ async function scrapeG2Reviews(companyName, startDate, endDate, maxPages = 10) {
     // Try multiple URL formats for G2
     const formattedCompany = companyName.toLowerCase().replace(/\s+/g, '-');
     const possibleUrls = [
-      `https://www.g2.com/products/${formattedCompany}/reviews`,
-      `https://www.g2.com/products/${formattedCompany}`,
-      `https://www.g2.com/search?query=${encodeURIComponent(companyName)}`
+      withNewestFirst(`${baseUrl}/products/${formattedCompany}/reviews`, NEWEST_FIRST_PARAMS),
+      `${baseUrl}/products/${formattedCompany}`,
+      `${baseUrl}/search?query=${encodeURIComponent(companyName)}`
     ];
     
     let foundValidPage = false;
-    let searchUrl = possibleUrls[0];
     
     // Try each URL format until we find a valid page
     for (const url of possibleUrls) {
-      console.log(`Trying URL: ${url}`);
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 }).catch(e => console.log(`Navigation error: ${e.message}`));
+      logger.debug('Trying G2 URL', { url });
+      onEvent?.('navigating', { url });
+      try {
+        await politeGoto(page, url, { waitUntil: 'networkidle2', timeout: 30000 }, signal);
+      } catch (error) {
+        // A 4xx means G2 has no page at this URL, so try the next format;
+        // timeouts, connection failures and block pages fail the scrape
+        if (error.code !== 'HTTP_CLIENT_ERROR') throw error;
+        logger.debug('G2 URL not available', { url, status: error.details.status });
+        continue;
+      }
       
       // Check if we're on a valid page with reviews
       const hasReviews = await page.evaluate(() => {
@@ -168,132 +255,65 @@ async function scrapeG2Reviews(companyName, startDate, endDate, maxPages = 10) {
       
       if (hasReviews) {
         foundValidPage = true;
-        searchUrl = url;
-        console.log(`Found valid page with reviews: ${url}`);
+        logger.debug('Found G2 page with reviews', { url });
         break;
       }
+      await assertNotBlocked(page, url);
     }
     
     if (!foundValidPage) {
-      console.log(`Could not find reviews for "${companyName}" on G2`);
-      return { success: false, error: `Reviews not found for "${companyName}" on G2` };
+      logger.warn('Could not find reviews on G2', { companyName });
+      const error = `Reviews not found for "${companyName}" on G2`;
+      await capture.finish({ failed: true, reason: error });
+      return { success: false, error, code: 'PRODUCT_NOT_FOUND' };
     }
     
-    // Take screenshot for debugging
-    await page.screenshot({ path: './g2-debug.png' });
-    console.log(`Saved screenshot to g2-debug.png`);
-    
     const allReviews = [];
+    const selectorStats = createSelectorStats();
     let currentPage = 1;
     let hasNextPage = true;
+    let sortedNewestFirst = false;
     
     // Scrape reviews from each page
     while (hasNextPage && currentPage <= maxPages) {
-      console.log(`Scraping G2 page ${currentPage} for ${companyName}`);
+      throwIfAborted(signal);
+      logger.info('Scraping G2 page', { companyName, page: currentPage });
+      onProgress?.({ stage: 'scraping', page: currentPage });
       
-      // Extract reviews from current page with more robust selectors
-      const pageReviews = await page.evaluate(() => {
-        const reviews = [];
-        
-        // Try multiple selectors for review elements (G2 changes their layout frequently)
-        const selectors = [
-          '.review', 
-          '.snippet__review',
-          '.paper--box.margin-bottom-md',
-          '.paper.container-border-bottom.margin-bottom-md'
-        ];
-        
-        let reviewElements = [];
-        for (const selector of selectors) {
-          const elements = document.querySelectorAll(selector);
-          if (elements.length > 0) {
-            reviewElements = elements;
-            console.log(`Found ${elements.length} reviews with selector: ${selector}`);
-            break;
-          }
-        }
-        
-        reviewElements.forEach(reviewElement => {
-          // Try multiple selectors for each review component
-          const titleSelectors = ['.review__title', '.snippet__title', 'h3', '.c-midnight-80.weight-semibold'];
-          const ratingSelectors = ['.stars-snapshot', '.snippet__stars', '.stars', '.stars--medium'];
-          const textSelectors = ['.review__text', '.review-content', '.snippet__text', '.pre-wrap'];
-          const dateSelectors = ['.review__date', '.snippet__date', 'time', '.font-small.c-slate-60'];
-          
-          // Find the first matching element for each component
-          const findText = (selectors) => {
-            for (const selector of selectors) {
-              const element = reviewElement.querySelector(selector);
-              if (element && element.innerText?.trim()) {
-                return element.innerText.trim();
-              }
-            }
-            return '';
-          };
-          
-          const title = findText(titleSelectors) || 'No Title';
-          
-          // Rating might be in an attribute or as text
-          let rating = 0;
-          for (const selector of ratingSelectors) {
-            const element = reviewElement.querySelector(selector);
-            if (element) {
-              const dataRating = element.getAttribute('data-rating');
-              if (dataRating) {
-                rating = parseFloat(dataRating);
-                break;
-              }
-              // Try to extract from text like "4.5 Stars" or similar
-              const ratingText = element.innerText?.trim();
-              if (ratingText) {
-                const match = ratingText.match(/([0-9]\.[0-9]|[0-5])/); 
-                if (match) {
-                  rating = parseFloat(match[0]);
-                  break;
-                }
-              }
-            }
-          }
-          
-          const reviewText = findText(textSelectors) || 'No review text available';
-          const dateText = findText(dateSelectors) || '';
-          
-          // Try multiple selectors for reviewer information
-          const nameSelectors = [
-            '.review__author-name', 
-            '.reviewer-info__detail-name', 
-            '.snippet__author',
-            '.c-midnight-100.weight-semibold'
-          ];
-          
-          const infoSelectors = [
-            '.review__author-company', 
-            '.reviewer-info__detail-info',
-            '.snippet__reviewer-info',
-            '.c-slate-60.font-small'
-          ];
-          
-          const reviewerName = findText(nameSelectors) || 'Anonymous';
-          const reviewerInfo = findText(infoSelectors) || '';
-          
-          reviews.push({
-            title,
-            description: reviewText,
-            date: dateText,
-            rating,
-            reviewer: {
-              name: reviewerName,
-              info: reviewerInfo
-            },
-            source: 'G2'
-          });
-        });
-        
-        return reviews;
-      });
+      // Extract reviews from current page with more robust selectors; an
+      // empty first page is reloaded and read again before it counts
+      const extracted = currentPage === 1
+        ? await extractWithRetry(page, () => page.evaluate(extractG2Reviews), {
+          reload: () => politeGoto(page, page.url(), { waitUntil: 'networkidle2', timeout: 30000 }, signal),
+          signal,
+          onRetry: () => onEvent?.('warning', { message: 'No reviews found on page 1, reloading it', page: 1 })
+        })
+        : await page.evaluate(extractG2Reviews);
+      await recordSnapshot('g2', companyName, currentPage, page);
+      const pageReviews = withDescriptions(recordSelectorMatches(selectorStats, extracted));
       
       // Add reviews to our collection
       allReviews.push(...pageReviews);
+      onProgress?.({ stage: 'scraping', page: currentPage, items: allReviews.length });
+      onEvent?.('page', { page: currentPage, items: pageReviews.length, total: allReviews.length });
+      onEvent?.('items', { page: currentPage, items: pageReviews });
+      
+      // Only stop early when the site kept the newest-first sort; product and
+      // search pages, and a reviews URL that lost its sort, keep the site's order
+      if (currentPage === 1) {
+        sortedNewestFirst = isSortedNewestFirst(page.url(), NEWEST_FIRST_PARAMS, pageReviews);
+        if (!sortedNewestFirst) {
+          logger.warn('Reviews are not sorted newest first, reading every page', { url: page.url() });
+          onEvent?.('warning', { message: 'G2 did not sort reviews newest first; reading every page up to maxPages' });
+        }
+      }
+      
+      // Reviews are newest first, so once a whole page predates the range
+      // the remaining pages do too
+      if (sortedNewestFirst && isPageOlderThan(pageReviews, startDate)) {
+        logger.info('Page is older than the start date, stopping', { page: currentPage });
+        break;
+      }
       
       // Check for multiple pagination formats
       hasNextPage = await page.evaluate(() => {
@@ -317,13 +337,17 @@ async function scrapeG2Reviews(companyName, startDate, endDate, maxPages = 10) {
       
       // Go to next page if available
       if (hasNextPage.hasNext && currentPage < maxPages) {
-        console.log(`Navigating to page ${currentPage + 1} using selector: ${hasNextPage.selector}`);
+        logger.debug('Navigating to the next page', { page: currentPage + 1, selector: hasNextPage.selector });
+        const releaseHost = await beforeNextPage(page, hasNextPage.selector, signal);
         try {
+          if (!releaseHost) {
+            throw new Error('next page is disallowed by robots.txt');
+          }
           await Promise.all([
             page.click(hasNextPage.selector),
             page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 })
           ]).catch(async (error) => {
-            console.log(`Navigation error: ${error.message}. Trying alternate approach...`);
+            logger.warn('Navigation error, trying alternate approach', { error });
             // Try scrolling and clicking again
             await page.evaluate((selector) => {
               const element = document.querySelector(selector);
@@ -336,34 +360,44 @@ async function scrapeG2Reviews(companyName, startDate, endDate, maxPages = 10) {
           });
           currentPage++;
         } catch (error) {
-          console.error(`Failed to navigate to next page: ${error.message}`);
+          logger.warn('Failed to navigate to the next page', { error });
+          onEvent?.('warning', { message: `Could not open page ${currentPage + 1}: ${error.message}`, page: currentPage + 1 });
           hasNextPage = { hasNext: false };
+        } finally {
+          releaseHost?.();
         }
       } else {
         hasNextPage = { hasNext: false };
       }
     }
     
-    // Filter reviews by date
-    const filteredReviews = allReviews.filter(review => {
-      // Parse the review date
-      const reviewDate = parseDate(review.date);
-      
-      // Skip reviews where we couldn't parse the date
-      if (!reviewDate) return false;
-      
-      // Apply date filters
-      return reviewDate >= startDate && reviewDate <= endDate;
-    });
-    
-    console.log(`Found ${filteredReviews.length} reviews for ${companyName} on G2 within the specified date range`);
-    return { success: true, data: filteredReviews };
+    // Reviews are filtered by date once normalized (see runModes.js), so
+    // undated ones reach validation
+    logger.info('Scraped G2 reviews', { companyName, reviews: allReviews.length });
+    await capture.finish({ failed: allReviews.length === 0, reason: allReviews.length === 0 ? 'No reviews matched on the review pages' : null });
+    return { success: true, data: allReviews, selectorStats };
   } catch (error) {
-    console.error(`Error scraping G2 reviews for ${companyName}:`, error);
-    return { success: false, error: error.message };
+    logger.error('Error scraping G2 reviews', { companyName, error });
+    await capture.finish({ failed: true, reason: error.message });
+    return { success: false, error: error.message, code: error.code || null };
   } finally {
-    await browser.close();
+    await release();
   }
 }
 
-module.exports = { scrapeG2Reviews };
+/**
+ * Review source definition for the source registry
+ */
+const g2Source = {
+  name: 'g2',
+  label: 'G2',
+  capabilities: {
+    pagination: true,
+    dateSorting: true,
+    prosCons: true
+  },
+  extractReviews: extractG2Reviews,
+  scrape: (query, options = {}) => scrapeG2Reviews(query.companyName, query.startDate, query.endDate, options.maxPages, options)
+};
+
+module.exports = { scrapeG2Reviews, extractG2Reviews, g2Source };
@@ -0,0 +1,59 @@
+const { parseDate } = require('../utils/dateUtils');
+
+/**
+ * Helpers that let review scrapers stop early. Scrapers ask the site for
+ * newest-first ordering; once a whole page is older than the start date,
+ * every later page is too, so pagination can stop there.
+ */
+
+/**
+ * Adds newest-first sorting parameters to a review page URL
+ * @param {string} url - Review page URL
+ * @param {Object} params - Query parameters the site uses, e.g. { order: 'most_recent' }
+ * @returns {string} - URL with the parameters set
+ */
+function withNewestFirst(url, params) {
+  const sorted = new URL(url);
+  Object.entries(params).forEach(([key, value]) => sorted.searchParams.set(key, value));
+  return sorted.toString();
+}
+
+/**
+ * Checks that a site applied the newest-first sort it was asked for: the page
+ * URL still carries the sort parameters (a redirect may drop them) and the
+ * page's dated reviews are in descending order. Scrapers only stop early when
+ * it did, since an ignored sort leaves in-range reviews on later pages.
+ * @param {string} url - URL of the first review page, as loaded
+ * @param {Object} params - Sort parameters that were requested
+ * @param {Array} pageReviews - Reviews extracted from that page
+ * @returns {boolean} - True when the reviews are sorted newest first
+ */
+function isSortedNewestFirst(url, params, pageReviews) {
+  const { searchParams } = new URL(url);
+  if (!Object.entries(params).every(([key, value]) => searchParams.get(key) === value)) return false;
+
+  const dates = pageReviews.map(review => parseDate(review.date)).filter(Boolean);
+  return dates.every((date, index) => index === 0 || date <= dates[index - 1]);
+}
+
+/**
+ * Checks whether every review on a page predates the start date. Pages with
+ * undated reviews are never considered older, so they don't end a scrape.
+ * @param {Array} pageReviews - Reviews extracted from one page
+ * @param {Date} startDate - Start of the requested range
+ * @returns {boolean} - True when pagination can stop
+ */
+function isPageOlderThan(pageReviews, startDate) {
+  if (pageReviews.length === 0) return false;
+
+  return pageReviews.every(review => {
+    const reviewDate = parseDate(review.date);
+    return reviewDate !== null && reviewDate < startDate;
+  });
+}
+
+module.exports = {
+  withNewestFirst,
+  isSortedNewestFirst,
+  isPageOlderThan
+};
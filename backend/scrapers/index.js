@@ -0,0 +1,44 @@
+const path = require('path');
+const registry = require('./registry');
+const { resolveSources, scrapeSources } = require('./aggregate');
+const { RUN_MODES, DEFAULT_RUN_MODE, resolveRunMode } = require('./runModes');
+const { g2Source } = require('./g2Scraper');
+const { capterraSource } = require('./capterraScraper');
+const { trustRadiusSource } = require('./trustRadiusScraper');
+const { logger } = require('../utils/logger');
+
+// Built-in review sources
+registry.registerSource(g2Source);
+registry.registerSource(capterraSource);
+registry.registerSource(trustRadiusSource);
+
+/**
+ * Loads additional review sources from a comma-separated list of module paths
+ * (relative paths are resolved from the backend directory). Each module must
+ * export a source definition, either directly or as `source`.
+ * @param {string} modulePaths - e.g. "./internal/acmeSource.js,./internal/other.js"
+ */
+function loadExternalSources(modulePaths) {
+  if (!modulePaths) return;
+
+  modulePaths.split(',')
+    .map(modulePath => modulePath.trim())
+    .filter(Boolean)
+    .forEach(modulePath => {
+      const resolved = path.resolve(__dirname, '..', modulePath);
+      const exported = require(resolved);
+      registry.registerSource(exported.source || exported);
+      logger.info('Registered review source', { path: resolved });
+    });
+}
+
+loadExternalSources(process.env.REVIEW_SOURCE_MODULES);
+
+module.exports = {
+  ...registry,
+  resolveSources,
+  scrapeSources,
+  RUN_MODES,
+  DEFAULT_RUN_MODE,
+  resolveRunMode
+};
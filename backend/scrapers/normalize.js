@@ -0,0 +1,127 @@
+const { parseDateDetailed, formatDate } = require('../utils/dateUtils');
+const { toReviewId } = require('../db/reviewStore');
+const { DEFAULT_RATING_SCALE } = require('./registry');
+const { withDescriptions } = require('./reviewSections');
+const { validateReview } = require('./reviewSchema');
+
+/**
+ * Turns the reviews a source extracted into the canonical review shape
+ * (see reviewSchema.js):
+ *   - `date` is an ISO-8601 calendar date, read with the source's locale and
+ *     with relative dates counted back from `scrapedAt`; the text the site
+ *     showed is kept in `dateText`
+ *   - `rating` is out of 5; `originalRating` and `ratingScale` keep the
+ *     site's own value and scale. Unknown ratings are null, never 0.
+ *   - `source` is the registered source name and `id` a stable content hash
+ *
+ * Normalizing an already normalized review (e.g. one replayed from the
+ * review store) gives the same review.
+ */
+
+// Fields set by the normalizer; everything else on a review is kept as is
+const CANONICAL_FIELDS = [
+  'id', 'source', 'title', 'description', 'body', 'pros', 'cons', 'recommendations', 'vendorResponse',
+  'date', 'dateText', 'datePrecision', 'dateConfidence', 'rating', 'originalRating', 'ratingScale',
+  'reviewer', 'scrapedAt'
+];
+
+/**
+ * Reads a rating as the site gave it
+ * @param {*} value - Extracted rating
+ * @returns {number|null} - The rating, or null when unknown. No source rates
+ *   below one star, so 0 (what the scrapers used for a missing rating) is unknown.
+ */
+function toOriginalRating(value) {
+  const rating = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof rating === 'number' && Number.isFinite(rating) && rating > 0 ? rating : null;
+}
+
+/**
+ * Normalizes one extracted review and validates it
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {string} companyName - Company the review belongs to
+ * @param {Object} record - Review as extracted (or as previously normalized)
+ * @param {Object} options - { scrapedAt }: when the review's page was read,
+ *   unless the record carries its own `scrapedAt` (default: now)
+ * @returns {Object} - { review, errors } where `errors` lists schema violations
+ */
+function normalizeReview(reviewSource, companyName, record, options = {}) {
+  const [sectioned] = withDescriptions([record]);
+
+  // Reviews stored before scrape times were recorded fall back to when they were first seen
+  const scrapedAt = new Date(record.scrapedAt || record.firstSeenAt || options.scrapedAt || Date.now());
+  const dateText = String((record.dateText ?? record.date) || '').trim();
+  const parsedDate = parseDateDetailed(dateText, {
+    locale: reviewSource.locale,
+    timeZone: reviewSource.timeZone || undefined,
+    referenceDate: scrapedAt
+  });
+
+  const originalRating = toOriginalRating('originalRating' in record ? record.originalRating : record.rating);
+  const ratingScale = reviewSource.ratingScale || DEFAULT_RATING_SCALE;
+  const rating = originalRating === null ? null : Math.round(originalRating * 5 / ratingScale * 100) / 100;
+
+  const review = {
+    source: reviewSource.name,
+    title: String(sectioned.title || '').trim(),
+    description: sectioned.description,
+    body: sectioned.body,
+    pros: sectioned.pros,
+    cons: sectioned.cons,
+    recommendations: sectioned.recommendations,
+    vendorResponse: sectioned.vendorResponse,
+    date: parsedDate ? formatDate(parsedDate.date) : null,
+    dateText,
+    datePrecision: parsedDate ? parsedDate.precision : null,
+    dateConfidence: parsedDate ? parsedDate.confidence : null,
+    rating,
+    originalRating,
+    ratingScale,
+    reviewer: {
+      name: String(record.reviewer?.name || '').trim(),
+      info: String(record.reviewer?.info || '').trim()
+    },
+    scrapedAt: scrapedAt.toISOString()
+  };
+
+  const extra = { ...record };
+  CANONICAL_FIELDS.forEach(field => delete extra[field]);
+
+  const normalized = {
+    id: toReviewId(companyName, { ...review, date: review.date || dateText }),
+    ...review,
+    ...extra
+  };
+
+  return { review: normalized, errors: validateReview(normalized) };
+}
+
+/**
+ * Normalizes a source's reviews, setting aside the ones that fail validation
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {string} companyName - Company the reviews belong to
+ * @param {Array} records - Reviews as extracted
+ * @param {Object} options - { scrapedAt } (see normalizeReview)
+ * @returns {Object} - { reviews, invalid } where `invalid` holds
+ *   { record, errors } for every review that failed validation
+ */
+function normalizeReviews(reviewSource, companyName, records, options = {}) {
+  const reviews = [];
+  const invalid = [];
+
+  records.forEach(record => {
+    const { review, errors } = normalizeReview(reviewSource, companyName, record, options);
+    if (errors.length > 0) {
+      invalid.push({ record, errors });
+    } else {
+      reviews.push(review);
+    }
+  });
+
+  return { reviews, invalid };
+}
+
+module.exports = {
+  normalizeReview,
+  normalizeReviews
+};
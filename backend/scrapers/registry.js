@@ -0,0 +1,118 @@
+/**
+ * Registry of review sources available to the /scrape-reviews endpoint.
+ *
+ * Every source registers a definition with a common contract:
+ *   {
+ *     name: 'g2',                  // unique id used in API requests
+ *     label: 'G2',                 // human readable name
+ *     capabilities: {              // what the scraper supports
+ *       pagination: true,
+ *       dateSorting: false,
+ *       prosCons: false
+ *     },
+ *     ratingScale: 5,              // highest rating the site gives (default 5)
+ *     locale: 'en-US',             // how the site writes dates (default en-US)
+ *     timeZone: 'UTC',             // optional zone the site shows dates in
+ *     extractReviews: () => [...], // optional in-page extraction, used by replay
+ *     scrape: async (query, options) => ({ success, data, error, note, selectorStats })
+ *   }
+ *
+ * `query` is `{ companyName, startDate, endDate }` and `options` carries
+ * tuning knobs such as `maxPages`, an AbortSignal (`signal`), a progress
+ * callback (`onProgress`) and an event callback (`onEvent(type, data)`) for
+ * streaming clients; the event types are listed in jobs/jobManager.js.
+ * Scrapers may use the dates to stop paginating early but return every
+ * review they read: the run modes filter by date after normalization, so
+ * reviews whose date cannot be read are reported as invalid.
+ * Browser-based scrapers should also honour `artifacts`, the job's capture
+ * mode for debug artifacts (see utils/artifacts.js).
+ *
+ * Scrapers with fallback selector chains can return `selectorStats` (see
+ * scrapers/selectorStats.js) so live runs are checked for layout drift.
+ */
+
+const DEFAULT_CAPABILITIES = {
+  pagination: false,
+  dateSorting: false,
+  prosCons: false
+};
+
+const DEFAULT_RATING_SCALE = 5;
+const DEFAULT_LOCALE = 'en-US';
+
+const sources = new Map();
+
+/**
+ * Registers a review source
+ * @param {Object} definition - Source definition (see module docs)
+ * @returns {Object} - The registered definition
+ */
+function registerSource(definition) {
+  if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+    throw new Error('Review source must have a name');
+  }
+  if (typeof definition.scrape !== 'function') {
+    throw new Error(`Review source "${definition.name}" must provide a scrape(query, options) function`);
+  }
+
+  const name = definition.name.trim().toLowerCase();
+  if (sources.has(name)) {
+    throw new Error(`Review source "${name}" is already registered`);
+  }
+
+  const source = {
+    name,
+    label: definition.label || definition.name,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities },
+    ratingScale: definition.ratingScale || DEFAULT_RATING_SCALE,
+    locale: definition.locale || DEFAULT_LOCALE,
+    timeZone: definition.timeZone || null,
+    extractReviews: definition.extractReviews,
+    scrape: definition.scrape
+  };
+
+  sources.set(name, source);
+  return source;
+}
+
+/**
+ * Removes a review source from the registry
+ * @param {string} name - Name of the source
+ * @returns {boolean} - True if a source was removed
+ */
+function unregisterSource(name) {
+  if (!name) return false;
+  return sources.delete(name.toLowerCase());
+}
+
+/**
+ * Looks up a review source by name (case-insensitive)
+ * @param {string} name - Name of the source
+ * @returns {Object|null} - Source definition or null if unknown
+ */
+function getSource(name) {
+  if (!name || typeof name !== 'string') return null;
+  return sources.get(name.trim().toLowerCase()) || null;
+}
+
+/**
+ * Lists the registered sources without their scrape functions
+ * @returns {Array} - Array of { name, label, capabilities, ratingScale, locale }
+ */
+function listSources() {
+  return Array.from(sources.values()).map(({ name, label, capabilities, ratingScale, locale }) => ({
+    name,
+    label,
+    capabilities: { ...capabilities },
+    ratingScale,
+    locale
+  }));
+}
+
+module.exports = {
+  DEFAULT_RATING_SCALE,
+  registerSource,
+  unregisterSource,
+  getSource,
+  listSources
+};
@@ -0,0 +1,135 @@
+const Ajv = require('ajv');
+const { listSources } = require('./registry');
+
+/**
+ * JSON Schema of a normalized review, as returned by every source after
+ * normalizeReviews and published at GET /reviews/schema.
+ *
+ * The `source` enum lists the registered sources, so the schema is built on
+ * demand rather than kept as a static file.
+ */
+
+const ISO_DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+const nullableString = { type: ['string', 'null'] };
+
+let compiled = null;
+
+/**
+ * Builds the review schema for the currently registered sources
+ * @returns {Object} - JSON Schema (draft-07)
+ */
+function buildReviewSchema() {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Review',
+    description: 'A normalized review from one of the registered review sources',
+    type: 'object',
+    required: [
+      'id', 'source', 'title', 'description', 'body', 'pros', 'cons', 'recommendations', 'vendorResponse',
+      'date', 'dateText', 'datePrecision', 'dateConfidence', 'rating', 'originalRating', 'ratingScale',
+      'reviewer', 'scrapedAt'
+    ],
+    properties: {
+      id: {
+        type: 'string',
+        pattern: '^[0-9a-f]{64}$',
+        description: 'Stable content hash of the source, product, reviewer, date and title'
+      },
+      source: {
+        type: 'string',
+        enum: listSources().map(({ name }) => name),
+        description: 'Name of the source the review came from'
+      },
+      title: { type: 'string' },
+      description: {
+        type: 'string',
+        description: 'The body, pros, cons and recommendations rendered as one text'
+      },
+      body: nullableString,
+      pros: nullableString,
+      cons: nullableString,
+      recommendations: nullableString,
+      vendorResponse: nullableString,
+      date: {
+        type: 'string',
+        pattern: ISO_DATE_PATTERN,
+        description: 'Review date as an ISO-8601 calendar date'
+      },
+      dateText: {
+        type: 'string',
+        description: 'The date as the source showed it'
+      },
+      datePrecision: {
+        enum: ['day', 'month'],
+        description: 'Whether the source gave the day or only the month'
+      },
+      dateConfidence: {
+        enum: ['high', 'medium', 'low'],
+        description: 'medium when day and month could be swapped, low for rounded relative dates'
+      },
+      rating: {
+        type: ['number', 'null'],
+        minimum: 0,
+        maximum: 5,
+        description: 'Rating out of 5, or null when the source showed none'
+      },
+      originalRating: {
+        type: ['number', 'null'],
+        minimum: 0,
+        description: 'Rating on the source\'s own scale'
+      },
+      ratingScale: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        description: 'Highest rating the source gives'
+      },
+      reviewer: {
+        type: 'object',
+        required: ['name', 'info'],
+        properties: {
+          name: { type: 'string' },
+          info: { type: 'string' }
+        }
+      },
+      scrapedAt: {
+        type: 'string',
+        description: 'When the review\'s page was read; relative dates count back from it'
+      }
+    }
+  };
+}
+
+/**
+ * Returns the validator for the current schema, recompiling it when the
+ * registered sources have changed
+ * @returns {Function} - Ajv validate function
+ */
+function getValidator() {
+  const sourceKey = listSources().map(({ name }) => name).join(',');
+  if (!compiled || compiled.sourceKey !== sourceKey) {
+    const ajv = new Ajv({ allErrors: true });
+    compiled = { sourceKey, validate: ajv.compile(buildReviewSchema()) };
+  }
+  return compiled.validate;
+}
+
+/**
+ * Validates a normalized review against the schema
+ * @param {Object} review - Normalized review
+ * @returns {Array} - Error messages; empty when the review is valid
+ */
+function validateReview(review) {
+  const validate = getValidator();
+  if (validate(review)) return [];
+
+  return validate.errors.map(error => {
+    const field = error.instancePath.slice(1).replace(/\//g, '.') || 'review';
+    return `${field} ${error.message}`;
+  });
+}
+
+module.exports = {
+  buildReviewSchema,
+  validateReview
+};
@@ -0,0 +1,64 @@
+/**
+ * Structured review text.
+ *
+ * Scrapers fill whichever sections their site shows:
+ *   body             the main review text
+ *   pros, cons       what the reviewer liked and disliked
+ *   recommendations  the reviewer's advice to others considering the product
+ *   vendorResponse   the vendor's public reply
+ * Missing sections are null. `description` renders the reviewer's own
+ * sections as a single block of text, as reviews had before the split.
+ */
+
+const SECTIONS = ['body', 'pros', 'cons', 'recommendations', 'vendorResponse'];
+
+// Sections rendered into `description` after the body, with their labels
+const LABELLED_SECTIONS = [
+  ['pros', 'Pros'],
+  ['cons', 'Cons'],
+  ['recommendations', 'Recommendations']
+];
+
+const EMPTY_DESCRIPTION = 'No review content available';
+
+/**
+ * Renders a review's sections as one text block
+ * @param {Object} review - Review with structured sections
+ * @returns {string} - e.g. "Main text\n\nPros: ...\n\nCons: ..."
+ */
+function renderDescription(review) {
+  const parts = [review.body, ...LABELLED_SECTIONS.map(([key, label]) => review[key] ? `${label}: ${review[key]}` : null)];
+  return parts.filter(Boolean).join('\n\n') || EMPTY_DESCRIPTION;
+}
+
+/**
+ * Normalizes the sections of freshly extracted reviews and adds the
+ * rendered `description` after the title. A review without any sections
+ * keeps its description as the body.
+ * @param {Array} reviews - Reviews from a source's extraction function
+ * @returns {Array} - New review objects
+ */
+function withDescriptions(reviews) {
+  return reviews.map(({ title, description, ...rest }) => {
+    const sections = {};
+    const others = { ...rest };
+    SECTIONS.forEach(key => {
+      const value = typeof rest[key] === 'string' ? rest[key].trim() : '';
+      sections[key] = value || null;
+      delete others[key];
+    });
+
+    // Sources that only extract a description keep it as the body
+    if (SECTIONS.every(key => sections[key] === null) && typeof description === 'string' && description.trim()) {
+      sections.body = description.trim();
+    }
+
+    return { title, description: renderDescription(sections), ...sections, ...others };
+  });
+}
+
+module.exports = {
+  SECTIONS,
+  renderDescription,
+  withDescriptions
+};
@@ -0,0 +1,252 @@
+const { parseDate, formatDate } = require('../utils/dateUtils');
+const { queryReviews } = require('../db/reviewStore');
+const { getHighWaterMark, recordScrapeRun } = require('../db/scrapeState');
+const { buildDemoReviews } = require('./demoData');
+const { listSnapshots, extractFromSnapshots } = require('./snapshots');
+const { normalizeReviews } = require('./normalize');
+const { checkSelectorHealth, summarizeSelectorHealth } = require('./selectorStats');
+const { logger } = require('../utils/logger');
+
+/**
+ * Run modes decide where a source's reviews come from:
+ *
+ *   live    scrape the source's website; with `incremental`, start from the
+ *           newest review seen by the previous live run
+ *   replay  re-extract recorded page snapshots, or fall back to the reviews
+ *           stored by earlier live scrapes
+ *   demo    generated sample reviews, labelled as demo data
+ *
+ * The mode is chosen per request, defaulting to SCRAPER_RUN_MODE. Whatever
+ * the mode, the reviews are normalized into the canonical review shape.
+ */
+
+const RUN_MODES = ['live', 'replay', 'demo'];
+const DEFAULT_RUN_MODE = (process.env.SCRAPER_RUN_MODE || 'live').toLowerCase();
+
+if (!RUN_MODES.includes(DEFAULT_RUN_MODE)) {
+  throw new Error(`Invalid SCRAPER_RUN_MODE "${process.env.SCRAPER_RUN_MODE}". Choose one of: ${RUN_MODES.join(', ')}`);
+}
+
+// Upper bound on stored reviews replayed per source
+const MAX_STORED_REVIEWS = 10000;
+
+/**
+ * Resolves the requested run mode
+ * @param {string} [mode] - Mode from the request
+ * @returns {string|null} - The mode (the default when none was given), or null when invalid
+ */
+function resolveRunMode(mode) {
+  if (mode === undefined || mode === null || mode === '') return DEFAULT_RUN_MODE;
+
+  const normalized = String(mode).trim().toLowerCase();
+  return RUN_MODES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Keeps the normalized reviews dated within a range
+ * @param {Array} reviews - Normalized reviews, with ISO dates
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @returns {Array} - Reviews within the range
+ */
+function filterByDateRange(reviews, startDate, endDate) {
+  return reviews.filter(review => {
+    const reviewDate = parseDate(review.date);
+    return reviewDate >= startDate && reviewDate <= endDate;
+  });
+}
+
+/**
+ * Wraps a live scraper's onEvent callback so that the reviews it streams in
+ * `items` events are normalized and date-filtered like its final results
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {Object} query - { companyName, startDate, endDate }
+ * @param {Function} [onEvent] - Callback to wrap
+ * @param {Date} scrapedAt - When the scrape started
+ * @returns {Function|undefined} - The wrapped callback
+ */
+function normalizingEvents(reviewSource, query, onEvent, scrapedAt) {
+  if (!onEvent) return undefined;
+
+  return (type, data) => {
+    if (type !== 'items') return onEvent(type, data);
+
+    const { reviews } = normalizeReviews(reviewSource, query.companyName, data.items, { scrapedAt });
+    const items = filterByDateRange(reviews, query.startDate, query.endDate);
+    if (items.length > 0) {
+      onEvent(type, { ...data, items });
+    }
+  };
+}
+
+/**
+ * Produces a source's reviews from recorded snapshots or the review store
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {Object} query - { companyName, startDate, endDate }
+ * @param {Object} options - Optional { signal, onProgress, maxPages }
+ * @returns {Object} - { success, data, note } or { success: false, error }; the
+ *   reviews are not yet filtered by date
+ */
+async function replaySource(reviewSource, query, options = {}) {
+  const { companyName, startDate, endDate } = query;
+
+  const files = reviewSource.extractReviews ? await listSnapshots(reviewSource.name, companyName) : [];
+  if (files.length > 0) {
+    const reviews = await extractFromSnapshots(reviewSource, files, options);
+    return {
+      success: true,
+      data: reviews,
+      note: `Replayed ${files.length} recorded ${reviewSource.label} page(s)`
+    };
+  }
+
+  const recorded = await queryReviews({ company: companyName, source: reviewSource.name, limit: 1 });
+  if (recorded.length === 0) {
+    return {
+      success: false,
+      error: `No recorded pages or stored reviews for "${companyName}" on ${reviewSource.label} to replay`
+    };
+  }
+
+  const stored = await queryReviews({
+    company: companyName,
+    source: reviewSource.name,
+    from: startDate,
+    to: endDate,
+    limit: MAX_STORED_REVIEWS
+  });
+
+  return {
+    success: true,
+    // Older versions stored G2 demo reviews; never replay them as real ones
+    data: stored.filter(review => !/\(Demo Data\)$/.test(review.source || '')),
+    note: `Replayed reviews stored by earlier ${reviewSource.label} scrapes`
+  };
+}
+
+/**
+ * Scrapes a source's website
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {Object} query - { companyName, startDate, endDate }
+ * @param {Object} options - Options for the source; `incremental` skips
+ *   reviews older than the high-water mark, and `scrapedAt` dates the reviews
+ *   streamed through `onEvent`
+ * @returns {Object} - The source's result, plus `since` when the start date
+ *   was moved up to the high-water mark and `selectorHealth` when the source
+ *   reported selector statistics; the reviews are not yet filtered by date
+ */
+async function scrapeLive(reviewSource, query, options = {}) {
+  let liveQuery = query;
+  let since = null;
+
+  if (options.incremental) {
+    const mark = await getHighWaterMark(reviewSource.name, query.companyName);
+    if (mark && mark > query.startDate) {
+      since = mark;
+      liveQuery = { ...query, startDate: mark };
+    }
+  }
+
+  const result = await reviewSource.scrape(liveQuery, {
+    ...options,
+    onEvent: normalizingEvents(reviewSource, liveQuery, options.onEvent, options.scrapedAt)
+  });
+
+  if (!result || !result.success) return result;
+
+  const { selectorStats, ...scraped } = result;
+  if (selectorStats) {
+    scraped.selectorHealth = await assessLayout(reviewSource, query.companyName, selectorStats, options.onEvent);
+  }
+
+  return since ? { ...scraped, since: formatDate(since) } : scraped;
+}
+
+/**
+ * Checks a live scrape's selector statistics for layout drift
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {string} companyName - Company that was scraped
+ * @param {Object} selectorStats - Statistics the source returned
+ * @param {Function} [onEvent] - Receives a warning when the layout drifted
+ * @returns {Object|null} - { layoutDrift, issues, hitRates }, or null when the
+ *   check itself failed
+ */
+async function assessLayout(reviewSource, companyName, selectorStats, onEvent) {
+  try {
+    const health = summarizeSelectorHealth(await checkSelectorHealth(reviewSource, companyName, selectorStats));
+    if (health.layoutDrift) {
+      onEvent?.('warning', {
+        message: `Possible layout drift on ${reviewSource.label}: ${health.issues.map(issue => issue.message).join('; ')}`,
+        layoutDrift: true
+      });
+    }
+    return health;
+  } catch (error) {
+    // A failed check must not fail the scrape
+    logger.error('Could not check selector health', { error });
+    return null;
+  }
+}
+
+/**
+ * Runs a source in the given mode and normalizes its reviews
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {Object} query - { companyName, startDate, endDate }
+ * @param {Object} options - Options for the source, including `mode`
+ * @returns {Object} - The source's result with normalized `data`, the `mode`
+ *   that produced it and, on success, the `invalid` reviews that failed validation
+ */
+async function runSource(reviewSource, query, options = {}) {
+  const mode = resolveRunMode(options.mode);
+  if (!mode) {
+    throw new Error(`Invalid run mode "${options.mode}". Choose one of: ${RUN_MODES.join(', ')}`);
+  }
+
+  const scrapedAt = new Date();
+  let result;
+
+  if (mode === 'demo') {
+    result = {
+      success: true,
+      data: buildDemoReviews(reviewSource, query),
+      note: `Demo data: these are generated sample reviews, not real ${reviewSource.label} reviews.`
+    };
+  } else if (mode === 'replay') {
+    result = await replaySource(reviewSource, query, options);
+  } else {
+    result = await scrapeLive(reviewSource, query, { ...options, scrapedAt });
+  }
+
+  if (!result || !result.success) {
+    return { ...result, mode };
+  }
+
+  const { reviews, invalid } = normalizeReviews(reviewSource, query.companyName, result.data || [], { scrapedAt });
+  if (invalid.length > 0) {
+    logger.warn('Reviews failed validation', { companyName: query.companyName, invalid: invalid.length });
+    options.onEvent?.('warning', { message: `${invalid.length} review(s) failed validation and were left out` });
+  }
+
+  // Reviews are filtered once their dates have been read, so undated ones
+  // are reported as invalid above rather than dropped. An incremental live
+  // run starts from the high-water mark instead of the requested start date.
+  const startDate = result.since ? parseDate(result.since) : query.startDate;
+  const data = filterByDateRange(reviews, startDate, query.endDate);
+
+  if (mode === 'live') {
+    options.onEvent?.('filtered', { scraped: reviews.length, kept: data.length });
+    await recordScrapeRun(reviewSource.name, query.companyName, data);
+  } else if (data.length > 0) {
+    // Live reviews were streamed page by page; the others arrive all at once
+    options.onEvent?.('items', { items: data });
+  }
+
+  return { ...result, data, invalid, mode };
+}
+
+module.exports = {
+  RUN_MODES,
+  DEFAULT_RUN_MODE,
+  resolveRunMode,
+  runSource
+};
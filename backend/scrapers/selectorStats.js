@@ -0,0 +1,212 @@
+const { recordSelectorRun, listSelectorRuns } = require('../db/selectorRunStore');
+const { logger, getLogContext } = require('../utils/logger');
+
+/**
+ * Selector drift detection.
+ *
+ * Review sites change their markup without notice, and the scrapers'
+ * fallback selector chains hide it: when every selector for a field misses,
+ * the field quietly gets its default ('No Title', 'Anonymous', no rating).
+ * So each extraction function reports, per review, the selector that matched
+ * each field (`selectorMatches`, null for a miss). Live scrapes tally those
+ * into per-field hit rates and flag the run as layout drift when
+ *   - a field every review should have (REQUIRED_FIELDS) falls back to its
+ *     default on more reviews than SELECTOR_MIN_HIT_RATE allows, or
+ *   - any field's hit rate drops by more than SELECTOR_MAX_DROP below the
+ *     source's recent healthy runs, or
+ *   - the review pages were read but no reviews matched at all.
+ */
+
+const TRACKED_FIELDS = ['title', 'rating', 'date', 'reviewerName', 'reviewerInfo', 'body'];
+const REQUIRED_FIELDS = ['title', 'rating', 'date', 'reviewerName'];
+
+const MIN_HIT_RATE = parseFloat(process.env.SELECTOR_MIN_HIT_RATE) || 0.8;
+const MAX_DROP = parseFloat(process.env.SELECTOR_MAX_DROP) || 0.25;
+
+// Runs with fewer reviews are recorded, but too small to judge hit rates by
+const MIN_SAMPLE = 5;
+// Healthy runs averaged into a source's baseline
+const BASELINE_RUNS = 10;
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+const round = (rate) => Math.round(rate * 1000) / 1000;
+
+/**
+ * Creates the selector statistics of a scrape
+ * @returns {Object} - { pages, emptyPages, reviews, fields }
+ */
+function createSelectorStats() {
+  return { pages: 0, emptyPages: 0, reviews: 0, fields: {} };
+}
+
+/**
+ * Removes the `selectorMatches` an extraction function added to its reviews
+ * @param {Array} reviews - Extracted reviews
+ * @returns {Array} - New review objects without them
+ */
+function stripSelectorMatches(reviews) {
+  return reviews.map(({ selectorMatches, ...review }) => review);
+}
+
+/**
+ * Adds a page of extracted reviews to a scrape's statistics
+ * @param {Object} stats - Statistics from createSelectorStats
+ * @param {Array} reviews - The page's reviews, with `selectorMatches`
+ * @returns {Array} - The reviews without `selectorMatches`
+ */
+function recordSelectorMatches(stats, reviews) {
+  stats.pages += 1;
+  stats.reviews += reviews.length;
+  if (reviews.length === 0) stats.emptyPages += 1;
+
+  reviews.forEach(({ selectorMatches = {} }) => {
+    TRACKED_FIELDS.filter(field => field in selectorMatches).forEach(field => {
+      const tally = stats.fields[field] || (stats.fields[field] = { matched: 0, missed: 0, selectors: {} });
+      const selector = selectorMatches[field];
+      if (selector) {
+        tally.matched += 1;
+        tally.selectors[selector] = (tally.selectors[selector] || 0) + 1;
+      } else {
+        tally.missed += 1;
+      }
+    });
+  });
+
+  return stripSelectorMatches(reviews);
+}
+
+/**
+ * Averages the hit rates of earlier runs
+ * @param {Array} runs - Runs from the selector run store
+ * @returns {Object|null} - Field -> average hit rate, or null without usable runs
+ */
+function baselineHitRates(runs) {
+  const usable = runs.filter(run => !run.layoutDrift && run.reviews >= MIN_SAMPLE);
+  if (usable.length === 0) return null;
+
+  const baseline = {};
+  TRACKED_FIELDS.forEach(field => {
+    const rates = usable.map(run => run.fields[field]?.hitRate).filter(rate => typeof rate === 'number');
+    if (rates.length > 0) {
+      baseline[field] = round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length);
+    }
+  });
+  return baseline;
+}
+
+/**
+ * Computes a scrape's hit rates and checks them for layout drift
+ * @param {Object} stats - Statistics from recordSelectorMatches
+ * @param {Object|null} baseline - Field -> hit rate of the source's healthy runs
+ * @returns {Object} - { pages, emptyPages, reviews, fields, layoutDrift, issues, checkedAt },
+ *   where `fields` holds { hitRate, matched, missed, selectors } per field and
+ *   `issues` lists { field, hitRate, baseline, message } for each problem
+ */
+function assessSelectorStats(stats, baseline = null) {
+  const fields = {};
+  Object.entries(stats.fields).forEach(([field, { matched, missed, selectors }]) => {
+    fields[field] = { hitRate: round(matched / (matched + missed)), matched, missed, selectors };
+  });
+
+  const issues = [];
+  if (stats.pages > 0 && stats.reviews === 0) {
+    issues.push({ field: null, hitRate: null, baseline: null, message: `No reviews matched on ${stats.pages} page(s)` });
+  }
+
+  if (stats.reviews >= MIN_SAMPLE) {
+    Object.entries(fields).forEach(([field, { hitRate, missed }]) => {
+      const expected = baseline?.[field];
+      if (typeof expected === 'number' && hitRate < expected - MAX_DROP) {
+        issues.push({ field, hitRate, baseline: expected, message: `${field} matched ${percent(hitRate)} of reviews, down from ${percent(expected)}` });
+      } else if (REQUIRED_FIELDS.includes(field) && hitRate < MIN_HIT_RATE) {
+        issues.push({ field, hitRate, baseline: expected ?? null, message: `${field} fell back to its default on ${missed} of ${stats.reviews} reviews` });
+      }
+    });
+  }
+
+  return {
+    pages: stats.pages,
+    emptyPages: stats.emptyPages,
+    reviews: stats.reviews,
+    fields,
+    layoutDrift: issues.length > 0,
+    issues,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Summarizes a report for a job result
+ * @param {Object} report - Report from assessSelectorStats
+ * @returns {Object} - { layoutDrift, issues, hitRates }
+ */
+function summarizeSelectorHealth(report) {
+  const hitRates = {};
+  Object.entries(report.fields).forEach(([field, { hitRate }]) => {
+    hitRates[field] = hitRate;
+  });
+  return { layoutDrift: report.layoutDrift, issues: report.issues, hitRates };
+}
+
+/**
+ * Checks a live scrape's selector statistics against the source's history
+ * and records them
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {string} companyName - Company that was scraped
+ * @param {Object} stats - Statistics from recordSelectorMatches
+ * @returns {Object} - Report from assessSelectorStats
+ */
+async function checkSelectorHealth(reviewSource, companyName, stats) {
+  const history = await listSelectorRuns(reviewSource.name, { limit: BASELINE_RUNS, healthyOnly: true });
+  const report = assessSelectorStats(stats, baselineHitRates(history));
+
+  await recordSelectorRun(reviewSource.name, companyName, report, getLogContext().jobId || null);
+  if (report.layoutDrift) {
+    logger.warn('Layout drift detected', { companyName, issues: report.issues.map(issue => issue.message) });
+  }
+
+  return report;
+}
+
+/**
+ * Builds the health report of a source from its recent runs
+ * @param {Object} reviewSource - Source definition from the registry
+ * @param {number} limit - Number of recent runs to include
+ * @returns {Object} - { source, status, lastCheckedAt, baseline, latest, runs };
+ *   status is "healthy", "layout_drift" (the latest run drifted) or
+ *   "unknown" (no live run has reported selector statistics yet)
+ */
+async function getSourceHealth(reviewSource, limit = 20) {
+  const runs = await listSelectorRuns(reviewSource.name, { limit });
+  const history = await listSelectorRuns(reviewSource.name, { limit: BASELINE_RUNS, healthyOnly: true });
+  const [latest = null] = runs;
+
+  let status = 'unknown';
+  if (latest) status = latest.layoutDrift ? 'layout_drift' : 'healthy';
+
+  return {
+    source: reviewSource.name,
+    status,
+    lastCheckedAt: latest ? latest.checkedAt : null,
+    baseline: baselineHitRates(history),
+    latest,
+    runs: runs.map(run => ({
+      checkedAt: run.checkedAt,
+      product: run.product,
+      jobId: run.jobId,
+      pages: run.pages,
+      reviews: run.reviews,
+      ...summarizeSelectorHealth(run)
+    }))
+  };
+}
+
+module.exports = {
+  createSelectorStats,
+  recordSelectorMatches,
+  stripSelectorMatches,
+  assessSelectorStats,
+  summarizeSelectorHealth,
+  checkSelectorHealth,
+  getSourceHealth
+};
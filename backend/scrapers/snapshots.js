@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { toProductKey } = require('../db/reviewStore');
+const { acquirePage } = require('../utils/browserPool');
+const { throwIfAborted } = require('../utils/cancellation');
+const { withDescriptions } = require('./reviewSections');
+const { stripSelectorMatches } = require('./selectorStats');
+const { logger } = require('../utils/logger');
+
+/**
+ * Recorded review pages for `replay` runs.
+ *
+ * With RECORD_SNAPSHOTS=true, live scrapes save the HTML of every review page
+ * they read to SNAPSHOT_DIR/<source>/<product>/page-<n>.html. Replaying loads
+ * those pages into a browser and runs the source's own extraction on them, so
+ * recorded pages exercise the same code as the live site.
+ */
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'snapshots');
+const RECORD_SNAPSHOTS = process.env.RECORD_SNAPSHOTS === 'true';
+
+/**
+ * Returns the directory holding a company's snapshots for a source
+ * @param {string} sourceName - Source name, e.g. "g2"
+ * @param {string} companyName - Company name as requested
+ * @returns {string} - Directory path
+ */
+function snapshotDir(sourceName, companyName) {
+  return path.join(SNAPSHOT_DIR, sourceName, toProductKey(companyName));
+}
+
+/**
+ * Saves the current page as a snapshot when recording is enabled. Recording
+ * the first page replaces any older recording for the company.
+ * @param {string} sourceName - Source name
+ * @param {string} companyName - Company name as requested
+ * @param {number} pageNumber - Review page number, starting at 1
+ * @param {Object} page - Puppeteer page showing the review page
+ */
+async function recordSnapshot(sourceName, companyName, pageNumber, page) {
+  if (!RECORD_SNAPSHOTS) return;
+
+  const dir = snapshotDir(sourceName, companyName);
+  try {
+    if (pageNumber === 1) {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `page-${pageNumber}.html`), await page.content());
+  } catch (error) {
+    // A failed recording must not fail the scrape
+    logger.error('Could not record snapshot', { source: sourceName, companyName, error });
+  }
+}
+
+/**
+ * Lists a company's recorded pages for a source, in page order
+ * @param {string} sourceName - Source name
+ * @param {string} companyName - Company name as requested
+ * @returns {Array} - Snapshot file paths; empty when nothing was recorded
+ */
+async function listSnapshots(sourceName, companyName) {
+  const dir = snapshotDir(sourceName, companyName);
+  const files = await fs.readdir(dir).catch(() => []);
+
+  return files
+    .map(file => ({ file, number: parseInt((file.match(/^page-(\d+)\.html$/) || [])[1], 10) }))
+    .filter(({ number }) => !isNaN(number))
+    .sort((a, b) => a.number - b.number)
+    .map(({ file }) => path.join(dir, file));
+}
+
+/**
+ * Extracts reviews from recorded pages with the source's extraction function
+ * @param {Object} reviewSource - Source definition with `extractReviews`
+ * @param {Array} files - Snapshot files from listSnapshots
+ * @param {Object} options - Optional { signal, onProgress, maxPages }
+ * @returns {Array} - Reviews from every page, unfiltered, with the time each
+ *   page was recorded as `scrapedAt`
+ */
+async function extractFromSnapshots(reviewSource, files, options = {}) {
+  const { signal, onProgress, maxPages } = options;
+  const { page, release } = await acquirePage({ signal });
+
+  try {
+    // Recorded pages are replayed offline
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      request.abort().catch(() => {});
+    });
+
+    const reviews = [];
+    const pages = maxPages ? files.slice(0, maxPages) : files;
+
+    for (const [index, file] of pages.entries()) {
+      throwIfAborted(signal);
+      onProgress?.({ stage: 'replaying', page: index + 1 });
+
+      await page.setContent(await fs.readFile(file, 'utf8'), { waitUntil: 'domcontentloaded' });
+      // Relative dates on the page ("2 days ago") count back from when it was recorded
+      const { mtime } = await fs.stat(file);
+      const pageReviews = withDescriptions(stripSelectorMatches(await page.evaluate(reviewSource.extractReviews)));
+      reviews.push(...pageReviews.map(review => ({ ...review, scrapedAt: mtime.toISOString() })));
+      onProgress?.({ stage: 'replaying', page: index + 1, items: reviews.length });
+    }
+
+    return reviews;
+  } finally {
+    await release();
+  }
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  recordSnapshot,
+  listSnapshots,
+  extractFromSnapshots
+};
@@ -1,43 +1,161 @@
-const puppeteer = require('puppeteer');
-const { parseDate } = require('../utils/dateUtils');
+const { throwIfAborted } = require('../utils/cancellation');
+const { acquirePage } = require('../utils/browserPool');
+const { politeGoto, beforeNextPage } = require('../utils/politeness');
+const { extractWithRetry } = require('../utils/retry');
+const { recordSnapshot } = require('./snapshots');
+const { withNewestFirst, isSortedNewestFirst, isPageOlderThan } = require('./incremental');
+const { withDescriptions } = require('./reviewSections');
+const { createSelectorStats, recordSelectorMatches } = require('./selectorStats');
+const { logger } = require('../utils/logger');
+const { watchPage } = require('../utils/artifacts');
+
+// Overridable so tests can point the scraper at local fixtures
+const TRUSTRADIUS_BASE_URL = process.env.TRUSTRADIUS_BASE_URL || 'https://www.trustradius.com';
+
+// Query parameters that make the site list reviews newest first
+const NEWEST_FIRST_PARAMS = { sort: 'newest' };
+
+/**
+ * Extracts the reviews on a TrustRadius review page. Runs in the browser, so it must
+ * not reference anything outside its own body.
+ * @returns {Array} - Review objects with structured sections, without `description`
+ *   (see withDescriptions), and the selector that matched each field as
+ *   `selectorMatches` (see selectorStats)
+ */
+function extractTrustRadiusReviews() {
+  const reviews = [];
+  const reviewElements = document.querySelectorAll('.review-card, .review-container');
+  
+  reviewElements.forEach(reviewElement => {
+    // Selector that matched each field, or null when the field fell back to
+    // its default. Selector lists match whichever element comes first, so the
+    // matching alternative is looked up on the element.
+    const selectorMatches = {};
+    const findElement = (field, selectorList) => {
+      const element = reviewElement.querySelector(selectorList);
+      selectorMatches[field] = element
+        ? selectorList.split(',').map(selector => selector.trim()).find(selector => element.matches(selector))
+        : null;
+      return element;
+    };
+
+    // Review title
+    const titleElement = findElement('title', '.review-title, .review-heading');
+    const title = titleElement ? titleElement.innerText.trim() : 'No Title';
+    
+    // Rating
+    const ratingElement = findElement('rating', '[data-rating], .star-rating');
+    let rating = null;
+    if (ratingElement) {
+      const dataRating = ratingElement.getAttribute('data-rating');
+      if (dataRating) {
+        rating = parseFloat(dataRating);
+      } else {
+        // Try to count filled stars
+        const filledStars = ratingElement.querySelectorAll('.filled-star').length;
+        rating = filledStars || null;
+      }
+    }
+    if (rating === null) selectorMatches.rating = null;
+    
+    // Review sections - TrustRadius keeps the main review, pros, cons and
+    // recommendations apart; the description is rendered from them afterwards
+    const sectionText = (selector) => {
+      const element = reviewElement.querySelector(selector);
+      return element ? element.innerText.trim() : null;
+    };
+    const bodyElement = findElement('body', '.review-body, .review-content');
+    const body = bodyElement ? bodyElement.innerText.trim() : null;
+    const pros = sectionText('.pros-text, .review-pros');
+    const cons = sectionText('.cons-text, .review-cons');
+    const recommendations = sectionText('.recommendations-text, .review-recommendations');
+    const vendorResponse = sectionText('.vendor-response, .vendor-reply');
+    
+    // Date
+    const dateElement = findElement('date', '.review-date');
+    const dateText = dateElement ? dateElement.innerText.trim() : '';
+    
+    // Reviewer info
+    const reviewerElement = findElement('reviewerName', '.reviewer-name, .user-info');
+    const reviewerName = reviewerElement ? reviewerElement.innerText.trim() : 'Anonymous';
+    
+    // Additional details
+    const detailsElement = findElement('reviewerInfo', '.reviewer-details, .reviewer-meta');
+    const reviewerInfo = detailsElement ? detailsElement.innerText.trim() : '';
+    
+    reviews.push({
+      title,
+      body,
+      pros,
+      cons,
+      recommendations,
+      vendorResponse,
+      date: dateText,
+      rating,
+      reviewer: {
+        name: reviewerName,
+        info: reviewerInfo
+      },
+      source: 'TrustRadius',
+      selectorMatches
+    });
+  });
+  
+  return reviews;
+}
 
 /**
  * Scrapes reviews from TrustRadius for a specific company
  * @param {string} companyName - The name of the company to search for
- * @param {Date} startDate - Start date filter for reviews
- * @param {Date} endDate - End date filter for reviews
+ * @param {Date} startDate - Start of the requested range; paging stops at older pages
+ * @param {Date} endDate - End of the requested range; reviews are filtered by date once
+ *   normalized (see runModes.js)
  * @param {number} maxPages - Maximum number of pages to scrape (default: 10)
- * @returns {Array} - Array of review objects
+ * @param {Object} options - Optional { signal, onProgress, onEvent } for cancellation and progress
+ *   reporting (onEvent receives navigating, page, items and warning events),
+ *   { baseUrl } to scrape a mirror of the site instead of https://www.trustradius.com, and
+ *   { artifacts } to choose when debug artifacts are captured (see utils/artifacts.js)
+ * @returns {Object} - { success, data, selectorStats } where selectorStats tallies the
+ *   selectors each field matched, or { success: false, error, code } with an error code
+ *   from utils/errors.js
  */
-async function scrapeTrustRadiusReviews(companyName, startDate, endDate, maxPages = 10) {
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
+async function scrapeTrustRadiusReviews(companyName, startDate, endDate, maxPages = 10, options = {}) {
+  const { signal, onProgress, onEvent } = options;
+  const baseUrl = options.baseUrl || TRUSTRADIUS_BASE_URL;
+  throwIfAborted(signal);
+
+  const { page, release } = await acquirePage({ signal });
+  const capture = watchPage(page, 'trustradius', { mode: options.artifacts, signal });
   
   try {
-    const page = await browser.newPage();
-    
     // Set a reasonable timeout
     await page.setDefaultNavigationTimeout(60000);
     
     // Navigate to TrustRadius for the company
-    const searchUrl = `https://www.trustradius.com/products/${companyName.toLowerCase().replace(/\s+/g, '-')}`;
-    console.log(`Navigating to: ${searchUrl}`);
+    const searchUrl = `${baseUrl}/products/${companyName.toLowerCase().replace(/\s+/g, '-')}`;
+    logger.debug('Navigating to TrustRadius product page', { url: searchUrl });
+    onEvent?.('navigating', { url: searchUrl });
     
-    await page.goto(searchUrl, { waitUntil: 'networkidle2' });
+    let notFoundIndicator = false;
+    try {
+      await politeGoto(page, searchUrl, { waitUntil: 'networkidle2' }, signal);
+    } catch (error) {
+      // A 4xx means there is no product page under this name; search instead
+      if (error.code !== 'HTTP_CLIENT_ERROR') throw error;
+      notFoundIndicator = true;
+    }
     
     // Check if we landed on a valid page or need to search
-    const notFoundIndicator = await page.evaluate(() => {
+    notFoundIndicator = notFoundIndicator || await page.evaluate(() => {
       return document.title.includes('Page Not Found') || 
              document.querySelector('.not-found-message') !== null;
     });
     
     if (notFoundIndicator) {
-      console.log(`Direct URL not found for ${companyName}, trying search...`);
+      logger.info('Direct TrustRadius URL not found, trying search', { companyName });
       // Try searching instead
-      const searchPageUrl = `https://www.trustradius.com/search?q=${encodeURIComponent(companyName)}`;
-      await page.goto(searchPageUrl, { waitUntil: 'networkidle2' });
+      const searchPageUrl = `${baseUrl}/search?q=${encodeURIComponent(companyName)}`;
+      await politeGoto(page, searchPageUrl, { waitUntil: 'networkidle2' }, signal);
       
       // Try to find and click on the product link
       const foundProductUrl = await page.evaluate((name) => {
@@ -51,104 +169,79 @@ async function scrapeTrustRadiusReviews(companyName, startDate, endDate, maxPage
       }, companyName);
       
       if (!foundProductUrl) {
-        console.log(`Company "${companyName}" not found on TrustRadius`);
-        return { success: false, error: `Company "${companyName}" not found on TrustRadius` };
+        logger.warn('Company not found on TrustRadius', { companyName });
+        const error = `Company "${companyName}" not found on TrustRadius`;
+        await capture.finish({ failed: true, reason: error });
+        return { success: false, error, code: 'PRODUCT_NOT_FOUND' };
       }
       
-      console.log(`Found product URL: ${foundProductUrl}`);
-      await page.goto(foundProductUrl, { waitUntil: 'networkidle2' });
+      logger.debug('Found TrustRadius product URL', { url: foundProductUrl });
+      await politeGoto(page, foundProductUrl, { waitUntil: 'networkidle2' }, signal);
       
       // Navigate to the reviews section
-      const reviewsUrl = `${foundProductUrl}/reviews`;
-      await page.goto(reviewsUrl, { waitUntil: 'networkidle2' });
+      const reviewsUrl = withNewestFirst(`${foundProductUrl}/reviews`, NEWEST_FIRST_PARAMS);
+      onEvent?.('navigating', { url: reviewsUrl });
+      await politeGoto(page, reviewsUrl, { waitUntil: 'networkidle2' }, signal);
     } else {
       // We're on the product page, go to reviews section
       const currentUrl = page.url();
-      const reviewsUrl = `${currentUrl}/reviews`;
-      await page.goto(reviewsUrl, { waitUntil: 'networkidle2' });
+      const reviewsUrl = withNewestFirst(`${currentUrl}/reviews`, NEWEST_FIRST_PARAMS);
+      onEvent?.('navigating', { url: reviewsUrl });
+      await politeGoto(page, reviewsUrl, { waitUntil: 'networkidle2' }, signal);
     }
     
     const allReviews = [];
+    const selectorStats = createSelectorStats();
     let currentPage = 1;
     let hasNextPage = true;
+    let sortedNewestFirst = false;
     
     // Scrape reviews from each page
     while (hasNextPage && currentPage <= maxPages) {
-      console.log(`Scraping TrustRadius page ${currentPage} for ${companyName}`);
+      throwIfAborted(signal);
+      logger.info('Scraping TrustRadius page', { companyName, page: currentPage });
+      onProgress?.({ stage: 'scraping', page: currentPage });
       
       // Wait for reviews to load
       await page.waitForSelector('.review-card, .review-container', { timeout: 10000 })
-        .catch(() => console.log('Review elements not found on page'));
-      
-      // Extract reviews from current page
-      const pageReviews = await page.evaluate(() => {
-        const reviews = [];
-        const reviewElements = document.querySelectorAll('.review-card, .review-container');
-        
-        reviewElements.forEach(reviewElement => {
-          // Review title
-          const titleElement = reviewElement.querySelector('.review-title, .review-heading');
-          const title = titleElement ? titleElement.innerText.trim() : 'No Title';
-          
-          // Rating
-          const ratingElement = reviewElement.querySelector('[data-rating], .star-rating');
-          let rating = 0;
-          if (ratingElement) {
-            const dataRating = ratingElement.getAttribute('data-rating');
-            if (dataRating) {
-              rating = parseFloat(dataRating);
-            } else {
-              // Try to count filled stars
-              const filledStars = ratingElement.querySelectorAll('.filled-star').length;
-              rating = filledStars || 0;
-            }
-          }
-          
-          // Review text - TrustRadius often has pros/cons and main review separated
-          const mainReviewElement = reviewElement.querySelector('.review-body, .review-content');
-          const mainReview = mainReviewElement ? mainReviewElement.innerText.trim() : '';
-          
-          const prosElement = reviewElement.querySelector('.pros-text, .review-pros');
-          const consElement = reviewElement.querySelector('.cons-text, .review-cons');
-          const pros = prosElement ? prosElement.innerText.trim() : '';
-          const cons = consElement ? consElement.innerText.trim() : '';
-          
-          const reviewText = [
-            mainReview,
-            pros ? `Pros: ${pros}` : '',
-            cons ? `Cons: ${cons}` : ''
-          ].filter(Boolean).join('\\n\\n');
-          
-          // Date
-          const dateElement = reviewElement.querySelector('.review-date');
-          const dateText = dateElement ? dateElement.innerText.trim() : '';
-          
-          // Reviewer info
-          const reviewerElement = reviewElement.querySelector('.reviewer-name, .user-info');
-          const reviewerName = reviewerElement ? reviewerElement.innerText.trim() : 'Anonymous';
-          
-          // Additional details
-          const detailsElement = reviewElement.querySelector('.reviewer-details, .reviewer-meta');
-          const reviewerInfo = detailsElement ? detailsElement.innerText.trim() : '';
-          
-          reviews.push({
-            title,
-            description: reviewText || 'No review content available',
-            date: dateText,
-            rating,
-            reviewer: {
-              name: reviewerName,
-              info: reviewerInfo
-            },
-            source: 'TrustRadius'
-          });
+        .catch(() => {
+          logger.warn('Review elements not found on page', { page: currentPage });
+          onEvent?.('warning', { message: `No reviews found on page ${currentPage}`, page: currentPage });
         });
-        
-        return reviews;
-      });
+      
+      // Extract reviews from current page; an empty first page is reloaded
+      // and read again before it counts
+      const extracted = currentPage === 1
+        ? await extractWithRetry(page, () => page.evaluate(extractTrustRadiusReviews), {
+          reload: () => politeGoto(page, page.url(), { waitUntil: 'networkidle2' }, signal),
+          signal,
+          onRetry: () => onEvent?.('warning', { message: 'No reviews found on page 1, reloading it', page: 1 })
+        })
+        : await page.evaluate(extractTrustRadiusReviews);
+      await recordSnapshot('trustradius', companyName, currentPage, page);
+      const pageReviews = withDescriptions(recordSelectorMatches(selectorStats, extracted));
       
       // Add reviews to our collection
       allReviews.push(...pageReviews);
+      onProgress?.({ stage: 'scraping', page: currentPage, items: allReviews.length });
+      onEvent?.('page', { page: currentPage, items: pageReviews.length, total: allReviews.length });
+      onEvent?.('items', { page: currentPage, items: pageReviews });
+      
+      // Only stop early when the site kept the newest-first sort
+      if (currentPage === 1) {
+        sortedNewestFirst = isSortedNewestFirst(page.url(), NEWEST_FIRST_PARAMS, pageReviews);
+        if (!sortedNewestFirst) {
+          logger.warn('Reviews are not sorted newest first, reading every page', { url: page.url() });
+          onEvent?.('warning', { message: 'TrustRadius did not sort reviews newest first; reading every page up to maxPages' });
+        }
+      }
+      
+      // Reviews are newest first, so once a whole page predates the range
+      // the remaining pages do too
+      if (sortedNewestFirst && isPageOlderThan(pageReviews, startDate)) {
+        logger.info('Page is older than the start date, stopping', { page: currentPage });
+        break;
+      }
       
       // Check if there's a next page button and it's not disabled
       hasNextPage = await page.evaluate(() => {
@@ -158,39 +251,55 @@ async function scrapeTrustRadiusReviews(companyName, startDate, endDate, maxPage
       
       // Go to next page if available
       if (hasNextPage && currentPage < maxPages) {
-        await Promise.all([
-          page.click('.pagination-next:not(.disabled), a[rel="next"]:not(.disabled)'),
-          page.waitForNavigation({ waitUntil: 'networkidle2' })
-        ]).catch(error => {
-          console.error('Navigation error:', error);
+        const nextSelector = '.pagination-next:not(.disabled), a[rel="next"]:not(.disabled)';
+        const releaseHost = await beforeNextPage(page, nextSelector, signal);
+        if (!releaseHost) {
           hasNextPage = false;
-        });
-        currentPage++;
+        } else {
+          await Promise.all([
+            page.click(nextSelector),
+            page.waitForNavigation({ waitUntil: 'networkidle2' })
+          ]).catch(error => {
+            logger.warn('Navigation error', { error });
+            onEvent?.('warning', { message: `Could not open page ${currentPage + 1}: ${error.message}`, page: currentPage + 1 });
+            hasNextPage = false;
+          }).finally(releaseHost);
+          currentPage++;
+        }
       } else {
         hasNextPage = false;
       }
     }
     
-    // Filter reviews by date
-    const filteredReviews = allReviews.filter(review => {
-      // Parse the review date
-      const reviewDate = parseDate(review.date);
-      
-      // Skip reviews where we couldn't parse the date
-      if (!reviewDate) return false;
-      
-      // Apply date filters
-      return reviewDate >= startDate && reviewDate <= endDate;
-    });
-    
-    console.log(`Found ${filteredReviews.length} reviews for ${companyName} on TrustRadius within the specified date range`);
-    return { success: true, data: filteredReviews };
+    // Reviews are filtered by date once normalized (see runModes.js), so
+    // undated ones reach validation
+    logger.info('Scraped TrustRadius reviews', { companyName, reviews: allReviews.length });
+    await capture.finish({ failed: allReviews.length === 0, reason: allReviews.length === 0 ? 'No reviews matched on the review pages' : null });
+    return { success: true, data: allReviews, selectorStats };
   } catch (error) {
-    console.error(`Error scraping TrustRadius reviews for ${companyName}:`, error);
-    return { success: false, error: error.message };
+    logger.error('Error scraping TrustRadius reviews', { companyName, error });
+    await capture.finish({ failed: true, reason: error.message });
+    return { success: false, error: error.message, code: error.code || null };
   } finally {
-    await browser.close();
+    await release();
   }
 }
 
-module.exports = { scrapeTrustRadiusReviews };
+/**
+ * Review source definition for the source registry
+ */
+const trustRadiusSource = {
+  name: 'trustradius',
+  label: 'TrustRadius',
+  capabilities: {
+    pagination: true,
+    dateSorting: true,
+    prosCons: true
+  },
+  // TrustRadius rates out of 10
+  ratingScale: 10,
+  extractReviews: extractTrustRadiusReviews,
+  scrape: (query, options = {}) => scrapeTrustRadiusReviews(query.companyName, query.startDate, query.endDate, options.maxPages, options)
+};
+
+module.exports = { scrapeTrustRadiusReviews, extractTrustRadiusReviews, trustRadiusSource };
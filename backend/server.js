@@ -1,68 +1,204 @@
 const express = require("express");
 const cors = require("cors");
-const fs = require('fs').promises;
-const path = require('path');
 const scrapeSite = require("./scraper");
-const { scrapeG2Reviews } = require('./scrapers/g2Scraper');
-const { scrapeCapterraReviews } = require('./scrapers/capterraScraper');
-const { scrapeTrustRadiusReviews } = require('./scrapers/trustRadiusScraper');
-const { parseDate, formatDate } = require('./utils/dateUtils');
+const { listSources, getSource, RUN_MODES, DEFAULT_RUN_MODE } = require('./scrapers');
+const { getSourceHealth } = require('./scrapers/selectorStats');
+const { parseDate } = require('./utils/dateUtils');
+const { createJob } = require('./jobs/jobManager');
+const { validateReviewOptions, createReviewScrapeJob } = require('./jobs/reviewScrapeJob');
+const { wantsEventStream, streamJobEvents } = require('./jobs/jobStream');
+const { startScheduler, stopScheduler } = require('./jobs/scheduler');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./jobs/webhookDispatcher');
+const jobsRouter = require('./routes/jobs');
+const reviewsRouter = require('./routes/reviews');
+const schedulesRouter = require('./routes/schedules');
+const webhooksRouter = require('./routes/webhooks');
+const adminRouter = require('./routes/admin');
+const {
+  REQUIRE_API_KEYS,
+  ADMIN_API_KEY,
+  authenticate,
+  requireScope,
+  enforceDailyQuota,
+  flushUsage
+} = require('./middleware/apiKeys');
+const { FORMATS, isSupportedFormat } = require('./utils/exporters');
+const { normalizeSelectors } = require('./utils/fieldMap');
+const { normalizePagination, buildPageUrl } = require('./utils/pagination');
+const { assertAllowedByRobots } = require('./utils/politeness');
+const { checkRobots } = require('./utils/robots');
+const { assertUrlAllowed } = require('./utils/urlPolicy');
+const { shutdownPool } = require('./utils/browserPool');
+const { CAPTURE_MODES, resolveCaptureMode, startArtifactCleanup, stopArtifactCleanup } = require('./utils/artifacts');
+const { logger } = require('./utils/logger');
+const { createScrapeError, toErrorResponse } = require('./utils/errors');
+const { register } = require('./utils/metrics');
+const { requestLogging } = require('./middleware/requestLogging');
+
+// Origins allowed to call the API from a browser: a comma-separated list,
+// "*" for any origin. Unset, cross-origin requests are refused.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Upper bound on the runs listed by /sources/:name/health
+const MAX_HEALTH_RUNS = 100;
 
 const app = express();
-app.use(cors());
+app.use(requestLogging);
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Request-ID']
+}));
 app.use(express.json());
+app.use(authenticate);
+
+// Respond to a newly queued job with its ID and where to poll for it, or
+// with its event stream when the client asked for one (?stream=true)
+function sendJobAccepted(req, res, job, extra = {}) {
+  if (wantsEventStream(req)) {
+    return streamJobEvents(req, res, job);
+  }
 
-app.post("/scrape", async (req, res) => {
-  const { url, selectors } = req.body;
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    state: job.state,
+    ...extra,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+    downloadUrl: `/jobs/${job.id}/download`,
+    artifactsUrl: `/jobs/${job.id}/artifacts`
+  });
+}
+
+/**
+ * Sends an error response with the error's HTTP status and code, e.g. the 403
+ * for a URL that the URL policy or robots.txt refuses (see utils/errors.js)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const { status, body } = toErrorResponse(error);
+  res.status(status).json(body);
+}
+
+app.post("/scrape", requireScope('scrape'), enforceDailyQuota, async (req, res) => {
+  const { url, selectors, format, pagination } = req.body;
+  const artifacts = resolveCaptureMode(req.body.artifacts);
 
   if (!url) {
     return res.status(400).json({ error: "URL is required" });
   }
 
   try {
-    console.log(`Scraping URL: ${url}`);
-    const data = await scrapeSite(url, selectors);
+    new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: "Invalid URL" });
+  }
+
+  if (format && !isSupportedFormat(format)) {
+    return res.status(400).json({ error: `Unsupported format. Choose one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  if (!artifacts) {
+    return res.status(400).json({ error: `Invalid artifacts "${req.body.artifacts}". Choose one of: ${CAPTURE_MODES.join(', ')}` });
+  }
+
+  let firstUrl = url;
+  try {
+    normalizeSelectors(selectors);
+    const normalizedPagination = normalizePagination(pagination);
+    if (normalizedPagination && normalizedPagination.type === 'url') {
+      firstUrl = buildPageUrl(normalizedPagination.template, normalizedPagination.start);
+      new URL(firstUrl);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Refuse up front when the URL policy or robots.txt disallows the start
+  // page; later pages, redirects and subresources are checked as the scraper
+  // reaches them
+  try {
+    await assertUrlAllowed(firstUrl);
+    await assertAllowedByRobots(firstUrl);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const job = createJob('scrape', { url, selectors, format, pagination, artifacts }, async ({ signal, reportProgress, emitEvent }) => {
+    logger.info('Scraping URL', { url });
+    const data = await scrapeSite(url, selectors, { signal, onProgress: reportProgress, onEvent: emitEvent, pagination, artifacts });
     
     // Check for empty results
     if (!data || (Array.isArray(data) && data.length === 0) || 
         (typeof data === 'object' && Object.keys(data).length === 0)) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "No content found. Please check the URL or try different selectors." 
-      });
+      throw createScrapeError('EMPTY_EXTRACTION', "No content found. Please check the URL or try different selectors.", { url });
     }
     
-    res.json({ success: true, data });
+    return { data };
+  });
+
+  sendJobAccepted(req, res, job);
+});
+
+// Report whether robots.txt lets the scraper visit a URL
+app.get("/robots/check", requireScope('scrape'), async (req, res) => {
+  const { url } = req.query;
+
+  try {
+    new URL(url);
   } catch (error) {
-    console.error("Scraping error:", error);
-    res.status(500).json({ success: false, error: error.message });
+    return res.status(400).json({ success: false, error: "A valid url query parameter is required" });
   }
+
+  try {
+    await assertUrlAllowed(url);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json({ success: true, data: { url, ...(await checkRobots(url)) } });
 });
 
-// Create output directory if it doesn't exist
-const outputDir = path.join(__dirname, 'output');
+// List the review sources available to /scrape-reviews
+app.get("/sources", (req, res) => {
+  res.json({ success: true, data: listSources(), modes: RUN_MODES, defaultMode: DEFAULT_RUN_MODE });
+});
 
-// Ensure output directory exists
-fs.mkdir(outputDir, { recursive: true })
-  .catch(err => console.error('Error creating output directory:', err));
+// Selector health of a review source: per-field hit rates of its recent live
+// runs and whether the latest one shows layout drift
+app.get('/sources/:name/health', async (req, res) => {
+  const reviewSource = getSource(req.params.name);
+  if (!reviewSource) {
+    return res.status(404).json({ success: false, error: `Unknown source "${req.params.name}"` });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.runs, 10) || 20, MAX_HEALTH_RUNS);
+    res.json({ success: true, data: await getSourceHealth(reviewSource, limit) });
+  } catch (error) {
+    logger.error('Error reading source health', { error });
+    res.status(500).json({ success: false, error: 'Failed to read source health' });
+  }
+});
 
 // Specialized endpoint for scraping reviews with company name, date range, and source
-app.post("/scrape-reviews", async (req, res) => {
-  const { companyName, startDate, endDate, source } = req.body;
+app.post("/scrape-reviews", requireScope('reviews'), enforceDailyQuota, (req, res) => {
+  const { startDate, endDate } = req.body;
 
   // Validate inputs
-  if (!companyName) {
-    return res.status(400).json({ error: "Company name is required" });
+  const { error, options } = validateReviewOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  
+
   if (!startDate || !endDate) {
     return res.status(400).json({ error: "Start date and end date are required" });
   }
 
-  if (!source) {
-    return res.status(400).json({ error: "Source is required (g2, capterra, trustradius)" });
-  }
-
   // Parse dates
   const parsedStartDate = parseDate(startDate);
   const parsedEndDate = parseDate(endDate);
@@ -71,61 +207,63 @@ app.post("/scrape-reviews", async (req, res) => {
     return res.status(400).json({ error: "Invalid date format" });
   }
 
+  const job = createReviewScrapeJob(options, parsedStartDate, parsedEndDate);
+  sendJobAccepted(req, res, job, { mode: options.mode });
+});
+
+app.use('/jobs', requireScope('scrape', 'reviews'), jobsRouter);
+app.use('/reviews', requireScope('reviews'), reviewsRouter);
+app.use('/schedules', requireScope('reviews'), schedulesRouter);
+app.use('/webhooks', requireScope('reviews'), webhooksRouter);
+app.use('/admin', requireScope('admin'), adminRouter);
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireScope('metrics'), async (req, res) => {
   try {
-    console.log(`Scraping ${source} for company: ${companyName} from ${formatDate(parsedStartDate)} to ${formatDate(parsedEndDate)}`);
-    
-    let result;
-    const sourceLower = source.toLowerCase();
-    
-    // Choose the appropriate scraper based on source
-    if (sourceLower === 'g2') {
-      result = await scrapeG2Reviews(companyName, parsedStartDate, parsedEndDate);
-    } else if (sourceLower === 'capterra') {
-      result = await scrapeCapterraReviews(companyName, parsedStartDate, parsedEndDate);
-    } else if (sourceLower === 'trustradius') {
-      result = await scrapeTrustRadiusReviews(companyName, parsedStartDate, parsedEndDate);
-    } else {
-      return res.status(400).json({ error: "Invalid source. Choose g2, capterra, or trustradius" });
-    }
-    
-    // If scraping was successful, check if we have data
-    if (result.success) {
-      // Check for empty results
-      if (!result.data || (Array.isArray(result.data) && result.data.length === 0)) {
-        return res.status(404).json({ 
-          success: false, 
-          error: `No reviews found for ${companyName} on ${sourceLower}. Please check the company name or try a different date range.` 
-        });
-      }
-      
-      // Create a timestamped filename
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `${companyName.replace(/\s+/g, '_')}_${sourceLower}_${timestamp}.json`;
-      const filePath = path.join(outputDir, filename);
-      
-      // Save to file
-      await fs.writeFile(
-        filePath,
-        JSON.stringify(result.data, null, 2),
-        'utf8'
-      );
-      
-      res.json({
-        success: true,
-        data: result.data,
-        count: result.data.length,
-        filePath: filePath
-      });
-    } else {
-      res.status(500).json(result);
-    }
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
   } catch (error) {
-    console.error("Scraping error:", error);
-    res.status(500).json({ success: false, error: error.message });
+    logger.error('Error collecting metrics', { error });
+    res.status(500).json({ success: false, error: 'Failed to collect metrics' });
   }
 });
 
+// Errors passed on by middleware, such as a malformed JSON body, are reported
+// as JSON like every other error
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (!error.statusCode || error.statusCode >= 500) {
+    logger.error('Unhandled error', { error });
+  }
+  sendError(res, error);
+});
+
 const PORT = process.env.PORT || 5001;
-app.listen(PORT, () => {
-  console.log(`Scraper API running at http://localhost:${PORT}`);
+const server = app.listen(PORT, () => {
+  logger.info(`Scraper API running at http://localhost:${PORT}`, { port: Number(PORT) });
+  if (!REQUIRE_API_KEYS) {
+    logger.warn('REQUIRE_API_KEYS=false: the API is open to anyone who can reach it');
+  } else if (!ADMIN_API_KEY) {
+    logger.warn('ADMIN_API_KEY is not set; no new API keys can be issued');
+  }
+  startScheduler().catch(error => logger.error('Failed to start the scheduler', { error }));
+  startWebhookDispatcher().catch(error => logger.error('Failed to resume webhook deliveries', { error }));
+  startArtifactCleanup();
 });
+
+// Stop accepting requests and close the pooled browsers before exiting
+async function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  server.close();
+  stopScheduler();
+  stopWebhookDispatcher();
+  stopArtifactCleanup();
+  await flushUsage();
+  await shutdownPool();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
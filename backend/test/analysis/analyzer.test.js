@@ -0,0 +1,88 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeReview, analyzeReviews, summarizeThemes } = require('../../analysis');
+
+const mixedReview = {
+  title: 'Solid chat, weak search',
+  description: 'Acme Chat keeps our team connected and the integrations are excellent. ' +
+    'Search results are slow and hard to find older messages. The pricing is too expensive for small teams.'
+};
+
+describe('analyzeReview', () => {
+  it('tags aspects with the sentiment of the clauses that mention them', () => {
+    const { aspects } = analyzeReview(mixedReview);
+    const byName = Object.fromEntries(aspects.map(({ name, sentiment }) => [name, sentiment]));
+
+    assert.ok(byName.integrations > 0);
+    assert.ok(byName.search < 0);
+    assert.ok(byName.pricing < 0);
+    assert.equal(byName.mobile, undefined);
+  });
+
+  it('extracts keywords and phrases without stopwords or the company name', () => {
+    const { keywords, phrases } = analyzeReview(mixedReview, { companyName: 'Acme Chat' });
+
+    assert.ok(keywords.includes('search'));
+    assert.ok(keywords.includes('team'));
+    assert.ok(!keywords.includes('acme'));
+    assert.ok(!keywords.includes('the'));
+    assert.ok(keywords.length <= 5);
+    assert.ok(phrases.includes('search result'));
+  });
+
+  it('counts plural and singular forms as one keyword', () => {
+    const { keywords } = analyzeReview({ title: 'Integrations', description: 'The integration with our CRM works. More integrations please.' });
+
+    assert.equal(keywords[0], 'integration');
+  });
+
+  it('adds the analysis to every review', () => {
+    const [analyzed] = analyzeReviews([{ title: 'Great support', description: '', rating: 5 }], 'Acme');
+
+    assert.equal(analyzed.rating, 5);
+    assert.equal(analyzed.analysis.sentiment.label, 'positive');
+    assert.deepEqual(analyzed.analysis.aspects.map(aspect => aspect.name), ['support']);
+  });
+});
+
+describe('summarizeThemes', () => {
+  const reviews = [
+    mixedReview,
+    { title: 'Search is broken', description: 'Search never finds anything. Support was helpful though.' },
+    { title: 'Love the integrations', description: 'Integrations with our tools work seamlessly.' }
+  ];
+
+  it('aggregates sentiment, aspects and recurring keywords', () => {
+    const themes = summarizeThemes(reviews, { companyName: 'Acme Chat' });
+
+    assert.equal(themes.count, 3);
+    assert.equal(themes.sentiment.positive + themes.sentiment.neutral + themes.sentiment.negative, 3);
+
+    const search = themes.aspects.find(({ aspect }) => aspect === 'search');
+    assert.equal(search.mentions, 2);
+    assert.equal(search.share, 0.667);
+    assert.equal(search.negative, 2);
+    assert.ok(search.sentiment < 0);
+
+    const integrations = themes.aspects.find(({ aspect }) => aspect === 'integrations');
+    assert.equal(integrations.mentions, 2);
+    assert.ok(integrations.sentiment > 0);
+
+    // Keywords from a single review are not themes
+    assert.deepEqual(themes.keywords.find(({ term }) => term === 'search'), { term: 'search', reviews: 2 });
+    assert.deepEqual(themes.keywords.find(({ term }) => term === 'integration'), { term: 'integration', reviews: 2 });
+    assert.ok(themes.keywords.every(({ reviews: count }) => count >= 2));
+  });
+
+  it('handles an empty set of reviews', () => {
+    assert.deepEqual(summarizeThemes([]), {
+      count: 0,
+      sentiment: { average: 0, positive: 0, neutral: 0, negative: 0 },
+      aspects: [],
+      keywords: [],
+      phrases: []
+    });
+  });
+});
@@ -0,0 +1,39 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreSentiment } = require('../../analysis/sentiment');
+
+describe('scoreSentiment', () => {
+  it('labels clearly positive and negative text', () => {
+    assert.equal(scoreSentiment('Great product, easy to use and reliable.').label, 'positive');
+    assert.equal(scoreSentiment('Buggy, slow and the support team was rude.').label, 'negative');
+    assert.deepEqual(scoreSentiment('We use it for our weekly planning.'), { score: 0, label: 'neutral' });
+  });
+
+  it('keeps scores between -1 and 1', () => {
+    const { score } = scoreSentiment('Amazing! Excellent! Fantastic! Perfect! Love it! Best tool ever!');
+
+    assert.ok(score > 0.9 && score <= 1);
+  });
+
+  it('flips negated words', () => {
+    assert.ok(scoreSentiment('The search is not good.').score < 0);
+    assert.ok(scoreSentiment("It isn't slow at all.").score > 0);
+  });
+
+  it('scales words after intensifiers', () => {
+    assert.ok(scoreSentiment('It is very slow.').score < scoreSentiment('It is slow.').score);
+    assert.ok(scoreSentiment('It is slightly slow.').score > scoreSentiment('It is slow.').score);
+  });
+
+  it('weights the clause after "but" more heavily', () => {
+    assert.equal(scoreSentiment('The interface is nice but the app crashes constantly.').label, 'negative');
+    assert.equal(scoreSentiment('The app crashes sometimes but the support is excellent.').label, 'positive');
+  });
+
+  it('scores lexicon phrases as a whole', () => {
+    assert.ok(scoreSentiment('Honestly a waste of time.').score < -0.5);
+    assert.ok(scoreSentiment('Easy to use.').score > 0.5);
+  });
+});
@@ -0,0 +1,39 @@
+const { acquirePage } = require('../../utils/browserPool');
+
+let availability = null;
+
+/**
+ * Checks once whether the browser pool can launch Chromium
+ * @returns {string|null} - Why the browser is unavailable, or null when it works
+ */
+function checkBrowser() {
+  if (!availability) {
+    availability = acquirePage()
+      .then(async ({ release }) => {
+        await release();
+        return null;
+      })
+      .catch(error => error.message);
+  }
+  return availability;
+}
+
+/**
+ * Skips a browser test when Chromium cannot be launched. With
+ * REQUIRE_BROWSER=true (set it in CI) a missing browser fails the test
+ * instead, so selector regressions cannot slip through as skips.
+ * @param {Object} t - node:test context
+ * @returns {boolean} - True when the test was skipped
+ */
+async function skipWithoutBrowser(t) {
+  const reason = await checkBrowser();
+  if (!reason) return false;
+
+  if (process.env.REQUIRE_BROWSER === 'true') {
+    throw new Error(`Chromium could not be launched: ${reason}`);
+  }
+  t.skip(`Chromium could not be launched: ${reason.split('\n')[0]}`);
+  return true;
+}
+
+module.exports = { skipWithoutBrowser };
@@ -0,0 +1,60 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Serves saved HTML pages from test/fixtures on a local port.
+ *
+ * `routes` maps a request path to a fixture file. A key with a query string
+ * ("/reviews?page=2") takes precedence over the bare path ("/reviews").
+ * Unknown paths get the "notFound" fixture with a 404 status.
+ */
+
+/**
+ * Starts a fixture server
+ * @param {Object} options - { routes, notFound, robots }
+ * @returns {Object} - { baseUrl, requests, close() }
+ */
+function startFixtureServer({ routes, notFound = null, robots = 'User-agent: *\nAllow: /\n' }) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fixtures.test');
+    requests.push(`${url.pathname}${url.search}`);
+
+    if (url.pathname === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(robots);
+    }
+
+    const fixture = routes[`${url.pathname}${url.search}`] || routes[url.pathname];
+    const file = fixture || notFound;
+
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    res.writeHead(fixture ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(path.join(FIXTURES_DIR, file)).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.close(done);
+          // The browser keeps connections alive; don't wait for them
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,11 @@
+// Test defaults, applied before any application module is loaded
+
+// Fixture servers are local; don't space out page loads
+process.env.HOST_MIN_INTERVAL_MS = process.env.HOST_MIN_INTERVAL_MS || '0';
+process.env.BROWSER_POOL_SIZE = process.env.BROWSER_POOL_SIZE || '1';
+
+// Fixture servers listen on loopback, which the URL policy otherwise refuses
+process.env.URL_ALLOW_HOSTS = process.env.URL_ALLOW_HOSTS || '127.0.0.1';
+
+// Retry navigations and extractions without waiting
+process.env.SCRAPE_RETRY_DELAY_SCALE = process.env.SCRAPE_RETRY_DELAY_SCALE || '0';
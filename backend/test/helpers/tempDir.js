@@ -0,0 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+/**
+ * Gives a test file its own scratch directory and database. Require it
+ * before any application module, since the database path is read when the
+ * database module loads. The directory is removed once the file's tests end.
+ * @param {string} name - Label for the directory, e.g. "scheduler"
+ * @returns {string} - Path of the directory
+ */
+function useTempDir(name) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `pulse-${name}-`));
+  process.env.DB_PATH = path.join(tempDir, 'pulse.sqlite');
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  return tempDir;
+}
+
+module.exports = { useTempDir };
@@ -0,0 +1,50 @@
+const http = require('http');
+
+/**
+ * Local HTTP endpoint that records webhook requests.
+ *
+ * `statuses` lists the status codes to answer with, in order; once it runs
+ * out every request gets 200.
+ */
+
+/**
+ * Starts a webhook receiver
+ * @param {Object} options - { statuses }
+ * @returns {Object} - { url, requests, nextRequest(), close() }
+ */
+function startWebhookReceiver({ statuses = [] } = {}) {
+  const requests = [];
+  const waiting = [];
+  const pending = [...statuses];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = { headers: req.headers, body, json: JSON.parse(body) };
+      requests.push(request);
+      res.writeHead(pending.length > 0 ? pending.shift() : 200);
+      res.end();
+
+      const waiter = waiting.shift();
+      if (waiter) waiter(request);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/hook`,
+        requests,
+        // Resolves with the next request to arrive
+        nextRequest: () => new Promise(resolveRequest => waiting.push(resolveRequest)),
+        close: () => new Promise(resolveClose => server.close(resolveClose))
+      });
+    });
+  });
+}
+
+module.exports = { startWebhookReceiver };
@@ -0,0 +1,176 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('job-stream');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { registerSource, unregisterSource } = require('../../scrapers');
+const { createJob, subscribeToJob } = require('../../jobs/jobManager');
+const { createReviewScrapeJob } = require('../../jobs/reviewScrapeJob');
+const jobsRouter = require('../../routes/jobs');
+
+// A live source that streams two pages, one of them partly out of range
+const streamingSource = {
+  name: 'acme',
+  label: 'Acme Reviews',
+  capabilities: { pagination: true, dateSorting: true, prosCons: false },
+  scrape: async (query, { onEvent }) => {
+    const pages = [
+      [{ title: 'Fast and simple', body: 'Love how fast it is.', date: 'March 1, 2025', rating: 5, reviewer: { name: 'Ann', info: '' } }],
+      [
+        { title: 'Too slow', body: 'Search is slow.', date: 'February 1, 2025', rating: 2, reviewer: { name: 'Bo', info: '' } },
+        { title: 'Ancient', body: 'Old review.', date: 'May 1, 2020', rating: 3, reviewer: { name: 'Cy', info: '' } }
+      ]
+    ];
+
+    pages.forEach((items, index) => {
+      onEvent?.('page', { page: index + 1, items: items.length });
+      onEvent?.('items', { page: index + 1, items });
+    });
+
+    return { success: true, data: pages.flat() };
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  registerSource(streamingSource);
+
+  const app = express();
+  app.use('/jobs', jobsRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  unregisterSource(streamingSource.name);
+  server.close();
+});
+
+/**
+ * Parses a Server-Sent Events body
+ * @param {string} text - Stream contents
+ * @returns {Array} - { id, type, data } per event
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block && !block.startsWith(':')).map(block => {
+    const fields = {};
+    block.split('\n').forEach(line => {
+      const separator = line.indexOf(': ');
+      fields[line.slice(0, separator)] = line.slice(separator + 2);
+    });
+    return { id: fields.id ? Number(fields.id) : null, type: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+/**
+ * Creates a job that emits a few events and succeeds
+ * @returns {Object} - The job
+ */
+function createTestJob() {
+  return createJob('scrape', { url: 'https://example.com' }, async ({ reportProgress, emitEvent }) => {
+    emitEvent('navigating', { url: 'https://example.com' });
+    reportProgress({ stage: 'paginating', page: 1, items: 2 });
+    emitEvent('page', { page: 1, items: 2, total: 2 });
+    emitEvent('items', { page: 1, items: [{ title: 'a' }, { title: 'b' }] });
+    return { data: [{ title: 'a' }, { title: 'b' }] };
+  });
+}
+
+describe('job events', () => {
+  it('records events and ends with a summary of the result', async () => {
+    const job = createTestJob();
+    await job.done;
+
+    const events = [];
+    subscribeToJob(job, 0, event => events.push(event));
+
+    assert.deepEqual(events.map(event => event.type), ['progress', 'navigating', 'progress', 'page', 'items', 'done']);
+    assert.deepEqual(events.map(event => event.id), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(events[5].data, { jobId: job.id, result: { count: 2 } });
+  });
+
+  it('replays only the events after a given ID', async () => {
+    const job = createTestJob();
+    await job.done;
+
+    const types = [];
+    subscribeToJob(job, 4, event => types.push(event.type));
+    assert.deepEqual(types, ['items', 'done']);
+  });
+});
+
+describe('GET /jobs/:id/events', () => {
+  it('streams a job as Server-Sent Events', async () => {
+    const job = createTestJob();
+
+    const response = await fetch(`${baseUrl}/jobs/${job.id}/events`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    assert.equal(events[0].type, 'job');
+    assert.equal(events[0].data.id, job.id);
+    assert.equal(events[0].data.eventsUrl, `/jobs/${job.id}/events`);
+    assert.deepEqual(events.find(event => event.type === 'items').data.items, [{ title: 'a' }, { title: 'b' }]);
+    assert.equal(events[events.length - 1].type, 'done');
+  });
+
+  it('resumes after Last-Event-ID', async () => {
+    const job = createTestJob();
+    await job.done;
+
+    const response = await fetch(`${baseUrl}/jobs/${job.id}/events`, { headers: { 'Last-Event-ID': '5' } });
+    const events = parseEvents(await response.text());
+
+    assert.deepEqual(events.map(event => event.type), ['job', 'done']);
+    assert.equal(events[1].id, 6);
+  });
+
+  it('reports failures as an error event', async () => {
+    const job = createJob('scrape', {}, async () => {
+      const error = new Error('No content found');
+      error.code = 'EMPTY_EXTRACTION';
+      throw error;
+    });
+
+    const events = parseEvents(await (await fetch(`${baseUrl}/jobs/${job.id}/events`)).text());
+    assert.deepEqual(events[events.length - 1].data, { jobId: job.id, error: 'No content found', code: 'EMPTY_EXTRACTION' });
+  });
+
+  it('responds 404 for unknown jobs', async () => {
+    assert.equal((await fetch(`${baseUrl}/jobs/unknown/events`)).status, 404);
+  });
+});
+
+describe('review job events', () => {
+  it('streams normalized, analysed reviews tagged with their source', async () => {
+    const job = createReviewScrapeJob(
+      { companyName: 'Acme Chat', sources: [streamingSource], mode: 'live', incremental: false },
+      new Date('2025-01-01T00:00:00'),
+      new Date('2025-06-30T23:59:59')
+    );
+    await job.done;
+
+    const events = [];
+    subscribeToJob(job, 0, event => events.push(event));
+    const items = events.filter(event => event.type === 'items');
+
+    assert.deepEqual(items.map(event => event.data.items.map(review => review.title)), [['Fast and simple'], ['Too slow']]);
+    const [review] = items[0].data.items;
+    assert.equal(items[0].data.source, 'acme');
+    assert.equal(review.origin, 'acme');
+    assert.equal(review.date, '2025-03-01');
+    assert.ok(review.analysis.sentiment);
+
+    assert.deepEqual(events.find(event => event.type === 'filtered').data, { source: 'acme', scraped: 3, kept: 2 });
+    assert.equal(events[events.length - 1].data.result.count, 2);
+  });
+});
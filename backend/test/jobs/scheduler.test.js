@@ -0,0 +1,135 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('scheduler');
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchedule, nextRunAt, runSchedule, isRunning } = require('../../jobs/scheduler');
+const { createSchedule, getSchedule, listRuns } = require('../../db/scheduleStore');
+const { getJob } = require('../../jobs/jobManager');
+const { registerSource, unregisterSource } = require('../../scrapers/registry');
+
+after(() => {
+  unregisterSource('slow');
+});
+
+// A live source that waits until the test lets it finish
+let finishSlowScrape;
+registerSource({
+  name: 'slow',
+  label: 'Slow Reviews',
+  capabilities: { pagination: false, dateSorting: false, prosCons: false },
+  scrape: () => new Promise(resolve => {
+    finishSlowScrape = () => resolve({
+      success: true,
+      data: [{ title: 'Late review', date: new Date().toDateString(), rating: 4, reviewer: { name: 'Ann', info: '' }, source: 'Slow' }]
+    });
+  })
+});
+
+describe('validateSchedule', () => {
+  const body = { cron: '0 7 * * *', window: 'last 7 days', companyName: 'Acme Chat', source: 'all', mode: 'demo' };
+
+  it('keeps the requested sources and window in the saved config', () => {
+    const { error, schedule } = validateSchedule(body);
+
+    assert.equal(error, undefined);
+    assert.equal(schedule.name, 'Acme Chat (last 7 days)');
+    assert.deepEqual(schedule.config, {
+      companyName: 'Acme Chat',
+      source: 'all',
+      window: 'last 7 days',
+      format: null,
+      mode: 'demo',
+      incremental: false
+    });
+  });
+
+  it('rejects invalid cron expressions, time zones, windows and scrape options', () => {
+    assert.match(validateSchedule({ ...body, cron: '61 * * * *' }).error, /Invalid cron expression/);
+    assert.match(validateSchedule({ ...body, timezone: 'Mars/Base' }).error, /Unknown time zone/);
+    assert.match(validateSchedule({ ...body, window: 'fortnight' }).error, /Unrecognized date window/);
+    assert.match(validateSchedule({ ...body, source: 'nowhere' }).error, /Invalid source/);
+  });
+});
+
+describe('nextRunAt', () => {
+  it('honors the schedule time zone', () => {
+    const after = new Date('2025-06-18T12:00:00Z');
+
+    assert.equal(nextRunAt('0 7 * * *', 'UTC', after).toISOString(), '2025-06-19T07:00:00.000Z');
+    assert.equal(nextRunAt('0 7 * * *', 'Europe/Berlin', after).toISOString(), '2025-06-19T05:00:00.000Z');
+  });
+});
+
+describe('runSchedule', () => {
+  it('resolves the window at run time and records the outcome', async () => {
+    const { schedule } = validateSchedule({ cron: '0 7 * * *', window: 'last 30 days', companyName: 'Acme Chat', source: 'capterra', mode: 'demo' });
+    const saved = await createSchedule(schedule);
+
+    const { run, job, finished } = await runSchedule(saved.id, 'manual');
+    assert.equal(run.state, 'running');
+    assert.equal(job.params.scheduleId, saved.id);
+    assert.equal(job.params.endDate, run.window.endDate);
+
+    await finished;
+
+    const [recorded] = await listRuns(saved.id);
+    assert.equal(recorded.state, 'succeeded');
+    assert.equal(recorded.triggeredBy, 'manual');
+    assert.equal(recorded.count, job.result.count);
+    assert.ok(recorded.count > 0);
+    assert.ok(recorded.finishedAt);
+  });
+
+  it('refuses a manual run and skips a scheduled one while a run is in progress', async () => {
+    const saved = await createSchedule({
+      name: 'Slow',
+      cron: '* * * * *',
+      config: { companyName: 'Acme Chat', source: 'slow', window: 'today', mode: 'live', incremental: false }
+    });
+
+    const { job, finished } = await runSchedule(saved.id, 'manual');
+    assert.equal(isRunning(saved.id), true);
+
+    await assert.rejects(runSchedule(saved.id, 'manual'), error => error.statusCode === 409);
+
+    const skipped = await runSchedule(saved.id, 'schedule');
+    assert.equal(skipped.job, null);
+    assert.equal(skipped.run.state, 'skipped');
+
+    // Wait for the slow scrape to start before letting it finish
+    while (!finishSlowScrape) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    finishSlowScrape();
+    await finished;
+
+    assert.equal(getJob(job.id).state, 'succeeded');
+    assert.equal(isRunning(saved.id), false);
+
+    const runs = await listRuns(saved.id);
+    assert.deepEqual(runs.map(run => run.state).sort(), ['skipped', 'succeeded']);
+    assert.equal(runs.find(run => run.state === 'succeeded').newCount, 1);
+  });
+
+  it('records a failed run when the saved config no longer validates', async () => {
+    const saved = await createSchedule({
+      name: 'Removed source',
+      cron: '0 7 * * *',
+      config: { companyName: 'Acme Chat', source: 'gone', window: 'today', mode: 'demo' }
+    });
+
+    const { run, job } = await runSchedule(saved.id, 'schedule');
+    assert.equal(job, null);
+    assert.equal(run.state, 'failed');
+    assert.match(run.error, /Invalid source "gone"/);
+    assert.ok(await getSchedule(saved.id));
+  });
+
+  it('returns null for unknown schedules', async () => {
+    assert.equal(await runSchedule('missing', 'manual'), null);
+  });
+});
@@ -0,0 +1,172 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('webhooks');
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('../../scrapers');
+const { signPayload, matchesWebhook, notifyNewReviews } = require('../../jobs/webhookDispatcher');
+const { createWebhook, listWebhooks, deleteWebhook, getDelivery } = require('../../db/webhookStore');
+const { startWebhookReceiver } = require('../helpers/webhookReceiver');
+
+const secret = 'test-secret-0123456789';
+
+const lowRated = { id: 'r1', origin: 'g2', title: 'Too slow', description: 'Search is broken', rating: 2, date: 'June 1, 2025' };
+const highRated = { id: 'r2', origin: 'g2', title: 'Love it', description: 'Great search', rating: 5, date: 'June 2, 2025' };
+const trustRadiusLow = {
+  id: 'r3',
+  origin: 'trustradius',
+  title: 'Meh',
+  description: 'Pricing is confusing',
+  rating: 2,
+  originalRating: 4,
+  ratingScale: 10,
+  date: 'June 3, 2025'
+};
+
+/**
+ * Waits until a delivery leaves the pending state
+ * @param {string} id - Delivery ID
+ * @returns {Object} - The settled delivery
+ */
+async function waitForDelivery(id) {
+  for (;;) {
+    const delivery = await getDelivery(id);
+    if (delivery.state !== 'pending') return delivery;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+beforeEach(async () => {
+  const webhooks = await listWebhooks();
+  await Promise.all(webhooks.map(webhook => deleteWebhook(webhook.id)));
+});
+
+describe('matchesWebhook', () => {
+  const webhook = { product: null, sources: null, maxRating: null, keywords: null };
+
+  it('matches everything without filters', () => {
+    assert.equal(matchesWebhook(webhook, highRated, 'Acme'), true);
+  });
+
+  it('compares ratings on a five-star scale', () => {
+    const lowOnly = { ...webhook, maxRating: 2 };
+
+    assert.equal(matchesWebhook(lowOnly, lowRated, 'Acme'), true);
+    assert.equal(matchesWebhook(lowOnly, highRated, 'Acme'), false);
+    // 4 out of 10 on TrustRadius is 2 stars
+    assert.equal(matchesWebhook(lowOnly, trustRadiusLow, 'Acme'), true);
+    assert.equal(matchesWebhook(lowOnly, { ...lowRated, rating: null }, 'Acme'), false);
+  });
+
+  it('filters by company, source and keywords', () => {
+    assert.equal(matchesWebhook({ ...webhook, product: 'acme-chat' }, highRated, 'Acme Chat'), true);
+    assert.equal(matchesWebhook({ ...webhook, product: 'acme-chat' }, highRated, 'Other'), false);
+    assert.equal(matchesWebhook({ ...webhook, sources: ['capterra'] }, highRated, 'Acme'), false);
+    assert.equal(matchesWebhook({ ...webhook, keywords: ['PRICING', 'refund'] }, trustRadiusLow, 'Acme'), true);
+    assert.equal(matchesWebhook({ ...webhook, keywords: ['refund'] }, trustRadiusLow, 'Acme'), false);
+  });
+});
+
+describe('notifyNewReviews', () => {
+  it('sends one signed delivery with the matching reviews', async () => {
+    const receiver = await startWebhookReceiver();
+    try {
+      const webhook = await createWebhook({ url: receiver.url, secret, company: 'Acme Chat', maxRating: 2 });
+      await createWebhook({ url: receiver.url, secret, company: 'Someone Else' });
+
+      const received = receiver.nextRequest();
+      const queued = await notifyNewReviews('Acme Chat', [lowRated, highRated, trustRadiusLow]);
+      assert.equal(queued.length, 1);
+
+      const request = await received;
+      assert.equal(request.headers['x-pulse-event'], 'reviews.new');
+      assert.equal(request.headers['x-pulse-delivery'], queued[0].delivery.id);
+      assert.equal(
+        request.headers['x-pulse-signature'],
+        signPayload(secret, request.headers['x-pulse-timestamp'], request.body)
+      );
+      assert.equal(request.json.webhookId, webhook.id);
+      assert.equal(request.json.company, 'Acme Chat');
+      assert.deepEqual(request.json.reviews.map(review => review.id), ['r1', 'r3']);
+
+      const delivery = await queued[0].attempted;
+      assert.equal(delivery.state, 'delivered');
+      assert.equal(delivery.attempts, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('skips webhooks without matching reviews', async () => {
+    await createWebhook({ url: 'http://127.0.0.1:9/hook', secret, keywords: ['refund'] });
+
+    assert.deepEqual(await notifyNewReviews('Acme Chat', [lowRated, highRated]), []);
+  });
+
+  it('retries server errors with backoff until delivered', async () => {
+    const receiver = await startWebhookReceiver({ statuses: [500, 503] });
+    try {
+      await createWebhook({ url: receiver.url, secret });
+
+      const [{ delivery }] = await notifyNewReviews('Acme Chat', [lowRated]);
+      const settled = await waitForDelivery(delivery.id);
+
+      assert.equal(settled.state, 'delivered');
+      assert.equal(settled.attempts, 3);
+      assert.equal(receiver.requests.length, 3);
+      // Every retry carries the same delivery ID
+      assert.equal(new Set(receiver.requests.map(request => request.headers['x-pulse-delivery'])).size, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('gives up on client errors without retrying', async () => {
+    const receiver = await startWebhookReceiver({ statuses: [410] });
+    try {
+      await createWebhook({ url: receiver.url, secret });
+
+      const [{ attempted }] = await notifyNewReviews('Acme Chat', [lowRated]);
+      const delivery = await attempted;
+
+      assert.equal(delivery.state, 'failed');
+      assert.equal(delivery.responseStatus, 410);
+      assert.equal(receiver.requests.length, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+});
+
+describe('receiver URL policy', () => {
+  it('fails deliveries to loopback and private-range receivers without connecting', async () => {
+    await createWebhook({ url: 'http://127.0.0.2:5001/hook', secret });
+    await createWebhook({ url: 'http://192.168.1.10/hook', secret });
+
+    const queued = await notifyNewReviews('Acme Chat', [lowRated]);
+    const deliveries = await Promise.all(queued.map(({ attempted }) => attempted));
+
+    assert.equal(deliveries.length, 2);
+    deliveries.forEach(delivery => {
+      assert.equal(delivery.state, 'failed');
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.responseStatus, null);
+      assert.equal(delivery.error, 'Receiver URL is not allowed by the URL policy');
+    });
+  });
+
+  it('records a generic error when the receiver cannot be reached', async () => {
+    await createWebhook({ url: 'http://127.0.0.1:9/hook', secret });
+
+    const [{ delivery }] = await notifyNewReviews('Acme Chat', [lowRated]);
+    const settled = await waitForDelivery(delivery.id);
+
+    assert.equal(settled.state, 'failed');
+    assert.equal(settled.error, 'Could not connect to the receiver');
+  });
+});
@@ -0,0 +1,160 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('api-keys');
+process.env.ADMIN_API_KEY = 'test-admin-key';
+delete process.env.REQUIRE_API_KEYS;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { authenticate, requireScope, enforceDailyQuota, flushUsage } = require('../../middleware/apiKeys');
+const adminRouter = require('../../routes/admin');
+
+let server;
+let baseUrl;
+
+/**
+ * Sends a request to the test app
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {string} key - API key, if any
+ * @param {Object} body - JSON body, if any
+ * @returns {Object} - { status, headers, body }
+ */
+async function request(method, pathname, key, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers.Authorization = `Bearer ${key}`;
+
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Issues a key through the admin endpoint
+ * @param {Object} definition - { name, scopes, rateLimit, dailyQuota }
+ * @returns {Object} - { apiKey, key }
+ */
+async function issueKey(definition) {
+  const { status, body } = await request('POST', '/admin/keys', 'test-admin-key', definition);
+  assert.equal(status, 201);
+  return body;
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.post('/scrape', requireScope('scrape'), enforceDailyQuota, (req, res) => res.status(202).json({ success: true }));
+  app.post('/scrape-reviews', requireScope('reviews'), enforceDailyQuota, (req, res) => res.status(202).json({ success: true }));
+  app.post('/invalid', requireScope('scrape'), enforceDailyQuota, (req, res) => res.status(400).json({ success: false }));
+  app.use('/admin', requireScope('admin'), adminRouter);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe('API key authentication', () => {
+  it('refuses requests without a valid key', async () => {
+    const missing = await request('POST', '/scrape');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('WWW-Authenticate'), 'Bearer');
+
+    const wrong = await request('POST', '/scrape', 'pulse_not-a-key');
+    assert.equal(wrong.status, 401);
+  });
+
+  it('issues keys that are stored hashed and returned once', async () => {
+    const { apiKey, key } = await issueKey({ name: 'Reporting', scopes: ['reviews'] });
+
+    assert.match(key, /^pulse_/);
+    assert.equal(apiKey.prefix, key.slice(0, apiKey.prefix.length));
+    assert.equal(apiKey.rateLimit, 60);
+    assert.equal(apiKey.dailyQuota, 100);
+
+    const { body } = await request('GET', '/admin/keys', 'test-admin-key');
+    const listed = body.data.find(item => item.id === apiKey.id);
+    assert.equal(listed.name, 'Reporting');
+    assert.equal(JSON.stringify(listed).includes(key), false);
+  });
+
+  it('rejects invalid key definitions', async () => {
+    const noScopes = await request('POST', '/admin/keys', 'test-admin-key', { name: 'x', scopes: [] });
+    assert.equal(noScopes.status, 400);
+
+    const unknownScope = await request('POST', '/admin/keys', 'test-admin-key', { name: 'x', scopes: ['everything'] });
+    assert.equal(unknownScope.status, 400);
+
+    const badLimit = await request('POST', '/admin/keys', 'test-admin-key', { name: 'x', scopes: ['scrape'], rateLimit: -1 });
+    assert.equal(badLimit.status, 400);
+  });
+
+  it('enforces scopes', async () => {
+    const { key } = await issueKey({ name: 'Generic', scopes: ['scrape'] });
+
+    assert.equal((await request('POST', '/scrape', key)).status, 202);
+
+    const forbidden = await request('POST', '/scrape-reviews', key);
+    assert.equal(forbidden.status, 403);
+    assert.match(forbidden.body.error, /"reviews" scope/);
+
+    assert.equal((await request('GET', '/admin/keys', key)).status, 403);
+  });
+
+  it('applies the per-minute rate limit', async () => {
+    const { key } = await issueKey({ name: 'Chatty', scopes: ['scrape'], rateLimit: 2, dailyQuota: null });
+
+    const first = await request('POST', '/scrape', key);
+    assert.equal(first.headers.get('RateLimit-Limit'), '2');
+    assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+    assert.equal((await request('POST', '/scrape', key)).status, 202);
+
+    const limited = await request('POST', '/scrape', key);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+  });
+
+  it('counts accepted scrapes against the daily quota', async () => {
+    const { apiKey, key } = await issueKey({ name: 'Nightly', scopes: ['scrape'], rateLimit: null, dailyQuota: 2 });
+
+    // Rejected requests don't use up the quota
+    assert.equal((await request('POST', '/invalid', key)).status, 400);
+
+    const first = await request('POST', '/scrape', key);
+    assert.equal(first.status, 202);
+    assert.equal(first.headers.get('X-Quota-Remaining'), '1');
+    assert.equal((await request('POST', '/scrape', key)).status, 202);
+
+    const exhausted = await request('POST', '/scrape', key);
+    assert.equal(exhausted.status, 429);
+    assert.match(exhausted.body.error, /Daily quota of 2/);
+
+    await flushUsage();
+    const { body } = await request('GET', `/admin/keys/${apiKey.id}`, 'test-admin-key');
+    assert.equal(body.usage[0].scrapes, 2);
+    assert.equal(body.usage[0].requests, 4);
+    assert.ok(body.apiKey.lastUsedAt);
+  });
+
+  it('stops accepting a key once it is revoked', async () => {
+    const { apiKey, key } = await issueKey({ name: 'Temporary', scopes: ['scrape'] });
+
+    const revoked = await request('DELETE', `/admin/keys/${apiKey.id}`, 'test-admin-key');
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.apiKey.revokedAt);
+
+    assert.equal((await request('POST', '/scrape', key)).status, 401);
+    assert.equal((await request('DELETE', '/admin/keys/unknown', 'test-admin-key')).status, 404);
+  });
+});
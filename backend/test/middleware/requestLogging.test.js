@@ -0,0 +1,51 @@
+require('../helpers/setup');
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requestLogging } = require('../../middleware/requestLogging');
+const { getLogContext } = require('../../utils/logger');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestLogging);
+  // Reports the log context seen by async work the request starts
+  app.get('/context', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    res.json(getLogContext());
+  });
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe('requestLogging', () => {
+  it('assigns a request ID and binds it to the log context', async () => {
+    const response = await fetch(`${baseUrl}/context`);
+    const requestId = response.headers.get('X-Request-ID');
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(await response.json(), { requestId });
+  });
+
+  it('keeps a request ID sent by the client', async () => {
+    const response = await fetch(`${baseUrl}/context`, { headers: { 'X-Request-ID': 'edge-7f3a' } });
+
+    assert.equal(response.headers.get('X-Request-ID'), 'edge-7f3a');
+    assert.deepEqual(await response.json(), { requestId: 'edge-7f3a' });
+  });
+
+  it('replaces request IDs it cannot log safely', async () => {
+    const response = await fetch(`${baseUrl}/context`, { headers: { 'X-Request-ID': 'a b"c' } });
+
+    assert.notEqual(response.headers.get('X-Request-ID'), 'a b"c');
+  });
+});
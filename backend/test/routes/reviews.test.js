@@ -0,0 +1,52 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('reviews');
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { upsertReviews } = require('../../db/reviewStore');
+const reviewsRouter = require('../../routes/reviews');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await upsertReviews('Acme Chat', [
+    { title: 'Fast and simple', date: 'March 1, 2025', rating: 5, reviewer: { name: 'Ann', info: '' }, source: 'G2', origin: 'g2' },
+    { title: 'Too slow', date: 'February 1, 2025', rating: 2, reviewer: { name: 'Bo', info: '' }, source: 'Capterra', origin: 'capterra' }
+  ]);
+
+  const app = express();
+  app.use('/reviews', reviewsRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe('GET /reviews', () => {
+  it('filters stored reviews by company and source', async () => {
+    const response = await fetch(`${baseUrl}/reviews?company=Acme%20Chat&source=G2`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.data.map(review => review.title), ['Fast and simple']);
+  });
+
+  it('rejects a repeated source or company', async () => {
+    const repeated = await fetch(`${baseUrl}/reviews?source=g2&source=capterra`);
+    assert.equal(repeated.status, 400);
+    assert.equal((await repeated.json()).error, '"source" must be given once, as a single value');
+
+    assert.equal((await fetch(`${baseUrl}/reviews?company=Acme&company=Other`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/reviews/themes?company=Acme&company=Other`)).status, 400);
+  });
+});
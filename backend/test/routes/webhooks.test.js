@@ -0,0 +1,98 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('webhook-routes');
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createWebhook, listWebhooks } = require('../../db/webhookStore');
+const webhooksRouter = require('../../routes/webhooks');
+const { startWebhookReceiver } = require('../helpers/webhookReceiver');
+
+const secret = 'test-secret-0123456789';
+
+let server;
+let baseUrl;
+
+/**
+ * Sends a JSON POST request to the test server
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @returns {Object} - { status, body }
+ */
+async function post(path, body = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhooks', webhooksRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe('POST /webhooks', () => {
+  it('refuses loopback and private-range receiver URLs', async () => {
+    const loopback = await post('/webhooks', { url: 'http://127.0.0.2:5001/hook', secret });
+    assert.equal(loopback.status, 403);
+    assert.equal(loopback.body.code, 'URL_BLOCKED');
+
+    const privateRange = await post('/webhooks', { url: 'http://192.168.1.10/hook', secret });
+    assert.equal(privateRange.status, 403);
+    assert.equal(privateRange.body.code, 'URL_BLOCKED');
+
+    assert.deepEqual(await listWebhooks(), []);
+  });
+
+  it('creates webhooks for receivers the URL policy allows', async () => {
+    const created = await post('/webhooks', { url: 'http://127.0.0.1:5001/hook', secret });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.webhook.url, 'http://127.0.0.1:5001/hook');
+  });
+});
+
+describe('POST /webhooks/:id/test', () => {
+  it('reports a delivered ping', async () => {
+    const receiver = await startWebhookReceiver();
+    try {
+      const webhook = await createWebhook({ url: receiver.url, secret });
+      const { status, body } = await post(`/webhooks/${webhook.id}/test`);
+
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.delivery.responseStatus, 200);
+      assert.equal(receiver.requests[0].json.event, 'ping');
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('does not reveal connection errors or reach receivers the URL policy refuses', async () => {
+    const unreachable = await createWebhook({ url: 'http://127.0.0.1:9/hook', secret });
+    const internal = await createWebhook({ url: 'http://192.168.1.10/hook', secret });
+
+    const failed = await post(`/webhooks/${unreachable.id}/test`);
+    assert.equal(failed.body.success, false);
+    assert.equal(failed.body.delivery.error, 'Could not connect to the receiver');
+
+    const refused = await post(`/webhooks/${internal.id}/test`);
+    assert.equal(refused.body.success, false);
+    assert.equal(refused.body.delivery.error, 'Receiver URL is not allowed by the URL policy');
+  });
+});
@@ -0,0 +1,114 @@
+require('../helpers/setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('../helpers/fixtureServer');
+const { skipWithoutBrowser } = require('../helpers/browser');
+const { shutdownPool } = require('../../utils/browserPool');
+const { scrapeCapterraReviews } = require('../../scrapers/capterraScraper');
+
+const startDate = new Date('2025-01-01T00:00:00');
+const endDate = new Date('2025-06-30T23:59:59');
+
+describe('scrapeCapterraReviews', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer({
+      routes: {
+        '/search/': 'capterra/search.html',
+        '/p/135003/Slack/reviews/': 'capterra/slack-reviews-page-1.html',
+        '/p/135003/Slack/reviews/?page=2': 'capterra/slack-reviews-page-2.html',
+        '/p/424242/Blocked-Co/reviews/': 'capterra/blocked-reviews-page-1.html'
+      },
+      notFound: 'capterra/not-found.html',
+      robots: 'User-agent: *\nDisallow: /private/\n'
+    });
+  });
+
+  after(async () => {
+    await shutdownPool();
+    await server.close();
+  });
+
+  const scrape = (companyName, maxPages = 10) =>
+    scrapeCapterraReviews(companyName, startDate, endDate, maxPages, { baseUrl: server.baseUrl });
+
+  it('returns every review read, for the run modes to filter by date', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Slack');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(review => review.title), [
+      'Keeps our distributed team in sync',
+      'Great integrations, noisy by default',
+      'Solid chat tool',
+      'Huddles replaced most of our calls',
+      'Undated review',
+      'Too expensive after the price change'
+    ]);
+    assert.ok(server.requests.includes('/p/135003/Slack/reviews/?page=2'));
+  });
+
+  it('reads ratings, dates, reviewers and pros/cons', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const [first, second] = (await scrape('Slack')).data;
+
+    assert.equal(first.rating, 4.5);
+    assert.equal(first.date, 'June 10, 2025');
+    assert.deepEqual(first.reviewer, {
+      name: 'Dana P.',
+      info: 'Marketing Manager, Computer Software, 51-200 employees'
+    });
+    assert.match(first.description, /We moved all project chatter out of email/);
+    assert.match(first.description, /Pros: Channels and threads keep conversations organized\./);
+    assert.match(first.description, /Cons: Notification settings take time to tune\./);
+    assert.equal(first.body, 'We moved all project chatter out of email and into channels.');
+    assert.equal(first.pros, 'Channels and threads keep conversations organized.');
+    assert.equal(first.cons, 'Notification settings take time to tune.');
+    assert.equal(first.vendorResponse, 'Thanks Dana! Notification presets are coming soon.');
+    // Sections are separated by real blank lines, not escaped "\n" text
+    assert.ok(first.description.includes('\n\nPros: '));
+    assert.ok(!first.description.includes('\\n'));
+    assert.equal(first.source, 'Capterra');
+
+    // Counted stars and the alternate class names
+    assert.equal(second.rating, 3);
+    assert.equal(second.date, 'May 2, 2025');
+    assert.deepEqual(second.reviewer, {
+      name: 'Luis G.',
+      info: 'Engineering Lead, Retail, 1001-5000 employees'
+    });
+  });
+
+  it('stops after maxPages', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const requestsBefore = server.requests.length;
+    const result = await scrape('Slack', 1);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, 3);
+    assert.ok(!server.requests.slice(requestsBefore).includes('/p/135003/Slack/reviews/?page=2'));
+  });
+
+  it('keeps the pages already scraped when robots.txt disallows the next one', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Blocked Co');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(review => review.title), ['Only the first page is crawlable']);
+    assert.ok(!server.requests.some(request => request.startsWith('/private/')));
+  });
+
+  it('reports a company that is not listed', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Unknown Vendor');
+
+    assert.deepEqual(result, { success: false, error: 'Company "Unknown Vendor" not found on Capterra', code: 'PRODUCT_NOT_FOUND' });
+  });
+});
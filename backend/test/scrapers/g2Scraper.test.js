@@ -0,0 +1,142 @@
+require('../helpers/setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('../helpers/fixtureServer');
+const { skipWithoutBrowser } = require('../helpers/browser');
+const { shutdownPool } = require('../../utils/browserPool');
+const { scrapeG2Reviews } = require('../../scrapers/g2Scraper');
+
+const startDate = new Date('2025-01-01T00:00:00');
+const endDate = new Date('2025-06-30T23:59:59');
+
+describe('scrapeG2Reviews', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer({
+      routes: {
+        '/products/slack/reviews': 'g2/slack-reviews-page-1.html',
+        '/products/slack/reviews?page=2': 'g2/slack-reviews-page-2.html',
+        '/products/slack/reviews?page=3': 'g2/slack-reviews-page-3.html',
+        '/products/slack/reviews?page=4': 'g2/slack-reviews-page-4.html',
+        '/products/unsorted-co/reviews': 'g2/unsorted-reviews-page-1.html',
+        '/products/unsorted-co/reviews?page=2': 'g2/unsorted-reviews-page-2.html'
+      },
+      notFound: 'g2/not-found.html'
+    });
+  });
+
+  after(async () => {
+    await shutdownPool();
+    await server.close();
+  });
+
+  const scrape = (companyName, maxPages = 10) =>
+    scrapeG2Reviews(companyName, startDate, endDate, maxPages, { baseUrl: server.baseUrl });
+
+  it('returns every review read, for the run modes to filter by date', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Slack');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(review => review.title), [
+      'Great Team Collaboration Tool',
+      'Efficient Communication Platform',
+      'Older review',
+      'Essential Remote Working Tool',
+      'Replaced our old chat server',
+      'Fine for small teams'
+    ]);
+  });
+
+  it('reads ratings, dates and reviewers', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const { data } = await scrape('Slack');
+    const [first, second] = data;
+    const third = data.find(review => review.title === 'Essential Remote Working Tool');
+
+    assert.equal(first.rating, 4.5);
+    assert.equal(first.date, 'June 15, 2025');
+    assert.deepEqual(first.reviewer, { name: 'John D.', info: 'Mid-Market (51-1000 emp.)' });
+    assert.match(first.description, /central hub/);
+    assert.equal(first.body, first.description);
+    assert.equal(first.pros, null);
+    assert.equal(first.source, 'G2');
+
+    // Rating read from text rather than data-rating
+    assert.equal(second.rating, 4);
+    assert.deepEqual(second.reviewer, { name: 'Sarah M.', info: 'Enterprise (>1000 emp.)' });
+
+    // Answers sorted into sections by their question headings
+    assert.equal(second.body, 'It replaced internal email for day-to-day questions.');
+    assert.equal(second.pros, 'Response times improved dramatically after we left email behind.');
+    assert.equal(second.cons, 'Too many notifications until you tune them.');
+    assert.equal(second.recommendations, 'Agree on channel naming before rolling it out.');
+    assert.equal(second.vendorResponse, 'Thanks Sarah, notification defaults are on our roadmap.');
+    assert.match(second.description, /^It replaced internal email[^]*\n\nPros: Response times/);
+
+    assert.deepEqual(third.reviewer, { name: 'Emily K.', info: '' });
+  });
+
+  it('reports which selector matched each field', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const { data, selectorStats } = await scrape('Slack');
+
+    assert.equal(selectorStats.pages, 3);
+    assert.equal(selectorStats.reviews, 6);
+    assert.deepEqual(selectorStats.fields.title, { matched: 6, missed: 0, selectors: { '.review__title': 6 } });
+    assert.ok(data.every(review => !('selectorMatches' in review)));
+  });
+
+  it('asks for newest first and stops at the first page older than the range', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const requestsBefore = server.requests.length;
+    const result = await scrape('Slack');
+    const requests = server.requests.slice(requestsBefore);
+
+    assert.equal(result.success, true);
+    assert.ok(requests.includes('/products/slack/reviews?order=most_recent'));
+    assert.ok(requests.includes('/products/slack/reviews?page=3'));
+    assert.ok(!requests.includes('/products/slack/reviews?page=4'));
+  });
+
+  it('reads every page when G2 ignores the newest-first sort', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const warnings = [];
+    const result = await scrapeG2Reviews('Unsorted Co', startDate, endDate, 10, {
+      baseUrl: server.baseUrl,
+      onEvent: (type, data) => type === 'warning' && warnings.push(data.message)
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(review => review.title), [
+      'Still on the old plan',
+      'Setup was painless',
+      'Reporting got much better'
+    ]);
+    assert.ok(warnings.includes('G2 did not sort reviews newest first; reading every page up to maxPages'));
+  });
+
+  it('stops after maxPages', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Slack', 1);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, 3);
+  });
+
+  it('reports a company without reviews', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Nobody');
+
+    assert.deepEqual(result, { success: false, error: 'Reviews not found for "Nobody" on G2', code: 'PRODUCT_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,116 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('incremental');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerSource, unregisterSource } = require('../../scrapers');
+const { withNewestFirst, isSortedNewestFirst, isPageOlderThan } = require('../../scrapers/incremental');
+const { getHighWaterMark, recordScrapeRun } = require('../../db/scrapeState');
+const { runSource } = require('../../scrapers/runModes');
+const { formatDate } = require('../../utils/dateUtils');
+
+describe('withNewestFirst', () => {
+  it('sets the sort parameters and keeps the rest of the URL', () => {
+    assert.equal(
+      withNewestFirst('https://example.com/p/1/reviews/?page=2', { sort: 'most_recent' }),
+      'https://example.com/p/1/reviews/?page=2&sort=most_recent'
+    );
+  });
+});
+
+describe('isSortedNewestFirst', () => {
+  const url = 'https://example.com/p/1/reviews/?sort=most_recent';
+  const params = { sort: 'most_recent' };
+
+  it('is true when the sort was kept and the dates descend', () => {
+    assert.equal(isSortedNewestFirst(url, params, [{ date: 'May 2, 2025' }, { date: '' }, { date: 'January 9, 2025' }]), true);
+    assert.equal(isSortedNewestFirst(url, params, []), true);
+  });
+
+  it('is false when the site ignored or dropped the sort', () => {
+    assert.equal(isSortedNewestFirst(url, params, [{ date: 'January 9, 2025' }, { date: 'May 2, 2025' }]), false);
+    assert.equal(isSortedNewestFirst('https://example.com/p/1/reviews/', params, [{ date: 'May 2, 2025' }]), false);
+  });
+});
+
+describe('isPageOlderThan', () => {
+  const startDate = new Date('2025-03-01T00:00:00');
+
+  it('is true only when every review predates the start date', () => {
+    assert.equal(isPageOlderThan([{ date: 'February 2, 2025' }, { date: 'January 9, 2025' }], startDate), true);
+    assert.equal(isPageOlderThan([{ date: 'March 2, 2025' }, { date: 'January 9, 2025' }], startDate), false);
+  });
+
+  it('never stops on empty pages or undated reviews', () => {
+    assert.equal(isPageOlderThan([], startDate), false);
+    assert.equal(isPageOlderThan([{ date: 'January 9, 2025' }, { date: '' }], startDate), false);
+  });
+});
+
+describe('high-water mark', () => {
+  it('moves forward to the newest review and never back', async () => {
+    assert.equal(await getHighWaterMark('g2', 'Mark Co'), null);
+
+    await recordScrapeRun('g2', 'Mark Co', [{ date: 'May 3, 2025' }, { date: 'May 20, 2025' }, { date: 'n/a' }]);
+    assert.equal(formatDate(await getHighWaterMark('g2', 'Mark Co')), '2025-05-20');
+
+    await recordScrapeRun('g2', 'Mark Co', [{ date: 'April 1, 2025' }]);
+    assert.equal(formatDate(await getHighWaterMark('g2', 'Mark Co')), '2025-05-20');
+
+    await recordScrapeRun('g2', 'Mark Co', []);
+    assert.equal(formatDate(await getHighWaterMark('g2', 'Mark Co')), '2025-05-20');
+  });
+
+  it('is kept per source and company', async () => {
+    await recordScrapeRun('capterra', 'Mark Co', [{ date: 'June 1, 2025' }]);
+
+    assert.equal(formatDate(await getHighWaterMark('capterra', 'Mark Co')), '2025-06-01');
+    assert.equal(await getHighWaterMark('capterra', 'Other Co'), null);
+  });
+});
+
+describe('incremental live runs', () => {
+  const queries = [];
+  const source = {
+    name: 'acme',
+    label: 'Acme Reviews',
+    capabilities: { pagination: true, dateSorting: true, prosCons: false },
+    scrape: async (query) => {
+      queries.push(query);
+      return { success: true, data: [{ title: 'Newest', date: 'June 12, 2025' }] };
+    }
+  };
+  before(() => {
+    registerSource(source);
+  });
+
+  after(() => {
+    unregisterSource(source.name);
+  });
+
+  const query = {
+    companyName: 'Refresh Co',
+    startDate: new Date('2025-01-01T00:00:00'),
+    endDate: new Date('2025-06-30T23:59:59')
+  };
+
+  it('starts from the previous run when incremental', async () => {
+    const first = await runSource(source, query, { mode: 'live', incremental: true });
+    assert.equal(first.since, undefined);
+    assert.equal(queries[0].startDate, query.startDate);
+
+    const second = await runSource(source, query, { mode: 'live', incremental: true });
+    assert.equal(second.since, '2025-06-12');
+    assert.equal(formatDate(queries[1].startDate), '2025-06-12');
+  });
+
+  it('uses the requested start date otherwise', async () => {
+    const result = await runSource(source, query, { mode: 'live' });
+
+    assert.equal(result.since, undefined);
+    assert.equal(queries[2].startDate, query.startDate);
+  });
+});
@@ -0,0 +1,107 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSource } = require('../../scrapers');
+const { normalizeReview, normalizeReviews } = require('../../scrapers/normalize');
+const { buildReviewSchema } = require('../../scrapers/reviewSchema');
+const { toReviewId } = require('../../db/reviewStore');
+
+const trustRadius = getSource('trustradius');
+const g2 = getSource('g2');
+
+const extracted = {
+  title: ' Keeps us in sync ',
+  body: 'Channels everywhere.',
+  pros: 'Threads.',
+  cons: null,
+  date: 'June 2, 2025',
+  rating: 9,
+  reviewer: { name: 'Chris O.', info: 'IT Director' },
+  source: 'TrustRadius'
+};
+
+describe('normalizeReview', () => {
+  it('produces ISO dates, five-star ratings and the canonical source', () => {
+    const { review, errors } = normalizeReview(trustRadius, 'Slack', extracted);
+
+    assert.deepEqual(errors, []);
+    assert.equal(review.source, 'trustradius');
+    assert.equal(review.title, 'Keeps us in sync');
+    assert.equal(review.description, 'Channels everywhere.\n\nPros: Threads.');
+    assert.equal(review.date, '2025-06-02');
+    assert.equal(review.dateText, 'June 2, 2025');
+    assert.equal(review.rating, 4.5);
+    assert.equal(review.originalRating, 9);
+    assert.equal(review.ratingScale, 10);
+    assert.match(review.id, /^[0-9a-f]{64}$/);
+  });
+
+  it('counts relative dates back from when the page was read', () => {
+    const scrapedAt = new Date(2025, 5, 20, 12);
+    const { review } = normalizeReview(g2, 'Slack', { ...extracted, rating: 4, date: '2 days ago' }, { scrapedAt });
+
+    assert.equal(review.date, '2025-06-18');
+    assert.equal(review.dateText, '2 days ago');
+    assert.equal(review.datePrecision, 'day');
+    assert.equal(review.scrapedAt, scrapedAt.toISOString());
+
+    // A replayed review keeps its own scrape time
+    const replayed = normalizeReview(g2, 'Slack', review, { scrapedAt: new Date(2025, 7, 1) }).review;
+    assert.equal(replayed.date, '2025-06-18');
+  });
+
+  it('flags ambiguous numeric dates', () => {
+    const { review } = normalizeReview(g2, 'Slack', { ...extracted, rating: 4, date: '05/06/2025' });
+
+    assert.equal(review.date, '2025-05-06');
+    assert.equal(review.dateConfidence, 'medium');
+  });
+
+  it('uses null for unknown ratings instead of 0', () => {
+    assert.equal(normalizeReview(g2, 'Slack', { ...extracted, rating: 0 }).review.rating, null);
+    assert.equal(normalizeReview(g2, 'Slack', { ...extracted, rating: NaN }).review.originalRating, null);
+    assert.equal(normalizeReview(g2, 'Slack', { ...extracted, rating: null }).errors.length, 0);
+  });
+
+  it('gives the same review the same ID, matching the review store', () => {
+    const { review } = normalizeReview(trustRadius, 'Slack', extracted);
+    const again = normalizeReview(trustRadius, 'Slack', { ...extracted, date: 'Jun 2 2025', rating: 8 }).review;
+
+    assert.equal(again.id, review.id);
+    assert.equal(review.id, toReviewId('Slack', { ...extracted, origin: 'trustradius' }));
+    assert.notEqual(normalizeReview(trustRadius, 'Teams', extracted).review.id, review.id);
+  });
+
+  it('leaves normalized reviews unchanged', () => {
+    const { review } = normalizeReview(trustRadius, 'Slack', extracted);
+    const stored = { ...review, origin: 'trustradius', firstSeenAt: '2025-06-03T10:00:00.000Z' };
+
+    assert.deepEqual(normalizeReview(trustRadius, 'Slack', stored).review, stored);
+  });
+});
+
+describe('normalizeReviews', () => {
+  it('reports reviews that fail validation instead of dropping them', () => {
+    const { reviews, invalid } = normalizeReviews(g2, 'Slack', [
+      { ...extracted, title: 'Fine', rating: 4 },
+      { ...extracted, title: 'Undated', date: 'sometime last spring', rating: 4 },
+      { ...extracted, title: 'Off the scale', rating: 7 }
+    ]);
+
+    assert.deepEqual(reviews.map(review => review.title), ['Fine']);
+    assert.equal(invalid.length, 2);
+    assert.equal(invalid[0].record.title, 'Undated');
+    assert.ok(invalid[0].errors.includes('date must be string'));
+    assert.deepEqual(invalid[1].errors, ['rating must be <= 5']);
+  });
+});
+
+describe('buildReviewSchema', () => {
+  it('lists the registered sources', () => {
+    const schema = buildReviewSchema();
+
+    assert.deepEqual(schema.properties.source.enum, ['g2', 'capterra', 'trustradius']);
+    assert.ok(schema.required.includes('dateText'));
+  });
+});
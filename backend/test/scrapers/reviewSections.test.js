@@ -0,0 +1,56 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderDescription, withDescriptions } = require('../../scrapers/reviewSections');
+
+describe('renderDescription', () => {
+  it('joins the reviewer sections with blank lines', () => {
+    const description = renderDescription({
+      body: 'Main text.',
+      pros: 'Fast.',
+      cons: 'Pricey.',
+      recommendations: 'Try the trial.',
+      vendorResponse: 'Thanks!'
+    });
+
+    assert.equal(description, 'Main text.\n\nPros: Fast.\n\nCons: Pricey.\n\nRecommendations: Try the trial.');
+  });
+
+  it('skips missing sections and falls back when there is no text', () => {
+    assert.equal(renderDescription({ body: null, pros: 'Fast.', cons: null }), 'Pros: Fast.');
+    assert.equal(renderDescription({ body: null, pros: null, cons: null }), 'No review content available');
+  });
+});
+
+describe('withDescriptions', () => {
+  it('trims sections, nulls missing ones and adds the description', () => {
+    const [review] = withDescriptions([{
+      title: 'Solid',
+      body: '  Works well. ',
+      pros: '',
+      cons: 'Slow exports.',
+      date: 'June 1, 2025',
+      rating: 4
+    }]);
+
+    assert.deepEqual(review, {
+      title: 'Solid',
+      description: 'Works well.\n\nCons: Slow exports.',
+      body: 'Works well.',
+      pros: null,
+      cons: 'Slow exports.',
+      recommendations: null,
+      vendorResponse: null,
+      date: 'June 1, 2025',
+      rating: 4
+    });
+  });
+
+  it('keeps a description-only review\'s text as its body', () => {
+    const [review] = withDescriptions([{ title: 'Old style', description: ' Just text. ' }]);
+
+    assert.equal(review.body, 'Just text.');
+    assert.equal(review.description, 'Just text.');
+  });
+});
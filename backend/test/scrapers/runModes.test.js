@@ -0,0 +1,137 @@
+require('../helpers/setup');
+
+const path = require('path');
+const { useTempDir } = require('../helpers/tempDir');
+
+const tempDir = useTempDir('run-modes');
+process.env.SNAPSHOT_DIR = path.join(tempDir, 'snapshots');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerSource, unregisterSource, getSource } = require('../../scrapers');
+const { resolveRunMode, runSource } = require('../../scrapers/runModes');
+const { scrapeSources } = require('../../scrapers/aggregate');
+const { upsertReviews } = require('../../db/reviewStore');
+const { parseDate } = require('../../utils/dateUtils');
+
+const capterraSource = getSource('capterra');
+
+const query = {
+  companyName: 'Acme Chat',
+  startDate: new Date('2025-01-01T00:00:00'),
+  endDate: new Date('2025-06-30T23:59:59')
+};
+
+// A source whose live scrape must not run in demo or replay mode
+const liveOnlySource = {
+  name: 'acme',
+  label: 'Acme Reviews',
+  capabilities: { pagination: false, dateSorting: false, prosCons: false },
+  scrape: async () => ({
+    success: true,
+    data: [{ title: 'Live review', date: 'March 1, 2025', rating: 5, reviewer: { name: 'Ann', info: '' }, source: 'Acme' }]
+  })
+};
+
+before(() => {
+  registerSource(liveOnlySource);
+});
+
+after(() => {
+  unregisterSource(liveOnlySource.name);
+});
+
+describe('resolveRunMode', () => {
+  it('defaults to live and rejects unknown modes', () => {
+    assert.equal(resolveRunMode(undefined), 'live');
+    assert.equal(resolveRunMode(' Demo '), 'demo');
+    assert.equal(resolveRunMode('replay'), 'replay');
+    assert.equal(resolveRunMode('mock'), null);
+  });
+});
+
+describe('runSource', () => {
+  it('scrapes the site in live mode', async () => {
+    const result = await runSource(liveOnlySource, query, { mode: 'live' });
+
+    assert.equal(result.mode, 'live');
+    assert.deepEqual(result.data.map(review => review.title), ['Live review']);
+  });
+
+  it('filters live reviews by date and reports undated ones as invalid', async () => {
+    const source = {
+      ...liveOnlySource,
+      scrape: async () => ({
+        success: true,
+        data: [
+          { title: 'In range', date: 'March 1, 2025', rating: 5, reviewer: { name: 'Ann', info: '' } },
+          { title: 'Too old', date: 'May 1, 2020', rating: 3, reviewer: { name: 'Bo', info: '' } },
+          { title: 'Undated', date: 'sometime last spring', rating: 4, reviewer: { name: 'Cy', info: '' } }
+        ]
+      })
+    };
+    const events = [];
+
+    const result = await runSource(source, query, { mode: 'live', onEvent: (type, data) => events.push({ type, data }) });
+
+    assert.deepEqual(result.data.map(review => review.title), ['In range']);
+    assert.equal(result.invalid.length, 1);
+    assert.equal(result.invalid[0].record.title, 'Undated');
+    assert.deepEqual(events.find(event => event.type === 'filtered').data, { scraped: 2, kept: 1 });
+  });
+
+  it('returns labelled demo reviews for the requested company and range', async () => {
+    const result = await runSource(capterraSource, query, { mode: 'demo' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.mode, 'demo');
+    assert.match(result.note, /not real Capterra reviews/);
+    assert.ok(result.data.length > 0);
+
+    result.data.forEach(review => {
+      assert.equal(review.source, 'capterra');
+      assert.match(review.description, /Acme Chat/);
+
+      const date = parseDate(review.date);
+      assert.ok(date >= query.startDate && date <= query.endDate, `${review.date} is outside the range`);
+    });
+  });
+
+  it('fails a replay when nothing was recorded', async () => {
+    const result = await runSource(liveOnlySource, query, { mode: 'replay' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.mode, 'replay');
+    assert.match(result.error, /No recorded pages or stored reviews for "Acme Chat" on Acme Reviews/);
+  });
+
+  it('replays stored reviews within the range, skipping stored demo data', async () => {
+    await upsertReviews('Acme Chat', [
+      { title: 'Stored in range', date: 'April 2, 2025', rating: 4, reviewer: { name: 'Bo', info: '' }, source: 'Acme', origin: 'acme' },
+      { title: 'Stored out of range', date: 'April 2, 2024', rating: 2, reviewer: { name: 'Cy', info: '' }, source: 'Acme', origin: 'acme' },
+      { title: 'Old demo review', date: 'May 5, 2025', rating: 5, reviewer: { name: 'Di', info: '' }, source: 'Acme (Demo Data)', origin: 'acme' }
+    ]);
+
+    const result = await runSource(liveOnlySource, query, { mode: 'replay' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.mode, 'replay');
+    assert.deepEqual(result.data.map(review => review.title), ['Stored in range']);
+  });
+
+  it('rejects an unknown mode', async () => {
+    await assert.rejects(runSource(liveOnlySource, query, { mode: 'mock' }), /Invalid run mode "mock"/);
+  });
+});
+
+describe('scrapeSources', () => {
+  it('tags every review and source report with the run mode', async () => {
+    const result = await scrapeSources([capterraSource, liveOnlySource], query, { mode: 'demo' });
+
+    assert.equal(result.mode, 'demo');
+    assert.equal(result.sources.capterra.mode, 'demo');
+    assert.equal(result.sources.acme.mode, 'demo');
+    assert.ok(result.data.every(review => review.mode === 'demo'));
+    assert.ok(result.data.some(review => review.source === 'acme'));
+  });
+});
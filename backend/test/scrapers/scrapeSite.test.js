@@ -0,0 +1,84 @@
+require('../helpers/setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('../helpers/fixtureServer');
+const { skipWithoutBrowser } = require('../helpers/browser');
+const { shutdownPool } = require('../../utils/browserPool');
+const { scrapeSite } = require('../../scraper');
+
+const productSelectors = { root: '.product', name: '.name', price: { selector: '.price', type: 'number' } };
+
+describe('scrapeSite pagination', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer({
+      routes: {
+        '/catalog': 'catalog/catalog-page-1.html',
+        '/catalog?page=2': 'catalog/catalog-page-2.html',
+        '/catalog?page=3': 'catalog/catalog-page-3.html',
+        '/feed': 'catalog/feed.html'
+      }
+    });
+  });
+
+  after(async () => {
+    await shutdownPool();
+    await server.close();
+  });
+
+  it('follows the next button until it is disabled and drops repeated items', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const items = await scrapeSite(`${server.baseUrl}/catalog`, productSelectors, {
+      pagination: { type: 'next', selector: 'a.next' }
+    });
+
+    assert.deepEqual(items, [
+      { name: 'Desk lamp', price: 24.99 },
+      { name: 'Monitor arm', price: 89 },
+      { name: 'Keyboard tray', price: 1049.5 },
+      { name: 'Cable tray', price: 15 }
+    ]);
+    assert.ok(server.requests.includes('/catalog?page=3'));
+  });
+
+  it('stops following the next button once maxItems is reached', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    server.requests.length = 0;
+    const items = await scrapeSite(`${server.baseUrl}/catalog`, productSelectors, {
+      pagination: { type: 'next', selector: 'a.next', maxItems: 3 }
+    });
+
+    assert.deepEqual(items.map(item => item.name), ['Desk lamp', 'Monitor arm', 'Keyboard tray']);
+    assert.equal(server.requests.includes('/catalog?page=3'), false);
+  });
+
+  it('visits numbered pages from a URL template', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const items = await scrapeSite(`${server.baseUrl}/catalog`, productSelectors, {
+      pagination: { type: 'url', template: `${server.baseUrl}/catalog?page={page}`, start: 2, maxPages: 2 }
+    });
+
+    assert.deepEqual(items.map(item => item.name), ['Monitor arm', 'Keyboard tray', 'Cable tray']);
+  });
+
+  it('scrolls an infinite feed until no new items load', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const pages = [];
+    const items = await scrapeSite(`${server.baseUrl}/feed`, { root: '.post', title: '.title' }, {
+      pagination: { type: 'scroll' },
+      onEvent: (type, data) => {
+        if (type === 'page') pages.push(data);
+      }
+    });
+
+    assert.deepEqual(items.map(item => item.title), ['Post 1', 'Post 2', 'Post 3', 'Post 4', 'Post 5']);
+    // The last scroll loads nothing new and ends pagination
+    assert.deepEqual(pages.map(page => page.items), [2, 4, 5, 5]);
+  });
+});
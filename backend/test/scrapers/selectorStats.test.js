@@ -0,0 +1,162 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('selector-stats');
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createSelectorStats,
+  recordSelectorMatches,
+  assessSelectorStats,
+  checkSelectorHealth,
+  getSourceHealth
+} = require('../../scrapers/selectorStats');
+const { scrapeSources } = require('../../scrapers/aggregate');
+
+const MATCHED = {
+  title: '.review__title',
+  rating: '.stars',
+  date: '.review__date',
+  reviewerName: '.review__author-name',
+  body: '.review__text'
+};
+
+/**
+ * Builds extracted reviews with their selector matches
+ * @param {number} count - Number of reviews
+ * @param {Object} misses - Field -> how many of the reviews missed it
+ * @returns {Array} - Reviews as an extraction function returns them
+ */
+function extracted(count, misses = {}) {
+  return Array.from({ length: count }, (_, index) => {
+    const selectorMatches = { ...MATCHED };
+    Object.entries(misses).forEach(([field, missed]) => {
+      if (index < missed) selectorMatches[field] = null;
+    });
+    return { title: `Review ${index}`, selectorMatches };
+  });
+}
+
+/**
+ * Tallies pages of extracted reviews
+ * @param {...Array} pages - Reviews per page
+ * @returns {Object} - Selector statistics
+ */
+function statsFor(...pages) {
+  const stats = createSelectorStats();
+  pages.forEach(reviews => recordSelectorMatches(stats, reviews));
+  return stats;
+}
+
+describe('recordSelectorMatches', () => {
+  it('tallies the selector each field matched and strips the matches', () => {
+    const stats = createSelectorStats();
+    const reviews = recordSelectorMatches(stats, [
+      { title: 'A', selectorMatches: { title: '.review__title', rating: null } },
+      { title: 'B', selectorMatches: { title: 'h3', rating: '.stars' } }
+    ]);
+    recordSelectorMatches(stats, []);
+
+    assert.deepEqual(reviews, [{ title: 'A' }, { title: 'B' }]);
+    assert.deepEqual(stats, {
+      pages: 2,
+      emptyPages: 1,
+      reviews: 2,
+      fields: {
+        title: { matched: 2, missed: 0, selectors: { '.review__title': 1, h3: 1 } },
+        rating: { matched: 1, missed: 1, selectors: { '.stars': 1 } }
+      }
+    });
+  });
+});
+
+describe('assessSelectorStats', () => {
+  it('passes runs whose fields match', () => {
+    const report = assessSelectorStats(statsFor(extracted(10, { body: 4 })));
+
+    assert.equal(report.layoutDrift, false);
+    assert.equal(report.fields.title.hitRate, 1);
+    assert.equal(report.fields.body.hitRate, 0.6);
+  });
+
+  it('flags required fields that fall back to their defaults', () => {
+    const report = assessSelectorStats(statsFor(extracted(10, { rating: 10, reviewerName: 3 })));
+
+    assert.equal(report.layoutDrift, true);
+    assert.deepEqual(report.issues.map(issue => issue.message), [
+      'rating fell back to its default on 10 of 10 reviews',
+      'reviewerName fell back to its default on 3 of 10 reviews'
+    ]);
+  });
+
+  it('flags fields whose hit rate dropped below the baseline', () => {
+    const report = assessSelectorStats(statsFor(extracted(10, { body: 6 })), { body: 0.95 });
+
+    assert.deepEqual(report.issues, [
+      { field: 'body', hitRate: 0.4, baseline: 0.95, message: 'body matched 40% of reviews, down from 95%' }
+    ]);
+  });
+
+  it('flags pages where no review matched', () => {
+    const report = assessSelectorStats(statsFor([], []));
+
+    assert.equal(report.layoutDrift, true);
+    assert.equal(report.issues[0].message, 'No reviews matched on 2 page(s)');
+  });
+
+  it('does not judge hit rates on a handful of reviews', () => {
+    assert.equal(assessSelectorStats(statsFor(extracted(3, { title: 3 }))).layoutDrift, false);
+  });
+});
+
+describe('checkSelectorHealth', () => {
+  const source = { name: 'drifty', label: 'Drifty' };
+
+  it('compares runs with the healthy runs before them and reports the source health', async () => {
+    assert.equal((await getSourceHealth(source)).status, 'unknown');
+
+    await checkSelectorHealth(source, 'Acme', statsFor(extracted(8), extracted(8)));
+    await checkSelectorHealth(source, 'Acme', statsFor(extracted(10, { body: 1 })));
+    const drifted = await checkSelectorHealth(source, 'Acme', statsFor(extracted(10, { body: 7 })));
+
+    assert.equal(drifted.layoutDrift, true);
+    assert.equal(drifted.issues[0].message, 'body matched 30% of reviews, down from 95%');
+
+    const health = await getSourceHealth(source);
+    assert.equal(health.status, 'layout_drift');
+    assert.deepEqual(health.baseline, { title: 1, rating: 1, date: 1, reviewerName: 1, body: 0.95 });
+    assert.deepEqual(health.runs.map(run => run.layoutDrift), [true, false, false]);
+    assert.equal(health.runs[0].product, 'acme');
+    assert.equal(health.latest.fields.body.selectors['.review__text'], 3);
+  });
+});
+
+describe('scrapeSources', () => {
+  it('flags layout drift in the job result and as a warning', async () => {
+    const brokenSource = {
+      name: 'broken-layout',
+      label: 'Broken Layout',
+      scrape: async () => ({
+        success: true,
+        data: [],
+        selectorStats: statsFor(extracted(6, { title: 6, date: 6 }))
+      })
+    };
+    const events = [];
+
+    const result = await scrapeSources(
+      [brokenSource],
+      { companyName: 'Acme', startDate: new Date('2025-01-01'), endDate: new Date('2025-06-30') },
+      { mode: 'live', onEvent: (type, data) => events.push({ type, data }) }
+    );
+
+    const { selectorHealth } = result.sources['broken-layout'];
+    assert.equal(selectorHealth.layoutDrift, true);
+    assert.equal(selectorHealth.hitRates.title, 0);
+    assert.equal(selectorHealth.issues.length, 2);
+    assert.match(events.find(event => event.type === 'warning').data.message, /^Possible layout drift on Broken Layout: title fell back/);
+  });
+});
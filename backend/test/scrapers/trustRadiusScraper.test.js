@@ -0,0 +1,115 @@
+require('../helpers/setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('../helpers/fixtureServer');
+const { skipWithoutBrowser } = require('../helpers/browser');
+const { shutdownPool } = require('../../utils/browserPool');
+const { scrapeTrustRadiusReviews } = require('../../scrapers/trustRadiusScraper');
+
+const startDate = new Date('2025-01-01T00:00:00');
+const endDate = new Date('2025-06-30T23:59:59');
+
+describe('scrapeTrustRadiusReviews', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer({
+      routes: {
+        '/products/slack': 'trustradius/product.html',
+        '/products/slack/reviews': 'trustradius/slack-reviews-page-1.html',
+        '/products/slack/reviews?page=2': 'trustradius/slack-reviews-page-2.html',
+        '/search': 'trustradius/search.html',
+        '/products/acme-chat-app': 'trustradius/acme-product.html',
+        '/products/acme-chat-app/reviews': 'trustradius/acme-reviews.html'
+      },
+      notFound: 'trustradius/not-found.html'
+    });
+  });
+
+  after(async () => {
+    await shutdownPool();
+    await server.close();
+  });
+
+  const scrape = (companyName, maxPages = 10) =>
+    scrapeTrustRadiusReviews(companyName, startDate, endDate, maxPages, { baseUrl: server.baseUrl });
+
+  it('returns every review read, for the run modes to filter by date', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Slack');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(review => review.title), [
+      'The backbone of our internal communication',
+      'Good, but we needed more admin controls',
+      'Used it for years',
+      'Workflow builder is underrated'
+    ]);
+  });
+
+  it('reads ratings, dates, reviewers and pros/cons', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const { data } = await scrape('Slack');
+    const [first, second] = data;
+    const third = data.find(review => review.title === 'Workflow builder is underrated');
+
+    assert.equal(first.rating, 9);
+    assert.equal(first.date, 'June 2, 2025');
+    assert.deepEqual(first.reviewer, {
+      name: 'Chris O.',
+      info: 'IT Director, Higher Education (1001-5000 employees)'
+    });
+    assert.match(first.description, /Every team has its own channels/);
+    assert.match(first.description, /Pros: Shared channels with external partners\./);
+    assert.match(first.description, /Cons: Search across old workspaces\./);
+    assert.equal(first.body, 'Every team has its own channels and shared channels with our agencies.');
+    assert.equal(first.pros, 'Shared channels with external partners.');
+    assert.equal(first.cons, 'Search across old workspaces.');
+    assert.equal(first.recommendations, 'Set up shared channels early.');
+    assert.equal(first.vendorResponse, null);
+    assert.ok(first.description.includes('\n\nPros: '));
+    assert.ok(!first.description.includes('\\n'));
+    assert.equal(first.source, 'TrustRadius');
+
+    // Counted stars and the alternate class names
+    assert.equal(second.rating, 4);
+    assert.equal(second.date, '2025-04-18');
+    assert.deepEqual(second.reviewer, {
+      name: 'Verified User',
+      info: 'Administrator, Insurance (10,001+ employees)'
+    });
+
+    assert.equal(third.rating, 10);
+    assert.match(third.description, /Pros: Workflow builder\./);
+  });
+
+  it('stops after maxPages', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Slack', 1);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, 3);
+  });
+
+  it('falls back to search when the product URL does not exist', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Acme Chat');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(review => review.title), ['Found through search']);
+    assert.ok(server.requests.includes('/search?q=Acme%20Chat'));
+  });
+
+  it('reports a company that cannot be found', async (t) => {
+    if (await skipWithoutBrowser(t)) return;
+
+    const result = await scrape('Nobody');
+
+    assert.deepEqual(result, { success: false, error: 'Company "Nobody" not found on TrustRadius', code: 'PRODUCT_NOT_FOUND' });
+  });
+});
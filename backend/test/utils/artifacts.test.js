@@ -0,0 +1,179 @@
+require('../helpers/setup');
+
+const fs = require('fs');
+const path = require('path');
+const { useTempDir } = require('../helpers/tempDir');
+const { EventEmitter } = require('events');
+
+const artifactDir = path.join(useTempDir('artifacts'), 'artifacts');
+process.env.ARTIFACT_DIR = artifactDir;
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { watchPage, listArtifacts, findArtifact, removeExpiredArtifacts, resolveCaptureMode } = require('../../utils/artifacts');
+const { runWithLogContext } = require('../../utils/logger');
+const jobsRouter = require('../../routes/jobs');
+
+const JOB_ID = '6f1c2d3e-4a5b-4c6d-8e7f-901234567890';
+
+/**
+ * Creates a stand-in for a Puppeteer page that emits the events the
+ * artifact recorder listens to
+ * @returns {Object} - Fake page
+ */
+function createFakePage() {
+  const page = new EventEmitter();
+  page.url = () => 'https://example.com/products';
+  page.content = async () => '<html><body><h1>Products</h1></body></html>';
+  page.screenshot = async () => Buffer.from('fake-png');
+  return page;
+}
+
+/**
+ * Creates a stand-in for a Puppeteer request
+ * @param {string} url - Request URL
+ * @param {number|null} status - Response status, or null when the request failed
+ * @returns {Object} - Fake request
+ */
+function createFakeRequest(url, status) {
+  const response = status === null ? null : {
+    status: () => status,
+    statusText: () => (status === 200 ? 'OK' : 'Not Found'),
+    headers: () => ({ 'content-type': 'text/html' })
+  };
+  return {
+    url: () => url,
+    method: () => 'GET',
+    headers: () => ({ accept: '*/*' }),
+    resourceType: () => 'document',
+    response: () => response,
+    failure: () => (status === null ? { errorText: 'net::ERR_CONNECTION_REFUSED' } : null)
+  };
+}
+
+/**
+ * Simulates a scrape on a fake page inside a job
+ * @param {string} jobId - Job the scrape belongs to
+ * @param {string} mode - Capture mode
+ * @param {boolean} failed - Whether the scrape fails
+ * @returns {Array} - Names of the files written
+ */
+function simulateScrape(jobId, mode, failed) {
+  return runWithLogContext({ jobId }, async () => {
+    const page = createFakePage();
+    const capture = watchPage(page, 'page', { mode });
+
+    const ok = createFakeRequest('https://example.com/products', 200);
+    const refused = createFakeRequest('https://cdn.example.com/app.js', null);
+    page.emit('request', ok);
+    page.emit('requestfinished', ok);
+    page.emit('request', refused);
+    page.emit('requestfailed', refused);
+    page.emit('console', { type: () => 'error', text: () => 'Uncaught TypeError', location: () => ({ url: 'https://example.com/app.js' }) });
+    page.emit('pageerror', new Error('render failed'));
+
+    return capture.finish({ failed, reason: failed ? 'No items found on the page' : null });
+  });
+}
+
+describe('artifacts', () => {
+  it('resolves capture modes', () => {
+    assert.equal(resolveCaptureMode(undefined), 'on-failure');
+    assert.equal(resolveCaptureMode('always'), 'always');
+    assert.equal(resolveCaptureMode('sometimes'), null);
+  });
+
+  it('saves nothing for a successful scrape by default', async () => {
+    const jobId = '00000000-0000-4000-8000-000000000001';
+    assert.deepEqual(await simulateScrape(jobId, undefined, false), []);
+    assert.deepEqual(await listArtifacts(jobId), []);
+  });
+
+  it('saves nothing outside a job', async () => {
+    const capture = watchPage(createFakePage(), 'page', { mode: 'always' });
+    assert.deepEqual(await capture.finish({ failed: true }), []);
+  });
+
+  it('saves the DOM, a screenshot, console messages and a request log when a scrape fails', async () => {
+    const files = await simulateScrape(JOB_ID, 'on-failure', true);
+    assert.deepEqual(files.sort(), ['page-console.json', 'page-requests.har', 'page.html', 'page.png']);
+
+    const artifacts = await listArtifacts(JOB_ID);
+    assert.deepEqual(artifacts.map(artifact => artifact.type), ['console', 'requests', 'html', 'screenshot']);
+
+    const consoleLog = JSON.parse(fs.readFileSync(path.join(artifactDir, JOB_ID, 'page-console.json'), 'utf8'));
+    assert.equal(consoleLog.reason, 'No items found on the page');
+    assert.deepEqual(consoleLog.messages.map(message => message.type), ['error', 'pageerror']);
+
+    const har = JSON.parse(fs.readFileSync(path.join(artifactDir, JOB_ID, 'page-requests.har'), 'utf8'));
+    assert.equal(har.log.version, '1.2');
+    assert.deepEqual(har.log.entries.map(entry => entry.response.status), [200, 0]);
+    assert.equal(har.log.entries[1]._failure, 'net::ERR_CONNECTION_REFUSED');
+  });
+
+  it('saves artifacts for successful scrapes when asked to', async () => {
+    const jobId = '00000000-0000-4000-8000-000000000002';
+    assert.equal((await simulateScrape(jobId, 'always', false)).length, 4);
+  });
+
+  it('refuses artifact names outside the job directory', async () => {
+    assert.ok(await findArtifact(JOB_ID, 'page.html'));
+    assert.equal(await findArtifact(JOB_ID, '../page.html'), null);
+    assert.equal(await findArtifact(JOB_ID, 'missing.png'), null);
+    assert.equal(await findArtifact('../etc', 'page.html'), null);
+  });
+
+  it('removes artifacts older than the retention period', async () => {
+    const jobId = '00000000-0000-4000-8000-000000000003';
+    await simulateScrape(jobId, 'always', false);
+
+    assert.equal(await removeExpiredArtifacts(), 0);
+    const removed = await removeExpiredArtifacts(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    assert.ok(removed >= 1);
+    assert.deepEqual(await listArtifacts(jobId), []);
+  });
+});
+
+describe('GET /jobs/:id/artifacts', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await simulateScrape(JOB_ID, 'always', true);
+
+    const app = express();
+    app.use('/jobs', jobsRouter);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('lists a job\'s artifacts after the job has expired', async () => {
+    const response = await fetch(`${baseUrl}/jobs/${JOB_ID}/artifacts`);
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    const html = body.data.find(artifact => artifact.type === 'html');
+    assert.equal(html.url, `/jobs/${JOB_ID}/artifacts/page.html`);
+    assert.ok(html.size > 0);
+  });
+
+  it('serves an artifact with its content type', async () => {
+    const response = await fetch(`${baseUrl}/jobs/${JOB_ID}/artifacts/page.png`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(Buffer.from(await response.arrayBuffer()).toString(), 'fake-png');
+  });
+
+  it('returns 404 for unknown jobs and artifacts', async () => {
+    assert.equal((await fetch(`${baseUrl}/jobs/00000000-0000-4000-8000-00000000ffff/artifacts`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/jobs/${JOB_ID}/artifacts/other.html`)).status, 404);
+  });
+});
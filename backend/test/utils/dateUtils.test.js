@@ -0,0 +1,157 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDateWindow, formatDate, parseDate, parseDateDetailed } = require('../../utils/dateUtils');
+
+// Wednesday, 2025-06-18 at 09:30 local time
+const now = new Date(2025, 5, 18, 9, 30);
+
+/**
+ * Resolves a window and formats it for comparison
+ * @param {string} window - Window text
+ * @returns {Array|null} - [startDate, endDate] as YYYY-MM-DD, or null
+ */
+function resolve(window) {
+  const range = resolveDateWindow(window, now);
+  return range && [formatDate(range.startDate), formatDate(range.endDate)];
+}
+
+describe('resolveDateWindow', () => {
+  it('resolves single days', () => {
+    assert.deepEqual(resolve('today'), ['2025-06-18', '2025-06-18']);
+    assert.deepEqual(resolve('Yesterday'), ['2025-06-17', '2025-06-17']);
+  });
+
+  it('resolves rolling windows ending today', () => {
+    assert.deepEqual(resolve('last 7 days'), ['2025-06-11', '2025-06-18']);
+    assert.deepEqual(resolve('past 2 weeks'), ['2025-06-04', '2025-06-18']);
+    assert.deepEqual(resolve('last 1 month'), ['2025-05-18', '2025-06-18']);
+    assert.deepEqual(resolve('last 1 year'), ['2024-06-18', '2025-06-18']);
+  });
+
+  it('resolves calendar periods, with weeks starting on Monday', () => {
+    assert.deepEqual(resolve('this week'), ['2025-06-16', '2025-06-18']);
+    assert.deepEqual(resolve('last week'), ['2025-06-09', '2025-06-15']);
+    assert.deepEqual(resolve('this month'), ['2025-06-01', '2025-06-18']);
+    assert.deepEqual(resolve('last month'), ['2025-05-01', '2025-05-31']);
+    assert.deepEqual(resolve('last year'), ['2024-01-01', '2024-12-31']);
+  });
+
+  it('covers whole days', () => {
+    const { startDate, endDate } = resolveDateWindow('yesterday', now);
+
+    assert.equal(startDate.getHours(), 0);
+    assert.equal(endDate.getHours(), 23);
+    assert.equal(endDate.getMinutes(), 59);
+  });
+
+  it('returns null for unrecognized windows', () => {
+    assert.equal(resolve('fortnight'), null);
+    assert.equal(resolve('last 0 days'), null);
+    assert.equal(resolveDateWindow(undefined, now), null);
+  });
+});
+
+/**
+ * Parses a date and flattens the result for comparison
+ * @param {string} text - Date text
+ * @param {Object} options - Parser hints; the reference date defaults to `now`
+ * @returns {Array|null} - [YYYY-MM-DD, precision, ambiguous, confidence], or null
+ */
+function parse(text, options = {}) {
+  const parsed = parseDateDetailed(text, { referenceDate: now, ...options });
+  return parsed && [formatDate(parsed.date), parsed.precision, parsed.ambiguous, parsed.confidence];
+}
+
+describe('parseDateDetailed', () => {
+  const cases = [
+    // ISO dates and timestamps
+    ['2025-06-15', {}, ['2025-06-15', 'day', false, 'high']],
+    ['2025-06-15T23:30:00', {}, ['2025-06-15', 'day', false, 'high']],
+    ['2025-06-15T02:00:00Z', { timeZone: 'America/New_York' }, ['2025-06-14', 'day', false, 'high']],
+    ['2025-06-14T20:00:00.000Z', { timeZone: 'Asia/Tokyo' }, ['2025-06-15', 'day', false, 'high']],
+    ['2025-06-14T20:00:00+0200', { timeZone: 'UTC' }, ['2025-06-14', 'day', false, 'high']],
+
+    // English month names, with and without surrounding text
+    ['June 15, 2025', {}, ['2025-06-15', 'day', false, 'high']],
+    ['Jun 15 2025', {}, ['2025-06-15', 'day', false, 'high']],
+    ['Sept. 3rd, 2024', {}, ['2024-09-03', 'day', false, 'high']],
+    ['15 June 2025', {}, ['2025-06-15', 'day', false, 'high']],
+    ['Reviewed on Mar 3, 2024', {}, ['2024-03-03', 'day', false, 'high']],
+    ['June 2025', {}, ['2025-06-01', 'month', false, 'high']],
+
+    // Other languages
+    ['15 juin 2025', {}, ['2025-06-15', 'day', false, 'high']],
+    ['1er février 2025', { locale: 'fr-FR' }, ['2025-02-01', 'day', false, 'high']],
+    ['15. März 2025', { locale: 'de-DE' }, ['2025-03-15', 'day', false, 'high']],
+    ['15 de junio de 2025', {}, ['2025-06-15', 'day', false, 'high']],
+    ['3 dicembre 2024', {}, ['2024-12-03', 'day', false, 'high']],
+    ['15 de março de 2025', {}, ['2025-03-15', 'day', false, 'high']],
+    ['15 mei 2025', {}, ['2025-05-15', 'day', false, 'high']],
+    ['octobre 2024', {}, ['2024-10-01', 'month', false, 'high']],
+
+    // Numeric dates: the locale only decides when both readings are valid
+    ['2025/06/15', {}, ['2025-06-15', 'day', false, 'high']],
+    ['05/06/2025', {}, ['2025-05-06', 'day', true, 'medium']],
+    ['05/06/2025', { locale: 'en-GB' }, ['2025-06-05', 'day', true, 'medium']],
+    ['05.06.2025', { locale: 'de-DE' }, ['2025-06-05', 'day', true, 'medium']],
+    ['25/06/2025', {}, ['2025-06-25', 'day', false, 'high']],
+    ['06/25/2025', { locale: 'en-GB' }, ['2025-06-25', 'day', false, 'high']],
+    ['07/07/2025', { locale: 'en-GB' }, ['2025-07-07', 'day', false, 'high']],
+    ['15.06.25', { locale: 'de-DE' }, ['2025-06-15', 'day', false, 'high']],
+    ['05/06/2025', { locale: 'not a locale' }, ['2025-05-06', 'day', true, 'medium']],
+
+    // Relative dates count back from the reference date
+    ['today', {}, ['2025-06-18', 'day', false, 'high']],
+    ['Just now', {}, ['2025-06-18', 'day', false, 'high']],
+    ['5 hours ago', {}, ['2025-06-18', 'day', false, 'high']],
+    ['Yesterday', {}, ['2025-06-17', 'day', false, 'high']],
+    ['3 days ago', {}, ['2025-06-15', 'day', false, 'high']],
+    ['a day ago', {}, ['2025-06-17', 'day', false, 'high']],
+    ['2 weeks ago', {}, ['2025-06-04', 'day', false, 'low']],
+    ['last week', {}, ['2025-06-11', 'day', false, 'low']],
+    ['a month ago', {}, ['2025-05-18', 'month', false, 'low']],
+    ['last month', {}, ['2025-05-18', 'month', false, 'low']],
+    ['2 years ago', {}, ['2023-06-18', 'month', false, 'low']],
+    ['3 days ago', { referenceDate: new Date(2025, 0, 2, 8) }, ['2024-12-30', 'day', false, 'high']],
+    ['1 month ago', { referenceDate: new Date(2025, 2, 31, 8) }, ['2025-02-28', 'month', false, 'low']],
+    ['today', { referenceDate: new Date('2025-06-18T02:00:00Z'), timeZone: 'America/Los_Angeles' }, ['2025-06-17', 'day', false, 'high']],
+
+    // Not dates
+    ['', {}, null],
+    ['n/a', {}, null],
+    ['sometime last spring', {}, null],
+    ['31/04/2025', {}, null],
+    ['2025-02-30', {}, null],
+    ['Marketing 2025', {}, null]
+  ];
+
+  cases.forEach(([text, options, expected]) => {
+    const hints = Object.keys(options).length > 0 ? ` (${Object.entries(options).map(([key, value]) => `${key}: ${value instanceof Date ? value.toISOString() : value}`).join(', ')})` : '';
+
+    it(`parses ${JSON.stringify(text)}${hints}`, () => {
+      assert.deepEqual(parse(text, options), expected);
+    });
+  });
+
+  it('returns local midnight of the day', () => {
+    const { date } = parseDateDetailed('June 15, 2025');
+
+    assert.equal(date.getHours(), 0);
+    assert.equal(date.getDate(), 15);
+  });
+
+  it('ignores values that are not strings', () => {
+    assert.equal(parseDateDetailed(undefined), null);
+    assert.equal(parseDateDetailed(20250615), null);
+  });
+});
+
+describe('parseDate', () => {
+  it('returns just the date', () => {
+    assert.equal(formatDate(parseDate('15/01/2023')), '2023-01-15');
+    assert.equal(formatDate(parseDate('05/06/2025', { locale: 'fr-FR' })), '2025-06-05');
+    assert.equal(parseDate('not a date'), null);
+  });
+});
@@ -0,0 +1,143 @@
+require('../helpers/setup');
+
+process.env.LOG_LEVEL = 'error';
+
+const dns = require('dns');
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEgressProxy } = require('../../utils/egressProxy');
+
+/**
+ * Starts a server that answers every request with its own name
+ * @param {string} name - Body to answer with
+ * @param {string} host - Address to listen on
+ * @param {number} port - Port to listen on, 0 for any
+ * @returns {Object} - { server, hits }
+ */
+async function startNamedServer(name, host, port) {
+  const target = { server: null, hits: 0 };
+  target.server = http.createServer((req, res) => {
+    target.hits += 1;
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': Buffer.byteLength(name) });
+    res.end(name);
+  });
+  await new Promise(resolve => target.server.listen(port, host, resolve));
+  return target;
+}
+
+/**
+ * Sends a plain HTTP request through the proxy
+ * @param {string} proxyUrl - Proxy URL
+ * @param {string} url - Absolute URL to request
+ * @returns {Object} - { status, body }
+ */
+function requestThroughProxy(proxyUrl, url) {
+  const proxy = new URL(proxyUrl);
+  return new Promise((resolve, reject) => {
+    http.get({ host: proxy.hostname, port: proxy.port, path: url, headers: { Host: new URL(url).host } }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Opens a CONNECT tunnel through the proxy and sends a GET request over it
+ * @param {string} proxyUrl - Proxy URL
+ * @param {string} authority - host:port to tunnel to
+ * @returns {Object} - { status, response } where response is the raw tunnelled reply
+ */
+function requestThroughTunnel(proxyUrl, authority) {
+  const proxy = new URL(proxyUrl);
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: proxy.hostname, port: proxy.port, method: 'CONNECT', path: authority });
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return resolve({ status: res.statusCode, response: '' });
+      }
+      let response = '';
+      socket.setEncoding('utf8');
+      socket.on('data', chunk => { response += chunk; });
+      socket.on('end', () => resolve({ status: res.statusCode, response }));
+      socket.write(`GET / HTTP/1.1\r\nHost: ${authority}\r\nConnection: close\r\n\r\n`);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('egress proxy', () => {
+  const originalLookup = dns.promises.lookup;
+  const originalCallbackLookup = dns.lookup;
+  const lookups = new Map(); // hostname -> number of lookups so far
+  let vetted;
+  let internal;
+  let proxy;
+
+  before(async () => {
+    // 127.0.0.1 is allowed by the test setup and stands in for a public
+    // address; 127.0.0.2 is an internal address the policy refuses
+    vetted = await startNamedServer('vetted', '127.0.0.1', 0);
+    internal = await startNamedServer('internal', '127.0.0.2', vetted.server.address().port);
+
+    // A rebinding DNS server: the first answer for a name is the vetted
+    // address, every later answer is the internal one
+    const answer = (hostname) => {
+      const count = lookups.get(hostname) || 0;
+      lookups.set(hostname, count + 1);
+      if (hostname === 'internal.test') return '192.168.0.1';
+      return count === 0 ? '127.0.0.1' : '127.0.0.2';
+    };
+    dns.promises.lookup = async (hostname) => [{ address: answer(hostname), family: 4 }];
+    dns.lookup = (hostname, options, callback) => {
+      const address = answer(hostname);
+      const done = typeof options === 'function' ? options : callback;
+      if (options && options.all) return done(null, [{ address, family: 4 }]);
+      done(null, address, 4);
+    };
+
+    proxy = await startEgressProxy();
+  });
+
+  after(async () => {
+    dns.promises.lookup = originalLookup;
+    dns.lookup = originalCallbackLookup;
+    await proxy.close();
+    vetted.server.close();
+    internal.server.close();
+  });
+
+  it('forwards requests to the address the policy checked, not to a rebound one', async () => {
+    const port = vetted.server.address().port;
+
+    const first = await requestThroughProxy(proxy.url, `http://rebind.test:${port}/`);
+    const second = await requestThroughProxy(proxy.url, `http://rebind.test:${port}/again`);
+
+    assert.deepEqual([first.body, second.body], ['vetted', 'vetted']);
+    assert.equal(internal.hits, 0);
+  });
+
+  it('tunnels CONNECT requests to the address the policy checked', async () => {
+    const { status, response } = await requestThroughTunnel(proxy.url, `rebind-tunnel.test:${vetted.server.address().port}`);
+
+    assert.equal(status, 200);
+    assert.match(response, /vetted$/);
+    assert.equal(internal.hits, 0);
+  });
+
+  it('refuses requests and tunnels to internal addresses', async () => {
+    const port = vetted.server.address().port;
+
+    const direct = await requestThroughProxy(proxy.url, `http://127.0.0.2:${port}/`);
+    assert.equal(direct.status, 403);
+    assert.match(direct.body, /127\.0\.0\.2 is not a public address/);
+
+    assert.equal((await requestThroughProxy(proxy.url, 'http://internal.test/')).status, 403);
+    assert.equal((await requestThroughTunnel(proxy.url, 'internal.test:443')).status, 403);
+    assert.equal(internal.hits, 0);
+  });
+});
@@ -0,0 +1,204 @@
+require('../helpers/setup');
+
+const { useTempDir } = require('../helpers/tempDir');
+
+useTempDir('errors');
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createScrapeError,
+  classifyNavigationError,
+  createHttpError,
+  retryPolicy,
+  toErrorResponse
+} = require('../../utils/errors');
+const { withRetry, extractWithRetry } = require('../../utils/retry');
+const { registerSource, unregisterSource } = require('../../scrapers');
+const { createReviewScrapeJob } = require('../../jobs/reviewScrapeJob');
+
+/**
+ * Creates a stand-in for a Puppeteer response
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Fake response
+ */
+function fakeResponse(status, headers = {}) {
+  return { status: () => status, headers: () => headers };
+}
+
+/**
+ * Creates a stand-in for a Puppeteer page whose block check finds the given indicator
+ * @param {string|null} indicator - What the block check reports
+ * @returns {Object} - Fake page
+ */
+function fakePage(indicator = null) {
+  return { url: () => 'https://reviews.example.com/acme', evaluate: async () => indicator };
+}
+
+describe('error classification', () => {
+  it('tells timeouts from connection failures', () => {
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    assert.equal(classifyNavigationError(timeout, 'https://example.com/').code, 'NAVIGATION_TIMEOUT');
+
+    const dns = classifyNavigationError(new Error('net::ERR_NAME_NOT_RESOLVED at https://nowhere.example/'), 'https://nowhere.example/');
+    assert.equal(dns.code, 'CONNECTION_FAILED');
+    assert.equal(dns.statusCode, 502);
+    assert.equal(dns.details.reason, 'ERR_NAME_NOT_RESOLVED');
+
+    const refused = classifyNavigationError(new Error('net::ERR_CONNECTION_REFUSED at https://example.com/'), 'https://example.com/');
+    assert.equal(refused.code, 'CONNECTION_FAILED');
+  });
+
+  it('leaves errors it does not recognise, and coded ones, untouched', () => {
+    const other = new Error('Execution context was destroyed');
+    assert.equal(classifyNavigationError(other, 'https://example.com/'), other);
+
+    const blocked = createScrapeError('URL_BLOCKED', 'Blocked URL');
+    assert.equal(classifyNavigationError(blocked, 'https://example.com/'), blocked);
+  });
+
+  it('maps HTTP error statuses to codes', () => {
+    assert.equal(createHttpError(fakeResponse(200), 'https://example.com/'), null);
+    assert.equal(createHttpError(fakeResponse(404), 'https://example.com/').code, 'HTTP_CLIENT_ERROR');
+    assert.equal(createHttpError(fakeResponse(503), 'https://example.com/').code, 'HTTP_SERVER_ERROR');
+
+    const limited = createHttpError(fakeResponse(429, { 'retry-after': '20' }), 'https://example.com/');
+    assert.equal(limited.code, 'HTTP_RATE_LIMITED');
+    assert.equal(limited.statusCode, 503);
+    assert.equal(limited.details.retryAfterMs, 20000);
+  });
+
+  it('only retries transient failures', () => {
+    assert.ok(retryPolicy(createScrapeError('NAVIGATION_TIMEOUT', 'Timed out')));
+    assert.ok(retryPolicy(createScrapeError('HTTP_SERVER_ERROR', 'HTTP 502')));
+    assert.equal(retryPolicy(createScrapeError('HTTP_CLIENT_ERROR', 'HTTP 404')), null);
+    assert.equal(retryPolicy(createScrapeError('BLOCKED_BY_SITE', 'CAPTCHA')), null);
+    assert.equal(retryPolicy(new Error('Unexpected')), null);
+  });
+
+  it('builds API error responses', () => {
+    const notFound = toErrorResponse(createScrapeError('PRODUCT_NOT_FOUND', 'Not listed', { source: 'g2' }));
+    assert.deepEqual(notFound, { status: 404, body: { success: false, error: 'Not listed', code: 'PRODUCT_NOT_FOUND', details: { source: 'g2' } } });
+
+    assert.deepEqual(toErrorResponse(new Error('Boom')), { status: 500, body: { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' } });
+
+    const missing = new Error("ENOENT: no such file or directory, open '/srv/pulse/data/pulse.sqlite'");
+    missing.code = 'ENOENT';
+    assert.deepEqual(toErrorResponse(missing), { status: 500, body: { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' } });
+
+    const malformed = new Error('Unexpected token } in JSON');
+    malformed.statusCode = 400;
+    assert.equal(toErrorResponse(malformed).body.code, 'BAD_REQUEST');
+  });
+});
+
+describe('withRetry', () => {
+  it('retries retryable errors up to the policy\'s attempts', async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(async () => {
+        attempts++;
+        throw createScrapeError('NAVIGATION_TIMEOUT', 'Timed out');
+      }),
+      { code: 'NAVIGATION_TIMEOUT' }
+    );
+    assert.equal(attempts, 3);
+  });
+
+  it('returns the first successful attempt', async () => {
+    const retries = [];
+    const result = await withRetry(async (attempt) => {
+      if (attempt < 2) throw createScrapeError('HTTP_SERVER_ERROR', 'HTTP 502');
+      return 'loaded';
+    }, { onRetry: (error, attempt) => retries.push([error.code, attempt]) });
+
+    assert.equal(result, 'loaded');
+    assert.deepEqual(retries, [['HTTP_SERVER_ERROR', 1]]);
+  });
+
+  it('does not retry other errors', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw createScrapeError('HTTP_CLIENT_ERROR', 'HTTP 404');
+    }), { code: 'HTTP_CLIENT_ERROR' });
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('extractWithRetry', () => {
+  it('reloads an empty page and reads it again', async () => {
+    const results = [[], [{ title: 'Found on reload' }]];
+    let reloads = 0;
+
+    const items = await extractWithRetry(fakePage(), async () => results.shift(), { reload: async () => reloads++ });
+    assert.deepEqual(items, [{ title: 'Found on reload' }]);
+    assert.equal(reloads, 1);
+  });
+
+  it('returns no items when every attempt finds none', async () => {
+    assert.deepEqual(await extractWithRetry(fakePage(), async () => [], { reload: async () => {} }), []);
+  });
+
+  it('reports block pages instead of retrying them', async () => {
+    let reloads = 0;
+    await assert.rejects(
+      extractWithRetry(fakePage('text "verify you are human"'), async () => [], { reload: async () => reloads++ }),
+      { code: 'BLOCKED_BY_SITE', statusCode: 502 }
+    );
+    assert.equal(reloads, 0);
+  });
+});
+
+describe('review job errors', () => {
+  const failingSource = (name, result) => ({
+    name,
+    label: name,
+    capabilities: { pagination: false, dateSorting: false, prosCons: false },
+    scrape: async () => result
+  });
+
+  const runJob = async (sources) => {
+    sources.forEach(registerSource);
+    try {
+      const job = createReviewScrapeJob(
+        { companyName: 'Acme', sources, mode: 'live', incremental: false },
+        new Date('2025-01-01T00:00:00'),
+        new Date('2025-06-30T23:59:59')
+      );
+      return await job.done;
+    } finally {
+      sources.forEach(source => unregisterSource(source.name));
+    }
+  };
+
+  it('reports the code of a failed source', async () => {
+    const job = await runJob([failingSource('nowhere', { success: false, error: 'Company "Acme" not found on Nowhere', code: 'PRODUCT_NOT_FOUND' })]);
+
+    assert.equal(job.state, 'failed');
+    assert.equal(job.errorCode, 'PRODUCT_NOT_FOUND');
+    assert.equal(job.errorStatus, 404);
+    assert.deepEqual(job.errorDetails, { sources: { nowhere: 'PRODUCT_NOT_FOUND' } });
+  });
+
+  it('reports SOURCES_FAILED when sources fail for different reasons', async () => {
+    const job = await runJob([
+      failingSource('slowsite', { success: false, error: 'Timed out', code: 'NAVIGATION_TIMEOUT' }),
+      failingSource('walled', { success: false, error: 'CAPTCHA', code: 'BLOCKED_BY_SITE' })
+    ]);
+
+    assert.equal(job.errorCode, 'SOURCES_FAILED');
+    assert.equal(job.errorStatus, 502);
+    assert.equal(job.result, null);
+  });
+
+  it('reports an empty result as EMPTY_EXTRACTION', async () => {
+    const job = await runJob([failingSource('quiet', { success: true, data: [] })]);
+
+    assert.equal(job.errorCode, 'EMPTY_EXTRACTION');
+    assert.equal(job.errorStatus, 422);
+  });
+});
@@ -0,0 +1,146 @@
+require('../helpers/setup');
+
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { resolveFormat, flattenRecord, escapeCsv, buildFilename, sendExport } = require('../../utils/exporters');
+
+const records = [
+  {
+    title: 'Fast, "simple"',
+    rating: 4.5,
+    description: 'Line one\nLine two',
+    reviewer: { name: 'Ann', company: { name: 'Acme', size: '51-200' } },
+    tags: ['search', 'chat']
+  },
+  { title: '=HYPERLINK("http://evil.example")', rating: 2, reviewer: { name: '@bo' } }
+];
+
+/**
+ * Builds a request stand-in whose Accept header lists the given types
+ * @param {Array} types - Accepted MIME types, most preferred first
+ * @returns {Object} - Object with the accepts() method resolveFormat uses
+ */
+function acceptRequest(types) {
+  return { accepts: () => types };
+}
+
+describe('escapeCsv', () => {
+  it('quotes fields with commas, quotes and line breaks', () => {
+    assert.equal(escapeCsv('plain'), 'plain');
+    assert.equal(escapeCsv('a,b'), '"a,b"');
+    assert.equal(escapeCsv('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsv('one\r\ntwo'), '"one\r\ntwo"');
+    assert.equal(escapeCsv(null), '');
+    assert.equal(escapeCsv(undefined), '');
+  });
+
+  it('neutralizes text that spreadsheets would run as a formula', () => {
+    assert.equal(escapeCsv('=1+1'), "'=1+1");
+    assert.equal(escapeCsv('+49 30 1234'), "'+49 30 1234");
+    assert.equal(escapeCsv('-2+3'), "'-2+3");
+    assert.equal(escapeCsv('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+    assert.equal(escapeCsv('=HYPERLINK("x","y")'), '"\'=HYPERLINK(""x"",""y"")"');
+    // Numbers are data, not text
+    assert.equal(escapeCsv(-2), '-2');
+  });
+});
+
+describe('flattenRecord', () => {
+  it('flattens nested objects into dotted columns and arrays into JSON', () => {
+    const date = new Date('2025-06-01T00:00:00Z');
+
+    assert.deepEqual(flattenRecord({ ...records[0], scrapedAt: date, missing: null }), {
+      title: 'Fast, "simple"',
+      rating: 4.5,
+      description: 'Line one\nLine two',
+      'reviewer.name': 'Ann',
+      'reviewer.company.name': 'Acme',
+      'reviewer.company.size': '51-200',
+      tags: '["search","chat"]',
+      scrapedAt: '2025-06-01T00:00:00.000Z',
+      missing: null
+    });
+  });
+});
+
+describe('resolveFormat', () => {
+  it('prefers an explicit format and rejects unsupported ones', () => {
+    assert.equal(resolveFormat(acceptRequest(['text/csv']), 'XLSX'), 'xlsx');
+    assert.equal(resolveFormat(acceptRequest(['text/csv']), 'pdf'), null);
+  });
+
+  it('falls back to the Accept header, then to the default', () => {
+    assert.equal(resolveFormat(acceptRequest(['text/html', 'application/x-ndjson'])), 'ndjson');
+    assert.equal(resolveFormat(acceptRequest(['*/*'])), 'json');
+    assert.equal(resolveFormat(acceptRequest(['*/*']), undefined, 'csv'), 'csv');
+  });
+});
+
+describe('buildFilename', () => {
+  it('replaces unsafe characters and adds the extension', () => {
+    assert.equal(buildFilename('Slack_g2_2025-06-30', 'csv'), 'Slack_g2_2025-06-30.csv');
+    assert.equal(buildFilename('../Acme Chat/"reviews"', 'xlsx'), '.._Acme_Chat_reviews.xlsx');
+    assert.equal(buildFilename('', 'ndjson'), 'export.ndjson');
+    assert.equal(buildFilename('///', 'json'), 'export.json');
+  });
+});
+
+describe('sendExport', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const format = new URL(req.url, 'http://localhost').searchParams.get('format');
+      sendExport(res, records, format, 'Acme reviews');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('streams CSV with a header row, a byte order mark and escaped cells', async () => {
+    const response = await fetch(`${baseUrl}/?format=csv`);
+    const body = Buffer.from(await response.arrayBuffer()).toString('utf8');
+
+    assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Acme_reviews.csv"');
+    assert.equal(body, [
+      '\uFEFFtitle,rating,description,reviewer.name,reviewer.company.name,reviewer.company.size,tags',
+      '"Fast, ""simple""",4.5,"Line one\nLine two",Ann,Acme,51-200,"[""search"",""chat""]"',
+      '"\'=HYPERLINK(""http://evil.example"")",2,,\'@bo,,,',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('streams one JSON record per NDJSON line', async () => {
+    const response = await fetch(`${baseUrl}/?format=ndjson`);
+    const lines = (await response.text()).split('\n');
+
+    assert.equal(response.headers.get('content-type'), 'application/x-ndjson');
+    assert.equal(lines.pop(), '');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), records);
+  });
+
+  it('streams an XLSX workbook with flattened columns', async () => {
+    const response = await fetch(`${baseUrl}/?format=xlsx`);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+
+    const sheet = workbook.getWorksheet('Data');
+    const rows = [];
+    sheet.eachRow(row => rows.push(row.values.slice(1)));
+
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Acme_reviews.xlsx"');
+    assert.deepEqual(rows[0], ['title', 'rating', 'description', 'reviewer.name', 'reviewer.company.name', 'reviewer.company.size', 'tags']);
+    assert.deepEqual(rows[1], ['Fast, "simple"', 4.5, 'Line one\nLine two', 'Ann', 'Acme', '51-200', '["search","chat"]']);
+    // Scraped text stays a string cell; XLSX never turns it into a formula
+    assert.equal(sheet.getCell('A3').type, ExcelJS.ValueType.String);
+    assert.equal(sheet.getCell('A3').value, '=HYPERLINK("http://evil.example")');
+  });
+});
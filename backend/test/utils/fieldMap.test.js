@@ -0,0 +1,138 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSelectors, coerceItem } = require('../../utils/fieldMap');
+
+/**
+ * Builds the normalized spec normalizeSelectors produces for a plain field
+ * @param {Object} overrides - Properties that differ from the defaults
+ * @returns {Object} - Normalized field spec
+ */
+function spec(overrides = {}) {
+  return { selector: '', attr: 'text', type: 'string', multiple: false, absolute: false, ...overrides };
+}
+
+describe('normalizeSelectors', () => {
+  it('returns null without selectors', () => {
+    assert.equal(normalizeSelectors(undefined), null);
+    assert.equal(normalizeSelectors({}), null);
+    assert.equal(normalizeSelectors({ title: '  ' }), null);
+  });
+
+  it('reads text by default and attributes with the @ shorthand', () => {
+    assert.deepEqual(normalizeSelectors({ root: ' .card ', title: 'h2.title', image: 'img@src', id: '@data-id' }), {
+      root: '.card',
+      fields: {
+        title: spec({ selector: 'h2.title' }),
+        // URL attributes are made absolute by default
+        image: spec({ selector: 'img', attr: 'src', absolute: true }),
+        id: spec({ attr: 'data-id' })
+      }
+    });
+  });
+
+  it('normalizes array, typed and explicitly configured fields', () => {
+    const { root, fields } = normalizeSelectors({
+      tags: { selector: 'li.tag', multiple: true },
+      price: { selector: '.price', type: 'Number' },
+      inStock: { selector: '.stock', type: 'boolean' },
+      published: { selector: 'time', attr: 'datetime', type: 'date' },
+      link: { selector: 'a', attr: 'href', absolute: false }
+    });
+
+    assert.equal(root, 'body');
+    assert.deepEqual(fields, {
+      tags: spec({ selector: 'li.tag', multiple: true }),
+      price: spec({ selector: '.price', type: 'number' }),
+      inStock: spec({ selector: '.stock', type: 'boolean' }),
+      published: spec({ selector: 'time', attr: 'datetime', type: 'date' }),
+      link: spec({ selector: 'a', attr: 'href' })
+    });
+  });
+
+  it('normalizes nested field maps into lists unless limited to one match', () => {
+    const { fields } = normalizeSelectors({
+      variants: { selector: '.variant', fields: { name: '.name', price: { selector: '.price', type: 'number' } } },
+      seller: { selector: '.seller', multiple: false, fields: { name: '.name' } }
+    });
+
+    assert.deepEqual(fields.variants, spec({
+      selector: '.variant',
+      multiple: true,
+      fields: { name: spec({ selector: '.name' }), price: spec({ selector: '.price', type: 'number' }) }
+    }));
+    assert.equal(fields.seller.multiple, false);
+  });
+
+  it('extracts each item\'s text when only a root is given', () => {
+    assert.deepEqual(normalizeSelectors({ root: '.card' }), { root: '.card', fields: { text: spec() } });
+  });
+
+  it('rejects invalid field maps', () => {
+    assert.throws(() => normalizeSelectors('h2'), /Selectors must be an object/);
+    assert.throws(() => normalizeSelectors(['h2']), /Selectors must be an object/);
+    assert.throws(() => normalizeSelectors({ root: 5, title: 'h2' }), /The root selector must be a string/);
+    assert.throws(() => normalizeSelectors({ title: 42 }), /Invalid selector for field "title": expected a string or an object/);
+    assert.throws(
+      () => normalizeSelectors({ price: { selector: '.price', type: 'currency' } }),
+      /Invalid type "currency" for field "price". Choose one of: string, number, date, boolean/
+    );
+    assert.throws(
+      () => normalizeSelectors({ variants: { selector: '.variant', fields: { price: { type: 'money' } } } }),
+      /Invalid type "money" for field "variants.price"/
+    );
+    assert.throws(
+      () => normalizeSelectors({ variants: { selector: '.variant', fields: ['name'] } }),
+      /Invalid field map for "variants": expected an object/
+    );
+  });
+});
+
+describe('coerceItem', () => {
+  const { fields } = normalizeSelectors({
+    title: 'h2',
+    price: { selector: '.price', type: 'number' },
+    inStock: { selector: '.stock', type: 'boolean' },
+    published: { selector: 'time', type: 'date' },
+    ratings: { selector: '.rating', multiple: true, type: 'number' },
+    variants: { selector: '.variant', fields: { name: '.name', price: { selector: '.price', type: 'number' } } },
+    seller: { selector: '.seller', multiple: false, fields: { since: { selector: '.since', type: 'date' } } }
+  });
+
+  it('coerces values to their field types', () => {
+    const item = coerceItem({
+      title: 'Widget',
+      price: '$1,299.99',
+      inStock: 'No',
+      published: 'March 5, 2025',
+      ratings: ['4.5 stars', 'n/a', '-1'],
+      variants: [{ name: 'Small', price: '10 USD' }, { name: 'Large', price: 'sold out' }],
+      seller: { since: '2024-01-15' }
+    }, fields);
+
+    assert.deepEqual(item, {
+      title: 'Widget',
+      price: 1299.99,
+      inStock: false,
+      published: '2025-03-05',
+      // Entries that cannot be coerced are dropped from arrays
+      ratings: [4.5, -1],
+      variants: [{ name: 'Small', price: 10 }, { name: 'Large', price: null }],
+      seller: { since: '2024-01-15' }
+    });
+  });
+
+  it('fills in missing values', () => {
+    assert.deepEqual(coerceItem({ inStock: 'yes', published: 'not a date' }, fields), {
+      title: null,
+      price: null,
+      inStock: true,
+      published: null,
+      ratings: [],
+      variants: [],
+      seller: null
+    });
+    assert.equal(coerceItem({}, fields).inStock, false);
+  });
+});
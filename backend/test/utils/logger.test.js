@@ -0,0 +1,86 @@
+require('../helpers/setup');
+
+process.env.LOG_LEVEL = 'info';
+delete process.env.LOG_FORMAT;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger, createLogger, runWithLogContext } = require('../../utils/logger');
+
+/**
+ * Runs a function and collects the log entries it writes to stdout
+ * @param {Function} fn - Function to run; may be async
+ * @returns {Array} - Parsed entries
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  // The test runner reports through stdout too, in binary chunks
+  process.stdout.write = (chunk, ...args) => {
+    if (typeof chunk !== 'string') return write.call(process.stdout, chunk, ...args);
+    lines.push(chunk);
+    return true;
+  };
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines.map(line => JSON.parse(line));
+}
+
+describe('logger', () => {
+  it('writes one JSON object per entry', async () => {
+    const [entry] = await captureLogs(() => logger.info('Scraping G2 page', { page: 2 }));
+
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Scraping G2 page');
+    assert.equal(entry.page, 2);
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('skips entries below LOG_LEVEL', async () => {
+    const entries = await captureLogs(() => {
+      logger.debug('Navigating');
+      logger.warn('Navigation error');
+    });
+
+    assert.deepEqual(entries.map(entry => entry.level), ['warn']);
+  });
+
+  it('adds the context fields to entries logged inside it, across awaits', async () => {
+    const entries = await captureLogs(() => runWithLogContext({ requestId: 'req-1' }, async () => {
+      logger.info('Request received');
+      await runWithLogContext({ jobId: 'job-1' }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        logger.info('Job started');
+      });
+    }));
+
+    assert.deepEqual(entries.map(({ requestId, jobId }) => ({ requestId, jobId })), [
+      { requestId: 'req-1', jobId: undefined },
+      { requestId: 'req-1', jobId: 'job-1' }
+    ]);
+  });
+
+  it('binds fields with createLogger and child', async () => {
+    const [entry] = await captureLogs(() => createLogger({ component: 'scheduler' }).child({ scheduleId: 's1' }).info('Started'));
+
+    assert.equal(entry.component, 'scheduler');
+    assert.equal(entry.scheduleId, 's1');
+  });
+
+  it('serializes errors, keeping the stack only for errors without a code', async () => {
+    const known = new Error('robots.txt disallows this page');
+    known.code = 'ROBOTS_DISALLOWED';
+    known.statusCode = 403;
+
+    const entries = await captureLogs(() => {
+      logger.error('Scrape refused', { error: known });
+      logger.error('Scrape failed', { error: new TypeError('Cannot read properties of undefined') });
+    });
+
+    assert.deepEqual(entries[0].error, { message: 'robots.txt disallows this page', code: 'ROBOTS_DISALLOWED', statusCode: 403 });
+    assert.match(entries[1].error.stack, /^TypeError/);
+  });
+});
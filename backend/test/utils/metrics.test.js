@@ -0,0 +1,59 @@
+require('../helpers/setup');
+
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { register } = require('../../utils/metrics');
+const { createJob } = require('../../jobs/jobManager');
+const { scrapeSources } = require('../../scrapers/aggregate');
+
+/**
+ * Reads the current value of a metric
+ * @param {string} name - Metric name, e.g. "pulse_jobs_total"
+ * @param {Object} labels - Labels the value must have
+ * @returns {number} - The value, or 0 when it hasn't been recorded
+ */
+async function metricValue(name, labels) {
+  const metric = await register.getSingleMetric(name.replace(/_(sum|count)$/, '')).get();
+  const match = metric.values.find(value =>
+    (value.metricName || metric.name) === name &&
+    Object.entries(labels).every(([key, expected]) => value.labels[key] === expected)
+  );
+  return match ? match.value : 0;
+}
+
+describe('metrics', () => {
+  it('counts finished jobs and the pages and items they scraped', async () => {
+    const job = createJob('scrape', {}, async ({ emitEvent }) => {
+      emitEvent('page', { page: 1, items: 4, total: 4 });
+      emitEvent('page', { page: 2, items: 0, total: 4 });
+      return { data: [] };
+    });
+    await job.done;
+
+    assert.equal(await metricValue('pulse_jobs_total', { type: 'scrape', state: 'succeeded' }), 1);
+    assert.equal(await metricValue('pulse_pages_scraped_total', { source: 'generic' }), 2);
+    assert.equal(await metricValue('pulse_items_extracted_total', { source: 'generic' }), 4);
+    assert.equal(await metricValue('pulse_items_per_page_count', { source: 'generic' }), 2);
+  });
+
+  it('counts review source outcomes per source', async () => {
+    const sources = [
+      { name: 'working', label: 'Working', scrape: async () => ({ success: true, data: [] }) },
+      { name: 'broken', label: 'Broken', scrape: async () => { throw new Error('Selector timeout'); } }
+    ];
+    await scrapeSources(sources, { companyName: 'Acme', startDate: new Date(), endDate: new Date() }, { mode: 'live' });
+
+    assert.equal(await metricValue('pulse_source_scrapes_total', { source: 'working', mode: 'live', outcome: 'success' }), 1);
+    assert.equal(await metricValue('pulse_source_scrapes_total', { source: 'broken', mode: 'live', outcome: 'failure' }), 1);
+  });
+
+  it('exposes the browser pool in the Prometheus text format', async () => {
+    const text = await register.metrics();
+
+    assert.match(text, /^# TYPE pulse_browsers_open gauge$/m);
+    assert.match(text, /^pulse_browsers_open 0$/m);
+    assert.match(text, /^pulse_process_cpu_seconds_total /m);
+  });
+});
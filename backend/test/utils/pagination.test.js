@@ -0,0 +1,88 @@
+require('../helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePagination, buildPageUrl, createItemCollector } = require('../../utils/pagination');
+
+describe('normalizePagination', () => {
+  it('is off without options', () => {
+    assert.equal(normalizePagination(undefined), null);
+    assert.equal(normalizePagination(null), null);
+  });
+
+  it('fills in defaults and caps maxPages', () => {
+    assert.deepEqual(normalizePagination({ type: 'Scroll' }), { type: 'scroll', maxPages: 5, maxItems: null });
+    assert.deepEqual(normalizePagination({ type: 'scroll', maxPages: '500', maxItems: '20' }), { type: 'scroll', maxPages: 50, maxItems: 20 });
+  });
+
+  it('requires a selector for the next strategy', () => {
+    assert.deepEqual(normalizePagination({ type: 'next', selector: ' a.next ' }), {
+      type: 'next',
+      maxPages: 5,
+      maxItems: null,
+      selector: 'a.next'
+    });
+    assert.throws(() => normalizePagination({ type: 'next' }), /requires a "selector"/);
+    assert.throws(() => normalizePagination({ type: 'next', selector: '  ' }), /requires a "selector"/);
+  });
+
+  it('requires a {page} template for the url strategy and reads start and step', () => {
+    assert.deepEqual(normalizePagination({ type: 'url', template: 'https://example.com/list?p={page}', start: 0, step: '10', maxPages: 3 }), {
+      type: 'url',
+      maxPages: 3,
+      maxItems: null,
+      template: 'https://example.com/list?p={page}',
+      start: 0,
+      step: 10
+    });
+    assert.equal(normalizePagination({ type: 'url', template: '/list?page={page}' }).start, 1);
+    assert.throws(() => normalizePagination({ type: 'url', template: '/list?page=1' }), /template" containing \{page\}/);
+    assert.throws(() => normalizePagination({ type: 'url', template: '/{page}', start: -1 }), /"start" must be a non-negative integer/);
+    assert.throws(() => normalizePagination({ type: 'url', template: '/{page}', start: 'first' }), /"start" must be a non-negative integer/);
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => normalizePagination('next'), /Pagination must be an object/);
+    assert.throws(() => normalizePagination([]), /Pagination must be an object/);
+    assert.throws(() => normalizePagination({ type: 'infinite' }), /Invalid pagination type "infinite". Choose one of: next, url, scroll/);
+    assert.throws(() => normalizePagination({ type: 'scroll', maxPages: 0 }), /"maxPages" must be a positive integer/);
+    assert.throws(() => normalizePagination({ type: 'scroll', maxItems: 2.5 }), /"maxItems" must be a positive integer/);
+    assert.throws(() => normalizePagination({ type: 'url', template: '/{page}', step: -2 }), /"step" must be a positive integer/);
+  });
+});
+
+describe('buildPageUrl', () => {
+  it('replaces every {page} placeholder', () => {
+    assert.equal(buildPageUrl('https://example.com/list?page={page}', 3), 'https://example.com/list?page=3');
+    assert.equal(buildPageUrl('https://example.com/{page}/items?from={page}', 20), 'https://example.com/20/items?from=20');
+  });
+});
+
+describe('createItemCollector', () => {
+  it('keeps items in order and drops duplicates from earlier pages', () => {
+    const collector = createItemCollector();
+
+    assert.equal(collector.add([{ name: 'a' }, { name: 'b' }]), 2);
+    assert.equal(collector.add([{ name: 'b' }, { name: 'c' }, { name: 'c' }]), 1);
+    assert.equal(collector.add([{ name: 'a' }]), 0);
+    assert.deepEqual(collector.items, [{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+    assert.equal(collector.isFull(), false);
+  });
+
+  it('compares items by their full content', () => {
+    const collector = createItemCollector();
+
+    assert.equal(collector.add([{ name: 'a', price: 1 }, { name: 'a', price: 2 }]), 2);
+  });
+
+  it('stops accepting items at the limit', () => {
+    const collector = createItemCollector(3);
+
+    assert.equal(collector.add([{ id: 1 }, { id: 2 }]), 2);
+    assert.equal(collector.isFull(), false);
+    assert.equal(collector.add([{ id: 2 }, { id: 3 }, { id: 4 }]), 1);
+    assert.equal(collector.isFull(), true);
+    assert.equal(collector.add([{ id: 5 }]), 0);
+    assert.deepEqual(collector.items.map(item => item.id), [1, 2, 3]);
+  });
+});
@@ -0,0 +1,124 @@
+require('../helpers/setup');
+
+process.env.HOST_MAX_CONCURRENCY = '2';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { acquireHostSlot } = require('../../utils/politeness');
+
+/**
+ * Lets pending promise callbacks run; setImmediate is not faked
+ * @returns {Promise} - Resolves on the next turn of the event loop
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Tracks whether a promise has settled yet
+ * @param {Promise} promise - Promise to watch
+ * @returns {Object} - { settled, value, error }
+ */
+function track(promise) {
+  const state = { settled: false, value: undefined, error: undefined };
+  promise.then(
+    (value) => Object.assign(state, { settled: true, value }),
+    (error) => Object.assign(state, { settled: true, error })
+  );
+  return state;
+}
+
+describe('acquireHostSlot', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('starts navigations on a host at least the minimum interval apart', async () => {
+    const first = await acquireHostSlot('interval.test', 1000);
+    first();
+
+    const second = track(acquireHostSlot('interval.test', 1000));
+    await flush();
+    assert.equal(second.settled, false);
+
+    mock.timers.tick(999);
+    await flush();
+    assert.equal(second.settled, false);
+
+    mock.timers.tick(1);
+    await flush();
+    assert.equal(second.settled, true);
+    second.value();
+  });
+
+  it('spaces queued callers one interval after another', async () => {
+    (await acquireHostSlot('queue.test', 500))();
+
+    const second = track(acquireHostSlot('queue.test', 500));
+    const third = track(acquireHostSlot('queue.test', 500));
+
+    mock.timers.tick(500);
+    await flush();
+    assert.deepEqual([second.settled, third.settled], [true, false]);
+    second.value();
+
+    mock.timers.tick(500);
+    await flush();
+    assert.equal(third.settled, true);
+    third.value();
+  });
+
+  it('does not make other hosts wait', async () => {
+    (await acquireHostSlot('busy.test', 1000))();
+
+    const other = track(acquireHostSlot('idle.test', 1000));
+    await flush();
+    assert.equal(other.settled, true);
+    other.value();
+  });
+
+  it('limits how many navigations run on a host at once', async () => {
+    const first = await acquireHostSlot('concurrency.test', 0);
+    const second = await acquireHostSlot('concurrency.test', 0);
+
+    const third = track(acquireHostSlot('concurrency.test', 0));
+    await flush();
+    assert.equal(third.settled, false);
+
+    first();
+    await flush();
+    assert.equal(third.settled, true);
+
+    second();
+    third.value();
+    // Both slots are free again
+    (await acquireHostSlot('concurrency.test', 0))();
+    (await acquireHostSlot('concurrency.test', 0))();
+  });
+
+  it('gives up a queued wait when the navigation is cancelled', async () => {
+    const first = await acquireHostSlot('abort.test', 0);
+    const second = await acquireHostSlot('abort.test', 0);
+
+    const controller = new AbortController();
+    const cancelled = track(acquireHostSlot('abort.test', 0, controller.signal));
+    const next = track(acquireHostSlot('abort.test', 0));
+
+    controller.abort();
+    await flush();
+    assert.equal(cancelled.settled, true);
+    assert.equal(cancelled.error.name, 'AbortError');
+
+    // The freed slot goes to the caller still waiting, not the cancelled one
+    first();
+    await flush();
+    assert.equal(next.settled, true);
+
+    second();
+    next.value();
+  });
+});
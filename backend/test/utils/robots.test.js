@@ -0,0 +1,162 @@
+require('../helpers/setup');
+
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BROWSER_USER_AGENT, parseRobotsTxt, selectGroup, findMatchingRule, checkRobots, clearRobotsCache } = require('../../utils/robots');
+
+/**
+ * Parses a robots.txt file and finds the rule for a path
+ * @param {string} text - robots.txt contents
+ * @param {string} path - URL path with query string
+ * @param {string} userAgent - Product token to select the group for
+ * @returns {Object|null} - Matching rule
+ */
+function ruleFor(text, path, userAgent = 'PulseWebScraper') {
+  return findMatchingRule(selectGroup(parseRobotsTxt(text), userAgent).rules, path);
+}
+
+describe('parseRobotsTxt', () => {
+  it('groups consecutive user-agent lines and skips comments and empty disallows', () => {
+    const groups = parseRobotsTxt([
+      '# Crawlers',
+      'User-agent: Googlebot',
+      'User-agent: PulseWebScraper # ours',
+      'Disallow: /private/',
+      'Crawl-delay: 2',
+      '',
+      'User-agent: *',
+      'Disallow:'
+    ].join('\r\n'));
+
+    assert.deepEqual(groups, [
+      { agents: ['googlebot', 'pulsewebscraper'], rules: [{ type: 'disallow', path: '/private/', line: 4 }], crawlDelay: 2 },
+      { agents: ['*'], rules: [], crawlDelay: null }
+    ]);
+  });
+
+  it('ignores rules before the first user-agent line', () => {
+    assert.deepEqual(parseRobotsTxt('Disallow: /\nUser-agent: *\nAllow: /'), [
+      { agents: ['*'], rules: [{ type: 'allow', path: '/', line: 3 }], crawlDelay: null }
+    ]);
+  });
+});
+
+describe('selectGroup', () => {
+  const groups = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /',
+    'Crawl-delay: 1',
+    '',
+    'User-agent: pulsewebscraper',
+    'Disallow: /admin/',
+    'Crawl-delay: 3',
+    '',
+    'User-agent: PulseWebScraper',
+    'Disallow: /tmp/',
+    'Crawl-delay: 5'
+  ].join('\n'));
+
+  it('merges every group naming the user agent, case-insensitively', () => {
+    const group = selectGroup(groups, 'PulseWebScraper');
+
+    assert.equal(group.agent, 'PulseWebScraper');
+    assert.deepEqual(group.rules.map(rule => rule.path), ['/admin/', '/tmp/']);
+    assert.equal(group.crawlDelay, 5);
+  });
+
+  it('falls back to the * group for other user agents', () => {
+    const group = selectGroup(groups, 'OtherBot');
+
+    assert.equal(group.agent, '*');
+    assert.deepEqual(group.rules.map(rule => rule.path), ['/']);
+    assert.equal(group.crawlDelay, 1);
+  });
+
+  it('has no rules when no group applies', () => {
+    assert.deepEqual(selectGroup(parseRobotsTxt('User-agent: Googlebot\nDisallow: /'), 'PulseWebScraper').rules, []);
+  });
+});
+
+describe('BROWSER_USER_AGENT', () => {
+  it('ends with the product token robots.txt rules are matched against', () => {
+    assert.match(BROWSER_USER_AGENT, /^Mozilla\/5\.0 .* Chrome\/[\d.]+ Safari\/[\d.]+ PulseWebScraper$/);
+  });
+});
+
+describe('findMatchingRule', () => {
+  it('lets the longest matching pattern win', () => {
+    const text = 'User-agent: *\nDisallow: /reviews\nAllow: /reviews/public\n';
+
+    assert.equal(ruleFor(text, '/reviews/public/page-2').type, 'allow');
+    assert.equal(ruleFor(text, '/reviews/private').type, 'disallow');
+    assert.equal(ruleFor(text, '/pricing'), null);
+  });
+
+  it('lets Allow win a tie', () => {
+    assert.equal(ruleFor('User-agent: *\nDisallow: /page\nAllow: /page\n', '/page').type, 'allow');
+    assert.equal(ruleFor('User-agent: *\nAllow: /page\nDisallow: /page\n', '/page').type, 'allow');
+  });
+
+  it('supports * wildcards and $ end anchors', () => {
+    const text = 'User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=\n';
+
+    assert.equal(ruleFor(text, '/docs/guide.pdf').type, 'disallow');
+    assert.equal(ruleFor(text, '/docs/guide.pdf?download=1'), null);
+    assert.equal(ruleFor(text, '/search/results?q=slack').type, 'disallow');
+    assert.equal(ruleFor(text, '/search/results'), null);
+  });
+
+  it('matches other regular expression characters literally', () => {
+    const text = 'User-agent: *\nDisallow: /a.b+c\n';
+
+    assert.equal(ruleFor(text, '/a.b+c/d').type, 'disallow');
+    assert.equal(ruleFor(text, '/axbbc'), null);
+  });
+});
+
+describe('checkRobots', () => {
+  let status = 200;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'User-agent: *\nDisallow: /private/\nCrawl-delay: 2\n' : '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    clearRobotsCache();
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('applies the rules and crawl delay of the robots.txt file', async () => {
+    status = 200;
+    const decision = await checkRobots(`${baseUrl}/private/page`);
+
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.crawlDelay, 2);
+    assert.equal(decision.reason, 'Disallow: /private/ (line 2, user-agent "*")');
+    assert.equal((await checkRobots(`${baseUrl}/public`)).allowed, true);
+  });
+
+  it('allows everything when robots.txt is missing', async () => {
+    status = 404;
+    assert.equal((await checkRobots(`${baseUrl}/private/page`)).allowed, true);
+  });
+
+  it('disallows everything when robots.txt answers with a server error', async () => {
+    status = 503;
+    const decision = await checkRobots(`${baseUrl}/public`);
+
+    assert.equal(decision.allowed, false);
+    assert.match(decision.reason, /could not be fetched/);
+  });
+});
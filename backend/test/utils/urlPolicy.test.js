@@ -0,0 +1,154 @@
+require('../helpers/setup');
+
+process.env.URL_ALLOW_HOSTS = '127.0.0.1,intranet.test,10.20.0.0/16';
+process.env.URL_DENY_HOSTS = '*.blocked.test,8.8.4.4';
+
+const dns = require('dns');
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkUrl, assertUrlAllowed, isPrivateAddress, pinnedLookup } = require('../../utils/urlPolicy');
+const { checkRobots } = require('../../utils/robots');
+
+describe('isPrivateAddress', () => {
+  it('recognizes loopback, private, link-local and reserved addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::a9fe:a9fe']
+      .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  });
+
+  it('accepts public addresses', () => {
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+});
+
+describe('checkUrl', () => {
+  const allowed = async (url) => (await checkUrl(url)).allowed;
+
+  it('only allows http and https', async () => {
+    assert.equal(await allowed('file:///etc/passwd'), false);
+    assert.equal(await allowed('ftp://8.8.8.8/'), false);
+    assert.equal(await allowed('javascript:alert(1)'), false);
+    assert.equal(await allowed('https://8.8.8.8/'), true);
+  });
+
+  it('refuses hosts that resolve to non-public addresses', async () => {
+    assert.equal(await allowed('http://127.0.0.2:5001/'), false);
+    assert.equal(await allowed('http://[::1]:5001/'), false);
+    assert.equal(await allowed('http://169.254.169.254/latest/meta-data/'), false);
+    assert.equal(await allowed('http://2130706434/'), false); // 127.0.0.2 written as a number
+    assert.equal(await allowed('http://[::ffff:127.0.0.2]/'), false);
+
+    const decision = await checkUrl('http://192.168.0.10/admin');
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, '192.168.0.10 is not a public address');
+  });
+
+  it('lets URL_ALLOW_HOSTS reach internal hosts and ranges', async () => {
+    assert.equal(await allowed('http://127.0.0.1:8080/'), true);
+    assert.equal(await allowed('http://intranet.test/wiki'), true);
+    assert.equal(await allowed('http://10.20.5.5/'), true);
+    assert.equal(await allowed('http://10.21.5.5/'), false);
+  });
+
+  it('lets URL_DENY_HOSTS block otherwise public hosts', async () => {
+    assert.equal(await allowed('https://www.blocked.test/'), false);
+    assert.equal(await allowed('http://8.8.4.4/'), false);
+  });
+
+  it('refuses hosts that cannot be resolved', async () => {
+    const decision = await checkUrl('http://does-not-exist.invalid/');
+
+    assert.equal(decision.allowed, false);
+    assert.match(decision.reason, /could not be resolved/);
+  });
+});
+
+describe('pinnedLookup', () => {
+  const originalLookup = dns.promises.lookup;
+
+  after(() => {
+    dns.promises.lookup = originalLookup;
+  });
+
+  it('keeps answering with the checked address when DNS later returns a private one', async () => {
+    const answers = ['93.184.216.34', '10.0.0.1'];
+    dns.promises.lookup = async () => [{ address: answers.shift(), family: 4 }];
+
+    const decision = await checkUrl('http://rebinding.test/');
+    assert.equal(decision.allowed, true);
+    assert.equal((await dns.promises.lookup('rebinding.test'))[0].address, '10.0.0.1');
+
+    const lookup = pinnedLookup(decision);
+    const single = await new Promise((resolve, reject) => {
+      lookup('rebinding.test', {}, (error, address, family) => error ? reject(error) : resolve({ address, family }));
+    });
+    const all = await new Promise((resolve, reject) => {
+      lookup('rebinding.test', { all: true }, (error, addresses) => error ? reject(error) : resolve(addresses));
+    });
+
+    assert.deepEqual(single, { address: '93.184.216.34', family: 4 });
+    assert.deepEqual(all, [{ address: '93.184.216.34', family: 4 }]);
+  });
+});
+
+describe('assertUrlAllowed', () => {
+  it('throws a 403 URL_BLOCKED error', async () => {
+    await assert.rejects(assertUrlAllowed('http://169.254.169.254/'), (error) => {
+      assert.equal(error.statusCode, 403);
+      assert.equal(error.code, 'URL_BLOCKED');
+      assert.deepEqual(error.details.addresses, ['169.254.169.254']);
+      return true;
+    });
+  });
+});
+
+/**
+ * Starts a server whose robots.txt redirects elsewhere
+ * @param {Function} location - Builds the redirect target from the server's base URL
+ * @returns {Object} - { baseUrl, close() }
+ */
+async function startRedirectingServer(location) {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+      res.writeHead(301, { Location: location(baseUrl) });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('User-agent: *\nDisallow: /private/\n');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return { baseUrl, close: () => server.close() };
+}
+
+describe('robots.txt redirects', () => {
+  let mirror;
+  let rogue;
+
+  before(async () => {
+    mirror = await startRedirectingServer(baseUrl => `${baseUrl}/moved/robots.txt`);
+    rogue = await startRedirectingServer(() => 'http://192.168.0.1/robots.txt');
+  });
+
+  after(() => {
+    mirror.close();
+    rogue.close();
+  });
+
+  it('follows redirects the URL policy allows', async () => {
+    const decision = await checkRobots(`${mirror.baseUrl}/private/page`);
+
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.rule.path, '/private/');
+  });
+
+  it('does not follow redirects to internal addresses', async () => {
+    const decision = await checkRobots(`${rogue.baseUrl}/page`);
+
+    assert.equal(decision.allowed, false);
+    assert.match(decision.reason, /could not be fetched/);
+  });
+});
@@ -0,0 +1,303 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger, getLogContext } = require('./logger');
+
+/**
+ * Per-job debug artifacts.
+ *
+ * While a scraper works, the page it uses is watched: console messages and
+ * page errors are kept, as is every request with its response status and
+ * timing. When the scrape fails (or always, when the job asked for it), the
+ * final DOM, a full-page screenshot and those logs are saved under
+ * ARTIFACT_DIR/<job id>/, one set per scraper ("page" for /scrape, the source
+ * name for review sources):
+ *   <name>.html             the DOM as it was at the end
+ *   <name>.png              full-page screenshot
+ *   <name>-console.json     console messages and uncaught page errors
+ *   <name>-requests.har     requests in HAR 1.2 format
+ * Artifacts are served by GET /jobs/:id/artifacts and removed once they are
+ * older than ARTIFACT_RETENTION_MS.
+ */
+
+const ARTIFACT_DIR = process.env.ARTIFACT_DIR || path.join(__dirname, '..', 'data', 'artifacts');
+const ARTIFACT_RETENTION_MS = parseInt(process.env.ARTIFACT_RETENTION_MS, 10) || 3 * 24 * 60 * 60 * 1000;
+const ARTIFACT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// When artifacts are captured: always, when the scrape fails, or never
+const CAPTURE_MODES = ['always', 'on-failure', 'never'];
+const DEFAULT_CAPTURE_MODE = CAPTURE_MODES.includes(process.env.ARTIFACT_CAPTURE) ? process.env.ARTIFACT_CAPTURE : 'on-failure';
+
+// Upper bound on console messages and requests kept per page
+const MAX_LOG_ENTRIES = 2000;
+
+const ARTIFACT_TYPES = [
+  { suffix: '-console.json', type: 'console', contentType: 'application/json' },
+  { suffix: '-requests.har', type: 'requests', contentType: 'application/json' },
+  { suffix: '.html', type: 'html', contentType: 'text/html; charset=utf-8' },
+  { suffix: '.png', type: 'screenshot', contentType: 'image/png' }
+];
+
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const ARTIFACT_NAME_PATTERN = /^[\w.-]+$/;
+
+let cleanupTimer = null;
+
+/**
+ * Resolves the requested capture mode
+ * @param {string} [mode] - Mode from the request
+ * @returns {string|null} - The mode (the default when none was given), or null when invalid
+ */
+function resolveCaptureMode(mode) {
+  if (mode === undefined || mode === null || mode === '') return DEFAULT_CAPTURE_MODE;
+  return CAPTURE_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Returns the directory holding a job's artifacts
+ * @param {string} jobId - Job ID
+ * @returns {string|null} - Directory path, or null for malformed IDs
+ */
+function artifactDir(jobId) {
+  return JOB_ID_PATTERN.test(jobId) ? path.join(ARTIFACT_DIR, jobId) : null;
+}
+
+/**
+ * Builds a HAR entry for a finished (or failed) request
+ * @param {Object} request - Puppeteer HTTPRequest
+ * @param {number} startedAt - When the request started, in milliseconds
+ * @param {Object} [failure] - { errorText } for failed requests
+ * @returns {Object} - HAR 1.2 entry
+ */
+function toHarEntry(request, startedAt, failure) {
+  const response = request.response();
+  const toHeaders = (headers) => Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+  const entry = {
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: Date.now() - startedAt,
+    request: {
+      method: request.method(),
+      url: request.url(),
+      httpVersion: 'HTTP/1.1',
+      headers: toHeaders(request.headers()),
+      queryString: [],
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: response ? response.status() : 0,
+      statusText: response ? response.statusText() : '',
+      httpVersion: 'HTTP/1.1',
+      headers: toHeaders(response?.headers()),
+      cookies: [],
+      content: { size: -1, mimeType: response?.headers()['content-type'] || '' },
+      redirectURL: response?.headers().location || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: Date.now() - startedAt, receive: 0 },
+    _resourceType: request.resourceType()
+  };
+  if (failure) entry._failure = failure.errorText;
+  return entry;
+}
+
+/**
+ * Starts watching a page for the current job's artifacts. Outside a job
+ * nothing is recorded.
+ * @param {Object} page - Puppeteer page
+ * @param {string} name - Artifact name, e.g. "page" or "g2"
+ * @param {Object} options - { mode, signal }; mode is a capture mode (the
+ *   default when missing), and nothing is saved once the signal has aborted
+ * @returns {Object} - { finish({ failed, reason }) }, to call before the page
+ *   is released; it saves the artifacts when the mode asks for them and
+ *   resolves to their file names
+ */
+function watchPage(page, name, { mode, signal } = {}) {
+  const { jobId } = getLogContext();
+  const captureMode = jobId ? resolveCaptureMode(mode) : 'never';
+  if (!captureMode || captureMode === 'never') {
+    return { finish: async () => [] };
+  }
+
+  const consoleMessages = [];
+  const requests = [];
+  const pending = new Map();
+
+  const keep = (list, entry) => {
+    if (list.length < MAX_LOG_ENTRIES) list.push(entry);
+  };
+
+  page.on('console', message => keep(consoleMessages, {
+    time: new Date().toISOString(),
+    type: message.type(),
+    text: message.text(),
+    url: message.location()?.url || null
+  }));
+  page.on('pageerror', error => keep(consoleMessages, {
+    time: new Date().toISOString(),
+    type: 'pageerror',
+    text: error.message,
+    url: null
+  }));
+  page.on('request', request => pending.set(request, Date.now()));
+  page.on('requestfinished', request => {
+    keep(requests, toHarEntry(request, pending.get(request) || Date.now()));
+    pending.delete(request);
+  });
+  page.on('requestfailed', request => {
+    keep(requests, toHarEntry(request, pending.get(request) || Date.now(), request.failure()));
+    pending.delete(request);
+  });
+
+  let finished = false;
+
+  return {
+    finish: async ({ failed = false, reason = null } = {}) => {
+      if (finished || signal?.aborted || (captureMode === 'on-failure' && !failed)) return [];
+      finished = true;
+
+      try {
+        return await saveArtifacts(page, jobId, name, { failed, reason, consoleMessages, requests });
+      } catch (error) {
+        // Debug artifacts must never fail the scrape
+        logger.error('Could not save debug artifacts', { error });
+        return [];
+      }
+    }
+  };
+}
+
+/**
+ * Writes a page's artifacts to the job's directory
+ * @param {Object} page - Puppeteer page
+ * @param {string} jobId - Job ID
+ * @param {string} name - Artifact name
+ * @param {Object} capture - { failed, reason, consoleMessages, requests }
+ * @returns {Array} - Names of the files written
+ */
+async function saveArtifacts(page, jobId, name, { failed, reason, consoleMessages, requests }) {
+  const dir = artifactDir(jobId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const files = {
+    [`${name}-console.json`]: JSON.stringify({ url: page.url(), failed, reason, messages: consoleMessages }, null, 2),
+    [`${name}-requests.har`]: JSON.stringify({
+      log: { version: '1.2', creator: { name: 'pulse-web-scraper', version: '1.0' }, pages: [], entries: requests }
+    }, null, 2)
+  };
+
+  // The page may have crashed or been closed; keep whatever can be read
+  try {
+    files[`${name}.html`] = await page.content();
+  } catch (error) {
+    logger.warn('Could not capture the page HTML', { reason: error.message });
+  }
+  try {
+    files[`${name}.png`] = await page.screenshot({ fullPage: true, type: 'png' });
+  } catch (error) {
+    logger.warn('Could not capture a screenshot', { reason: error.message });
+  }
+
+  await Promise.all(Object.entries(files).map(([file, contents]) => fs.writeFile(path.join(dir, file), contents)));
+  logger.info('Saved debug artifacts', { artifact: name, failed, files: Object.keys(files) });
+  return Object.keys(files);
+}
+
+/**
+ * Lists a job's artifacts
+ * @param {string} jobId - Job ID
+ * @returns {Array} - { name, type, size, createdAt }, empty when there are none
+ */
+async function listArtifacts(jobId) {
+  const dir = artifactDir(jobId);
+  if (!dir) return [];
+
+  const files = await fs.readdir(dir).catch(() => []);
+  const artifacts = await Promise.all(files.map(async (file) => {
+    const artifactType = ARTIFACT_TYPES.find(({ suffix }) => file.endsWith(suffix));
+    if (!artifactType) return null;
+
+    const { size, mtime } = await fs.stat(path.join(dir, file));
+    return { name: file, type: artifactType.type, size, createdAt: mtime.toISOString() };
+  }));
+
+  return artifacts.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Locates one of a job's artifacts
+ * @param {string} jobId - Job ID
+ * @param {string} name - Artifact file name, as listed by listArtifacts
+ * @returns {Object|null} - { path, contentType }, or null when there is no such artifact
+ */
+async function findArtifact(jobId, name) {
+  const dir = artifactDir(jobId);
+  const artifactType = ARTIFACT_TYPES.find(({ suffix }) => String(name).endsWith(suffix));
+  if (!dir || !artifactType || !ARTIFACT_NAME_PATTERN.test(name)) return null;
+
+  const file = path.join(dir, name);
+  try {
+    await fs.access(file);
+  } catch (error) {
+    return null;
+  }
+  return { path: file, contentType: artifactType.contentType };
+}
+
+/**
+ * Deletes the artifacts of jobs older than the retention period
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Number of job directories removed
+ */
+async function removeExpiredArtifacts(now = Date.now()) {
+  const dirs = await fs.readdir(ARTIFACT_DIR).catch(() => []);
+  let removed = 0;
+
+  for (const dir of dirs.filter(name => JOB_ID_PATTERN.test(name))) {
+    const fullPath = path.join(ARTIFACT_DIR, dir);
+    const { mtimeMs } = await fs.stat(fullPath);
+    if (now - mtimeMs > ARTIFACT_RETENTION_MS) {
+      await fs.rm(fullPath, { recursive: true, force: true });
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Removes expired artifacts now and then every hour
+ */
+function startArtifactCleanup() {
+  const sweep = () => removeExpiredArtifacts()
+    .then(removed => {
+      if (removed > 0) logger.info('Removed expired debug artifacts', { jobs: removed });
+    })
+    .catch(error => logger.error('Could not remove expired debug artifacts', { error }));
+
+  sweep();
+  cleanupTimer = setInterval(sweep, ARTIFACT_CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+}
+
+/**
+ * Stops the periodic cleanup
+ */
+function stopArtifactCleanup() {
+  clearInterval(cleanupTimer);
+  cleanupTimer = null;
+}
+
+module.exports = {
+  CAPTURE_MODES,
+  resolveCaptureMode,
+  watchPage,
+  listArtifacts,
+  findArtifact,
+  removeExpiredArtifacts,
+  startArtifactCleanup,
+  stopArtifactCleanup
+};
@@ -0,0 +1,72 @@
+const { createScrapeError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Detection of CAPTCHA and bot-block pages.
+ *
+ * Review sites sometimes answer a scraper with a challenge instead of the
+ * page it asked for. Such pages are only reported, as BLOCKED_BY_SITE
+ * errors: the scraper never tries to solve or get around them, and they are
+ * not retried. Pages are checked when the site answers with an error status
+ * and when nothing could be extracted from them.
+ */
+
+// Elements that only challenge pages have
+const BLOCK_SELECTORS = [
+  'iframe[src*="captcha"]',
+  '.g-recaptcha',
+  '.h-captcha',
+  '#px-captcha',
+  '#challenge-form',
+  '#cf-challenge-running',
+  '[id^="cf-chl"]'
+];
+
+// Phrases in the title or opening text of block pages
+const BLOCK_PHRASES = [
+  'verify you are human',
+  'verify that you are human',
+  'are you a robot',
+  'unusual traffic',
+  'pardon our interruption',
+  'attention required',
+  'just a moment...',
+  'access denied',
+  'request blocked'
+];
+
+/**
+ * Checks whether the page is a CAPTCHA or block page
+ * @param {Object} page - Puppeteer page
+ * @returns {string|null} - What gave the page away, or null when it looks normal
+ */
+async function detectBlockedPage(page) {
+  return page.evaluate(({ selectors, phrases }) => {
+    const element = selectors.find(selector => document.querySelector(selector));
+    if (element) return `element ${element}`;
+
+    // Block pages are short; only their title and opening text are read
+    const text = `${document.title}\n${(document.body?.innerText || '').slice(0, 2000)}`.toLowerCase();
+    const phrase = phrases.find(candidate => text.includes(candidate));
+    return phrase ? `text "${phrase}"` : null;
+  }, { selectors: BLOCK_SELECTORS, phrases: BLOCK_PHRASES }).catch(() => null);
+}
+
+/**
+ * Throws a BLOCKED_BY_SITE error when the page is a CAPTCHA or block page
+ * @param {Object} page - Puppeteer page
+ * @param {string} [url] - URL that was requested; defaults to the page's URL
+ */
+async function assertNotBlocked(page, url = page.url()) {
+  const indicator = await detectBlockedPage(page);
+  if (!indicator) return;
+
+  const host = new URL(url).host;
+  logger.warn('Site served a block page', { url, indicator });
+  throw createScrapeError('BLOCKED_BY_SITE', `${host} served a CAPTCHA or block page instead of ${url}`, { url, indicator });
+}
+
+module.exports = {
+  detectBlockedPage,
+  assertNotBlocked
+};
@@ -0,0 +1,282 @@
+const puppeteer = require('puppeteer');
+const { createAbortError } = require('./cancellation');
+const { logger } = require('./logger');
+const { startEgressProxy } = require('./egressProxy');
+const { BROWSER_USER_AGENT } = require('./robots');
+
+/**
+ * Shared pool of warm Puppeteer browsers.
+ *
+ * Scrapers lease a page with acquirePage() and must call release() when done.
+ * Every lease gets its own incognito browser context, so cookies and storage
+ * never leak between scrapes. The pool caps the number of browsers and of
+ * concurrently open pages, recycles browsers after a number of uses or when
+ * they crash, and force-releases leases that are held for too long.
+ *
+ * The browsers send all traffic, loopback included, through the local egress
+ * proxy, so they only ever connect to addresses the URL policy has checked.
+ * Every page identifies itself with BROWSER_USER_AGENT, which carries the
+ * product token robots.txt rules are matched against (utils/robots.js).
+ */
+
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+const MAX_CONCURRENT_PAGES = parseInt(process.env.BROWSER_MAX_CONCURRENT_PAGES, 10) || 4;
+const MAX_USES_PER_BROWSER = parseInt(process.env.BROWSER_MAX_USES, 10) || 50;
+const LEASE_TIMEOUT_MS = parseInt(process.env.BROWSER_LEASE_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+const LAUNCH_OPTIONS = {
+  headless: process.env.PUPPETEER_HEADLESS !== 'false',
+  args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-features=site-per-process']
+};
+
+const entries = [];       // { browser, leases: Set, uses, retiring }
+const waiters = [];       // { resolve, reject } waiting for a free page slot
+let launching = null;     // pending launch, so concurrent callers share it
+let egressProxy = null;   // pending egress proxy start, shared by every browser
+let activeLeases = 0;
+let shuttingDown = false;
+
+/**
+ * Launches a browser and adds it to the pool
+ * @returns {Object} - The new pool entry
+ */
+async function launchEntry() {
+  if (!egressProxy) {
+    egressProxy = startEgressProxy();
+    egressProxy.catch(() => {
+      egressProxy = null;
+    });
+  }
+  const proxy = await egressProxy;
+
+  const browser = await puppeteer.launch({
+    ...LAUNCH_OPTIONS,
+    // <-loopback> stops Chrome from bypassing the proxy for localhost
+    args: [...LAUNCH_OPTIONS.args, `--proxy-server=${proxy.url}`, '--proxy-bypass-list=<-loopback>']
+  });
+  const entry = { browser, leases: new Set(), uses: 0, retiring: false };
+
+  browser.on('disconnected', () => {
+    if (!entries.includes(entry)) return;
+    logger.warn('Pooled browser disconnected, removing it from the pool');
+    removeEntry(entry);
+    entry.leases.forEach(lease => lease.release());
+  });
+
+  entries.push(entry);
+  logger.info('Launched pooled browser', { browsers: entries.length, poolSize: POOL_SIZE });
+  return entry;
+}
+
+/**
+ * Removes an entry from the pool without closing its browser
+ * @param {Object} entry - Pool entry
+ */
+function removeEntry(entry) {
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+}
+
+/**
+ * Closes a browser once it has no leases left
+ * @param {Object} entry - Pool entry
+ */
+function retireEntry(entry) {
+  entry.retiring = true;
+  if (entry.leases.size > 0) return;
+
+  removeEntry(entry);
+  entry.browser.close().catch(error => logger.error('Error closing pooled browser', { error }));
+}
+
+/**
+ * Picks the least busy browser, launching a new one when all are busy and the
+ * pool is not full
+ * @returns {Object} - Pool entry to lease from
+ */
+async function pickEntry() {
+  const available = entries
+    .filter(entry => !entry.retiring && entry.browser.isConnected())
+    .sort((a, b) => a.leases.size - b.leases.size);
+
+  if (available.length > 0 && (available[0].leases.size === 0 || entries.length >= POOL_SIZE)) {
+    return available[0];
+  }
+
+  if (!launching) {
+    launching = launchEntry().finally(() => {
+      launching = null;
+    });
+  }
+  return launching;
+}
+
+/**
+ * Waits until a page slot is free
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+function waitForSlot(signal) {
+  if (activeLeases < MAX_CONCURRENT_PAGES) {
+    activeLeases++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        reject(createAbortError());
+      }, { once: true });
+    }
+
+    waiters.push(waiter);
+  });
+}
+
+/**
+ * Hands a freed page slot to the next waiter
+ */
+function freeSlot() {
+  const next = waiters.shift();
+  if (next) {
+    next.resolve();
+  } else {
+    activeLeases--;
+  }
+}
+
+/**
+ * Leases a fresh page in an isolated incognito context
+ * @param {Object} options - Optional { signal }; aborting releases the lease
+ * @returns {Object} - { page, context, release }
+ */
+async function acquirePage({ signal } = {}) {
+  if (shuttingDown) {
+    throw new Error('Browser pool is shutting down');
+  }
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  await waitForSlot(signal);
+
+  let entry;
+  let context;
+  try {
+    entry = await pickEntry();
+    context = await entry.browser.createIncognitoBrowserContext();
+  } catch (error) {
+    freeSlot();
+    throw error;
+  }
+
+  const lease = { context, page: null, released: false };
+
+  lease.release = async () => {
+    if (lease.released) return;
+    lease.released = true;
+
+    clearTimeout(lease.timer);
+    if (signal) signal.removeEventListener('abort', lease.release);
+
+    entry.leases.delete(lease);
+    entry.uses++;
+    freeSlot();
+
+    await context.close().catch(() => {});
+
+    if (entry.retiring || entry.uses >= MAX_USES_PER_BROWSER || !entry.browser.isConnected()) {
+      retireEntry(entry);
+    }
+  };
+
+  entry.leases.add(lease);
+
+  lease.timer = setTimeout(() => {
+    logger.warn('Browser lease timed out, force-releasing it', { leaseTimeoutMs: LEASE_TIMEOUT_MS });
+    lease.release();
+  }, LEASE_TIMEOUT_MS);
+  lease.timer.unref();
+
+  if (signal) {
+    signal.addEventListener('abort', lease.release, { once: true });
+  }
+
+  try {
+    lease.page = await context.newPage();
+    await lease.page.setUserAgent(BROWSER_USER_AGENT);
+  } catch (error) {
+    await lease.release();
+    throw error;
+  }
+
+  if (signal && signal.aborted) {
+    await lease.release();
+    throw createAbortError();
+  }
+
+  return { page: lease.page, context, release: lease.release };
+}
+
+/**
+ * Runs a function with a leased page and always releases it afterwards
+ * @param {Function} fn - async (page) => result
+ * @param {Object} options - Optional { signal }
+ * @returns {*} - Whatever fn returns
+ */
+async function withPage(fn, options = {}) {
+  const { page, release } = await acquirePage(options);
+  try {
+    return await fn(page);
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Current pool usage
+ * @returns {Object} - { browsers, activePages, waiting }
+ */
+function getPoolStats() {
+  return {
+    browsers: entries.length,
+    activePages: activeLeases,
+    waiting: waiters.length
+  };
+}
+
+/**
+ * Rejects pending waiters and closes every pooled browser
+ */
+async function shutdownPool() {
+  shuttingDown = true;
+
+  while (waiters.length > 0) {
+    waiters.shift().reject(new Error('Browser pool is shutting down'));
+  }
+
+  if (launching) {
+    await launching.catch(() => {});
+  }
+
+  const closing = entries.splice(0).map(entry =>
+    entry.browser.close().catch(error => logger.error('Error closing pooled browser', { error }))
+  );
+  await Promise.all(closing);
+
+  if (egressProxy) {
+    const proxy = await egressProxy.catch(() => null);
+    egressProxy = null;
+    if (proxy) await proxy.close();
+  }
+}
+
+module.exports = {
+  acquirePage,
+  withPage,
+  getPoolStats,
+  shutdownPool
+};
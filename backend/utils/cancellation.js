@@ -0,0 +1,29 @@
+/**
+ * Helpers for cooperative cancellation of scrapes through an AbortSignal
+ */
+
+/**
+ * Creates the error thrown when a scrape is cancelled
+ * @param {string} message - Error message
+ * @returns {Error} - Error with name "AbortError"
+ */
+function createAbortError(message = 'Scrape was cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+module.exports = {
+  createAbortError,
+  throwIfAborted
+};
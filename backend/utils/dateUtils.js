@@ -2,95 +2,314 @@
  * Utility functions for handling date parsing and validation for reviews
  */
 
+const DEFAULT_LOCALE = 'en-US';
+
+// Languages whose month names are recognized in any text, whatever the locale hint
+const MONTH_NAME_LOCALES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'nl'];
+
+const monthNameCache = new Map();
+const dayFirstCache = new Map();
+
 /**
- * Parses a date string into a JavaScript Date object
- * Handles various date formats including relative dates
- * @param {string} dateStr - The date string to parse
- * @returns {Date|null} - JavaScript Date object or null if parsing failed
+ * Lowercases a word and strips accents and a trailing period
+ * @param {string} word - Word to fold
+ * @returns {string} - e.g. "Févr." -> "fevr"
  */
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-  
-  const trimmedDate = dateStr.trim();
-  
-  // Handle standard date formats
-  const standardDate = new Date(trimmedDate);
-  if (!isNaN(standardDate.getTime())) {
-    return standardDate;
+function foldWord(word) {
+  return word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Returns the month names of a locale, long and abbreviated
+ * @param {string} locale - BCP 47 locale
+ * @returns {Map} - Folded month name -> month index (0-11)
+ */
+function monthNamesFor(locale) {
+  if (!monthNameCache.has(locale)) {
+    const names = new Map();
+    ['long', 'short'].forEach(month => {
+      const format = new Intl.DateTimeFormat(locale, { day: 'numeric', month });
+      for (let index = 0; index < 12; index++) {
+        const part = format.formatToParts(new Date(2021, index, 15)).find(({ type }) => type === 'month');
+        if (part) names.set(foldWord(part.value), index);
+      }
+    });
+    monthNameCache.set(locale, names);
   }
-  
-  // Handle relative dates like "2 days ago", "1 month ago", etc.
-  const relativeMatch = trimmedDate.match(/(\d+)\s+(day|days|week|weeks|month|months|year|years)\s+ago/i);
-  if (relativeMatch) {
-    const amount = parseInt(relativeMatch[1], 10);
-    const unit = relativeMatch[2].toLowerCase();
-    
-    const now = new Date();
-    
-    // Apply the relative time
-    if (unit === 'day' || unit === 'days') {
-      now.setDate(now.getDate() - amount);
-    } else if (unit === 'week' || unit === 'weeks') {
-      now.setDate(now.getDate() - (amount * 7));
-    } else if (unit === 'month' || unit === 'months') {
-      now.setMonth(now.getMonth() - amount);
-    } else if (unit === 'year' || unit === 'years') {
-      now.setFullYear(now.getFullYear() - amount);
-    }
-    
-    return now;
+  return monthNameCache.get(locale);
+}
+
+/**
+ * Looks up a month name in the locale hint's language, then in every
+ * recognized language
+ * @param {string} word - Folded word
+ * @param {string} locale - Locale hint
+ * @returns {number|undefined} - Month index (0-11)
+ */
+function monthIndex(word, locale) {
+  const fromLocale = monthNamesFor(locale).get(word);
+  if (fromLocale !== undefined) return fromLocale;
+  if (word === 'sept') return 8;
+
+  for (const language of MONTH_NAME_LOCALES) {
+    const index = monthNamesFor(language).get(word);
+    if (index !== undefined) return index;
   }
-  
-  // Handle format like "Jan 15, 2023" or "January 15, 2023"
-  const monthNameMatch = trimmedDate.match(/([A-Za-z]{3,9})\s+(\d{1,2})(?:,|\s)+(\d{4})/);
-  if (monthNameMatch) {
-    const monthName = monthNameMatch[1];
-    const day = parseInt(monthNameMatch[2], 10);
-    const year = parseInt(monthNameMatch[3], 10);
-    
-    const months = {
-      'jan': 0, 'january': 0,
-      'feb': 1, 'february': 1,
-      'mar': 2, 'march': 2,
-      'apr': 3, 'april': 3,
-      'may': 4,
-      'jun': 5, 'june': 5,
-      'jul': 6, 'july': 6,
-      'aug': 7, 'august': 7,
-      'sep': 8, 'september': 8,
-      'oct': 9, 'october': 9,
-      'nov': 10, 'november': 10,
-      'dec': 11, 'december': 11
-    };
-    
-    const monthIndex = months[monthName.toLowerCase()];
-    if (monthIndex !== undefined) {
-      return new Date(year, monthIndex, day);
+  return undefined;
+}
+
+/**
+ * Checks whether a locale writes numeric dates day first (05/06 = 5 June)
+ * @param {string} locale - BCP 47 locale
+ * @returns {boolean} - True for day/month/year locales
+ */
+function isDayFirst(locale) {
+  if (!dayFirstCache.has(locale)) {
+    const parts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(2001, 10, 22))
+      .filter(({ type }) => type === 'day' || type === 'month');
+    dayFirstCache.set(locale, parts[0].type === 'day');
+  }
+  return dayFirstCache.get(locale);
+}
+
+/**
+ * Resolves a locale hint, falling back to the default for unknown locales
+ * @param {string} [locale] - BCP 47 locale, e.g. "de-DE"
+ * @returns {string} - A locale Intl supports
+ */
+function resolveLocale(locale) {
+  if (!locale) return DEFAULT_LOCALE;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale)[0] || DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Returns the calendar day of an instant, in a time zone or local time
+ * @param {Date} instant - Point in time
+ * @param {string} [timeZone] - IANA time zone, e.g. "America/New_York"
+ * @returns {Object} - { year, month (0-11), day }
+ */
+function calendarDay(instant, timeZone) {
+  if (!timeZone) {
+    return { year: instant.getFullYear(), month: instant.getMonth(), day: instant.getDate() };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => { parts[type] = parseInt(value, 10); });
+  return { year: parts.year, month: parts.month - 1, day: parts.day };
+}
+
+/**
+ * Builds a local date, rejecting days that roll over (e.g. 31 April)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of the month
+ * @returns {Date|null} - Local midnight of that day, or null when invalid
+ */
+function makeDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+/**
+ * Expands a two-digit year; 70-99 are read as 19xx
+ * @param {string} year - Year as written
+ * @returns {number} - Full year
+ */
+function fullYear(year) {
+  const value = parseInt(year, 10);
+  if (year.length > 2) return value;
+  return value < 70 ? 2000 + value : 1900 + value;
+}
+
+/**
+ * Parses an ISO date or timestamp. A timestamp with an offset is an instant,
+ * so its calendar day depends on the time zone it is read in.
+ * @param {string} text - Trimmed date text
+ * @param {string} [timeZone] - Time zone to read instants in
+ * @returns {Date|null} - Local midnight of the day
+ */
+function parseIsoDate(text, timeZone) {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, zone] = match;
+  if (!zone) {
+    return makeDate(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10));
+  }
+
+  const instant = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds || '00'}${zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone.toUpperCase()}`);
+  if (isNaN(instant.getTime())) return null;
+  const local = calendarDay(instant, timeZone);
+  return makeDate(local.year, local.month, local.day);
+}
+
+/**
+ * Parses a relative date ("yesterday", "3 weeks ago", "last month")
+ * against the reference day
+ * @param {string} text - Folded date text
+ * @param {Object} today - Reference day from calendarDay
+ * @returns {Object|null} - { date, precision, confidence }
+ */
+function parseRelativeDate(text, today) {
+  const daysBefore = (days) => new Date(today.year, today.month, today.day - days);
+  const monthsBefore = (months) => {
+    const daysInMonth = new Date(today.year, today.month - months + 1, 0).getDate();
+    return new Date(today.year, today.month - months, Math.min(today.day, daysInMonth));
+  };
+
+  if (/^(today|just now|now)$/.test(text) || /^(?:\d+|an?|one) (?:second|minute|hour)s? ago$/.test(text)) {
+    return { date: daysBefore(0), precision: 'day', confidence: 'high' };
+  }
+  if (text === 'yesterday') {
+    return { date: daysBefore(1), precision: 'day', confidence: 'high' };
+  }
+
+  const agoMatch = text.match(/^(\d+|an?|one) (day|week|month|year)s? ago$/);
+  const lastMatch = text.match(/^last (week|month|year)$/);
+  if (!agoMatch && !lastMatch) return null;
+
+  const amount = agoMatch && /^\d+$/.test(agoMatch[1]) ? parseInt(agoMatch[1], 10) : 1;
+  const unit = agoMatch ? agoMatch[2] : lastMatch[1];
+
+  // Sites round anything longer than days, so those dates are estimates
+  if (unit === 'day') {
+    return { date: daysBefore(amount), precision: 'day', confidence: 'high' };
+  }
+  if (unit === 'week') {
+    return { date: daysBefore(amount * 7), precision: 'day', confidence: 'low' };
+  }
+  return { date: monthsBefore(unit === 'month' ? amount : amount * 12), precision: 'month', confidence: 'low' };
+}
+
+/**
+ * Parses a date written with a month name: "June 15, 2025", "15 juin 2025",
+ * "15. Juni 2025", "15 de junio de 2025", "Jun 2025"
+ * @param {string} text - Folded date text
+ * @param {string} locale - Locale hint
+ * @returns {Object|null} - { date, precision }
+ */
+function parseMonthNameDate(text, locale) {
+  const ordinal = '(?:st|nd|rd|th|er|\\.)?';
+  const patterns = [
+    { regex: new RegExp(`(\\p{L}+)\\.?\\s+(\\d{1,2})${ordinal},?\\s+(\\d{4})`, 'gu'), month: 1, day: 2, year: 3 },
+    { regex: new RegExp(`(\\d{1,2})${ordinal}\\s+(?:de\\s+)?(\\p{L}+)\\.?,?\\s+(?:de\\s+)?(\\d{4})`, 'gu'), month: 2, day: 1, year: 3 },
+    { regex: /(\p{L}+)\.?,?\s+(?:de\s+)?(\d{4})/gu, month: 1, year: 2 }
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern.regex)) {
+      const month = monthIndex(match[pattern.month], locale);
+      if (month === undefined) continue;
+
+      const year = parseInt(match[pattern.year], 10);
+      if (!pattern.day) {
+        return { date: makeDate(year, month, 1), precision: 'month' };
+      }
+      const date = makeDate(year, month, parseInt(match[pattern.day], 10));
+      if (date) return { date, precision: 'day' };
     }
   }
-  
-  // Handle format like "2023-01-15" or "2023/01/15"
-  const numericMatch = trimmedDate.match(/(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})/);
-  if (numericMatch) {
-    const year = parseInt(numericMatch[1], 10);
-    const month = parseInt(numericMatch[2], 10) - 1; // JS months are 0-based
-    const day = parseInt(numericMatch[3], 10);
-    return new Date(year, month, day);
+
+  return null;
+}
+
+/**
+ * Parses a numeric date: "2025/06/15", "15.06.2025", "06/15/25". When both
+ * day/month readings are valid the locale decides and the result is flagged
+ * as ambiguous.
+ * @param {string} text - Folded date text
+ * @param {string} locale - Locale hint
+ * @returns {Object|null} - { date, ambiguous }
+ */
+function parseNumericDate(text, locale) {
+  const yearFirst = text.match(/(?:^|\D)(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+  if (yearFirst) {
+    const date = makeDate(parseInt(yearFirst[1], 10), parseInt(yearFirst[2], 10) - 1, parseInt(yearFirst[3], 10));
+    return date && { date, ambiguous: false };
   }
-  
-  // Handle format like "15/01/2023" or "15-01-2023"
-  const euroDateMatch = trimmedDate.match(/(\d{1,2})[-\/](\d{1,2})[-\/](\d{4})/);
-  if (euroDateMatch) {
-    const day = parseInt(euroDateMatch[1], 10);
-    const month = parseInt(euroDateMatch[2], 10) - 1; // JS months are 0-based
-    const year = parseInt(euroDateMatch[3], 10);
-    return new Date(year, month, day);
+
+  const yearLast = text.match(/(?:^|\D)(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?!\d)/);
+  if (!yearLast) return null;
+
+  const first = parseInt(yearLast[1], 10);
+  const second = parseInt(yearLast[2], 10);
+  const year = fullYear(yearLast[3]);
+
+  const asDayFirst = makeDate(year, second - 1, first);
+  const asMonthFirst = makeDate(year, first - 1, second);
+
+  if (asDayFirst && asMonthFirst && first !== second) {
+    return { date: isDayFirst(locale) ? asDayFirst : asMonthFirst, ambiguous: true };
   }
-  
-  // Handle other common formats
-  // Add more formats as needed
-  
-  return null; // Return null if parsing failed
+  const date = asDayFirst || asMonthFirst;
+  return date && { date, ambiguous: false };
+}
+
+/**
+ * Parses a review date, reporting how precise and how certain the result is.
+ *
+ * Understands ISO dates and timestamps, numeric dates in either day/month
+ * order, month names in English, French, German, Spanish, Italian,
+ * Portuguese and Dutch, and relative dates such as "yesterday",
+ * "3 weeks ago", "a month ago" or "last week".
+ * @param {string} dateStr - The date text
+ * @param {Object} options - Optional hints:
+ *   locale         decides the order of ambiguous numeric dates (default en-US,
+ *                  i.e. month first) and which month names are tried first
+ *   referenceDate  the time relative dates count back from; pass the time the
+ *                  page was scraped (default: now)
+ *   timeZone       IANA zone used for "today" and timestamps with an offset
+ *                  (default: the server's local time)
+ * @returns {Object|null} - { date, precision, ambiguous, confidence }, or null
+ *   when the text is not a date. `date` is local midnight of the day;
+ *   `precision` is "day" or "month" (the day is then the 1st, or an
+ *   estimate for relative dates); `ambiguous` is true when day and month
+ *   could be swapped; `confidence` is "high", "medium" (ambiguous) or "low"
+ *   (a rounded relative date)
+ */
+function parseDateDetailed(dateStr, options = {}) {
+  if (typeof dateStr !== 'string' || !dateStr.trim()) return null;
+
+  const trimmedDate = dateStr.trim();
+  const locale = resolveLocale(options.locale);
+  const referenceDate = options.referenceDate ? new Date(options.referenceDate) : new Date();
+  const exact = (date) => date && { date, precision: 'day', ambiguous: false, confidence: 'high' };
+
+  const isoDate = parseIsoDate(trimmedDate, options.timeZone);
+  if (isoDate) return exact(isoDate);
+
+  const text = foldWord(trimmedDate).replace(/\s+/g, ' ');
+
+  if (!isNaN(referenceDate.getTime())) {
+    const relative = parseRelativeDate(text, calendarDay(referenceDate, options.timeZone));
+    if (relative) return { ...relative, ambiguous: false };
+  }
+
+  const named = parseMonthNameDate(text, locale);
+  if (named) return { ...named, ambiguous: false, confidence: 'high' };
+
+  const numeric = parseNumericDate(text, locale);
+  if (numeric) return { date: numeric.date, precision: 'day', ambiguous: numeric.ambiguous, confidence: numeric.ambiguous ? 'medium' : 'high' };
+
+  return null;
+}
+
+/**
+ * Parses a date string into a JavaScript Date object
+ * @param {string} dateStr - The date string to parse
+ * @param {Object} options - Optional { locale, referenceDate, timeZone } hints (see parseDateDetailed)
+ * @returns {Date|null} - Local midnight of the date, or null if parsing failed
+ */
+function parseDate(dateStr, options = {}) {
+  const parsed = parseDateDetailed(dateStr, options);
+  return parsed ? parsed.date : null;
 }
 
 /**
@@ -123,8 +342,83 @@ function isDateInRange(date, startDate, endDate) {
   return date >= startDate && date <= endDate;
 }
 
+/**
+ * Resolves a rolling date window into concrete dates. Windows are resolved
+ * when a scrape runs, so "last 7 days" always ends today.
+ *
+ * Supported windows: "today", "yesterday", "last N days|weeks|months|years",
+ * "this week|month|year" and "last week|month|year" (the previous calendar
+ * week, month or year). Weeks start on Monday.
+ * @param {string} window - Window description, case-insensitive
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {Object|null} - { startDate, endDate } covering whole days, or null if not recognized
+ */
+function resolveDateWindow(window, now = new Date()) {
+  if (typeof window !== 'string') return null;
+
+  const text = window.trim().toLowerCase().replace(/\s+/g, ' ');
+  const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+  const today = startOfDay(now);
+  const daysAgo = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+  const startOfWeek = daysAgo((today.getDay() + 6) % 7);
+
+  if (text === 'today') {
+    return { startDate: today, endDate: endOfDay(today) };
+  }
+  if (text === 'yesterday') {
+    const yesterday = daysAgo(1);
+    return { startDate: yesterday, endDate: endOfDay(yesterday) };
+  }
+
+  const rollingMatch = text.match(/^(?:last|past) (\d+) (day|week|month|year)s?$/);
+  if (rollingMatch) {
+    const amount = parseInt(rollingMatch[1], 10);
+    const unit = rollingMatch[2];
+    if (amount < 1) return null;
+
+    let startDate;
+    if (unit === 'day') {
+      startDate = daysAgo(amount);
+    } else if (unit === 'week') {
+      startDate = daysAgo(amount * 7);
+    } else if (unit === 'month') {
+      startDate = new Date(today.getFullYear(), today.getMonth() - amount, today.getDate());
+    } else {
+      startDate = new Date(today.getFullYear() - amount, today.getMonth(), today.getDate());
+    }
+    return { startDate, endDate: endOfDay(today) };
+  }
+
+  const calendarMatch = text.match(/^(this|last) (week|month|year)$/);
+  if (calendarMatch) {
+    const [, which, unit] = calendarMatch;
+    let startDate;
+    let nextStart;
+
+    if (unit === 'week') {
+      startDate = which === 'this' ? startOfWeek : new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate() - 7);
+      nextStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 7);
+    } else if (unit === 'month') {
+      startDate = new Date(today.getFullYear(), today.getMonth() - (which === 'this' ? 0 : 1), 1);
+      nextStart = new Date(startDate.getFullYear(), startDate.getMonth() + 1, 1);
+    } else {
+      startDate = new Date(today.getFullYear() - (which === 'this' ? 0 : 1), 0, 1);
+      nextStart = new Date(startDate.getFullYear() + 1, 0, 1);
+    }
+
+    // "this ..." ends today; "last ..." ends where the current period starts
+    const endDate = which === 'this' ? endOfDay(today) : new Date(nextStart.getTime() - 1);
+    return { startDate, endDate };
+  }
+
+  return null;
+}
+
 module.exports = {
   parseDate,
+  parseDateDetailed,
   formatDate,
-  isDateInRange
+  isDateInRange,
+  resolveDateWindow
 };
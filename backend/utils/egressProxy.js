@@ -0,0 +1,163 @@
+const http = require('http');
+const net = require('net');
+const { logger } = require('./logger');
+const { checkUrl, pinnedLookup } = require('./urlPolicy');
+
+/**
+ * Local forward proxy that pooled browsers send all of their traffic through.
+ *
+ * Checking a URL and then letting Chrome connect to it leaves a DNS rebinding
+ * gap: the policy resolves the host, but Chrome resolves it again itself and
+ * a hostile DNS server can answer the second lookup with a private address.
+ * The proxy closes that gap. It checks every request with the URL policy and
+ * connects only to the addresses that check resolved, so the address that
+ * was vetted is the address that is used. Plain HTTP requests are forwarded;
+ * HTTPS and WebSocket traffic arrives as CONNECT tunnels and is piped through
+ * unchanged.
+ */
+
+const HOP_BY_HOP_HEADERS = ['proxy-connection', 'proxy-authorization', 'connection', 'keep-alive'];
+
+/**
+ * Answers a refused or failed request on the client socket of a tunnel
+ * @param {Object} socket - Client socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status message
+ */
+function rejectTunnel(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Forwards a plain HTTP request to the address the policy checked
+ * @param {Object} req - Incoming proxy request, with an absolute URL
+ * @param {Object} res - Proxy response
+ */
+async function forwardRequest(req, res) {
+  const decision = await checkUrl(req.url);
+  if (!decision.allowed) {
+    logger.warn('Egress proxy refused a request', { url: req.url, reason: decision.reason });
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end(`Blocked by the URL policy: ${decision.reason}`);
+    return;
+  }
+
+  const headers = { ...req.headers };
+  HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+
+  const upstream = http.request(req.url, {
+    method: req.method,
+    headers,
+    lookup: pinnedLookup(decision),
+    agent: false
+  }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    logger.debug('Egress proxy could not reach upstream', { url: req.url, error: error.message });
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.writeHead(502, { 'Content-Type': 'text/plain' });
+    res.end('Bad gateway');
+  });
+
+  req.pipe(upstream);
+}
+
+/**
+ * Opens a CONNECT tunnel to the address the policy checked
+ * @param {Object} req - CONNECT request, with host:port as its URL
+ * @param {Object} socket - Client socket
+ * @param {Buffer} head - Bytes the client sent after the request head
+ */
+async function openTunnel(req, socket, head) {
+  socket.on('error', () => {});
+
+  let target;
+  try {
+    target = new URL(`https://${req.url}/`);
+  } catch (error) {
+    rejectTunnel(socket, 400, 'Bad Request');
+    return;
+  }
+
+  const decision = await checkUrl(target.href);
+  if (!decision.allowed) {
+    logger.warn('Egress proxy refused a tunnel', { target: req.url, reason: decision.reason });
+    rejectTunnel(socket, 403, 'Forbidden');
+    return;
+  }
+
+  const upstream = net.connect({
+    host: decision.hostname,
+    port: Number(target.port) || 443,
+    lookup: pinnedLookup(decision)
+  });
+
+  upstream.once('connect', () => {
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head && head.length > 0) upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+
+  upstream.on('error', (error) => {
+    logger.debug('Egress proxy could not open a tunnel', { target: req.url, error: error.message });
+    if (upstream.readyState === 'opening') {
+      rejectTunnel(socket, 502, 'Bad Gateway');
+    } else {
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => upstream.destroy());
+}
+
+/**
+ * Starts the proxy on a random loopback port
+ * @returns {Object} - { url, close }
+ */
+async function startEgressProxy() {
+  const server = http.createServer((req, res) => {
+    forwardRequest(req, res).catch((error) => {
+      logger.error('Egress proxy request failed', { error });
+      res.destroy();
+    });
+  });
+
+  const tunnels = new Set();
+  server.on('connect', (req, socket, head) => {
+    tunnels.add(socket);
+    socket.once('close', () => tunnels.delete(socket));
+    openTunnel(req, socket, head).catch((error) => {
+      logger.error('Egress proxy tunnel failed', { error });
+      socket.destroy();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  // The proxy must not keep the process alive on its own
+  server.unref();
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  logger.debug('Egress proxy listening', { url });
+
+  return {
+    url,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+      tunnels.forEach(socket => socket.destroy());
+    })
+  };
+}
+
+module.exports = {
+  startEgressProxy
+};
@@ -0,0 +1,151 @@
+/**
+ * Scrape error codes.
+ *
+ * Failures are plain Errors with a machine-readable `code`, the HTTP
+ * `statusCode` the API reports for them and optional `details`, like the
+ * URL_BLOCKED and ROBOTS_DISALLOWED errors of the URL policy and robots.txt
+ * checks. Each code also has a retry policy (see utils/retry.js): how many
+ * attempts an operation that fails with it gets, and the backoff between
+ * them. Codes without one fail at once.
+ *
+ *   NAVIGATION_TIMEOUT   504  the page did not load in time
+ *   CONNECTION_FAILED    502  DNS lookup, connection or TLS failure
+ *   HTTP_CLIENT_ERROR    502  the site answered 4xx (details.status)
+ *   HTTP_RATE_LIMITED    503  the site answered 429; Retry-After is honoured
+ *   HTTP_SERVER_ERROR    502  the site answered 5xx
+ *   BLOCKED_BY_SITE      502  the site served a CAPTCHA or block page; this is
+ *                             only reported, never retried or worked around
+ *   PRODUCT_NOT_FOUND    404  the company is not listed on the review site
+ *   EMPTY_EXTRACTION     422  the page loaded but nothing could be extracted
+ *   REVIEWS_INVALID      422  every review found failed validation
+ *   SOURCES_FAILED       502  several review sources failed for different reasons
+ *   URL_BLOCKED          403  refused by the URL policy (utils/urlPolicy.js)
+ *   ROBOTS_DISALLOWED    403  refused by robots.txt (utils/politeness.js)
+ *   BAD_REQUEST          400  a malformed API request, such as invalid JSON
+ *   INTERNAL_ERROR       500  anything else
+ */
+
+const ERROR_TYPES = {
+  NAVIGATION_TIMEOUT: { statusCode: 504, retry: { attempts: 3, baseDelayMs: 2000 } },
+  CONNECTION_FAILED: { statusCode: 502, retry: { attempts: 2, baseDelayMs: 1000 } },
+  HTTP_CLIENT_ERROR: { statusCode: 502, retry: null },
+  HTTP_RATE_LIMITED: { statusCode: 503, retry: { attempts: 3, baseDelayMs: 10000 } },
+  HTTP_SERVER_ERROR: { statusCode: 502, retry: { attempts: 3, baseDelayMs: 5000 } },
+  BLOCKED_BY_SITE: { statusCode: 502, retry: null },
+  PRODUCT_NOT_FOUND: { statusCode: 404, retry: null },
+  EMPTY_EXTRACTION: { statusCode: 422, retry: { attempts: 2, baseDelayMs: 3000 } },
+  REVIEWS_INVALID: { statusCode: 422, retry: null },
+  SOURCES_FAILED: { statusCode: 502, retry: null },
+  URL_BLOCKED: { statusCode: 403, retry: null },
+  ROBOTS_DISALLOWED: { statusCode: 403, retry: null },
+  BAD_REQUEST: { statusCode: 400, retry: null },
+  INTERNAL_ERROR: { statusCode: 500, retry: null }
+};
+
+// Chrome network errors (net::ERR_*) that mean the site could not be reached
+const CONNECTION_ERRORS = /net::ERR_(NAME_NOT_RESOLVED|NAME_RESOLUTION_FAILED|CONNECTION_\w+|ADDRESS_\w+|INTERNET_DISCONNECTED|NETWORK_CHANGED|EMPTY_RESPONSE|SSL_\w+|CERT_\w+)/;
+const TIMEOUT_ERRORS = /net::ERR_TIMED_OUT/;
+
+/**
+ * Creates a scrape error
+ * @param {string} code - One of the codes in ERROR_TYPES
+ * @param {string} message - Human-readable message
+ * @param {Object} [details] - Extra fields for API responses, e.g. { url, status }
+ * @returns {Error} - Error with code, statusCode and details
+ */
+function createScrapeError(code, message, details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = (ERROR_TYPES[code] || ERROR_TYPES.INTERNAL_ERROR).statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Turns a failed page.goto into a scrape error
+ * @param {Error} error - Error thrown by Puppeteer
+ * @param {string} url - URL that was being opened
+ * @returns {Error} - A NAVIGATION_TIMEOUT or CONNECTION_FAILED error, or the
+ *   original error when it is neither (or already has a code)
+ */
+function classifyNavigationError(error, url) {
+  if (error.code || error.name === 'AbortError') return error;
+
+  const host = new URL(url).host;
+  if (error.name === 'TimeoutError' || TIMEOUT_ERRORS.test(error.message)) {
+    return createScrapeError('NAVIGATION_TIMEOUT', `Timed out loading ${url}`, { url });
+  }
+
+  const connection = error.message.match(CONNECTION_ERRORS);
+  if (connection) {
+    const reason = connection[0].replace('net::', '');
+    return createScrapeError('CONNECTION_FAILED', `Could not connect to ${host} (${reason})`, { url, reason });
+  }
+
+  return error;
+}
+
+/**
+ * Creates the error for a page the site answered with an HTTP error status
+ * @param {Object} response - Puppeteer response
+ * @param {string} url - URL that was requested
+ * @returns {Error|null} - HTTP_CLIENT_ERROR, HTTP_RATE_LIMITED or
+ *   HTTP_SERVER_ERROR, or null when the status is not an error
+ */
+function createHttpError(response, url) {
+  const status = response.status();
+  if (status < 400) return null;
+
+  const details = { url, status };
+  if (status === 429) {
+    const retryAfter = parseInt(response.headers()['retry-after'], 10);
+    if (retryAfter >= 0) details.retryAfterMs = retryAfter * 1000;
+    return createScrapeError('HTTP_RATE_LIMITED', `${new URL(url).host} is rate limiting requests (HTTP 429)`, details);
+  }
+  if (status >= 500) {
+    return createScrapeError('HTTP_SERVER_ERROR', `${url} answered HTTP ${status}`, details);
+  }
+  return createScrapeError('HTTP_CLIENT_ERROR', `${url} answered HTTP ${status}`, details);
+}
+
+/**
+ * Returns the retry policy for an error
+ * @param {Error} error - Failed attempt's error
+ * @returns {Object|null} - { attempts, baseDelayMs }, or null when the error
+ *   must not be retried
+ */
+function retryPolicy(error) {
+  return ERROR_TYPES[error?.code]?.retry || null;
+}
+
+/**
+ * Converts an error into the API's error response. Only the codes above reach
+ * clients: any other error (a file system or database error, say) is reported
+ * as INTERNAL_ERROR with a generic message, since its code and message are
+ * internal details.
+ * @param {Error} error - Error to report
+ * @returns {Object} - { status, body: { success: false, error, code, details } }
+ */
+function toErrorResponse(error) {
+  if (ERROR_TYPES[error.code] && error.code !== 'INTERNAL_ERROR') {
+    const body = { success: false, error: error.message, code: error.code };
+    if (error.details) body.details = error.details;
+    return { status: error.statusCode || ERROR_TYPES[error.code].statusCode, body };
+  }
+
+  // Errors from Express and its middleware carry a 4xx statusCode but no code
+  if (error.statusCode >= 400 && error.statusCode < 500) {
+    return { status: error.statusCode, body: { success: false, error: error.message, code: 'BAD_REQUEST' } };
+  }
+
+  return { status: 500, body: { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' } };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  createScrapeError,
+  classifyNavigationError,
+  createHttpError,
+  retryPolicy,
+  toErrorResponse
+};
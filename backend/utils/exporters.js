@@ -0,0 +1,218 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Streams scraped records as JSON, CSV, NDJSON or XLSX downloads.
+ *
+ * Nested objects are flattened into dotted columns (reviewer.name,
+ * reviewer.info) for the tabular formats; arrays are written as JSON.
+ */
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// MIME types accepted through the Accept header, mapped to formats
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+/**
+ * Checks whether a format name is supported
+ * @param {string} format - Format name
+ * @returns {boolean} - True if supported
+ */
+function isSupportedFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(FORMATS, format.toLowerCase());
+}
+
+/**
+ * Picks the export format from an explicit option or the Accept header
+ * @param {Object} req - Express request
+ * @param {string} [explicitFormat] - Format requested by query/body
+ * @param {string} [defaultFormat] - Fallback when nothing matches (default: json)
+ * @returns {string|null} - Format name, or null if the explicit format is unsupported
+ */
+function resolveFormat(req, explicitFormat, defaultFormat = 'json') {
+  if (explicitFormat) {
+    return isSupportedFormat(explicitFormat) ? explicitFormat.toLowerCase() : null;
+  }
+
+  // Only explicitly listed types count; wildcards like */* fall through
+  const accepted = req.accepts().find(type => ACCEPT_TYPES[type]);
+  if (accepted) {
+    return ACCEPT_TYPES[accepted];
+  }
+
+  return defaultFormat;
+}
+
+/**
+ * Flattens nested objects into dotted keys
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Key prefix for nested values
+ * @param {Object} target - Accumulator
+ * @returns {Object} - Flat record, e.g. { 'reviewer.name': 'John D.' }
+ */
+function flattenRecord(record, prefix = '', target = {}) {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flattenRecord(value, column, target);
+    } else if (Array.isArray(value)) {
+      target[column] = JSON.stringify(value);
+    } else if (value instanceof Date) {
+      target[column] = value.toISOString();
+    } else {
+      target[column] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Collects the union of columns across flattened records, in first-seen order
+ * @param {Array} rows - Flattened records
+ * @returns {Array} - Column names
+ */
+function collectColumns(rows) {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return Array.from(columns);
+}
+
+/**
+ * Escapes a value for CSV (RFC 4180): fields containing commas, quotes or
+ * line breaks are quoted and embedded quotes are doubled. Text starting with
+ * =, +, -, @, a tab or a carriage return gets a leading apostrophe, so
+ * spreadsheets show scraped text instead of running it as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Writes a chunk and waits for the stream to drain when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {string} chunk - Data to write
+ */
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+
+  // Also resume on close so a disconnected client cannot stall the writer
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
+
+/*
+ * Format writers: each streams the records to a writable stream
+ */
+
+async function writeJson(records, stream) {
+  await write(stream, '[\n');
+  for (let i = 0; i < records.length; i++) {
+    const separator = i < records.length - 1 ? ',\n' : '\n';
+    await write(stream, `  ${JSON.stringify(records[i])}${separator}`);
+  }
+  await write(stream, ']\n');
+}
+
+async function writeNdjson(records, stream) {
+  for (const record of records) {
+    await write(stream, `${JSON.stringify(record)}\n`);
+  }
+}
+
+async function writeCsv(records, stream) {
+  const rows = records.map(record => flattenRecord(record));
+  const columns = collectColumns(rows);
+
+  // Byte order mark so Excel opens the file as UTF-8
+  await write(stream, '\uFEFF');
+  await write(stream, `${columns.map(escapeCsv).join(',')}\r\n`);
+  for (const row of rows) {
+    await write(stream, `${columns.map(column => escapeCsv(row[column])).join(',')}\r\n`);
+  }
+}
+
+async function writeXlsx(records, stream) {
+  const rows = records.map(record => flattenRecord(record));
+  const columns = collectColumns(rows);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const sheet = workbook.addWorksheet('Data');
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: 20 }));
+
+  rows.forEach(row => sheet.addRow(row).commit());
+  sheet.commit();
+  await workbook.commit();
+}
+
+const WRITERS = {
+  json: writeJson,
+  csv: writeCsv,
+  ndjson: writeNdjson,
+  xlsx: writeXlsx
+};
+
+/**
+ * Builds a filesystem-safe download filename
+ * @param {string} baseName - e.g. "Slack_g2_2025-06-30"
+ * @param {string} format - Export format
+ * @returns {string} - Filename with extension
+ */
+function buildFilename(baseName, format) {
+  const safeName = String(baseName || 'export').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+  return `${safeName}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Streams records to the response as a download in the given format
+ * @param {Object} res - Express response
+ * @param {Array} records - Records to export
+ * @param {string} format - One of json, csv, ndjson, xlsx
+ * @param {string} baseName - Download filename without extension
+ */
+async function sendExport(res, records, format, baseName) {
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${buildFilename(baseName, format)}"`);
+
+  await WRITERS[format](records, res);
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  isSupportedFormat,
+  resolveFormat,
+  flattenRecord,
+  escapeCsv,
+  buildFilename,
+  sendExport
+};
@@ -0,0 +1,197 @@
+const { parseDate, formatDate } = require('./dateUtils');
+
+/**
+ * Field maps describe what scrapeSite extracts from each item on a page.
+ *
+ * `selectors.root` selects the item containers; every other key is an output
+ * field whose value is a selector spec, either a string or an object:
+ *
+ *   "h2.title"           innerText of the first match
+ *   "img@src"            attribute of the first match (URLs made absolute)
+ *   "@data-id"           attribute of the item container itself
+ *   {
+ *     selector: "li",    CSS selector, relative to the item ("" = the item)
+ *     attr: "href",      attribute to read; "text" (default) or "html"
+ *     multiple: true,    return every match as an array
+ *     type: "number",    coerce to string (default), number, date or boolean
+ *     absolute: true,    resolve the value against the page URL
+ *     fields: { ... }    nested field map; each match becomes an object
+ *   }
+ */
+
+const FIELD_TYPES = ['string', 'number', 'date', 'boolean'];
+
+// Attributes whose values are URLs and are made absolute by default
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster', 'data-src', 'data-href'];
+
+/**
+ * Normalizes one selector spec into its object form
+ * @param {string} name - Field name, used in error messages
+ * @param {string|Object} spec - Selector spec
+ * @returns {Object|null} - Normalized spec, or null for an empty spec
+ */
+function normalizeFieldSpec(name, spec) {
+  if (spec === null || spec === undefined) return null;
+
+  if (typeof spec === 'string') {
+    if (!spec.trim()) return null;
+    spec = { selector: spec };
+  }
+
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`Invalid selector for field "${name}": expected a string or an object`);
+  }
+
+  let selector = typeof spec.selector === 'string' ? spec.selector.trim() : '';
+  let attr = spec.attr ? String(spec.attr) : 'text';
+
+  // "img@src" shorthand for { selector: "img", attr: "src" }
+  const attrMatch = !spec.attr && selector.match(/^(.*?)@([\w:-]+)$/);
+  if (attrMatch) {
+    selector = attrMatch[1].trim();
+    attr = attrMatch[2];
+  }
+  const type = spec.type ? String(spec.type).toLowerCase() : 'string';
+
+  if (!FIELD_TYPES.includes(type)) {
+    throw new Error(`Invalid type "${spec.type}" for field "${name}". Choose one of: ${FIELD_TYPES.join(', ')}`);
+  }
+
+  const normalized = {
+    selector,
+    attr,
+    type,
+    multiple: Boolean(spec.multiple),
+    absolute: spec.absolute !== undefined ? Boolean(spec.absolute) : URL_ATTRIBUTES.includes(attr.toLowerCase())
+  };
+
+  if (spec.fields) {
+    normalized.fields = normalizeFieldMap(spec.fields, `${name}.`);
+    // Nested lists are arrays unless explicitly limited to the first match
+    normalized.multiple = spec.multiple !== undefined ? Boolean(spec.multiple) : true;
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalizes a map of field name to selector spec, dropping empty specs
+ * @param {Object} fields - Field map
+ * @param {string} prefix - Prefix for error messages of nested fields
+ * @returns {Object} - Normalized field map
+ */
+function normalizeFieldMap(fields, prefix = '') {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error(`Invalid field map${prefix ? ` for "${prefix.slice(0, -1)}"` : ''}: expected an object`);
+  }
+
+  const normalized = {};
+  Object.entries(fields).forEach(([name, spec]) => {
+    const fieldSpec = normalizeFieldSpec(`${prefix}${name}`, spec);
+    if (fieldSpec) normalized[name] = fieldSpec;
+  });
+  return normalized;
+}
+
+/**
+ * Splits the request's `selectors` into the item root and the field map
+ * @param {Object} selectors - e.g. { root: ".card", title: ".card-title", image: "img@src" }
+ * @returns {Object|null} - { root, fields }, or null when no selectors were given
+ */
+function normalizeSelectors(selectors) {
+  if (!selectors) return null;
+  if (typeof selectors !== 'object' || Array.isArray(selectors)) {
+    throw new Error('Selectors must be an object mapping field names to selectors');
+  }
+
+  const { root, ...rest } = selectors;
+  if (root !== undefined && root !== null && typeof root !== 'string') {
+    throw new Error('The root selector must be a string');
+  }
+
+  const rootSelector = root ? root.trim() : '';
+  const fields = normalizeFieldMap(rest);
+
+  if (Object.keys(fields).length === 0) {
+    if (!rootSelector) return null;
+    // A root on its own extracts each item's text
+    fields.text = normalizeFieldSpec('text', { selector: '' });
+  }
+
+  return { root: rootSelector || 'body', fields };
+}
+
+/**
+ * Coerces a raw extracted string to the field's type
+ * @param {string|null} value - Raw value
+ * @param {string} type - string, number, date or boolean
+ * @returns {*} - Coerced value; null when it cannot be coerced
+ */
+function coerceValue(value, type) {
+  if (type === 'boolean') {
+    if (value === null || value === undefined) return false;
+    return !['false', 'no', '0', 'off'].includes(String(value).trim().toLowerCase());
+  }
+
+  if (value === null || value === undefined) return null;
+
+  if (type === 'number') {
+    // Strip currency symbols, thousands separators and units: "$1,299.99" -> 1299.99
+    const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  if (type === 'date') {
+    const date = parseDate(String(value));
+    return date ? formatDate(date) : null;
+  }
+
+  return value;
+}
+
+/**
+ * Applies type coercion to an item extracted with the given field map
+ * @param {Object} item - Raw item from the page
+ * @param {Object} fields - Normalized field map
+ * @returns {Object} - Item with coerced values
+ */
+function coerceItem(item, fields) {
+  const result = {};
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    const value = item[name];
+
+    if (spec.fields) {
+      result[name] = spec.multiple
+        ? (value || []).map(child => coerceItem(child, spec.fields))
+        : (value ? coerceItem(value, spec.fields) : null);
+    } else if (spec.multiple) {
+      result[name] = (value || []).map(entry => coerceValue(entry, spec.type)).filter(entry => entry !== null);
+    } else {
+      result[name] = coerceValue(value, spec.type);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Checks whether an extracted value carries any content
+ * @param {*} value - Extracted value
+ * @returns {boolean} - False for empty strings, nulls, empty arrays and empty objects
+ */
+function hasContent(value) {
+  if (value === null || value === undefined || value === '' || value === false) return false;
+  if (Array.isArray(value)) return value.some(hasContent);
+  if (typeof value === 'object') return Object.values(value).some(hasContent);
+  return true;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  normalizeSelectors,
+  normalizeFieldMap,
+  coerceValue,
+  coerceItem,
+  hasContent
+};
@@ -0,0 +1,113 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging.
+ *
+ * Every entry is one JSON object per line on stdout:
+ *   {"time":"...","level":"info","msg":"Scraping G2 page 2","requestId":"...","jobId":"...","source":"g2","page":2}
+ *
+ * Fields bound with runWithLogContext (the request ID of an API call, the ID
+ * of the job it started, the review source being scraped) are added to every
+ * entry logged inside it, including from async work it starts. LOG_LEVEL
+ * (debug, info, warn, error) sets the lowest level written; LOG_FORMAT=text
+ * prints one readable line per entry instead of JSON, for local development.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Runs a function with fields added to every entry it logs
+ * @param {Object} fields - e.g. { requestId } or { jobId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Returns the fields bound by the enclosing runWithLogContext calls
+ * @returns {Object} - Context fields
+ */
+function getLogContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Converts an Error into loggable fields; stack traces are kept for errors
+ * that don't come with a code, i.e. the unexpected ones
+ * @param {Error} error - Error to serialize
+ * @returns {Object} - { message, code, stack }
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+
+  const serialized = { message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.statusCode) serialized.statusCode = error.statusCode;
+  if (!error.code) serialized.stack = error.stack;
+  return serialized;
+}
+
+/**
+ * Formats an entry as a single readable line
+ * @param {Object} entry - Log entry
+ * @returns {string} - e.g. "12:00:01.123 INFO  Scraping G2 page 2 source=g2 page=2"
+ */
+function formatText({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Writes an entry if its level is enabled
+ * @param {string} level - debug, info, warn or error
+ * @param {string} msg - Message
+ * @param {Object} fields - Bound and call-site fields
+ */
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...getLogContext(), ...fields };
+  if (entry.error) entry.error = serializeError(entry.error);
+
+  let line;
+  try {
+    line = LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  } catch (error) {
+    // Circular or otherwise unserializable fields; keep the message
+    line = JSON.stringify({ time: entry.time, level, msg });
+  }
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Creates a logger whose entries carry the given fields
+ * @param {Object} bindings - Fields for every entry, e.g. { component: 'scheduler' }
+ * @returns {Object} - { debug, info, warn, error, child } taking (msg, fields)
+ */
+function createLogger(bindings = {}) {
+  const log = (level) => (msg, fields = {}) => write(level, msg, { ...bindings, ...fields });
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+}
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  runWithLogContext,
+  getLogContext
+};
@@ -0,0 +1,155 @@
+const client = require('prom-client');
+const { getPoolStats } = require('./browserPool');
+const { getLogContext } = require('./logger');
+
+/**
+ * Prometheus metrics, published at GET /metrics.
+ *
+ * Scrape metrics are labelled with the review source; generic /scrape jobs
+ * use the source "generic". Navigations don't know which source they belong
+ * to, so they take it from the log context the source runs in.
+ */
+
+const GENERIC_SOURCE = 'generic';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'pulse_' });
+
+const jobsTotal = new client.Counter({
+  name: 'pulse_jobs_total',
+  help: 'Jobs that finished, by type and final state',
+  labelNames: ['type', 'state'],
+  registers: [register]
+});
+
+const jobDuration = new client.Histogram({
+  name: 'pulse_job_duration_seconds',
+  help: 'Time from a job starting to it finishing',
+  labelNames: ['type', 'state'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200],
+  registers: [register]
+});
+
+const sourceScrapesTotal = new client.Counter({
+  name: 'pulse_source_scrapes_total',
+  help: 'Review source runs, by source, run mode and outcome',
+  labelNames: ['source', 'mode', 'outcome'],
+  registers: [register]
+});
+
+const pagesVisited = new client.Counter({
+  name: 'pulse_pages_scraped_total',
+  help: 'Pages scraped',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+const itemsExtracted = new client.Counter({
+  name: 'pulse_items_extracted_total',
+  help: 'Items (or reviews) extracted from pages, before any filtering',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+const itemsPerPage = new client.Histogram({
+  name: 'pulse_items_per_page',
+  help: 'Items the selectors matched on each page',
+  labelNames: ['source'],
+  buckets: [0, 1, 5, 10, 25, 50, 100, 250],
+  registers: [register]
+});
+
+const navigationDuration = new client.Histogram({
+  name: 'pulse_navigation_duration_seconds',
+  help: 'Time taken by page navigations, after any politeness delay',
+  labelNames: ['source', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'pulse_browsers_open',
+  help: 'Browsers in the pool',
+  registers: [register],
+  collect() {
+    this.set(getPoolStats().browsers);
+  }
+});
+
+new client.Gauge({
+  name: 'pulse_browser_pages_active',
+  help: 'Pages leased from the browser pool',
+  registers: [register],
+  collect() {
+    this.set(getPoolStats().activePages);
+  }
+});
+
+new client.Gauge({
+  name: 'pulse_browser_pages_waiting',
+  help: 'Scrapes waiting for a free page slot',
+  registers: [register],
+  collect() {
+    this.set(getPoolStats().waiting);
+  }
+});
+
+/**
+ * Returns the source the current code is scraping for
+ * @param {string} [source] - Source given explicitly
+ * @returns {string} - Source label
+ */
+function currentSource(source) {
+  return source || getLogContext().source || GENERIC_SOURCE;
+}
+
+/**
+ * Records a finished job
+ * @param {Object} job - Job in a final state
+ */
+function recordJob(job) {
+  jobsTotal.inc({ type: job.type, state: job.state });
+  if (job.startedAt) {
+    jobDuration.observe({ type: job.type, state: job.state }, (job.finishedAt - job.startedAt) / 1000);
+  }
+}
+
+/**
+ * Records the outcome of a review source run
+ * @param {string} source - Source name
+ * @param {string} mode - Run mode
+ * @param {boolean} success - Whether the source returned reviews
+ */
+function recordSourceOutcome(source, mode, success) {
+  sourceScrapesTotal.inc({ source, mode, outcome: success ? 'success' : 'failure' });
+}
+
+/**
+ * Records a scraped page and the number of items found on it
+ * @param {number} items - Items extracted from the page
+ * @param {string} [source] - Source name; defaults to the current one
+ */
+function recordPage(items, source) {
+  const labels = { source: currentSource(source) };
+  pagesVisited.inc(labels);
+  itemsExtracted.inc(labels, items);
+  itemsPerPage.observe(labels, items);
+}
+
+/**
+ * Starts timing a navigation
+ * @returns {Function} - Call with the outcome ("ok" or "error") when it ends
+ */
+function startNavigationTimer() {
+  const source = currentSource();
+  const end = navigationDuration.startTimer();
+  return (outcome) => end({ source, outcome });
+}
+
+module.exports = {
+  register,
+  recordJob,
+  recordSourceOutcome,
+  recordPage,
+  startNavigationTimer
+};
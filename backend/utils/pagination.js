@@ -0,0 +1,125 @@
+/**
+ * Pagination options for generic scrapes.
+ *
+ *   { type: 'next', selector: 'a.next' }             click a "next" button
+ *   { type: 'url', template: '...?page={page}' }     visit numbered page URLs
+ *   { type: 'scroll' }                               scroll until no new items load
+ *
+ * Every strategy accepts `maxPages` (default 5, at most 50) and an optional
+ * `maxItems`. The URL strategy also accepts `start` (default 1) and `step`
+ * (default 1) for the page counter.
+ */
+
+const PAGINATION_TYPES = ['next', 'url', 'scroll'];
+const DEFAULT_MAX_PAGES = 5;
+const MAX_PAGES_LIMIT = 50;
+
+/**
+ * Parses an optional positive integer option
+ * @param {*} value - Raw option value
+ * @param {string} name - Option name, used in error messages
+ * @returns {number|undefined} - Parsed integer, or undefined when not set
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`Pagination "${name}" must be a positive integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Validates pagination options and fills in defaults
+ * @param {Object} pagination - Pagination options from the request
+ * @returns {Object|null} - Normalized options, or null when pagination is off
+ */
+function normalizePagination(pagination) {
+  if (!pagination) return null;
+  if (typeof pagination !== 'object' || Array.isArray(pagination)) {
+    throw new Error('Pagination must be an object');
+  }
+
+  const type = String(pagination.type || '').toLowerCase();
+  if (!PAGINATION_TYPES.includes(type)) {
+    throw new Error(`Invalid pagination type "${pagination.type}". Choose one of: ${PAGINATION_TYPES.join(', ')}`);
+  }
+
+  const normalized = {
+    type,
+    maxPages: Math.min(parsePositiveInt(pagination.maxPages, 'maxPages') || DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT),
+    maxItems: parsePositiveInt(pagination.maxItems, 'maxItems') || null
+  };
+
+  if (type === 'next') {
+    if (typeof pagination.selector !== 'string' || !pagination.selector.trim()) {
+      throw new Error('Pagination type "next" requires a "selector" for the next button');
+    }
+    normalized.selector = pagination.selector.trim();
+  }
+
+  if (type === 'url') {
+    if (typeof pagination.template !== 'string' || !pagination.template.includes('{page}')) {
+      throw new Error('Pagination type "url" requires a "template" containing {page}');
+    }
+    normalized.template = pagination.template;
+    normalized.start = pagination.start !== undefined ? Number(pagination.start) : 1;
+    normalized.step = parsePositiveInt(pagination.step, 'step') || 1;
+
+    if (!Number.isInteger(normalized.start) || normalized.start < 0) {
+      throw new Error('Pagination "start" must be a non-negative integer');
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Builds the URL for a page number from a URL template
+ * @param {string} template - e.g. "https://example.com/list?page={page}"
+ * @param {number} pageNumber - Page number
+ * @returns {string} - URL
+ */
+function buildPageUrl(template, pageNumber) {
+  return template.replace(/\{page\}/g, String(pageNumber));
+}
+
+/**
+ * Creates a collector that keeps items in order and drops duplicates seen on
+ * earlier pages (items are compared by their full content)
+ * @param {number|null} maxItems - Stop accepting items after this many
+ * @returns {Object} - { add(items) -> number of new items, items, isFull() }
+ */
+function createItemCollector(maxItems = null) {
+  const seen = new Set();
+  const items = [];
+
+  return {
+    items,
+    add(pageItems) {
+      let added = 0;
+      for (const item of pageItems) {
+        if (maxItems && items.length >= maxItems) break;
+
+        const key = JSON.stringify(item);
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        items.push(item);
+        added++;
+      }
+      return added;
+    },
+    isFull() {
+      return Boolean(maxItems) && items.length >= maxItems;
+    }
+  };
+}
+
+module.exports = {
+  PAGINATION_TYPES,
+  normalizePagination,
+  buildPageUrl,
+  createItemCollector
+};
@@ -0,0 +1,221 @@
+const { checkRobots } = require('./robots');
+const { assertUrlAllowed, takeBlockedNavigation } = require('./urlPolicy');
+const { createAbortError } = require('./cancellation');
+const { logger } = require('./logger');
+const { startNavigationTimer } = require('./metrics');
+const { classifyNavigationError, createHttpError } = require('./errors');
+const { assertNotBlocked } = require('./blockDetection');
+const { withRetry } = require('./retry');
+
+/**
+ * Per-host politeness: every navigation first checks the URL policy and
+ * robots.txt, then waits
+ * for a per-host slot. A host gets at most HOST_MAX_CONCURRENCY navigations
+ * at once, started at least HOST_MIN_INTERVAL_MS apart (or the robots.txt
+ * Crawl-delay, when that is longer).
+ */
+
+const parsedInterval = parseInt(process.env.HOST_MIN_INTERVAL_MS, 10);
+const HOST_MIN_INTERVAL_MS = Number.isNaN(parsedInterval) ? 1000 : Math.max(parsedInterval, 0);
+const HOST_MAX_CONCURRENCY = parseInt(process.env.HOST_MAX_CONCURRENCY, 10) || 2;
+
+const hosts = new Map(); // host -> { active, lastStart, queue }
+
+/**
+ * Creates the error raised when robots.txt disallows a URL
+ * @param {string} url - Blocked URL
+ * @param {Object} decision - Result of checkRobots
+ * @returns {Error} - Error with statusCode 403 and code ROBOTS_DISALLOWED
+ */
+function createRobotsError(url, decision) {
+  const error = new Error(`Blocked by robots.txt: ${url} is disallowed for "${decision.agent}" by ${decision.robotsUrl} (${decision.reason})`);
+  error.statusCode = 403;
+  error.code = 'ROBOTS_DISALLOWED';
+  error.details = {
+    url,
+    robotsUrl: decision.robotsUrl,
+    agent: decision.agent,
+    rule: decision.rule
+  };
+  return error;
+}
+
+/**
+ * Throws a 403-style error if robots.txt disallows the URL
+ * @param {string} url - URL about to be visited
+ * @returns {Object} - The robots decision (includes crawlDelay)
+ */
+async function assertAllowedByRobots(url) {
+  const decision = await checkRobots(url);
+  if (!decision.allowed) {
+    logger.info('robots.txt disallows URL', { url, agent: decision.agent, reason: decision.reason });
+    throw createRobotsError(url, decision);
+  }
+  logger.debug('robots.txt allows URL', { url, agent: decision.agent, reason: decision.reason });
+  return decision;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits for a navigation slot on a host
+ * @param {string} host - Hostname
+ * @param {number} minIntervalMs - Minimum time between navigation starts
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Function} - Call to release the slot
+ */
+async function acquireHostSlot(host, minIntervalMs, signal) {
+  if (!hosts.has(host)) {
+    hosts.set(host, { active: 0, lastStart: 0, queue: [] });
+  }
+  const state = hosts.get(host);
+
+  if (state.active >= HOST_MAX_CONCURRENCY) {
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      state.queue.push(waiter);
+      signal?.addEventListener('abort', () => {
+        const index = state.queue.indexOf(waiter);
+        if (index !== -1) state.queue.splice(index, 1);
+        reject(createAbortError());
+      }, { once: true });
+    });
+  } else {
+    state.active++;
+  }
+
+  // Space navigation starts on this host. Reserve the start time before
+  // sleeping so concurrent callers queue up behind each other.
+  const startAt = Math.max(Date.now(), state.lastStart + minIntervalMs);
+  state.lastStart = startAt;
+
+  const release = () => {
+    const next = state.queue.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      state.active--;
+    }
+  };
+
+  const waitMs = startAt - Date.now();
+  if (waitMs > 0) {
+    await sleep(waitMs);
+  }
+  if (signal && signal.aborted) {
+    release();
+    throw createAbortError();
+  }
+
+  return release;
+}
+
+/**
+ * Checks the URL policy and robots.txt and waits for the host's politeness
+ * slot before a navigation. Use for navigations that do not go through politeGoto, such as
+ * clicking a "next" link.
+ * @param {string} url - URL about to be visited
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Function} - Call to release the host slot once the page has loaded
+ */
+async function beforeNavigation(url, signal) {
+  await assertUrlAllowed(url);
+  const decision = await assertAllowedByRobots(url);
+  const crawlDelayMs = decision.crawlDelay ? decision.crawlDelay * 1000 : 0;
+  return acquireHostSlot(new URL(url).host, Math.max(HOST_MIN_INTERVAL_MS, crawlDelayMs), signal);
+}
+
+/**
+ * Works out where clicking a "next" control will navigate to: the link's
+ * href, or the current page for buttons handled by scripts
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - Selector of the control
+ * @returns {string} - Absolute URL
+ */
+async function resolveNavigationTarget(page, selector) {
+  const href = await page.evaluate((nextSelector) => {
+    const element = document.querySelector(nextSelector);
+    const link = element && element.closest('a[href]');
+    return link ? link.href : null;
+  }, selector).catch(() => null);
+
+  return href && /^https?:/i.test(href) ? href : page.url();
+}
+
+/**
+ * Prepares to follow a "next page" control: checks its target and waits for
+ * the host slot. A target refused by robots.txt or the URL policy ends
+ * pagination rather than failing the scrape, so the pages already collected
+ * are kept.
+ * @param {Object} page - Puppeteer page
+ * @param {string} selector - Selector of the next control
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Function|null} - Release function, or null if the target is disallowed
+ */
+async function beforeNextPage(page, selector, signal) {
+  const target = await resolveNavigationTarget(page, selector);
+  try {
+    return await beforeNavigation(target, signal);
+  } catch (error) {
+    if (error.code !== 'ROBOTS_DISALLOWED' && error.code !== 'URL_BLOCKED') throw error;
+    logger.info('Stopping pagination', { reason: error.message });
+    return null;
+  }
+}
+
+/**
+ * page.goto that honors the URL policy, robots.txt and per-host politeness
+ * limits. When the page's request guard refuses the navigation (a redirect to
+ * a private address, say), the URL_BLOCKED error is thrown instead of
+ * Chrome's generic one. Timeouts, connection failures and HTTP error statuses
+ * are thrown as scrape errors (see utils/errors.js) and retried with backoff
+ * when their code allows it; every attempt waits for its own host slot.
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - URL to open
+ * @param {Object} gotoOptions - Options for page.goto
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Object} - Puppeteer response
+ */
+async function politeGoto(page, url, gotoOptions = {}, signal) {
+  return withRetry(() => gotoOnce(page, url, gotoOptions, signal), { signal });
+}
+
+/**
+ * Makes a single politeGoto attempt
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - URL to open
+ * @param {Object} gotoOptions - Options for page.goto
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Object} - Puppeteer response
+ */
+async function gotoOnce(page, url, gotoOptions, signal) {
+  const release = await beforeNavigation(url, signal);
+  const endTimer = startNavigationTimer();
+  let response;
+  try {
+    response = await page.goto(url, gotoOptions);
+  } catch (error) {
+    endTimer('error');
+    throw takeBlockedNavigation(page) || classifyNavigationError(error, url);
+  } finally {
+    release();
+  }
+
+  const httpError = response && createHttpError(response, url);
+  endTimer(httpError ? 'error' : 'ok');
+  if (httpError) {
+    // Sites often serve their CAPTCHA or block page with a 403, 429 or 503
+    await assertNotBlocked(page, url);
+    throw httpError;
+  }
+  return response;
+}
+
+module.exports = {
+  acquireHostSlot,
+  assertAllowedByRobots,
+  beforeNavigation,
+  resolveNavigationTarget,
+  beforeNextPage,
+  politeGoto
+};
@@ -0,0 +1,107 @@
+const { retryPolicy, createScrapeError } = require('./errors');
+const { assertNotBlocked } = require('./blockDetection');
+const { createAbortError } = require('./cancellation');
+const { logger } = require('./logger');
+
+/**
+ * Retries with backoff, following the retry policy of each error code (see
+ * utils/errors.js). The wait doubles after every attempt, with up to 10%
+ * jitter, and a Retry-After from the site takes precedence when it is
+ * longer. SCRAPE_RETRY_DELAY_SCALE scales every wait (0 retries at once,
+ * which the tests use).
+ */
+
+const parsedScale = parseFloat(process.env.SCRAPE_RETRY_DELAY_SCALE);
+const SCRAPE_RETRY_DELAY_SCALE = Number.isNaN(parsedScale) ? 1 : Math.max(parsedScale, 0);
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Returns the wait before the next attempt
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(error, attempt) {
+  const delay = retryPolicy(error).baseDelayMs * 2 ** (attempt - 1);
+  const withJitter = Math.max(delay + Math.random() * delay * 0.1, error.details?.retryAfterMs || 0);
+  return Math.min(withJitter, MAX_RETRY_DELAY_MS) * SCRAPE_RETRY_DELAY_SCALE;
+}
+
+/**
+ * Waits, unless the signal aborts first
+ * @param {number} ms - Wait in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError());
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs an operation, retrying it while it fails with a retryable error
+ * @param {Function} operation - async (attempt) => result; attempt starts at 1
+ * @param {Object} options - Optional { signal, onRetry }; onRetry(error, attempt, delay)
+ *   is called before each retry
+ * @returns {*} - The operation's result
+ */
+async function withRetry(operation, { signal, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const policy = retryPolicy(error);
+      if (!policy || attempt >= policy.attempts || signal?.aborted) throw error;
+
+      const delay = retryDelay(error, attempt);
+      logger.warn('Retrying after error', { code: error.code, reason: error.message, attempt, delayMs: Math.round(delay) });
+      onRetry?.(error, attempt, delay);
+      await wait(delay, signal);
+    }
+  }
+}
+
+/**
+ * Extracts items from a page, reloading it and trying again when nothing
+ * matched (content that renders late, a transient error page). A CAPTCHA or
+ * block page fails with BLOCKED_BY_SITE instead.
+ * @param {Object} page - Puppeteer page
+ * @param {Function} extract - async () => items
+ * @param {Object} options - { reload, signal, onRetry }; reload() opens the
+ *   page again before a retry
+ * @returns {Array} - The items, empty when every attempt found none
+ */
+async function extractWithRetry(page, extract, { reload, signal, onRetry } = {}) {
+  try {
+    return await withRetry(async (attempt) => {
+      if (attempt > 1) await reload();
+
+      const items = await extract();
+      if (items.length > 0) return items;
+
+      await assertNotBlocked(page);
+      throw createScrapeError('EMPTY_EXTRACTION', `Nothing could be extracted from ${page.url()}`, { url: page.url() });
+    }, { signal, onRetry });
+  } catch (error) {
+    if (error.code === 'EMPTY_EXTRACTION') return [];
+    throw error;
+  }
+}
+
+module.exports = {
+  retryDelay,
+  withRetry,
+  extractWithRetry
+};
@@ -0,0 +1,276 @@
+/**
+ * robots.txt fetching, parsing and matching (RFC 9309).
+ *
+ * robots.txt files are cached per origin. A missing file (4xx) allows
+ * everything; an unreachable one (5xx or network error) disallows everything
+ * until the cache entry expires, as the RFC requires.
+ */
+
+const { checkUrl } = require('./urlPolicy');
+const { logger } = require('./logger');
+
+const ROBOTS_ENABLED = process.env.ROBOTS_ENABLED !== 'false';
+const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'PulseWebScraper';
+// Pooled browsers load pages as Chrome with our product token appended, so
+// sites see the same agent that robots.txt was evaluated for
+const BROWSER_USER_AGENT = `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36 ${ROBOTS_USER_AGENT}`;
+const CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+const UNREACHABLE_TTL_MS = 5 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const MAX_REDIRECTS = 5;
+
+const cache = new Map(); // origin -> { policy, expiresAt }
+
+/**
+ * Parses a robots.txt file into user-agent groups
+ * @param {string} text - robots.txt contents
+ * @returns {Array} - [{ agents: [string], rules: [{ type, path, line }], crawlDelay }]
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow matches nothing
+      if (value) {
+        current.rules.push({ type: key, path: value, line: index + 1 });
+      }
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Selects the rules that apply to a user agent: groups naming its product
+ * token, or the "*" groups when none do
+ * @param {Array} groups - Parsed groups
+ * @param {string} userAgent - Product token, e.g. "PulseWebScraper"
+ * @returns {Object} - { rules, crawlDelay, agent }
+ */
+function selectGroup(groups, userAgent) {
+  const token = userAgent.toLowerCase();
+  let matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  let agent = userAgent;
+
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+    agent = '*';
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    agent,
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Converts a robots.txt path pattern (with * and $) to a regular expression
+ * @param {string} pattern - e.g. "/private/*.pdf$"
+ * @returns {RegExp} - Anchored at the start of the path
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Finds the rule deciding whether a path may be crawled: the longest matching
+ * pattern wins, and Allow wins a tie
+ * @param {Array} rules - Rules from selectGroup
+ * @param {string} path - URL path with query string
+ * @returns {Object|null} - Matching rule, or null when no rule matches
+ */
+function findMatchingRule(rules, path) {
+  let best = null;
+
+  rules.forEach(rule => {
+    if (!patternToRegExp(rule.path).test(path)) return;
+
+    if (!best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Fetches a URL, following up to MAX_REDIRECTS redirects and checking each
+ * target against the URL policy, so robots.txt can't redirect to an internal
+ * address
+ * @param {string} url - URL to fetch
+ * @returns {Response|null} - Final response, or null when a redirect was refused
+ */
+async function fetchFollowingRedirects(url) {
+  let target = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const response = await fetch(target, {
+      headers: { 'User-Agent': ROBOTS_USER_AGENT },
+      redirect: 'manual',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    target = new URL(location, target).href;
+    const decision = await checkUrl(target);
+    if (!decision.allowed) {
+      logger.warn('Not following robots.txt redirect', { url, target, reason: decision.reason });
+      return null;
+    }
+  }
+
+  // Too many redirects: treat robots.txt as unavailable (RFC 9309, 2.3.1.2)
+  return new Response(null, { status: 404 });
+}
+
+/**
+ * Downloads and parses the robots.txt of an origin
+ * @param {string} origin - e.g. "https://www.example.com"
+ * @returns {Object} - { status: 'ok'|'missing'|'unreachable', groups, ttl }
+ */
+async function fetchRobotsPolicy(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    const response = await fetchFollowingRedirects(robotsUrl);
+    if (!response) {
+      return { status: 'unreachable', groups: [], ttl: UNREACHABLE_TTL_MS };
+    }
+
+    if (response.status >= 400 && response.status < 500) {
+      return { status: 'missing', groups: [], ttl: CACHE_TTL_MS };
+    }
+    if (!response.ok) {
+      return { status: 'unreachable', groups: [], ttl: UNREACHABLE_TTL_MS };
+    }
+
+    const text = (await response.text()).slice(0, MAX_ROBOTS_BYTES);
+    return { status: 'ok', groups: parseRobotsTxt(text), ttl: CACHE_TTL_MS };
+  } catch (error) {
+    logger.warn('Could not fetch robots.txt', { url: robotsUrl, reason: error.message });
+    return { status: 'unreachable', groups: [], ttl: UNREACHABLE_TTL_MS };
+  }
+}
+
+/**
+ * Returns the cached robots.txt policy for an origin, fetching it if needed
+ * @param {string} origin - URL origin
+ * @returns {Object} - Policy from fetchRobotsPolicy
+ */
+async function getRobotsPolicy(origin) {
+  const cached = cache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.policy;
+  }
+
+  const policy = await fetchRobotsPolicy(origin);
+  cache.set(origin, { policy, expiresAt: Date.now() + policy.ttl });
+  return policy;
+}
+
+/**
+ * Checks whether our user agent may crawl a URL
+ * @param {string} url - Absolute http(s) URL
+ * @returns {Object} - { allowed, robotsUrl, agent, rule, crawlDelay, reason }
+ */
+async function checkRobots(url) {
+  const parsed = new URL(url);
+
+  if (!ROBOTS_ENABLED || !['http:', 'https:'].includes(parsed.protocol)) {
+    return { allowed: true, robotsUrl: null, agent: ROBOTS_USER_AGENT, rule: null, crawlDelay: null, reason: 'robots.txt checks disabled' };
+  }
+
+  const robotsUrl = `${parsed.origin}/robots.txt`;
+  const path = `${parsed.pathname}${parsed.search}`;
+
+  if (parsed.pathname === '/robots.txt') {
+    return { allowed: true, robotsUrl, agent: ROBOTS_USER_AGENT, rule: null, crawlDelay: null, reason: 'robots.txt itself is always allowed' };
+  }
+
+  const policy = await getRobotsPolicy(parsed.origin);
+
+  if (policy.status === 'unreachable') {
+    return {
+      allowed: false,
+      robotsUrl,
+      agent: ROBOTS_USER_AGENT,
+      rule: null,
+      crawlDelay: null,
+      reason: `${robotsUrl} could not be fetched, so crawling is disallowed until it is reachable`
+    };
+  }
+
+  const { rules, crawlDelay, agent } = selectGroup(policy.groups, ROBOTS_USER_AGENT);
+  const rule = findMatchingRule(rules, path);
+  const allowed = !rule || rule.type === 'allow';
+
+  return {
+    allowed,
+    robotsUrl,
+    agent,
+    rule,
+    crawlDelay,
+    reason: rule
+      ? `${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.path} (line ${rule.line}, user-agent "${agent}")`
+      : 'No rule matches this path'
+  };
+}
+
+/**
+ * Clears the robots.txt cache
+ */
+function clearRobotsCache() {
+  cache.clear();
+}
+
+module.exports = {
+  ROBOTS_USER_AGENT,
+  BROWSER_USER_AGENT,
+  parseRobotsTxt,
+  selectGroup,
+  findMatchingRule,
+  checkRobots,
+  clearRobotsCache
+};
@@ -0,0 +1,327 @@
+const dns = require('dns');
+const net = require('net');
+const { logger } = require('./logger');
+
+/**
+ * Which URLs the scraper may load on behalf of a client.
+ *
+ * A URL is allowed when its scheme is in URL_ALLOWED_SCHEMES and every
+ * address its host resolves to is public: loopback, private (RFC 1918),
+ * link-local (including cloud metadata endpoints), carrier-grade NAT,
+ * multicast and other reserved ranges are refused. URL_ALLOW_HOSTS lets
+ * internal deployments reach specific hosts or ranges anyway;
+ * URL_DENY_HOSTS blocks hosts or ranges that would otherwise be allowed.
+ * Both take a comma-separated list of hostnames ("intranet.example",
+ * "*.corp.example"), IP addresses and CIDR ranges ("10.20.0.0/16").
+ * The deny list always wins.
+ */
+
+const URL_ALLOWED_SCHEMES = parseList(process.env.URL_ALLOWED_SCHEMES || 'http,https')
+  .map(scheme => `${scheme.replace(/:$/, '')}:`);
+const DNS_CACHE_TTL_MS = 60 * 1000;
+
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved, broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // well-known NAT64, which can embed private IPv4 addresses
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['100::', 64, 'ipv6'], // discard
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const privateAddresses = new net.BlockList();
+PRIVATE_RANGES.forEach(([network, prefix, type]) => privateAddresses.addSubnet(network, prefix, type));
+
+const allowList = parseHostList(process.env.URL_ALLOW_HOSTS);
+const denyList = parseHostList(process.env.URL_DENY_HOSTS);
+
+const lookups = new Map(); // hostname -> { addresses, expiresAt }
+
+/**
+ * Splits a comma-separated setting into its entries
+ * @param {string} value - Setting value
+ * @returns {Array} - Trimmed, lower-cased, non-empty entries
+ */
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parses an allow or deny list into hostname patterns and address ranges
+ * @param {string} value - Comma-separated hostnames, IP addresses and CIDR ranges
+ * @returns {Object} - { hostnames: [string], addresses: net.BlockList }
+ */
+function parseHostList(value) {
+  const hostnames = [];
+  const addresses = new net.BlockList();
+
+  parseList(value).forEach(entry => {
+    const [network, prefix] = entry.split('/');
+    const type = net.isIP(network);
+    if (!type) {
+      hostnames.push(entry);
+    } else if (prefix === undefined) {
+      addresses.addAddress(network, `ipv${type}`);
+    } else {
+      addresses.addSubnet(network, parseInt(prefix, 10), `ipv${type}`);
+    }
+  });
+
+  return { hostnames, addresses };
+}
+
+/**
+ * Checks a hostname against a list's hostname patterns
+ * @param {Object} list - Parsed list
+ * @param {string} hostname - Lower-case hostname
+ * @returns {boolean} - True when an entry names the host or, as "*.domain", one of its parents
+ */
+function matchesHostname(list, hostname) {
+  return list.hostnames.some(pattern => pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern);
+}
+
+/**
+ * Unwraps an IPv4-mapped IPv6 address (::ffff:127.0.0.1, or ::ffff:7f00:1
+ * as URLs write it) into the IPv4 address it carries
+ * @param {string} address - IP address
+ * @returns {string} - The IPv4 address, or the address unchanged
+ */
+function unmapAddress(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return address;
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Checks an address against a block list
+ * @param {net.BlockList} blockList - Addresses to match
+ * @param {string} address - IP address
+ * @returns {boolean} - True when the address is in the list
+ */
+function matchesAddress(blockList, address) {
+  const unmapped = unmapAddress(address);
+  return blockList.check(unmapped, net.isIPv6(unmapped) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Tells whether an IP address is loopback, private, link-local or otherwise
+ * not on the public internet
+ * @param {string} address - IP address
+ * @returns {boolean} - True for non-public addresses
+ */
+function isPrivateAddress(address) {
+  return matchesAddress(privateAddresses, address);
+}
+
+/**
+ * Resolves a hostname to all of its addresses, caching the answer briefly so
+ * that every request a page makes doesn't trigger a lookup
+ * @param {string} hostname - Hostname or IP address
+ * @returns {Array} - IP addresses
+ */
+async function resolveHost(hostname) {
+  if (net.isIP(hostname)) return [hostname];
+
+  const cached = lookups.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.addresses;
+  }
+
+  const addresses = (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(({ address }) => address);
+  lookups.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL_MS });
+  return addresses;
+}
+
+/**
+ * Decides whether the scraper may load a URL
+ * @param {string} url - Absolute URL
+ * @returns {Object} - { allowed, url, hostname, addresses, reason }
+ */
+async function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { allowed: false, url, hostname: null, addresses: [], reason: 'not a valid URL' };
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const decision = (allowed, reason, addresses = []) => ({ allowed, url, hostname, addresses, reason });
+
+  if (!URL_ALLOWED_SCHEMES.includes(parsed.protocol)) {
+    return decision(false, `the ${parsed.protocol} scheme is not allowed (allowed: ${URL_ALLOWED_SCHEMES.join(', ')})`);
+  }
+  if (matchesHostname(denyList, hostname)) {
+    return decision(false, `${hostname} is in URL_DENY_HOSTS`);
+  }
+  if (matchesHostname(allowList, hostname)) {
+    return decision(true, `${hostname} is in URL_ALLOW_HOSTS`);
+  }
+
+  let addresses;
+  try {
+    addresses = await resolveHost(hostname);
+  } catch (error) {
+    return decision(false, `${hostname} could not be resolved (${error.code || error.message})`);
+  }
+
+  const describe = (address) => net.isIP(hostname) ? address : `${hostname} resolves to ${address}, which`;
+
+  const denied = addresses.find(address => matchesAddress(denyList.addresses, address));
+  if (denied) {
+    return decision(false, `${describe(denied)} is in URL_DENY_HOSTS`, addresses);
+  }
+
+  const blocked = addresses.find(address => isPrivateAddress(address) && !matchesAddress(allowList.addresses, address));
+  if (blocked) {
+    return decision(false, `${describe(blocked)} is not a public address`, addresses);
+  }
+
+  return decision(true, 'public address', addresses);
+}
+
+/**
+ * Creates a `lookup` function for net, http and https that answers with the
+ * addresses a decision checked, so a connection goes to a vetted address
+ * rather than to whatever a second DNS lookup returns (DNS rebinding). Hosts
+ * allowed by name in URL_ALLOW_HOSTS have no checked addresses and are
+ * resolved normally.
+ * @param {Object} decision - Allowed decision from checkUrl
+ * @returns {Function} - lookup(hostname, options, callback)
+ */
+function pinnedLookup(decision) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (decision.addresses.length === 0) {
+      return dns.lookup(hostname, options, callback);
+    }
+
+    const answers = decision.addresses.map(address => ({ address, family: net.isIPv6(address) ? 6 : 4 }));
+    if (options.all) {
+      return callback(null, answers);
+    }
+    callback(null, answers[0].address, answers[0].family);
+  };
+}
+
+/**
+ * Creates the error raised when the URL policy refuses a URL
+ * @param {Object} decision - Result of checkUrl
+ * @returns {Error} - Error with statusCode 403 and code URL_BLOCKED
+ */
+function createUrlBlockedError(decision) {
+  const error = new Error(`Blocked URL: ${decision.url} is not allowed because ${decision.reason}`);
+  error.statusCode = 403;
+  error.code = 'URL_BLOCKED';
+  error.details = {
+    url: decision.url,
+    hostname: decision.hostname,
+    addresses: decision.addresses
+  };
+  return error;
+}
+
+/**
+ * Throws a 403-style error if the URL policy refuses the URL
+ * @param {string} url - URL about to be loaded
+ * @returns {Object} - The decision
+ */
+async function assertUrlAllowed(url) {
+  const decision = await checkUrl(url);
+  if (!decision.allowed) {
+    logger.warn('URL policy refuses URL', { url, reason: decision.reason });
+    throw createUrlBlockedError(decision);
+  }
+  return decision;
+}
+
+// Main-frame navigations refused by the request guard, per page
+const blockedNavigations = new WeakMap();
+
+/**
+ * Checks every request a page makes, including redirects and subresources,
+ * against the URL policy and aborts the ones it refuses. Requests that never
+ * reach the network (data: and blob: URLs) are let through.
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options - { blockResourceTypes: resource types to abort regardless of URL }
+ */
+async function guardPageRequests(page, { blockResourceTypes = [] } = {}) {
+  await page.setRequestInterception(true);
+
+  page.on('request', async (request) => {
+    const url = request.url();
+
+    try {
+      if (blockResourceTypes.includes(request.resourceType())) {
+        return await request.abort();
+      }
+      if (/^(data|blob):/i.test(url)) {
+        return await request.continue();
+      }
+
+      const decision = await checkUrl(url);
+      if (decision.allowed) {
+        return await request.continue();
+      }
+
+      logger.warn('Blocked request', { url, reason: decision.reason });
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+        blockedNavigations.set(page, createUrlBlockedError(decision));
+      }
+      await request.abort('blockedbyclient');
+    } catch (error) {
+      // The page was closed while the request was being checked
+    }
+  });
+}
+
+/**
+ * Returns (and forgets) the error for the last main-frame navigation the
+ * request guard refused, so a failed page.goto can report why
+ * @param {Object} page - Puppeteer page
+ * @returns {Error|null} - URL_BLOCKED error, or null
+ */
+function takeBlockedNavigation(page) {
+  const error = blockedNavigations.get(page) || null;
+  blockedNavigations.delete(page);
+  return error;
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkUrl,
+  assertUrlAllowed,
+  createUrlBlockedError,
+  pinnedLookup,
+  guardPageRequests,
+  takeBlockedNavigation
+};